@@ -1,13 +1,24 @@
 import Database from '../lib/database.js';
 import log from '../lib/log.js';
 import { mean, standardDeviation, annualizeVolatility } from '../utils/statistics.js';
+import {
+  EWMA_LAMBDA,
+  ewmaVariances,
+  fitGarch,
+  garchVariances,
+  forecastVolatility
+} from '../utils/volatilityModels.js';
 
 const DEFAULT_WINDOW_DAYS = 90;
 const MINIMUM_WINDOW_DAYS = 7; // Minimum days for statistical validity
+const MODEL_BURN_IN_DAYS = 30; // EWMA/GARCH rows start once the filter has settled
+const MINIMUM_GARCH_DAYS = 250; // Fewer returns give unstable ML estimates
+const GARCH_FIT_WINDOW_DAYS = 1000;
 
 /**
  * Calculate and store individual cryptocurrency volatility
- * Uses a rolling window approach (default: 90 days)
+ * Uses a rolling window approach (default: 90 days), plus the EWMA and
+ * GARCH(1,1) conditional volatilities in crypto_volatility_models
  */
 async function calculateCryptoVolatility() {
   const startTime = Date.now();
@@ -29,6 +40,7 @@ async function calculateCryptoVolatility() {
 
     let totalCalculated = 0;
     let totalSkipped = 0;
+    let totalModels = 0;
     let errors = 0;
 
     for (const crypto of cryptos) {
@@ -36,6 +48,7 @@ async function calculateCryptoVolatility() {
         const calculated = await calculateVolatilityForCrypto(crypto.id, crypto.symbol);
         totalCalculated += calculated.inserted;
         totalSkipped += calculated.skipped;
+        totalModels += calculated.modelsInserted;
       } catch (error) {
         log.error(`Error calculating volatility for ${crypto.symbol}: ${error.message}`);
         errors++;
@@ -44,7 +57,7 @@ async function calculateCryptoVolatility() {
 
     const duration = Date.now() - startTime;
     log.info(`Volatility calculation completed in ${duration}ms`);
-    log.info(`Total calculated: ${totalCalculated}, Skipped: ${totalSkipped}, Errors: ${errors}`);
+    log.info(`Total calculated: ${totalCalculated}, Skipped: ${totalSkipped}, Model rows: ${totalModels}, Errors: ${errors}`);
 
   } catch (error) {
     log.error(`Error in calculateCryptoVolatility: ${error.message}`);
@@ -56,7 +69,7 @@ async function calculateCryptoVolatility() {
  * Calculate volatility for a single cryptocurrency using rolling window
  * @param {number} cryptoId - Cryptocurrency ID
  * @param {string} symbol - Cryptocurrency symbol (for logging)
- * @returns {Promise<{inserted: number, skipped: number}>}
+ * @returns {Promise<{inserted: number, skipped: number, modelsInserted: number}>}
  */
 async function calculateVolatilityForCrypto(cryptoId, symbol) {
   // Get all log returns for this crypto, ordered by date
@@ -73,7 +86,7 @@ async function calculateVolatilityForCrypto(cryptoId, symbol) {
 
   if (logReturns.length < MINIMUM_WINDOW_DAYS) {
     log.debug(`${symbol}: Insufficient data (${logReturns.length} returns, need at least ${MINIMUM_WINDOW_DAYS})`);
-    return { inserted: 0, skipped: 0 };
+    return { inserted: 0, skipped: 0, modelsInserted: 0 };
   }
 
   let inserted = 0;
@@ -127,7 +140,84 @@ async function calculateVolatilityForCrypto(cryptoId, symbol) {
     log.debug(`${symbol}: Calculated ${inserted} volatility points, skipped ${skipped}`);
   }
 
-  return { inserted, skipped };
+  const modelsInserted = await calculateModelsForCrypto(cryptoId, symbol, logReturns);
+
+  return { inserted, skipped, modelsInserted };
+}
+
+/**
+ * Filter EWMA and GARCH(1,1) through the return history and store the
+ * dates not yet historized. GARCH is refitted on every run over the last
+ * GARCH_FIT_WINDOW_DAYS returns, so a first backfill filters older dates
+ * with today's parameters; daily runs only add the latest date.
+ * @param {number} cryptoId - Cryptocurrency ID
+ * @param {string} symbol - Cryptocurrency symbol (for logging)
+ * @param {Array<{date: Date, log_return: number}>} logReturns - Chronological log returns
+ * @returns {Promise<number>} Rows inserted
+ */
+async function calculateModelsForCrypto(cryptoId, symbol, logReturns) {
+  if (logReturns.length < MODEL_BURN_IN_DAYS) {
+    return 0;
+  }
+
+  const returns = logReturns.map(r => parseFloat(r.log_return));
+
+  const models = [{
+    model: 'ewma',
+    variances: ewmaVariances(returns),
+    garch: null,
+    params: { lambda: EWMA_LAMBDA, omega: null, alpha: null, beta: null },
+    numObservations: (i) => i + 1
+  }];
+
+  if (returns.length >= MINIMUM_GARCH_DAYS) {
+    const fitReturns = returns.slice(-GARCH_FIT_WINDOW_DAYS);
+    const garch = fitGarch(fitReturns);
+    models.push({
+      model: 'garch',
+      variances: garchVariances(returns, garch),
+      garch,
+      params: { lambda: null, omega: garch.omega, alpha: garch.alpha, beta: garch.beta },
+      numObservations: () => fitReturns.length
+    });
+    log.debug(`${symbol}: GARCH(1,1) ω=${garch.omega.toExponential(3)} α=${garch.alpha.toFixed(4)} β=${garch.beta.toFixed(4)}`);
+  }
+
+  let inserted = 0;
+
+  for (const { model, variances, garch, params, numObservations } of models) {
+    const [existing] = await Database.execute(
+      'SELECT date FROM crypto_volatility_models WHERE crypto_id = ? AND model = ?',
+      [cryptoId, model]
+    );
+    const existingDates = new Set(existing.map(r => new Date(r.date).getTime()));
+
+    for (let i = MODEL_BURN_IN_DAYS - 1; i < logReturns.length; i++) {
+      const currentDate = logReturns[i].date;
+      if (existingDates.has(new Date(currentDate).getTime())) continue;
+
+      const forecasts = forecastVolatility(variances[i], garch);
+      const dailyVol = forecasts['1d'];
+
+      await Database.execute(`
+        INSERT INTO crypto_volatility_models
+        (crypto_id, date, model, daily_volatility, annualized_volatility, forecast_10d, forecast_30d, lambda, omega, alpha, beta, num_observations)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        cryptoId, currentDate, model, dailyVol, annualizeVolatility(dailyVol),
+        forecasts['10d'], forecasts['30d'],
+        params.lambda, params.omega, params.alpha, params.beta, numObservations(i)
+      ]);
+
+      inserted++;
+    }
+  }
+
+  if (inserted > 0) {
+    log.debug(`${symbol}: Calculated ${inserted} EWMA/GARCH points`);
+  }
+
+  return inserted;
 }
 
 // Run the command
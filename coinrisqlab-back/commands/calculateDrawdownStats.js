@@ -0,0 +1,178 @@
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import { calculateDrawdowns, valueSeriesFromLogReturns } from '../utils/riskMetrics.js';
+
+const MAX_WINDOW_DAYS = 365;
+const MINIMUM_WINDOW_DAYS = 7;
+
+/**
+ * Calculate and store drawdown statistics for cryptocurrencies
+ * Uses up to 365 days of historical data, rebuilt from log returns
+ * Stores one entry per crypto per date
+ */
+async function calculateDrawdownStats() {
+  const startTime = Date.now();
+
+  try {
+    log.info('Starting drawdown calculation...');
+
+    await ensureTableExists();
+
+    const [cryptos] = await Database.execute(
+      `
+      SELECT DISTINCT c.id, c.symbol, c.name
+      FROM cryptocurrencies c
+      INNER JOIN crypto_log_returns clr ON c.id = clr.crypto_id
+      GROUP BY c.id, c.symbol, c.name
+      HAVING COUNT(*) >= ?
+      ORDER BY c.symbol
+    `,
+      [MINIMUM_WINDOW_DAYS]
+    );
+
+    log.info(`Found ${cryptos.length} cryptocurrencies with sufficient data`);
+
+    let totalCalculated = 0;
+    let totalSkipped = 0;
+    let errors = 0;
+
+    for (const crypto of cryptos) {
+      try {
+        const calculated = await calculateDrawdownForCrypto(crypto.id, crypto.symbol);
+        totalCalculated += calculated.inserted;
+        totalSkipped += calculated.skipped;
+      } catch (error) {
+        log.error(`Error calculating drawdown for ${crypto.symbol}: ${error.message}`);
+        errors++;
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    log.info(`Drawdown calculation completed in ${duration}ms`);
+    log.info(`Total calculated: ${totalCalculated}, Skipped: ${totalSkipped}, Errors: ${errors}`);
+  } catch (error) {
+    log.error(`Error in calculateDrawdownStats: ${error.message}`);
+    throw error;
+  }
+}
+
+async function ensureTableExists() {
+  try {
+    await Database.execute(`
+      CREATE TABLE IF NOT EXISTS crypto_drawdown (
+        id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        crypto_id INT UNSIGNED NOT NULL,
+        date DATE NOT NULL,
+        window_days INT UNSIGNED NOT NULL DEFAULT 365,
+        max_drawdown DECIMAL(20, 12) NOT NULL,
+        current_drawdown DECIMAL(20, 12) NOT NULL,
+        peak_date DATE NULL,
+        trough_date DATE NULL,
+        recovery_date DATE NULL,
+        recovery_days INT UNSIGNED NULL,
+        current_duration_days INT UNSIGNED NOT NULL,
+        longest_duration_days INT UNSIGNED NOT NULL,
+        num_observations INT UNSIGNED NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY idx_crypto_date_window (crypto_id, date, window_days),
+        KEY idx_date (date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  } catch (error) {
+    if (!error.message.includes('already exists')) {
+      log.debug(`Table check: ${error.message}`);
+    }
+  }
+}
+
+async function calculateDrawdownForCrypto(cryptoId, symbol) {
+  // Drawdown is path-dependent: the price path is rebuilt from cumulated log
+  // returns (daily closes, same source as the other risk metrics).
+  const [logReturns] = await Database.execute(
+    `
+    SELECT date, log_return
+    FROM crypto_log_returns
+    WHERE crypto_id = ?
+      AND date < CURDATE()
+    ORDER BY date ASC
+  `,
+    [cryptoId]
+  );
+
+  if (logReturns.length < MINIMUM_WINDOW_DAYS) {
+    return { inserted: 0, skipped: 0 };
+  }
+
+  const returnsByDate = logReturns.map((r) => ({
+    date: r.date,
+    logReturn: parseFloat(r.log_return),
+  }));
+
+  // Window size is fully determined by the date, so the date alone
+  // identifies an already computed row
+  const [existing] = await Database.execute(
+    'SELECT date FROM crypto_drawdown WHERE crypto_id = ?',
+    [cryptoId]
+  );
+  const existingDates = new Set(existing.map((r) => r.date.getTime()));
+
+  let inserted = 0;
+  let skipped = 0;
+
+  for (let i = MINIMUM_WINDOW_DAYS - 1; i < returnsByDate.length; i++) {
+    const currentDate = returnsByDate[i].date;
+
+    if (existingDates.has(currentDate.getTime())) {
+      skipped++;
+      continue;
+    }
+
+    // Window: up to MAX_WINDOW_DAYS ending at current date
+    const windowStart = Math.max(0, i - MAX_WINDOW_DAYS + 1);
+    const windowData = returnsByDate.slice(windowStart, i + 1);
+    const windowDays = windowData.length;
+
+    const drawdown = calculateDrawdowns(valueSeriesFromLogReturns(windowData));
+
+    await Database.execute(
+      `
+      INSERT INTO crypto_drawdown
+      (crypto_id, date, window_days, max_drawdown, current_drawdown, peak_date, trough_date, recovery_date,
+       recovery_days, current_duration_days, longest_duration_days, num_observations)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        cryptoId,
+        currentDate,
+        windowDays,
+        drawdown.maxDrawdown,
+        drawdown.currentDrawdown,
+        drawdown.peakDate,
+        drawdown.troughDate,
+        drawdown.recoveryDate,
+        drawdown.recoveryDays,
+        drawdown.currentDurationDays,
+        drawdown.longestDurationDays,
+        windowDays,
+      ]
+    );
+
+    inserted++;
+  }
+
+  if (inserted > 0) {
+    log.debug(`${symbol}: Calculated ${inserted} drawdown points, skipped ${skipped}`);
+  }
+
+  return { inserted, skipped };
+}
+
+calculateDrawdownStats()
+  .then(() => {
+    log.info('Command completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    log.error(`Command failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,251 @@
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import {
+  calculateBetaAlpha,
+  calculateDrawdowns,
+  calculatePerformanceRatios,
+  parseMinimumAcceptableReturn,
+  valueSeriesFromLogReturns,
+} from '../utils/riskMetrics.js';
+
+const MAX_WINDOW_DAYS = 365;
+const MINIMUM_WINDOW_DAYS = 7;
+
+/**
+ * Calculate and store Sortino, Calmar, Omega, Treynor and Information ratios
+ * for cryptocurrencies
+ * Uses up to 365 days of historical data, same window as Sharpe
+ * Stores one entry per crypto per date and minimum acceptable return
+ *
+ * Usage: node commands/calculateRatioStats.js [mar]
+ *   mar: annual minimum acceptable return in percent (default: 0)
+ */
+async function calculateRatioStats(minimumAcceptableReturn) {
+  const startTime = Date.now();
+
+  try {
+    log.info(
+      `Starting performance ratios calculation (MAR ${(minimumAcceptableReturn * 100).toFixed(2)}%)...`
+    );
+
+    await ensureTableExists();
+
+    // CoinRisqLab 80 log returns: benchmark for Treynor (beta) and Information ratio
+    const [indexLogReturns] = await Database.execute(`
+      SELECT
+        date,
+        LN(index_level / LAG(index_level) OVER (ORDER BY date)) as log_return
+      FROM (
+        SELECT
+          DATE(snapshot_date) as date,
+          SUBSTRING_INDEX(GROUP_CONCAT(index_level ORDER BY snapshot_date DESC), ',', 1) + 0 as index_level
+        FROM index_history ih
+        INNER JOIN index_config ic ON ih.index_config_id = ic.id
+        WHERE ic.index_name = 'CoinRisqLab 80'
+          AND DATE(snapshot_date) < CURDATE()
+        GROUP BY DATE(snapshot_date)
+      ) daily
+      ORDER BY date ASC
+    `);
+
+    const indexByDate = new Map();
+
+    for (const r of indexLogReturns) {
+      if (r.log_return !== null) {
+        indexByDate.set(r.date.toISOString().split('T')[0], parseFloat(r.log_return));
+      }
+    }
+
+    log.info(`Loaded ${indexByDate.size} index return days`);
+
+    const [cryptos] = await Database.execute(
+      `
+      SELECT DISTINCT c.id, c.symbol, c.name
+      FROM cryptocurrencies c
+      INNER JOIN crypto_log_returns clr ON c.id = clr.crypto_id
+      GROUP BY c.id, c.symbol, c.name
+      HAVING COUNT(*) >= ?
+      ORDER BY c.symbol
+    `,
+      [MINIMUM_WINDOW_DAYS]
+    );
+
+    log.info(`Found ${cryptos.length} cryptocurrencies with sufficient data`);
+
+    let totalCalculated = 0;
+    let totalSkipped = 0;
+    let errors = 0;
+
+    for (const crypto of cryptos) {
+      try {
+        const calculated = await calculateRatiosForCrypto(
+          crypto.id,
+          crypto.symbol,
+          indexByDate,
+          minimumAcceptableReturn
+        );
+        totalCalculated += calculated.inserted;
+        totalSkipped += calculated.skipped;
+      } catch (error) {
+        log.error(`Error calculating ratios for ${crypto.symbol}: ${error.message}`);
+        errors++;
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    log.info(`Performance ratios calculation completed in ${duration}ms`);
+    log.info(`Total calculated: ${totalCalculated}, Skipped: ${totalSkipped}, Errors: ${errors}`);
+  } catch (error) {
+    log.error(`Error in calculateRatioStats: ${error.message}`);
+    throw error;
+  }
+}
+
+async function ensureTableExists() {
+  try {
+    await Database.execute(`
+      CREATE TABLE IF NOT EXISTS crypto_performance_ratios (
+        id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        crypto_id INT UNSIGNED NOT NULL,
+        date DATE NOT NULL,
+        window_days INT UNSIGNED NOT NULL DEFAULT 365,
+        mar DECIMAL(10, 6) NOT NULL DEFAULT 0,
+        sortino_ratio DECIMAL(20, 12) NULL,
+        downside_deviation DECIMAL(20, 12) NOT NULL,
+        calmar_ratio DECIMAL(20, 12) NULL,
+        omega_ratio DECIMAL(20, 12) NULL,
+        treynor_ratio DECIMAL(20, 12) NULL,
+        information_ratio DECIMAL(20, 12) NULL,
+        tracking_error DECIMAL(20, 12) NULL,
+        max_drawdown DECIMAL(20, 12) NOT NULL,
+        beta DECIMAL(20, 12) NULL,
+        num_observations INT UNSIGNED NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY idx_crypto_date_window_mar (crypto_id, date, window_days, mar),
+        KEY idx_date (date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  } catch (error) {
+    if (!error.message.includes('already exists')) {
+      log.debug(`Table check: ${error.message}`);
+    }
+  }
+}
+
+async function calculateRatiosForCrypto(cryptoId, symbol, indexByDate, minimumAcceptableReturn) {
+  // Same log return series and window as Sharpe, so the ratios compare
+  // directly with crypto_sharpe and crypto_drawdown
+  const [logReturns] = await Database.execute(
+    `
+    SELECT date, log_return
+    FROM crypto_log_returns
+    WHERE crypto_id = ?
+      AND date < CURDATE()
+    ORDER BY date ASC
+  `,
+    [cryptoId]
+  );
+
+  if (logReturns.length < MINIMUM_WINDOW_DAYS) {
+    return { inserted: 0, skipped: 0 };
+  }
+
+  const returnsByDate = logReturns.map((r) => ({
+    date: r.date,
+    dateStr: r.date.toISOString().split('T')[0],
+    logReturn: parseFloat(r.log_return),
+  }));
+
+  const [existing] = await Database.execute(
+    'SELECT date FROM crypto_performance_ratios WHERE crypto_id = ? AND mar = ?',
+    [cryptoId, minimumAcceptableReturn]
+  );
+  const existingDates = new Set(existing.map((r) => r.date.getTime()));
+
+  let inserted = 0;
+  let skipped = 0;
+
+  for (let i = MINIMUM_WINDOW_DAYS - 1; i < returnsByDate.length; i++) {
+    const currentDate = returnsByDate[i].date;
+
+    if (existingDates.has(currentDate.getTime())) {
+      skipped++;
+      continue;
+    }
+
+    // Window: up to MAX_WINDOW_DAYS ending at current date
+    const windowStart = Math.max(0, i - MAX_WINDOW_DAYS + 1);
+    const windowData = returnsByDate.slice(windowStart, i + 1);
+    const windowDays = windowData.length;
+    const returns = windowData.map((d) => d.logReturn);
+
+    // Benchmark-relative ratios only use the days the index has a return
+    const benchmarkDays = windowData.filter((d) => indexByDate.has(d.dateStr));
+    const alignedReturns = benchmarkDays.map((d) => d.logReturn);
+    const benchmarkReturns = benchmarkDays.map((d) => indexByDate.get(d.dateStr));
+    const beta =
+      benchmarkDays.length >= MINIMUM_WINDOW_DAYS
+        ? calculateBetaAlpha(alignedReturns, benchmarkReturns).beta
+        : null;
+
+    const { maxDrawdown } = calculateDrawdowns(valueSeriesFromLogReturns(windowData));
+
+    const ratios = calculatePerformanceRatios(returns, {
+      maxDrawdown,
+      beta,
+      alignedReturns,
+      benchmarkReturns: beta !== null ? benchmarkReturns : null,
+      minimumAcceptableReturn,
+    });
+
+    await Database.execute(
+      `
+      INSERT INTO crypto_performance_ratios
+      (crypto_id, date, window_days, mar, sortino_ratio, downside_deviation, calmar_ratio, omega_ratio,
+       treynor_ratio, information_ratio, tracking_error, max_drawdown, beta, num_observations)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        cryptoId,
+        currentDate,
+        windowDays,
+        minimumAcceptableReturn,
+        ratios.sortino,
+        ratios.downsideDeviation,
+        ratios.calmar,
+        ratios.omega,
+        ratios.treynor,
+        ratios.informationRatio,
+        ratios.trackingError,
+        maxDrawdown,
+        beta,
+        windowDays,
+      ]
+    );
+
+    inserted++;
+  }
+
+  if (inserted > 0) {
+    log.debug(`${symbol}: Calculated ${inserted} ratio points, skipped ${skipped}`);
+  }
+
+  return { inserted, skipped };
+}
+
+const minimumAcceptableReturn = parseMinimumAcceptableReturn(process.argv[2]);
+
+if (minimumAcceptableReturn === null) {
+  log.error(`Invalid minimum acceptable return: ${process.argv[2]}`);
+  process.exit(1);
+}
+
+calculateRatioStats(minimumAcceptableReturn)
+  .then(() => {
+    log.info('Command completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    log.error(`Command failed: ${error.message}`);
+    process.exit(1);
+  });
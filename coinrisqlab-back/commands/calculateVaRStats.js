@@ -1,7 +1,7 @@
 import Database from '../lib/database.js';
 import log from '../lib/log.js';
 import { mean, standardDeviation } from '../utils/statistics.js';
-import { calculateVaR, calculateCVaR } from '../utils/riskMetrics.js';
+import { VAR_METHODS, calculateVaRByMethod } from '../utils/riskMetrics.js';
 
 const MINIMUM_DATA_POINTS = 7;
 const MAX_WINDOW_DAYS = 365;
@@ -9,7 +9,8 @@ const MAX_WINDOW_DAYS = 365;
 /**
  * Calculate and store VaR/CVaR statistics for cryptocurrencies
  * Uses up to 365 days of historical data
- * Stores one entry per crypto per date
+ * Stores one entry per crypto per date per method (historical, parametric,
+ * Cornish-Fisher)
  */
 async function calculateVaRStats() {
   const startTime = Date.now();
@@ -65,6 +66,7 @@ async function ensureTableExists() {
         crypto_id INT UNSIGNED NOT NULL,
         date DATE NOT NULL,
         window_days INT UNSIGNED NOT NULL DEFAULT 90,
+        method ENUM('historical', 'parametric', 'cornish_fisher') NOT NULL DEFAULT 'historical',
         var_95 DECIMAL(20, 12) NOT NULL,
         var_99 DECIMAL(20, 12) NOT NULL,
         cvar_95 DECIMAL(20, 12) NOT NULL,
@@ -75,7 +77,7 @@ async function ensureTableExists() {
         max_return DECIMAL(20, 12) NOT NULL,
         num_observations INT UNSIGNED NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE KEY idx_crypto_date_window (crypto_id, date, window_days),
+        UNIQUE KEY idx_crypto_date_window_method (crypto_id, date, window_days, method),
         KEY idx_date (date)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
@@ -117,47 +119,51 @@ async function calculateVaRForCrypto(cryptoId, symbol) {
       .map((r) => parseFloat(r.simple_return));
     const windowDays = windowReturns.length;
 
-    // Check if already exists
+    // Methods already computed for this date
     const [existing] = await Database.execute(
-      'SELECT id FROM crypto_var WHERE crypto_id = ? AND date = ? AND window_days = ?',
+      'SELECT method FROM crypto_var WHERE crypto_id = ? AND date = ? AND window_days = ?',
       [cryptoId, currentDate, windowDays]
     );
+    const existingMethods = new Set(existing.map((r) => r.method));
+    const missingMethods = VAR_METHODS.filter((method) => !existingMethods.has(method));
 
-    if (existing.length > 0) {
+    if (missingMethods.length === 0) {
       skipped++;
       continue;
     }
 
     const meanReturn = mean(windowReturns);
     const stdDev = standardDeviation(windowReturns, meanReturn);
-    const var95 = calculateVaR(windowReturns, 95);
-    const var99 = calculateVaR(windowReturns, 99);
-    const cvar95 = calculateCVaR(windowReturns, 95);
-    const cvar99 = calculateCVaR(windowReturns, 99);
     const minReturn = Math.min(...windowReturns);
     const maxReturn = Math.max(...windowReturns);
 
-    await Database.execute(
-      `
-      INSERT INTO crypto_var
-      (crypto_id, date, window_days, var_95, var_99, cvar_95, cvar_99, mean_return, std_dev, min_return, max_return, num_observations)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `,
-      [
-        cryptoId,
-        currentDate,
-        windowDays,
-        var95,
-        var99,
-        cvar95,
-        cvar99,
-        meanReturn,
-        stdDev,
-        minReturn,
-        maxReturn,
-        windowDays,
-      ]
-    );
+    for (const method of missingMethods) {
+      const at95 = calculateVaRByMethod(windowReturns, 95, method);
+      const at99 = calculateVaRByMethod(windowReturns, 99, method);
+
+      await Database.execute(
+        `
+        INSERT INTO crypto_var
+        (crypto_id, date, window_days, method, var_95, var_99, cvar_95, cvar_99, mean_return, std_dev, min_return, max_return, num_observations)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          cryptoId,
+          currentDate,
+          windowDays,
+          method,
+          at95.var,
+          at99.var,
+          at95.cvar,
+          at99.cvar,
+          meanReturn,
+          stdDev,
+          minReturn,
+          maxReturn,
+          windowDays,
+        ]
+      );
+    }
 
     inserted++;
   }
@@ -2,7 +2,7 @@ import Database from '../lib/database.js';
 import log from '../lib/log.js';
 
 /**
- * Clean expired user sessions from the database.
+ * Clean expired user sessions, user tokens and rate limit counters from the database.
  * Designed to run weekly (cron: Sunday 04:00).
  */
 async function cleanExpiredSessions() {
@@ -14,6 +14,20 @@ async function cleanExpiredSessions() {
     );
 
     log.info(`Cleaned ${result.affectedRows} expired session(s).`);
+
+    // Email verification / password reset tokens: expired or already used
+    const [tokens] = await Database.execute(
+      'DELETE FROM user_tokens WHERE expires_at < NOW() OR used_at IS NOT NULL'
+    );
+
+    log.info(`Cleaned ${tokens.affectedRows} expired or used user token(s).`);
+
+    // Rate limit counters (MySQL store only) whose window is over
+    const [counters] = await Database.execute(
+      'DELETE FROM rate_limit_counters WHERE reset_at < NOW(3)'
+    );
+
+    log.info(`Cleaned ${counters.affectedRows} expired rate limit counter(s).`);
   } catch (error) {
     log.error(`Session cleanup error: ${error.message}`);
   } finally {
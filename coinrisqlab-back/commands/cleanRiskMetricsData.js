@@ -8,6 +8,8 @@ import log from '../lib/log.js';
  * 2. crypto_beta
  * 3. crypto_var
  * 4. crypto_distribution_stats
+ * 5. crypto_drawdown
+ * 6. crypto_performance_ratios
  */
 async function cleanRiskMetricsData() {
   const startTime = Date.now();
@@ -21,25 +23,35 @@ async function cleanRiskMetricsData() {
     await connection.execute('SET FOREIGN_KEY_CHECKS = 0');
 
     // 1. Truncate crypto_sml
-    log.info('\n[1/4] Truncating crypto_sml...');
+    log.info('\n[1/6] Truncating crypto_sml...');
     await connection.execute('TRUNCATE TABLE crypto_sml');
     log.info('Truncated crypto_sml');
 
     // 2. Truncate crypto_beta
-    log.info('\n[2/4] Truncating crypto_beta...');
+    log.info('\n[2/6] Truncating crypto_beta...');
     await connection.execute('TRUNCATE TABLE crypto_beta');
     log.info('Truncated crypto_beta');
 
     // 3. Truncate crypto_var
-    log.info('\n[3/4] Truncating crypto_var...');
+    log.info('\n[3/6] Truncating crypto_var...');
     await connection.execute('TRUNCATE TABLE crypto_var');
     log.info('Truncated crypto_var');
 
     // 4. Truncate crypto_distribution_stats
-    log.info('\n[4/4] Truncating crypto_distribution_stats...');
+    log.info('\n[4/6] Truncating crypto_distribution_stats...');
     await connection.execute('TRUNCATE TABLE crypto_distribution_stats');
     log.info('Truncated crypto_distribution_stats');
 
+    // 5. Truncate crypto_drawdown
+    log.info('\n[5/6] Truncating crypto_drawdown...');
+    await connection.execute('TRUNCATE TABLE crypto_drawdown');
+    log.info('Truncated crypto_drawdown');
+
+    // 6. Truncate crypto_performance_ratios
+    log.info('\n[6/6] Truncating crypto_performance_ratios...');
+    await connection.execute('TRUNCATE TABLE crypto_performance_ratios');
+    log.info('Truncated crypto_performance_ratios');
+
     await connection.execute('SET FOREIGN_KEY_CHECKS = 1');
 
     const duration = Date.now() - startTime;
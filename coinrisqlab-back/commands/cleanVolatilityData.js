@@ -7,7 +7,8 @@ import log from '../lib/log.js';
  * 1. portfolio_volatility_constituents
  * 2. portfolio_volatility
  * 3. crypto_volatility
- * 4. crypto_log_returns
+ * 4. crypto_volatility_models
+ * 5. crypto_log_returns
  */
 async function cleanVolatilityData() {
   const startTime = Date.now();
@@ -21,22 +22,27 @@ async function cleanVolatilityData() {
     await connection.execute('SET FOREIGN_KEY_CHECKS = 0');
 
     // 1. Truncate portfolio_volatility_constituents
-    log.info('\n[1/4] Truncating portfolio_volatility_constituents...');
+    log.info('\n[1/5] Truncating portfolio_volatility_constituents...');
     await connection.execute('TRUNCATE TABLE portfolio_volatility_constituents');
     log.info('Truncated portfolio_volatility_constituents');
 
     // 2. Truncate portfolio_volatility
-    log.info('\n[2/4] Truncating portfolio_volatility...');
+    log.info('\n[2/5] Truncating portfolio_volatility...');
     await connection.execute('TRUNCATE TABLE portfolio_volatility');
     log.info('Truncated portfolio_volatility');
 
     // 3. Truncate crypto_volatility
-    log.info('\n[3/4] Truncating crypto_volatility...');
+    log.info('\n[3/5] Truncating crypto_volatility...');
     await connection.execute('TRUNCATE TABLE crypto_volatility');
     log.info('Truncated crypto_volatility');
 
-    // 4. Truncate crypto_log_returns
-    log.info('\n[4/4] Truncating crypto_log_returns...');
+    // 4. Truncate crypto_volatility_models
+    log.info('\n[4/5] Truncating crypto_volatility_models...');
+    await connection.execute('TRUNCATE TABLE crypto_volatility_models');
+    log.info('Truncated crypto_volatility_models');
+
+    // 5. Truncate crypto_log_returns
+    log.info('\n[5/5] Truncating crypto_log_returns...');
     await connection.execute('TRUNCATE TABLE crypto_log_returns');
     log.info('Truncated crypto_log_returns');
 
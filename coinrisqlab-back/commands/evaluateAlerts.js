@@ -0,0 +1,379 @@
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import { getEntitlements } from '../utils/entitlements.js';
+import { notifyUser } from '../utils/notifications.js';
+import {
+  computeAnalyticsBundle,
+  getAlignedReturnsFilled,
+  getLatestBetaMap,
+  getPortfolioHoldings,
+} from '../utils/userPortfolioAnalytics.js';
+
+// An alert that fired is not re-evaluated before this delay has elapsed,
+// so a threshold that stays crossed does not fire on every */5 run.
+const COOLDOWN_MINUTES = 60;
+const DRAWDOWN_LOOKBACK_DAYS = 365;
+const VOLATILITY_WINDOW_DAYS = 90;
+
+/**
+ * Evaluate all active user alerts against the latest market and risk data.
+ * Designed to run right after fetchCryptoMarketData (cron: every 5 min)
+ * and after updateVolatility (cron: daily at 02:00).
+ *
+ * Observed value per alert type (threshold uses the same unit):
+ * - price:       latest market_data price (USD)
+ * - volatility:  latest 90d annualized volatility (%)
+ * - var_breach:  latest historical VaR 95% (%, positive loss)
+ * - drawdown:    (peak - price) / peak over the last 365 days (%)
+ * - rebalancing: weight of the crypto across the user's portfolios (%)
+ *
+ * Portfolio alerts (portfolio_id set) use the shared analytics module so the
+ * values match /dashboard/portfolios/[id]/analytics:
+ * - price:       total portfolio value (USD)
+ * - volatility:  portfolio annualized volatility (%, 90d)
+ * - var_breach:  portfolio historical VaR 95% (%, 365d)
+ * - drawdown:    (peak - value) / peak, peak from user_portfolio_snapshots (%)
+ * - rebalancing: weight of the largest holding (%)
+ *
+ * Alerts whose type the owner's current plan no longer includes (e.g. after
+ * a downgrade) are kept but not evaluated, like the routes' plan checks.
+ */
+async function evaluateAlerts() {
+  const startTime = Date.now();
+
+  try {
+    log.info('Starting alert evaluation...');
+
+    const [alerts] = await Database.execute(
+      `SELECT
+        a.id, a.user_id, a.crypto_id, a.portfolio_id, a.alert_type, a.threshold_value,
+        a.direction, c.symbol, up.name AS portfolio_name,
+        u.plan, u.plan_expires_at, u.billing_status, u.grace_ends_at
+       FROM user_alerts a
+       INNER JOIN users u ON u.id = a.user_id
+       LEFT JOIN cryptocurrencies c ON c.id = a.crypto_id
+       LEFT JOIN user_portfolios up ON up.id = a.portfolio_id
+       WHERE a.is_active = 1
+         AND u.is_active = 1
+         AND u.deletion_scheduled_at IS NULL
+         AND (a.last_triggered_at IS NULL OR a.last_triggered_at < NOW() - INTERVAL ? MINUTE)`,
+      [COOLDOWN_MINUTES]
+    );
+
+    if (alerts.length === 0) {
+      log.info('No alerts to evaluate.');
+      return;
+    }
+
+    log.info(`Found ${alerts.length} alerts to evaluate.`);
+
+    // Metric lookups are shared by every alert on the same crypto/user
+    const cache = new Map();
+    let triggered = 0;
+    let skipped = 0;
+    let locked = 0;
+    let errors = 0;
+
+    for (const alert of alerts) {
+      try {
+        const entitlements = getEntitlements({
+          plan: alert.plan,
+          planExpiresAt: alert.plan_expires_at,
+          billingStatus: alert.billing_status,
+          graceEndsAt: alert.grace_ends_at,
+        });
+
+        if (!entitlements.alertTypes.includes(alert.alert_type)) {
+          locked++;
+          continue;
+        }
+
+        const observed = await getObservedValue(alert, cache);
+
+        if (observed === null) {
+          skipped++;
+          continue;
+        }
+
+        if (!isThresholdCrossed(observed, parseFloat(alert.threshold_value), alert.direction)) {
+          continue;
+        }
+
+        const eventId = await recordTrigger(alert, observed);
+
+        if (eventId) {
+          triggered++;
+          log.info(
+            `Alert ${alert.id} (${alert.alert_type}) triggered: ${observed} ${alert.direction} ${alert.threshold_value}`
+          );
+          await notifyAlertTriggered(alert, observed, eventId);
+        }
+      } catch (error) {
+        log.error(`Error evaluating alert ${alert.id}: ${error.message}`);
+        errors++;
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    log.info(
+      `Alert evaluation complete: ${triggered} triggered, ${skipped} skipped (no data), ${locked} not in plan, ${errors} errors, ${duration}ms`
+    );
+  } catch (error) {
+    log.error(`Alert evaluation error: ${error.message}`);
+  } finally {
+    process.exit(0);
+  }
+}
+
+function isThresholdCrossed(observed, threshold, direction) {
+  return direction === 'above' ? observed >= threshold : observed <= threshold;
+}
+
+/**
+ * Resolve the metric an alert watches. Returns null when the underlying
+ * data is missing (e.g. crypto too young for VaR, crypto not held).
+ */
+async function getObservedValue(alert, cache) {
+  if (alert.portfolio_id) {
+    const key = `portfolio:${alert.portfolio_id}`;
+
+    if (!cache.has(key)) {
+      cache.set(key, await getPortfolioMetrics(alert.portfolio_id));
+    }
+
+    const metrics = cache.get(key);
+
+    return metrics ? metrics[alert.alert_type] : null;
+  }
+
+  const key =
+    alert.alert_type === 'rebalancing'
+      ? `rebalancing:${alert.user_id}:${alert.crypto_id}`
+      : `${alert.alert_type}:${alert.crypto_id}`;
+
+  if (!cache.has(key)) {
+    cache.set(key, await fetchObservedValue(alert));
+  }
+
+  return cache.get(key);
+}
+
+async function fetchObservedValue(alert) {
+  switch (alert.alert_type) {
+    case 'price':
+      return getLatestPrice(alert.crypto_id);
+    case 'volatility':
+      return getLatestVolatilityPct(alert.crypto_id);
+    case 'var_breach':
+      return getLatestVaR95Pct(alert.crypto_id);
+    case 'drawdown':
+      return getCurrentDrawdownPct(alert.crypto_id);
+    case 'rebalancing':
+      return getUserAllocationPct(alert.user_id, alert.crypto_id);
+    default:
+      return null;
+  }
+}
+
+async function getLatestPrice(cryptoId) {
+  const [rows] = await Database.execute(
+    `SELECT price_usd FROM market_data
+     WHERE crypto_id = ?
+     ORDER BY timestamp DESC
+     LIMIT 1`,
+    [cryptoId]
+  );
+
+  return rows.length > 0 ? parseFloat(rows[0].price_usd) : null;
+}
+
+async function getLatestVolatilityPct(cryptoId) {
+  const [rows] = await Database.execute(
+    `SELECT annualized_volatility FROM crypto_volatility
+     WHERE crypto_id = ? AND window_days = ?
+     ORDER BY date DESC
+     LIMIT 1`,
+    [cryptoId, VOLATILITY_WINDOW_DAYS]
+  );
+
+  return rows.length > 0 ? parseFloat(rows[0].annualized_volatility) * 100 : null;
+}
+
+async function getLatestVaR95Pct(cryptoId) {
+  // Latest row regardless of window, same fallback as /risk/crypto/:id/var
+  const [rows] = await Database.execute(
+    `SELECT var_95 FROM crypto_var
+     WHERE crypto_id = ? AND method = 'historical'
+     ORDER BY date DESC, window_days DESC
+     LIMIT 1`,
+    [cryptoId]
+  );
+
+  return rows.length > 0 ? parseFloat(rows[0].var_95) * 100 : null;
+}
+
+async function getCurrentDrawdownPct(cryptoId) {
+  const price = await getLatestPrice(cryptoId);
+
+  if (price === null) return null;
+
+  const [rows] = await Database.execute(
+    `SELECT MAX(close) AS peak FROM ohlc
+     WHERE crypto_id = ? AND timestamp >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [cryptoId, DRAWDOWN_LOOKBACK_DAYS]
+  );
+
+  const peak = Math.max(parseFloat(rows[0]?.peak || 0), price);
+
+  return peak > 0 ? ((peak - price) / peak) * 100 : null;
+}
+
+async function getUserAllocationPct(userId, cryptoId) {
+  const [rows] = await Database.execute(
+    `SELECT
+      h.crypto_id,
+      SUM(h.quantity * md.price_usd) AS current_value
+    FROM user_portfolio_holdings h
+    INNER JOIN user_portfolios up ON up.id = h.portfolio_id
+    LEFT JOIN market_data md ON md.crypto_id = h.crypto_id
+      AND md.timestamp = (SELECT MAX(timestamp) FROM market_data WHERE crypto_id = h.crypto_id)
+    WHERE up.user_id = ? AND h.quantity > 0
+    GROUP BY h.crypto_id`,
+    [userId]
+  );
+
+  const totalValue = rows.reduce((sum, r) => sum + parseFloat(r.current_value || 0), 0);
+  const held = rows.find((r) => r.crypto_id === cryptoId);
+
+  if (!held || totalValue <= 0) return null;
+
+  return (parseFloat(held.current_value || 0) / totalValue) * 100;
+}
+
+/**
+ * Compute every portfolio-level observed value in one pass.
+ * Pro metrics are always computed here: plan gating happens per alert in
+ * evaluateAlerts(), before the metrics are resolved.
+ * @returns {Promise<Object|null>} Values keyed by alert_type (null when unavailable)
+ */
+async function getPortfolioMetrics(portfolioId) {
+  const holdings = await getPortfolioHoldings(portfolioId);
+
+  if (holdings.length === 0) return null;
+
+  const cryptoIds = holdings.map((h) => h.crypto_id);
+  const [{ returnsByCryptoLog, returnsByCryptoSimple, alignedDates }, betaMap] = await Promise.all([
+    getAlignedReturnsFilled(cryptoIds, '365d'),
+    getLatestBetaMap(cryptoIds),
+  ]);
+
+  // Index returns only feed the beta regression, which no alert watches
+  const { raw } = computeAnalyticsBundle({
+    holdings,
+    returnsByCryptoLog,
+    returnsByCryptoSimple,
+    alignedDates,
+    betaMap,
+    indexReturnMap: {},
+    computeProMetrics: true,
+  });
+
+  const totalValue = raw.totalValue;
+
+  const [snapshots] = await Database.execute(
+    'SELECT MAX(total_value_usd) AS peak FROM user_portfolio_snapshots WHERE portfolio_id = ?',
+    [portfolioId]
+  );
+  const peak = Math.max(parseFloat(snapshots[0]?.peak || 0), totalValue);
+
+  return {
+    price: totalValue,
+    volatility: raw.annualizedVolatility !== null ? raw.annualizedVolatility * 100 : null,
+    var_breach: raw.var95 !== null ? raw.var95 * 100 : null,
+    drawdown: peak > 0 ? ((peak - totalValue) / peak) * 100 : null,
+    rebalancing: Math.max(...holdings.map((h) => h.weight)) * 100,
+  };
+}
+
+/**
+ * Stamp last_triggered_at and store the event. The cooldown is re-checked in
+ * the UPDATE so two overlapping runs cannot fire the same alert twice.
+ * @returns {Promise<number|null>} Event id, or null if another run claimed the trigger
+ */
+async function recordTrigger(alert, observed) {
+  const [result] = await Database.execute(
+    `UPDATE user_alerts
+     SET last_triggered_at = NOW()
+     WHERE id = ?
+       AND (last_triggered_at IS NULL OR last_triggered_at < NOW() - INTERVAL ? MINUTE)`,
+    [alert.id, COOLDOWN_MINUTES]
+  );
+
+  if (result.affectedRows === 0) return null;
+
+  const [event] = await Database.execute(
+    `INSERT INTO user_alert_events
+     (alert_id, user_id, alert_type, observed_value, threshold_value, direction)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [alert.id, alert.user_id, alert.alert_type, observed, alert.threshold_value, alert.direction]
+  );
+
+  return event.insertId;
+}
+
+const PORTFOLIO_ALERT_LABELS = {
+  price: { label: 'value', unit: ' USD' },
+  volatility: { label: 'annualized volatility', unit: '%' },
+  var_breach: { label: 'VaR 95%', unit: '%' },
+  drawdown: { label: 'drawdown', unit: '%' },
+  rebalancing: { label: 'largest holding weight', unit: '%' },
+};
+
+const ALERT_LABELS = {
+  price: { label: 'price', unit: ' USD' },
+  volatility: { label: 'annualized volatility', unit: '%' },
+  var_breach: { label: 'VaR 95%', unit: '%' },
+  drawdown: { label: 'drawdown', unit: '%' },
+  rebalancing: { label: 'portfolio weight', unit: '%' },
+};
+
+/**
+ * Send the trigger on the user's notification channels. A notification
+ * failure must not undo the trigger: it is logged and retried by the queue.
+ */
+async function notifyAlertTriggered(alert, observed, eventId) {
+  const { label, unit } = (alert.portfolio_id ? PORTFOLIO_ALERT_LABELS : ALERT_LABELS)[
+    alert.alert_type
+  ];
+  const target = alert.portfolio_id ? `Portfolio "${alert.portfolio_name}"` : alert.symbol;
+  const threshold = parseFloat(alert.threshold_value);
+
+  try {
+    const notificationId = await notifyUser(alert.user_id, {
+      type: 'alert.triggered',
+      title: `${target} ${label} alert`,
+      body: `${target} ${label} is ${observed.toLocaleString('en-US', { maximumFractionDigits: 8 })}${unit}, ${alert.direction} your threshold of ${threshold.toLocaleString('en-US', { maximumFractionDigits: 8 })}${unit}.`,
+      data: {
+        alert_id: alert.id,
+        event_id: eventId,
+        alert_type: alert.alert_type,
+        crypto_id: alert.crypto_id,
+        portfolio_id: alert.portfolio_id,
+        symbol: alert.symbol,
+        portfolio_name: alert.portfolio_name,
+        observed_value: observed,
+        threshold_value: threshold,
+        direction: alert.direction,
+      },
+    });
+
+    await Database.execute('UPDATE user_alert_events SET notification_id = ? WHERE id = ?', [
+      notificationId,
+      eventId,
+    ]);
+  } catch (error) {
+    log.error(`Error notifying alert ${alert.id}: ${error.message}`);
+  }
+}
+
+evaluateAlerts();
@@ -0,0 +1,47 @@
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import { notifyBillingStatus } from '../utils/billing.js';
+
+/**
+ * Downgrade users whose payment grace period is over (billing_status 'grace',
+ * entered from the Stripe webhook once retries are exhausted).
+ * Designed to run hourly (cron: minute 15).
+ */
+async function expireBillingGrace() {
+  try {
+    log.info('Expiring billing grace periods...');
+
+    const [users] = await Database.execute(
+      `SELECT id
+       FROM users
+       WHERE billing_status = 'grace' AND grace_ends_at <= NOW()`
+    );
+
+    let downgraded = 0;
+
+    for (const user of users) {
+      // Re-check the state: a payment may have come through meanwhile
+      const [result] = await Database.execute(
+        `UPDATE users
+         SET plan = 'free', plan_expires_at = NULL, billing_status = 'downgraded',
+             billing_status_changed_at = NOW(), grace_ends_at = NULL
+         WHERE id = ? AND billing_status = 'grace' AND grace_ends_at <= NOW()`,
+        [user.id]
+      );
+
+      if (result.affectedRows > 0) {
+        downgraded++;
+        log.info(`User ${user.id} downgraded to free (grace period over)`);
+        await notifyBillingStatus(user.id, 'downgraded');
+      }
+    }
+
+    log.info(`Downgraded ${downgraded}/${users.length} user(s).`);
+  } catch (error) {
+    log.error(`Billing grace expiry error: ${error.message}`);
+  } finally {
+    process.exit(0);
+  }
+}
+
+expireBillingGrace();
@@ -14,7 +14,8 @@ const __dirname = path.dirname(__filename);
  *
  * Tables exported (one sheet/section per table):
  *   crypto_beta, crypto_distribution_stats, crypto_log_returns,
- *   crypto_sml, crypto_var, crypto_volatility, crypto_sharpe
+ *   crypto_sml, crypto_var, crypto_volatility, crypto_sharpe,
+ *   crypto_performance_ratios
  *
  * Output: one CSV file per metric table, all placed in exports/
  */
@@ -44,6 +45,7 @@ const METRIC_TABLES = [
     name: 'var',
     table: 'crypto_var',
     columns: ['var_95', 'var_99', 'cvar_95', 'cvar_99', 'mean_return', 'std_dev', 'min_return', 'max_return'],
+    where: "t.method = 'historical'",
   },
   {
     name: 'volatility',
@@ -55,6 +57,15 @@ const METRIC_TABLES = [
     table: 'crypto_sharpe',
     columns: ['sharpe_ratio', 'mean_return', 'std_return', 'num_observations'],
   },
+  {
+    name: 'performance_ratios',
+    table: 'crypto_performance_ratios',
+    columns: [
+      'sortino_ratio', 'downside_deviation', 'calmar_ratio', 'omega_ratio',
+      'treynor_ratio', 'information_ratio', 'tracking_error', 'num_observations',
+    ],
+    where: 't.mar = 0',
+  },
 ];
 
 async function exportRiskMetrics(days, coingeckoIds) {
@@ -148,6 +159,7 @@ async function exportRiskMetrics(days, coingeckoIds) {
          WHERE t.crypto_id IN (${cryptoIdPlaceholders})
            AND t.date >= ?
            AND t.date <= ?
+           ${metric.where ? `AND ${metric.where}` : ''}
          ORDER BY t.date ASC`,
         [...cryptoIds, minDate, maxDate]
       );
@@ -0,0 +1,22 @@
+import log from '../lib/log.js';
+import { processPendingDeliveries } from '../utils/notifications.js';
+
+/**
+ * Send queued webhook deliveries and retry email/webhook deliveries that failed.
+ * Designed to run every 5 minutes, right after evaluateAlerts.
+ */
+async function processNotificationQueue() {
+  try {
+    log.info('Processing notification retry queue...');
+
+    const { sent, failed } = await processPendingDeliveries();
+
+    log.info(`Notification queue processed: ${sent} sent, ${failed} still failing.`);
+  } catch (error) {
+    log.error(`Notification queue error: ${error.message}`);
+  } finally {
+    process.exit(0);
+  }
+}
+
+processNotificationQueue();
@@ -0,0 +1,60 @@
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import { cancelCustomerSubscriptions } from '../lib/stripe.js';
+
+/**
+ * Permanently delete user accounts whose deletion grace period is over
+ * (scheduled by DELETE /user/auth/account). Every user_* row goes with the
+ * user through ON DELETE CASCADE; stripe_events has no foreign key, so the
+ * user's webhook payloads (email, name, address) are deleted explicitly.
+ * Designed to run daily (cron: 04:30).
+ */
+async function purgeDeletedAccounts() {
+  try {
+    log.info('Purging accounts scheduled for deletion...');
+
+    const [users] = await Database.execute(
+      `SELECT id, stripe_customer_id
+       FROM users
+       WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= NOW()`
+    );
+
+    let purged = 0;
+
+    for (const user of users) {
+      try {
+        // Anything still billable is cancelled now, not at period end
+        await cancelCustomerSubscriptions(user.stripe_customer_id);
+      } catch (stripeError) {
+        log.error(
+          `Purge user ${user.id}: Stripe cancellation failed, retrying next run: ${stripeError.message}`
+        );
+        continue;
+      }
+
+      // Re-check the schedule: the user may have restored the account meanwhile
+      const [result] = await Database.execute(
+        'DELETE FROM users WHERE id = ? AND deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= NOW()',
+        [user.id]
+      );
+
+      if (result.affectedRows > 0) {
+        await Database.execute('DELETE FROM stripe_events WHERE user_id = ? OR customer_id = ?', [
+          user.id,
+          user.stripe_customer_id,
+        ]);
+
+        purged++;
+        log.info(`Purged user ${user.id}`);
+      }
+    }
+
+    log.info(`Purged ${purged}/${users.length} account(s).`);
+  } catch (error) {
+    log.error(`Account purge error: ${error.message}`);
+  } finally {
+    process.exit(0);
+  }
+}
+
+purgeDeletedAccounts();
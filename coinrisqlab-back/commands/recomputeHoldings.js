@@ -0,0 +1,41 @@
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import { recomputePortfolioHoldings } from '../utils/holdings.js';
+
+/**
+ * Rebuild every holding, tax lot and disposal from user_transactions.
+ * One-off, after a change to the cost-basis rules (utils/taxLots.js);
+ * not scheduled. Pass a portfolio id to rebuild a single portfolio.
+ *
+ *   npm run recompute-holdings [-- <portfolioId>]
+ */
+async function recomputeHoldings() {
+  try {
+    const portfolioId = parseInt(process.argv[2]) || null;
+
+    const [portfolios] = portfolioId
+      ? await Database.execute('SELECT id FROM user_portfolios WHERE id = ?', [portfolioId])
+      : await Database.execute('SELECT id FROM user_portfolios ORDER BY id ASC');
+
+    log.info(`Recomputing holdings of ${portfolios.length} portfolio(s)...`);
+
+    let failed = 0;
+
+    for (const portfolio of portfolios) {
+      try {
+        await recomputePortfolioHoldings(portfolio.id);
+      } catch (error) {
+        failed++;
+        log.error(`Portfolio ${portfolio.id}: ${error.message}`);
+      }
+    }
+
+    log.info(`Recomputed ${portfolios.length - failed}/${portfolios.length} portfolio(s).`);
+  } catch (error) {
+    log.error(`Recompute holdings error: ${error.message}`);
+  } finally {
+    process.exit(0);
+  }
+}
+
+recomputeHoldings();
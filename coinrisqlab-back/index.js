@@ -7,6 +7,9 @@ import './routes/userAuth.js';
 import './routes/userPortfolio.js';
 import './routes/userTransactions.js';
 import './routes/userAlerts.js';
+import './routes/userNotifications.js';
+import './routes/userApiKeys.js';
+import './routes/userEntitlements.js';
 import './routes/userAnalytics.js';
 import './routes/userExports.js';
 
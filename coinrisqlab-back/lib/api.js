@@ -5,16 +5,27 @@ import Config from '../utils/config.js';
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
 
-const { COINRISQLAB_FRONT_HOSTNAME, COINRISQLAB_FRONT_HTTPSECURE, COINRISQLAB_FRONT_PORT } = Config;
+const {
+  COINRISQLAB_FRONT_HOSTNAME,
+  COINRISQLAB_FRONT_HTTPSECURE,
+  COINRISQLAB_FRONT_PORT,
+  COINRISQLAB_API_TRUST_PROXY,
+} = Config;
 const { version, description } = JSON.parse(readFileSync('package.json'));
 
 const api = express();
-// Stripe webhook needs raw body — skip JSON parsing for that path
+if (COINRISQLAB_API_TRUST_PROXY) {
+  // One hop (nginx) in front of the API
+  api.set('trust proxy', 1);
+}
+// Stripe webhook needs raw body — skip JSON parsing for that path.
+// Transaction imports carry whole exchange CSV exports.
 api.use((req, res, next) => {
   if (req.originalUrl === '/user/stripe/webhook') {
     return next();
   }
-  express.json()(req, res, next);
+  const isImport = /^\/user\/portfolios\/\d+\/transactions\/import$/.test(req.path);
+  express.json(isImport ? { limit: '5mb' } : undefined)(req, res, next);
 });
 api.use(express.urlencoded({ extended: true }));
 api.use(cookieParser());
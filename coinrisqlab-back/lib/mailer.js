@@ -0,0 +1,22 @@
+import nodemailer from 'nodemailer';
+import Config from '../utils/config.js';
+
+const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, SMTP_FROM } = Config;
+
+const transport = nodemailer.createTransport({
+  host: SMTP_HOST,
+  port: Number(SMTP_PORT) || 1025,
+  secure: SMTP_SECURE,
+  auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined,
+});
+
+/**
+ * Sends an email through the configured SMTP transport.
+ * In development point SMTP_HOST/SMTP_PORT to a local sink (Mailpit, MailHog).
+ *
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ * @return {Promise<object>} nodemailer send info (throws on delivery failure)
+ */
+export function sendMail({ to, subject, text, html }) {
+  return transport.sendMail({ from: SMTP_FROM, to, subject, text, html });
+}
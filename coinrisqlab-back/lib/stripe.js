@@ -0,0 +1,126 @@
+import Stripe from 'stripe';
+import Config from '../utils/config.js';
+
+/**
+ * Client options pointing at STRIPE_API_URL (e.g. stripe-mock) when set.
+ */
+function getClientOptions() {
+  if (!Config.STRIPE_API_URL) return {};
+
+  const url = new URL(Config.STRIPE_API_URL);
+  return {
+    host: url.hostname,
+    port: url.port || (url.protocol === 'https:' ? 443 : 80),
+    protocol: url.protocol.replace(':', ''),
+  };
+}
+
+/**
+ * Shared Stripe client, null when Stripe is not configured.
+ */
+const stripe =
+  Config.STRIPE_SECRET_KEY && Config.STRIPE_SECRET_KEY !== 'sk_test_REPLACE_ME'
+    ? new Stripe(Config.STRIPE_SECRET_KEY, getClientOptions())
+    : null;
+
+const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due', 'unpaid'];
+
+async function listLiveSubscriptions(customerId) {
+  const subscriptions = await stripe.subscriptions.list({
+    customer: customerId,
+    status: 'all',
+    limit: 100,
+  });
+
+  return subscriptions.data.filter((s) => LIVE_SUBSCRIPTION_STATUSES.includes(s.status));
+}
+
+/**
+ * Cancel every live subscription of a customer.
+ * With atPeriodEnd the user keeps Pro until the paid period ends and the
+ * cancellation can still be undone with resumeCustomerSubscriptions().
+ * Subscriptions already set to cancel at period end are left untouched.
+ *
+ * @param {string|null} customerId
+ * @param {{ atPeriodEnd?: boolean }} [options]
+ * @returns {Promise<string[]>} Ids of the subscriptions this call cancelled
+ */
+export async function cancelCustomerSubscriptions(customerId, { atPeriodEnd = false } = {}) {
+  if (!stripe || !customerId) return [];
+
+  const subscriptions = await listLiveSubscriptions(customerId);
+  const cancelled = [];
+
+  for (const subscription of subscriptions) {
+    if (atPeriodEnd) {
+      if (subscription.cancel_at_period_end) continue;
+      await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: true });
+    } else {
+      await stripe.subscriptions.cancel(subscription.id);
+    }
+    cancelled.push(subscription.id);
+  }
+
+  return cancelled;
+}
+
+/**
+ * Undo a cancelAtPeriodEnd cancellation that has not taken effect yet.
+ * Only the given subscriptions are resumed, so ones the user cancelled
+ * themselves stay cancelled.
+ *
+ * @param {string|null} customerId
+ * @param {string[]} subscriptionIds Ids returned by cancelCustomerSubscriptions()
+ * @returns {Promise<number>} Number of subscriptions resumed
+ */
+export async function resumeCustomerSubscriptions(customerId, subscriptionIds) {
+  if (!stripe || !customerId || !subscriptionIds?.length) return 0;
+
+  const subscriptions = (await listLiveSubscriptions(customerId)).filter(
+    (s) => s.cancel_at_period_end && subscriptionIds.includes(s.id)
+  );
+
+  for (const subscription of subscriptions) {
+    await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: false });
+  }
+
+  return subscriptions.length;
+}
+
+/**
+ * End of the current billing period (Date). Recent API versions moved
+ * current_period_end from the subscription to its items.
+ */
+export function getSubscriptionPeriodEnd(subscription) {
+  const periodEnd =
+    subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end;
+
+  return periodEnd ? new Date(periodEnd * 1000) : null;
+}
+
+/**
+ * Whether a customer never had a subscription (eligible for the free trial).
+ */
+export async function isFirstTimeSubscriber(customerId) {
+  if (!customerId) return true;
+
+  const subscriptions = await stripe.subscriptions.list({
+    customer: customerId,
+    status: 'all',
+    limit: 1,
+  });
+
+  return subscriptions.data.length === 0;
+}
+
+/**
+ * Resolve a customer-facing promotion code (e.g. "LAUNCH20") to its active
+ * Stripe promotion code, or null.
+ */
+export async function findPromotionCode(code) {
+  const promotionCodes = await stripe.promotionCodes.list({ code, active: true, limit: 1 });
+
+  return promotionCodes.data[0] || null;
+}
+
+export default stripe;
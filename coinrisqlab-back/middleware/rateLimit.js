@@ -0,0 +1,232 @@
+import { createHash } from 'crypto';
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import Config from '../utils/config.js';
+
+/**
+ * Rate limiting and login lockout.
+ *
+ * Counters are fixed windows that start on the first hit of a key. They live in
+ * a pluggable store: in-memory (default, single instance) or MySQL
+ * (COINRISQLAB_RATE_LIMIT_STORE=mysql) so several API instances share them.
+ *
+ * A store implements:
+ *   increment(key, windowMs) -> { count, resetAt }  (opens a new window if expired)
+ *   get(key)                 -> { count, resetAt } | null
+ *   reset(key)
+ */
+
+// ─── Stores ─────────────────────────────────────────────────────────────────
+
+const MEMORY_PRUNE_INTERVAL_MS = 60 * 1000;
+
+export function createMemoryStore() {
+  const counters = new Map();
+
+  const prune = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) counters.delete(key);
+    }
+  }, MEMORY_PRUNE_INTERVAL_MS);
+  prune.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = counters.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        const fresh = { count: 1, resetAt: now + windowMs };
+        counters.set(key, fresh);
+        return { ...fresh };
+      }
+
+      entry.count++;
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = counters.get(key);
+      return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+export function createMySqlStore() {
+  return {
+    async increment(key, windowMs) {
+      // hits is assigned before reset_at, so both IF() read the old reset_at
+      await Database.execute(
+        `INSERT INTO rate_limit_counters (bucket_key, hits, reset_at)
+         VALUES (?, 1, NOW(3) + INTERVAL ? MICROSECOND)
+         ON DUPLICATE KEY UPDATE
+           hits = IF(reset_at <= NOW(3), 1, hits + 1),
+           reset_at = IF(reset_at <= NOW(3), VALUES(reset_at), reset_at)`,
+        [key, windowMs * 1000]
+      );
+
+      const [rows] = await Database.execute(
+        'SELECT hits, reset_at FROM rate_limit_counters WHERE bucket_key = ?',
+        [key]
+      );
+
+      return { count: rows[0].hits, resetAt: new Date(rows[0].reset_at).getTime() };
+    },
+
+    async get(key) {
+      const [rows] = await Database.execute(
+        'SELECT hits, reset_at FROM rate_limit_counters WHERE bucket_key = ? AND reset_at > NOW(3)',
+        [key]
+      );
+
+      return rows.length > 0
+        ? { count: rows[0].hits, resetAt: new Date(rows[0].reset_at).getTime() }
+        : null;
+    },
+
+    async reset(key) {
+      await Database.execute('DELETE FROM rate_limit_counters WHERE bucket_key = ?', [key]);
+    },
+  };
+}
+
+const defaultStore =
+  Config.COINRISQLAB_RATE_LIMIT_STORE === 'mysql' ? createMySqlStore() : createMemoryStore();
+
+// ─── Route groups ───────────────────────────────────────────────────────────
+
+/**
+ * Parse a "<max>/<windowSeconds>" limit, e.g. "10/60" = 10 requests per minute.
+ */
+function parseLimit(value, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(value || ''));
+  if (!match) return fallback;
+
+  return { max: parseInt(match[1]), windowMs: parseInt(match[2]) * 1000 };
+}
+
+/**
+ * Limits per route group, overridable from the environment.
+ *   auth:      unauthenticated auth endpoints, per IP
+ *   analytics: covariance / PDF heavy endpoints, per user
+ */
+export const RATE_LIMIT_GROUPS = {
+  auth: parseLimit(Config.COINRISQLAB_RATE_LIMIT_AUTH, { max: 10, windowMs: 60 * 1000 }),
+  analytics: parseLimit(Config.COINRISQLAB_RATE_LIMIT_ANALYTICS, {
+    max: 60,
+    windowMs: 60 * 1000,
+  }),
+};
+
+function sendTooManyRequests(res, resetAt, msg) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ data: null, msg: `${msg} Retry in ${retryAfter}s.`, retryAfter });
+}
+
+/**
+ * Express middleware factory: limit a route group.
+ * The key is the user id when placed after authenticateUser, the IP otherwise.
+ * A store failure never blocks the request.
+ *
+ * @param {keyof RATE_LIMIT_GROUPS} group
+ * @param {object} [store]
+ */
+export function rateLimit(group, store = defaultStore) {
+  const limit = RATE_LIMIT_GROUPS[group];
+  if (!limit) {
+    throw new Error(`Unknown rate limit group ${group}`);
+  }
+
+  return async (req, res, next) => {
+    const client = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let counter;
+    try {
+      counter = await store.increment(`${group}:${client}`, limit.windowMs);
+    } catch (error) {
+      log.warn(`Rate limit store error: ${error.message}`);
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(limit.max));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit.max - counter.count)));
+    res.set('RateLimit-Reset', String(Math.ceil((counter.resetAt - Date.now()) / 1000)));
+
+    if (counter.count > limit.max) {
+      return sendTooManyRequests(res, counter.resetAt, 'Too many requests.');
+    }
+
+    next();
+  };
+}
+
+// ─── Login lockout ──────────────────────────────────────────────────────────
+
+const LOGIN_FAILURE_WINDOW_MS = 60 * 60 * 1000; // failures are counted over 1 hour
+const LOGIN_LOCKOUT_THRESHOLD = 5;
+const LOGIN_LOCKOUT_BASE_MS = 30 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// Lockout counters are keyed by a hash of the email so the store never holds
+// the address itself (the MySQL store outlives account deletion)
+function loginKey(prefix, email) {
+  const digest = createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+
+  return `${prefix}:${digest}`;
+}
+
+/**
+ * Reject the login with 429 if the account is locked out.
+ * @returns {Promise<boolean>} true if a response was sent
+ */
+export async function rejectIfLoginLocked(email, res, store = defaultStore) {
+  try {
+    const lock = await store.get(loginKey('login-lock', email));
+    if (!lock) return false;
+
+    sendTooManyRequests(res, lock.resetAt, 'Too many failed sign-in attempts.');
+    return true;
+  } catch (error) {
+    log.warn(`Rate limit store error: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Record a failed login. From the 5th failure within an hour the account is
+ * locked, 30s the first time and doubling on each further failure (max 1h).
+ */
+export async function recordLoginFailure(email, store = defaultStore) {
+  try {
+    const { count } = await store.increment(loginKey('login-fail', email), LOGIN_FAILURE_WINDOW_MS);
+
+    if (count >= LOGIN_LOCKOUT_THRESHOLD) {
+      const lockMs = Math.min(
+        LOGIN_LOCKOUT_BASE_MS * 2 ** (count - LOGIN_LOCKOUT_THRESHOLD),
+        LOGIN_LOCKOUT_MAX_MS
+      );
+      await store.increment(loginKey('login-lock', email), lockMs);
+      log.warn(`Login locked for ${email} (${count} failures, ${lockMs / 1000}s)`);
+    }
+  } catch (error) {
+    log.warn(`Rate limit store error: ${error.message}`);
+  }
+}
+
+/**
+ * Clear the failure counter after a successful login.
+ */
+export async function clearLoginFailures(email, store = defaultStore) {
+  try {
+    await store.reset(loginKey('login-fail', email));
+  } catch (error) {
+    log.warn(`Rate limit store error: ${error.message}`);
+  }
+}
@@ -0,0 +1,24 @@
+import { featureUnavailableMessage, getEntitlements } from '../utils/entitlements.js';
+
+/**
+ * Express middleware factory: require a plan feature (see utils/entitlements.js).
+ * Must be used after authenticateUser middleware.
+ *
+ * @param {keyof import('../utils/entitlements.js').FEATURES} feature
+ */
+export function requireFeature(feature) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ data: null, msg: 'Unauthorized' });
+    }
+
+    const entitlements = getEntitlements(req.user);
+    if (!entitlements.features[feature]) {
+      return res
+        .status(403)
+        .json({ data: null, msg: featureUnavailableMessage(entitlements, feature), feature });
+    }
+
+    next();
+  };
+}
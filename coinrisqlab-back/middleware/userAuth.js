@@ -53,10 +53,120 @@ export function getUserCookieOptions() {
 }
 
 /**
- * Express middleware: authenticate user from cookie.
- * Populates req.user = { id, email, plan, planExpiresAt }
+ * Client details stored on a session row (shown in the active sessions list).
+ */
+export function getSessionClientInfo(req) {
+  return {
+    userAgent: String(req.get('user-agent') || '').slice(0, 255) || null,
+    ipAddress: req.ip || null,
+  };
+}
+
+/**
+ * Scopes a personal API key can be granted. Each route that accepts API keys
+ * declares the scope it needs with allowApiKey(scope).
+ */
+export const API_KEY_SCOPES = [
+  'portfolios:read',
+  'portfolios:write',
+  'transactions:read',
+  'transactions:write',
+  'alerts:read',
+  'alerts:write',
+];
+
+/**
+ * Express middleware: let an API key (Authorization: Bearer) authenticate this
+ * route if it holds `scope`. Must be placed before authenticateUser.
+ * Routes without it only accept the session cookie.
+ */
+export function allowApiKey(scope) {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+}
+
+function toRequestUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    displayName: user.display_name,
+    plan: user.plan,
+    planExpiresAt: user.plan_expires_at,
+    emailVerified: !!user.email_verified,
+    twoFactorEnabled: !!user.totp_enabled,
+    deletionScheduledAt: user.deletion_scheduled_at,
+    billingStatus: user.billing_status,
+    graceEndsAt: user.grace_ends_at,
+    trialEndsAt: user.trial_ends_at,
+  };
+}
+
+async function authenticateApiKey(req, res, next, key) {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({ data: null, msg: 'This endpoint does not accept API keys' });
+  }
+
+  try {
+    const [keys] = await Database.execute(
+      `SELECT k.id AS api_key_id, k.scopes, k.last_used_at,
+        u.id, u.email, u.display_name, u.plan, u.plan_expires_at, u.is_active,
+        u.email_verified, u.totp_enabled, u.deletion_scheduled_at, u.billing_status, u.grace_ends_at,
+        u.trial_ends_at
+      FROM user_api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = ? AND k.revoked_at IS NULL
+        AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+      [hashToken(key)]
+    );
+
+    if (keys.length === 0) {
+      return res.status(401).json({ data: null, msg: 'Invalid, expired or revoked API key' });
+    }
+
+    const row = keys[0];
+
+    if (!row.is_active) {
+      return res.status(401).json({ data: null, msg: 'Account not found or inactive' });
+    }
+
+    const scopes = typeof row.scopes === 'string' ? JSON.parse(row.scopes) : row.scopes;
+    if (!scopes.includes(req.apiKeyScope)) {
+      return res
+        .status(403)
+        .json({ data: null, msg: `API key is missing the ${req.apiKeyScope} scope` });
+    }
+
+    // Same write throttling as session last-seen
+    await Database.execute(
+      `UPDATE user_api_keys SET last_used_at = NOW()
+       WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL 1 MINUTE)`,
+      [row.api_key_id]
+    );
+
+    req.user = toRequestUser(row);
+    req.apiKey = { id: row.api_key_id, scopes };
+    req.sessionId = null;
+
+    next();
+  } catch (error) {
+    return res.status(500).json({ data: null, msg: 'Authentication error' });
+  }
+}
+
+/**
+ * Express middleware: authenticate user from cookie, or from an API key on
+ * routes opened with allowApiKey().
+ * Populates req.user = { id, email, displayName, plan, planExpiresAt, emailVerified, twoFactorEnabled, deletionScheduledAt, billingStatus, graceEndsAt, trialEndsAt },
+ * req.sessionId (current user_sessions row, null for API keys) and req.apiKey (API keys only).
  */
 export async function authenticateUser(req, res, next) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authenticateApiKey(req, res, next, authorization.slice(7).trim());
+  }
+
   const token = req.cookies?.coinrisqlab_user_session;
 
   if (!token) {
@@ -80,9 +190,16 @@ export async function authenticateUser(req, res, next) {
       return res.status(401).json({ data: null, msg: 'Session expired or revoked' });
     }
 
+    // Track last activity, at most once a minute per session to spare writes
+    await Database.execute(
+      `UPDATE user_sessions SET last_seen_at = NOW(), ip_address = ?
+       WHERE id = ? AND (last_seen_at IS NULL OR last_seen_at < NOW() - INTERVAL 1 MINUTE)`,
+      [getSessionClientInfo(req).ipAddress, sessions[0].id]
+    );
+
     // Fetch user
     const [users] = await Database.execute(
-      'SELECT id, email, display_name, plan, plan_expires_at, is_active FROM users WHERE id = ?',
+      'SELECT id, email, display_name, plan, plan_expires_at, is_active, email_verified, totp_enabled, deletion_scheduled_at, billing_status, grace_ends_at, trial_ends_at FROM users WHERE id = ?',
       [decoded.userId]
     );
 
@@ -90,14 +207,8 @@ export async function authenticateUser(req, res, next) {
       return res.status(401).json({ data: null, msg: 'Account not found or inactive' });
     }
 
-    const user = users[0];
-    req.user = {
-      id: user.id,
-      email: user.email,
-      displayName: user.display_name,
-      plan: user.plan,
-      planExpiresAt: user.plan_expires_at,
-    };
+    req.user = toRequestUser(users[0]);
+    req.sessionId = sessions[0].id;
 
     next();
   } catch (error) {
@@ -12,7 +12,18 @@ import {
   calculateStressTest,
   calculateSML,
   calculateAnnualizedReturn,
-  calculateSharpeRatio
+  calculateSharpeRatio,
+  calculateDrawdowns,
+  valueSeriesFromLogReturns,
+  rollingUnderwater,
+  drawdownsToPercent,
+  calculateDownsideDeviation,
+  calculateSortinoRatio,
+  calculateOmegaRatio,
+  parseMinimumAcceptableReturn,
+  DEFAULT_MINIMUM_ACCEPTABLE_RETURN,
+  VAR_METHODS,
+  DEFAULT_VAR_METHOD
 } from '../utils/riskMetrics.js';
 import { mean, standardDeviation } from '../utils/statistics.js';
 import { getDateFilter } from '../utils/queryHelpers.js';
@@ -370,11 +381,19 @@ api.get('/risk/crypto/:id/beta', async (req, res) => {
  * GET /risk/crypto/:id/var
  * Returns VaR at 95% and 99% confidence levels with histogram data
  * Uses historized data when available, falls back to on-the-fly calculation
+ * Query: ?method=historical|parametric|cornish_fisher (default: historical)
  */
 api.get('/risk/crypto/:id/var', async (req, res) => {
   try {
     const { id: coingeckoId } = req.params;
-    const { period = '365d' } = req.query;
+    const { period = '365d', method = DEFAULT_VAR_METHOD } = req.query;
+
+    if (!VAR_METHODS.includes(method)) {
+      return res.status(400).json({
+        data: null,
+        msg: `method must be one of: ${VAR_METHODS.join(', ')}`
+      });
+    }
 
     const crypto = await getCryptoById(coingeckoId);
     if (!crypto) {
@@ -393,7 +412,7 @@ api.get('/risk/crypto/:id/var', async (req, res) => {
     let fromHistorized = false;
 
     if (period === '365d' || period === 'all' || period === '90d') {
-      const historizedStats = await getHistorizedVaRStats(crypto.id, windowDays);
+      const historizedStats = await getHistorizedVaRStats(crypto.id, windowDays, method);
       if (historizedStats) {
         var95 = parseFloat(historizedStats.var_95);
         var99 = parseFloat(historizedStats.var_99);
@@ -422,6 +441,7 @@ api.get('/risk/crypto/:id/var', async (req, res) => {
           cvar99: null,
           histogram: null,
           period,
+          method,
           dataPoints: 0,
           msg: 'No historized VaR data available for this crypto yet',
         },
@@ -474,6 +494,7 @@ api.get('/risk/crypto/:id/var', async (req, res) => {
           max: (maxReturn * 100)
         },
         period,
+        method,
         dataPoints,
         fromHistorized
       }
@@ -632,8 +653,9 @@ async function getHistorizedDistributionStats(cryptoId, windowDays = 90) {
  * Helper: Get historized VaR stats from database
  * @param {number} cryptoId - The crypto ID
  * @param {number|null} windowDays - Window days to filter by, or null for "all" (latest entry regardless of window)
+ * @param {string} method - One of VAR_METHODS
  */
-async function getHistorizedVaRStats(cryptoId, windowDays = null) {
+async function getHistorizedVaRStats(cryptoId, windowDays = null, method = DEFAULT_VAR_METHOD) {
   // Try the requested window first (exact match), then fall back to the
   // largest available window for that crypto. Cryptos newer than the
   // requested window won't have a 365-day row but should still surface
@@ -652,9 +674,9 @@ async function getHistorizedVaRStats(cryptoId, windowDays = null) {
       window_days,
       date
     FROM crypto_var
-    WHERE crypto_id = ?
+    WHERE crypto_id = ? AND method = ?
   `;
-  const params = [cryptoId];
+  const params = [cryptoId, method];
 
   if (windowDays !== null) {
     // Try exact match first; if no row exists for that window (e.g. crypto
@@ -691,6 +713,68 @@ async function getHistorizedSharpeStats(cryptoId) {
   return stats[0] || null;
 }
 
+/**
+ * Helper: Get the latest historized drawdown stats from database
+ */
+async function getHistorizedDrawdownStats(cryptoId) {
+  const [stats] = await Database.execute(`
+    SELECT max_drawdown, current_drawdown, peak_date, trough_date, recovery_date,
+           recovery_days, current_duration_days, longest_duration_days,
+           num_observations, window_days, date
+    FROM crypto_drawdown
+    WHERE crypto_id = ?
+    ORDER BY date DESC LIMIT 1
+  `, [cryptoId]);
+  return stats[0] || null;
+}
+
+/**
+ * Helper: Get the latest historized performance ratios at a minimum
+ * acceptable return (annual fraction)
+ * The pipeline historizes the default MAR only: Calmar / Treynor / IR / TE
+ * (MAR-independent) always come from that row. Sortino / Omega at another
+ * MAR come from a row backfilled for the same date when one exists
+ * (commands/calculateRatioStats.js <mar>), else from the same log return
+ * window, computed on the fly.
+ */
+async function getHistorizedRatioStats(cryptoId, mar) {
+  const [stats] = await Database.execute(`
+    SELECT sortino_ratio, downside_deviation, calmar_ratio, omega_ratio,
+           treynor_ratio, information_ratio, tracking_error,
+           num_observations, window_days, date
+    FROM crypto_performance_ratios
+    WHERE crypto_id = ? AND mar = ?
+    ORDER BY date DESC LIMIT 1
+  `, [cryptoId, DEFAULT_MINIMUM_ACCEPTABLE_RETURN]);
+
+  const base = stats[0];
+  if (!base || mar === DEFAULT_MINIMUM_ACCEPTABLE_RETURN) return base || null;
+
+  const [atMar] = await Database.execute(`
+    SELECT sortino_ratio, downside_deviation, omega_ratio
+    FROM crypto_performance_ratios
+    WHERE crypto_id = ? AND date = ? AND window_days = ? AND mar = ?
+  `, [cryptoId, base.date, base.window_days, mar]);
+
+  if (atMar.length > 0) return { ...base, ...atMar[0] };
+
+  const [window] = await Database.execute(`
+    SELECT log_return
+    FROM crypto_log_returns
+    WHERE crypto_id = ? AND date <= ?
+    ORDER BY date DESC
+    LIMIT ${Number(base.window_days)}
+  `, [cryptoId, base.date]);
+  const logReturns = window.map((r) => parseFloat(r.log_return));
+
+  return {
+    ...base,
+    sortino_ratio: calculateSortinoRatio(logReturns, mar),
+    downside_deviation: calculateDownsideDeviation(logReturns, mar),
+    omega_ratio: calculateOmegaRatio(logReturns, mar)
+  };
+}
+
 async function getHistorizedBetaStats(cryptoId, windowDays = null) {
   // Exact requested window first, then fall back to latest row (max window)
   // for that crypto. log return type only — see methodology split.
@@ -959,6 +1043,109 @@ api.get('/risk/crypto/:id/sml', async (req, res) => {
   }
 });
 
+// ============================================================================
+// DRAWDOWN ENDPOINT
+// ============================================================================
+
+// Trailing window of the historized drawdown (see calculateDrawdownStats)
+const DRAWDOWN_WINDOW_DAYS = 365;
+
+/**
+ * GET /risk/crypto/:id/drawdown
+ * Returns max / current drawdown, durations, recovery and the underwater
+ * curve over the period, with the CoinRisqLab 80 index as benchmark
+ * Stats come from crypto_drawdown (365-day trailing window)
+ */
+api.get('/risk/crypto/:id/drawdown', async (req, res) => {
+  try {
+    const { id: coingeckoId } = req.params;
+    const { period = '365d' } = req.query;
+
+    const crypto = await getCryptoById(coingeckoId);
+    if (!crypto) {
+      return res.status(404).json({
+        data: null,
+        msg: `Cryptocurrency ${coingeckoId} not found`
+      });
+    }
+
+    // Drawdown read straight from crypto_drawdown. No on-the-fly fallback —
+    // if no row, surface "no data".
+    const historizedStats = await getHistorizedDrawdownStats(crypto.id);
+
+    if (!historizedStats) {
+      return res.json({
+        data: {
+          crypto: crypto,
+          maxDrawdown: null,
+          currentDrawdown: null,
+          underwater: [],
+          index: null,
+          period,
+          dataPoints: 0,
+          msg: 'No historized drawdown data available for this crypto yet',
+        },
+      });
+    }
+
+    // Underwater curve: the historized current drawdown of each date
+    const [history] = await Database.execute(`
+      SELECT date, current_drawdown, max_drawdown
+      FROM crypto_drawdown
+      WHERE crypto_id = ?
+        ${getDateFilter(period)}
+      ORDER BY date ASC
+    `, [crypto.id]);
+
+    // Benchmark: the index is not historized, its drawdown is derived from
+    // the index levels with the same trailing window. Returns start one
+    // window earlier so the first dates of the period have a full lookback.
+    const indexReturns = await getIndexLogReturns(getDateFilter(period, 'date', DRAWDOWN_WINDOW_DAYS));
+    const indexValues = valueSeriesFromLogReturns(indexReturns.map(r => ({
+      date: r.date,
+      logReturn: parseFloat(r.log_return)
+    })));
+    const indexStats = calculateDrawdowns(indexValues.slice(-(DRAWDOWN_WINDOW_DAYS + 1)));
+    const periodStart = history.length > 0 ? new Date(history[0].date) : null;
+    const indexUnderwater = rollingUnderwater(indexValues, DRAWDOWN_WINDOW_DAYS)
+      .filter(u => periodStart && u.date >= periodStart);
+
+    res.json({
+      data: {
+        crypto: crypto,
+        maxDrawdown: parseFloat(historizedStats.max_drawdown) * 100,
+        currentDrawdown: parseFloat(historizedStats.current_drawdown) * 100,
+        peakDate: historizedStats.peak_date,
+        troughDate: historizedStats.trough_date,
+        recoveryDate: historizedStats.recovery_date,
+        recoveryDays: historizedStats.recovery_days,
+        currentDurationDays: historizedStats.current_duration_days,
+        longestDurationDays: historizedStats.longest_duration_days,
+        underwater: history.map(h => ({
+          date: h.date,
+          drawdown: parseFloat(h.current_drawdown) * 100,
+          maxDrawdown: parseFloat(h.max_drawdown) * 100
+        })),
+        index: indexValues.length > 0
+          ? drawdownsToPercent({ ...indexStats, underwater: indexUnderwater })
+          : null,
+        windowDays: historizedStats.window_days,
+        period,
+        dataPoints: historizedStats.num_observations,
+        fromHistorized: true,
+      },
+    });
+
+    log.debug(`Drawdown for ${coingeckoId}: max=${(historizedStats.max_drawdown * 100).toFixed(2)}% (window=${historizedStats.window_days})`);
+  } catch (error) {
+    log.error(`Error fetching drawdown: ${error.message}`);
+    res.status(500).json({
+      data: null,
+      msg: 'Failed to fetch drawdown'
+    });
+  }
+});
+
 // ============================================================================
 // COMBINED RISK METRICS ENDPOINT
 // ============================================================================
@@ -966,12 +1153,21 @@ api.get('/risk/crypto/:id/sml', async (req, res) => {
 /**
  * GET /risk/crypto/:id/summary
  * Returns a summary of all risk metrics for quick loading
+ * Query: mar — annual minimum acceptable return in % for Sortino / Omega (default 0)
  */
 api.get('/risk/crypto/:id/summary', async (req, res) => {
   try {
     const { id: coingeckoId } = req.params;
     const { period = '90d' } = req.query;
 
+    const mar = parseMinimumAcceptableReturn(req.query.mar);
+    if (mar === null) {
+      return res.status(400).json({
+        data: null,
+        msg: 'mar must be an annual percentage between -100 and 1000'
+      });
+    }
+
     const crypto = await getCryptoById(coingeckoId);
     if (!crypto) {
       return res.status(404).json({
@@ -1003,8 +1199,9 @@ api.get('/risk/crypto/:id/summary', async (req, res) => {
     } : null;
 
     // All risk metrics read straight from their batch-historized tables.
-    // No on-the-fly recompute. Each helper falls back to the latest row
-    // available for the crypto if the exact requested window is missing.
+    // No on-the-fly recompute (except Sortino / Omega at a non-historized
+    // MAR). Each helper falls back to the latest row available for the
+    // crypto if the exact requested window is missing.
 
     let var95 = null;
     let var99 = null;
@@ -1051,6 +1248,28 @@ api.get('/risk/crypto/:id/summary', async (req, res) => {
       };
     }
 
+    // Sharpe — crypto_sharpe; Sortino / Calmar / Omega / Treynor /
+    // Information ratio — crypto_performance_ratios (365d window for all of
+    // them). Only Sortino / Omega depend on the requested MAR, and are
+    // computed on the fly when it was not historized.
+    const [sharpeStats, ratioStats] = await Promise.all([
+      getHistorizedSharpeStats(crypto.id),
+      getHistorizedRatioStats(crypto.id, mar),
+    ]);
+
+    const toRatio = (value) => (value !== null ? parseFloat(value) : null);
+    const ratios = {
+      sharpe: sharpeStats ? parseFloat(sharpeStats.sharpe_ratio) : null,
+      sortino: ratioStats ? toRatio(ratioStats.sortino_ratio) : null,
+      calmar: ratioStats ? toRatio(ratioStats.calmar_ratio) : null,
+      omega: ratioStats ? toRatio(ratioStats.omega_ratio) : null,
+      treynor: ratioStats ? toRatio(ratioStats.treynor_ratio) : null,
+      informationRatio: ratioStats ? toRatio(ratioStats.information_ratio) : null,
+      trackingError: ratioStats?.tracking_error != null ? parseFloat(ratioStats.tracking_error) * 100 : null,
+      downsideDeviation: ratioStats ? parseFloat(ratioStats.downside_deviation) * 100 : null,
+      minimumAcceptableReturn: mar * 100,
+    };
+
     // Stress test — beta × shock × current price (trivial multiplication;
     // beta + currentPrice both come from BDD, shock is a hardcoded historical
     // crisis constant from utils/riskMetrics.js).
@@ -1116,7 +1335,7 @@ api.get('/risk/crypto/:id/summary', async (req, res) => {
       data: {
         crypto: crypto,
         // hasData = true if at least one historized risk metric is available
-        hasData: !!(varStats || distStats || betaStats || smlStats || currentVol),
+        hasData: !!(varStats || distStats || betaStats || smlStats || currentVol || ratioStats),
         price: {
           current: currentPrice,
           changes: priceChanges
@@ -1143,6 +1362,7 @@ api.get('/risk/crypto/:id/summary', async (req, res) => {
         stressTest,
         skewness,
         kurtosis,
+        ratios,
         period,
         dataPoints: varStats?.num_observations ?? betaStats?.num_observations ?? distStats?.num_observations ?? 0,
       }
@@ -1,20 +1,82 @@
 import api from '../lib/api.js';
 import Database from '../lib/database.js';
 import log from '../lib/log.js';
-import { authenticateUser } from '../middleware/userAuth.js';
+import { allowApiKey, authenticateUser } from '../middleware/userAuth.js';
+import { verifyPortfolioOwnership } from '../utils/userPortfolioAnalytics.js';
+import {
+  ALERT_TYPES,
+  getEntitlements,
+  isWithinLimit,
+  limitReachedMessage,
+} from '../utils/entitlements.js';
+
+const EVENTS_DEFAULT_LIMIT = 50;
+const EVENTS_MAX_LIMIT = 200;
+
+// Delivery status of the notification sent for a trigger, derived from the
+// email/webhook delivery queue: failed > pending > sent. A trigger whose
+// notification only went to the in-app inbox counts as sent.
+const EVENT_SELECT = `
+  SELECT
+    e.id, e.alert_id, a.crypto_id, c.symbol, c.name AS crypto_name, c.image_url,
+    a.portfolio_id, up.name AS portfolio_name,
+    e.alert_type, e.observed_value, e.threshold_value, e.direction, e.triggered_at,
+    CASE
+      WHEN e.notification_id IS NULL THEN 'not_sent'
+      ELSE (
+        SELECT CASE
+          WHEN SUM(d.status = 'failed') > 0 THEN 'failed'
+          WHEN SUM(d.status = 'pending') > 0 THEN 'pending'
+          ELSE 'sent'
+        END
+        FROM user_notification_deliveries d
+        WHERE d.notification_id = e.notification_id
+      )
+    END AS delivery_status,
+    (
+      SELECT GROUP_CONCAT(CONCAT(d.channel, ':', d.status) ORDER BY d.channel)
+      FROM user_notification_deliveries d
+      WHERE d.notification_id = e.notification_id
+    ) AS delivery_channels
+  FROM user_alert_events e
+  JOIN user_alerts a ON a.id = e.alert_id
+  LEFT JOIN cryptocurrencies c ON c.id = a.crypto_id
+  LEFT JOIN user_portfolios up ON up.id = a.portfolio_id`;
+
+function parseEventsPagination(query) {
+  const limit = Math.min(parseInt(query.limit) || EVENTS_DEFAULT_LIMIT, EVENTS_MAX_LIMIT);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+
+  return { limit, offset };
+}
+
+// "email:sent,webhook:failed" → { email: 'sent', webhook: 'failed' }
+function formatEvent(event) {
+  const { delivery_channels, ...rest } = event;
+  const channels = {};
+
+  for (const entry of (delivery_channels || '').split(',').filter(Boolean)) {
+    const [channel, status] = entry.split(':');
+    channels[channel] = status;
+  }
+
+  return { ...rest, delivery_channels: channels };
+}
 
 // ─── List Alerts ────────────────────────────────────────────────────────────
 
-api.get('/user/alerts', authenticateUser, async (req, res) => {
+api.get('/user/alerts', allowApiKey('alerts:read'), authenticateUser, async (req, res) => {
   try {
     const [alerts] = await Database.execute(
       `SELECT
         a.id, a.crypto_id, c.symbol, c.name AS crypto_name, c.image_url,
+        a.portfolio_id, up.name AS portfolio_name,
         a.alert_type, a.threshold_value, a.direction, a.is_active,
         a.last_triggered_at, a.created_at,
         md.price_usd AS current_price
       FROM user_alerts a
-      JOIN cryptocurrencies c ON c.id = a.crypto_id
+      LEFT JOIN cryptocurrencies c ON c.id = a.crypto_id
+      LEFT JOIN user_portfolios up ON up.id = a.portfolio_id
       LEFT JOIN market_data md ON md.crypto_id = a.crypto_id
         AND md.timestamp = (SELECT MAX(timestamp) FROM market_data WHERE crypto_id = a.crypto_id)
       WHERE a.user_id = ?
@@ -29,55 +91,133 @@ api.get('/user/alerts', authenticateUser, async (req, res) => {
   }
 });
 
+// ─── Alert Events Feed ──────────────────────────────────────────────────────
+
+api.get('/user/alerts/events', allowApiKey('alerts:read'), authenticateUser, async (req, res) => {
+  try {
+    const { limit, offset } = parseEventsPagination(req.query);
+
+    const [events] = await Database.execute(
+      `${EVENT_SELECT}
+      WHERE e.user_id = ?
+      ORDER BY e.triggered_at DESC, e.id DESC
+      LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      [req.user.id]
+    );
+
+    const [count] = await Database.execute(
+      'SELECT COUNT(*) AS cnt FROM user_alert_events WHERE user_id = ?',
+      [req.user.id]
+    );
+
+    res.json({ data: events.map(formatEvent), total: count[0].cnt });
+  } catch (error) {
+    log.error(`List alert events error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch alert events' });
+  }
+});
+
+// ─── Alert Events (single alert) ────────────────────────────────────────────
+
+api.get('/user/alerts/:id/events', allowApiKey('alerts:read'), authenticateUser, async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const { limit, offset } = parseEventsPagination(req.query);
+
+    const [alerts] = await Database.execute(
+      'SELECT id FROM user_alerts WHERE id = ? AND user_id = ?',
+      [alertId, req.user.id]
+    );
+
+    if (alerts.length === 0) {
+      return res.status(404).json({ data: null, msg: 'Alert not found' });
+    }
+
+    const [events] = await Database.execute(
+      `${EVENT_SELECT}
+      WHERE e.alert_id = ?
+      ORDER BY e.triggered_at DESC, e.id DESC
+      LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      [alertId]
+    );
+
+    const [count] = await Database.execute(
+      'SELECT COUNT(*) AS cnt FROM user_alert_events WHERE alert_id = ?',
+      [alertId]
+    );
+
+    res.json({ data: events.map(formatEvent), total: count[0].cnt });
+  } catch (error) {
+    log.error(`List alert events error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch alert events' });
+  }
+});
+
 // ─── Create Alert ───────────────────────────────────────────────────────────
 
-api.post('/user/alerts', authenticateUser, async (req, res) => {
+api.post('/user/alerts', allowApiKey('alerts:write'), authenticateUser, async (req, res) => {
   try {
-    const { crypto_id, alert_type, threshold_value, direction } = req.body;
+    const { crypto_id, portfolio_id, alert_type, threshold_value, direction } = req.body;
+
+    if (!alert_type || threshold_value === undefined || !direction) {
+      return res.status(400).json({ data: null, msg: 'alert_type, threshold_value, and direction are required' });
+    }
 
-    if (!crypto_id || !alert_type || threshold_value === undefined || !direction) {
-      return res.status(400).json({ data: null, msg: 'crypto_id, alert_type, threshold_value, and direction are required' });
+    // An alert watches either one crypto or a whole portfolio
+    if (!crypto_id === !portfolio_id) {
+      return res.status(400).json({ data: null, msg: 'Exactly one of crypto_id or portfolio_id is required' });
     }
 
-    const validTypes = ['price', 'volatility', 'drawdown', 'var_breach', 'rebalancing'];
-    if (!validTypes.includes(alert_type)) {
-      return res.status(400).json({ data: null, msg: `alert_type must be one of: ${validTypes.join(', ')}` });
+    if (!ALERT_TYPES.includes(alert_type)) {
+      return res.status(400).json({ data: null, msg: `alert_type must be one of: ${ALERT_TYPES.join(', ')}` });
     }
 
     if (!['above', 'below'].includes(direction)) {
       return res.status(400).json({ data: null, msg: 'direction must be above or below' });
     }
 
-    // Free plan restrictions
-    if (req.user.plan === 'free') {
-      // Only price alerts
-      if (alert_type !== 'price') {
-        return res.status(403).json({ data: null, msg: 'Free plan only supports price alerts. Upgrade to Pro for all alert types.' });
-      }
+    // Plan restrictions
+    const entitlements = getEntitlements(req.user);
+    if (!entitlements.alertTypes.includes(alert_type)) {
+      return res.status(403).json({ data: null, msg: `${entitlements.label} plan supports ${entitlements.alertTypes.join(', ')} alerts only. Upgrade for all alert types.` });
+    }
 
-      // Max 3 alerts
+    if (entitlements.limits.alerts !== null) {
       const [count] = await Database.execute(
         'SELECT COUNT(*) AS cnt FROM user_alerts WHERE user_id = ?',
         [req.user.id]
       );
-      if (count[0].cnt >= 3) {
-        return res.status(403).json({ data: null, msg: 'Free plan allows max 3 alerts. Upgrade to Pro for unlimited.' });
+      if (!isWithinLimit(entitlements.limits.alerts, count[0].cnt)) {
+        return res.status(403).json({ data: null, msg: limitReachedMessage(entitlements, entitlements.limits.alerts, 'alerts') });
       }
     }
 
-    // Verify crypto exists
-    const [cryptos] = await Database.execute(
-      'SELECT id FROM cryptocurrencies WHERE id = ?',
-      [crypto_id]
-    );
-    if (cryptos.length === 0) {
-      return res.status(400).json({ data: null, msg: 'Cryptocurrency not found' });
+    if (portfolio_id) {
+      if (!(await verifyPortfolioOwnership(parseInt(portfolio_id), req.user.id))) {
+        return res.status(404).json({ data: null, msg: 'Portfolio not found' });
+      }
+    } else {
+      // Verify crypto exists
+      const [cryptos] = await Database.execute(
+        'SELECT id FROM cryptocurrencies WHERE id = ?',
+        [crypto_id]
+      );
+      if (cryptos.length === 0) {
+        return res.status(400).json({ data: null, msg: 'Cryptocurrency not found' });
+      }
     }
 
     const [result] = await Database.execute(
-      `INSERT INTO user_alerts (user_id, crypto_id, alert_type, threshold_value, direction)
-       VALUES (?, ?, ?, ?, ?)`,
-      [req.user.id, crypto_id, alert_type, threshold_value, direction]
+      `INSERT INTO user_alerts (user_id, crypto_id, portfolio_id, alert_type, threshold_value, direction)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.id,
+        crypto_id || null,
+        portfolio_id ? parseInt(portfolio_id) : null,
+        alert_type,
+        threshold_value,
+        direction,
+      ]
     );
 
     res.status(201).json({ data: { id: result.insertId } });
@@ -89,7 +229,7 @@ api.post('/user/alerts', authenticateUser, async (req, res) => {
 
 // ─── Update Alert ───────────────────────────────────────────────────────────
 
-api.put('/user/alerts/:id', authenticateUser, async (req, res) => {
+api.put('/user/alerts/:id', allowApiKey('alerts:write'), authenticateUser, async (req, res) => {
   try {
     const alertId = parseInt(req.params.id);
     const { threshold_value, direction, is_active } = req.body;
@@ -122,7 +262,7 @@ api.put('/user/alerts/:id', authenticateUser, async (req, res) => {
 
 // ─── Delete Alert ───────────────────────────────────────────────────────────
 
-api.delete('/user/alerts/:id', authenticateUser, async (req, res) => {
+api.delete('/user/alerts/:id', allowApiKey('alerts:write'), authenticateUser, async (req, res) => {
   try {
     const [result] = await Database.execute(
       'DELETE FROM user_alerts WHERE id = ? AND user_id = ?',
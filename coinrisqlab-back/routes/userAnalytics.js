@@ -1,8 +1,9 @@
 import api from '../lib/api.js';
 import Database from '../lib/database.js';
 import log from '../lib/log.js';
-import { authenticateUser } from '../middleware/userAuth.js';
-import { requirePro } from '../middleware/requirePro.js';
+import { allowApiKey, authenticateUser } from '../middleware/userAuth.js';
+import { requireFeature } from '../middleware/requireFeature.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import {
   buildCovarianceMatrix,
   portfolioVolatility as calcPortfolioVol,
@@ -12,15 +13,22 @@ import {
   covariance as calcCovariance,
 } from '../utils/statistics.js';
 import {
-  calculateVaR,
-  calculateCVaR,
   calculateSharpeRatio,
   calculateStressTest,
   calculateBetaAlpha,
   calculateSkewness,
   calculateKurtosis,
+  calculateVaRByMethod,
+  calculateDrawdowns,
+  drawdownsToPercent,
+  calculateSeriesPerformanceRatios,
+  parseMinimumAcceptableReturn,
+  performanceRatiosToPercent,
+  VAR_METHODS,
+  DEFAULT_VAR_METHOD,
 } from '../utils/riskMetrics.js';
 import { getDateFilter } from '../utils/queryHelpers.js';
+import { clampHistoryPeriod, getEntitlements } from '../utils/entitlements.js';
 import {
   computeAnalyticsBundle,
   getLatestBetaMap,
@@ -29,6 +37,12 @@ import {
   getAlignedReturnsFilled,
 } from '../utils/userPortfolioAnalytics.js';
 import { computePortfolioTWR } from '../utils/userPortfolioPerformance.js';
+import {
+  simulatePortfolioInWorker,
+  DEFAULT_SIMULATIONS,
+  MAX_SIMULATIONS,
+  DEFAULT_SEED,
+} from '../utils/monteCarlo.js';
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
@@ -80,7 +94,7 @@ async function getPortfolioHoldings(portfolioId) {
 
 // ─── Portfolio Overview ─────────────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/overview', authenticateUser, async (req, res) => {
+api.get('/user/portfolios/:id/overview', allowApiKey('portfolios:read'), authenticateUser, rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -121,20 +135,15 @@ api.get('/user/portfolios/:id/overview', authenticateUser, async (req, res) => {
 
 // ─── Portfolio Evolution (Snapshots) ────────────────────────────────────────
 
-api.get('/user/portfolios/:id/evolution', authenticateUser, async (req, res) => {
+api.get('/user/portfolios/:id/evolution', allowApiKey('portfolios:read'), authenticateUser, rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
       return res.status(404).json({ data: null, msg: 'Portfolio not found' });
     }
 
-    let { period = '30d' } = req.query;
-
-    // Free plan: max 30d
-    const proPeriods = ['90d', '365d', 'all'];
-    if (req.user.plan === 'free' && proPeriods.includes(period)) {
-      period = '30d';
-    }
+    // Plan limit: history depth
+    const period = clampHistoryPeriod(getEntitlements(req.user), req.query.period || '30d');
 
     const dateFilter = getDateFilter(period, 'snapshot_date');
 
@@ -156,7 +165,7 @@ api.get('/user/portfolios/:id/evolution', authenticateUser, async (req, res) =>
 
 // ─── Portfolio Volatility + Beta ────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/volatility', authenticateUser, async (req, res) => {
+api.get('/user/portfolios/:id/volatility', allowApiKey('portfolios:read'), authenticateUser, rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -268,17 +277,14 @@ api.get('/user/portfolios/:id/volatility', authenticateUser, async (req, res) =>
 
 // ─── Portfolio Performance vs Benchmark ─────────────────────────────────────
 
-api.get('/user/portfolios/:id/performance', authenticateUser, async (req, res) => {
+api.get('/user/portfolios/:id/performance', allowApiKey('portfolios:read'), authenticateUser, rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
       return res.status(404).json({ data: null, msg: 'Portfolio not found' });
     }
 
-    let { period = '30d' } = req.query;
-    if (req.user.plan === 'free' && ['90d', '365d', 'all'].includes(period)) {
-      period = '30d';
-    }
+    const period = clampHistoryPeriod(getEntitlements(req.user), req.query.period || '30d');
 
     const dateFilter = getDateFilter(period, 'snapshot_date');
 
@@ -390,11 +396,60 @@ api.get('/user/portfolios/:id/performance', authenticateUser, async (req, res) =
   }
 });
 
+// ─── Portfolio Drawdown ─────────────────────────────────────────────────────
+
+api.get('/user/portfolios/:id/drawdown', allowApiKey('portfolios:read'), authenticateUser, rateLimit('analytics'), async (req, res) => {
+  try {
+    const portfolioId = parseInt(req.params.id);
+    if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
+      return res.status(404).json({ data: null, msg: 'Portfolio not found' });
+    }
+
+    const period = clampHistoryPeriod(getEntitlements(req.user), req.query.period || '365d');
+
+    // Drawdown of the time-weighted value: a withdrawal is not a loss and a
+    // deposit is not a recovery (see utils/userPortfolioPerformance.js)
+    const twr = await computePortfolioTWR(portfolioId, period);
+
+    if (twr.series.length < 2) {
+      return res.json({ data: null, msg: 'Not enough data points' });
+    }
+
+    // Benchmark rebased on the same dates; days without an index close are flat
+    const indexReturnMap = await getIndexLogReturnsMap();
+    let indexCumulative = 0;
+    const indexValues = twr.series.map((point, i) => {
+      if (i > 0) indexCumulative += indexReturnMap[point.date] ?? 0;
+      return { date: point.date, value: Math.exp(indexCumulative) };
+    });
+
+    res.json({
+      data: {
+        ...drawdownsToPercent(calculateDrawdowns(twr.series)),
+        index: drawdownsToPercent(calculateDrawdowns(indexValues)),
+        period,
+        dataPoints: twr.series.length,
+      },
+    });
+  } catch (error) {
+    log.error(`Portfolio drawdown error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to compute portfolio drawdown' });
+  }
+});
+
 // ─── Pro: Full Risk Metrics ─────────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/risk-metrics', authenticateUser, requirePro, async (req, res) => {
+api.get('/user/portfolios/:id/risk-metrics', allowApiKey('portfolios:read'), authenticateUser, requireFeature('advancedAnalytics'), rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
+    const method = req.query.method || DEFAULT_VAR_METHOD;
+    if (!VAR_METHODS.includes(method)) {
+      return res.status(400).json({ data: null, msg: `method must be one of: ${VAR_METHODS.join(', ')}` });
+    }
+    const mar = parseMinimumAcceptableReturn(req.query.mar);
+    if (mar === null) {
+      return res.status(400).json({ data: null, msg: 'mar must be an annual percentage between -100 and 1000' });
+    }
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
       return res.status(404).json({ data: null, msg: 'Portfolio not found' });
     }
@@ -448,10 +503,12 @@ api.get('/user/portfolios/:id/risk-metrics', authenticateUser, requirePro, async
     const portfolioReturnsSimple90 = buildSeries(simple90Map, dates90);
 
     // 365-day window (per methodology: VaR / Sharpe)
-    const var95 = calculateVaR(portfolioReturnsSimple365, 95);
-    const var99 = calculateVaR(portfolioReturnsSimple365, 99);
-    const cvar95 = calculateCVaR(portfolioReturnsSimple365, 95);
-    const cvar99 = calculateCVaR(portfolioReturnsSimple365, 99);
+    const at95 = calculateVaRByMethod(portfolioReturnsSimple365, 95, method);
+    const at99 = calculateVaRByMethod(portfolioReturnsSimple365, 99, method);
+    const var95 = at95.var;
+    const var99 = at99.var;
+    const cvar95 = at95.cvar;
+    const cvar99 = at99.cvar;
     const sharpe = calculateSharpeRatio(portfolioReturnsLog365);
 
     // Alpha + Beta (portfolio vs market index)
@@ -495,6 +552,18 @@ api.get('/user/portfolios/:id/risk-metrics', authenticateUser, requirePro, async
 
     const betaAlpha = calculateBetaAlpha(alignedPortfolioReturns, alignedMarketReturns);
 
+    // Sortino / Calmar / Omega / Treynor / Information ratio — 365-day log
+    // series, same window as Sharpe
+    const ratios = calculateSeriesPerformanceRatios(
+      alignedDates.map((date, i) => ({ date, logReturn: portfolioReturnsLog365[i] })),
+      {
+        beta: betaAlpha.beta,
+        alignedReturns: alignedPortfolioReturns,
+        benchmarkReturns: alignedMarketReturns,
+        minimumAcceptableReturn: mar,
+      },
+    );
+
     // Skewness & Kurtosis (90-day log returns — per methodology)
     const skewness = calculateSkewness(portfolioReturnsLog90);
     const kurtosis = calculateKurtosis(portfolioReturnsLog90);
@@ -529,7 +598,9 @@ api.get('/user/portfolios/:id/risk-metrics', authenticateUser, requirePro, async
         var99: (var99 * 100),
         cvar95: (cvar95 * 100),
         cvar99: (cvar99 * 100),
+        varMethod: method,
         sharpe: sharpe,
+        ratios: performanceRatiosToPercent(ratios),
         beta: betaAlpha.beta,
         alpha: (betaAlpha.alpha * 36500), // annualized alpha in %
         skewness,
@@ -555,7 +626,7 @@ api.get('/user/portfolios/:id/risk-metrics', authenticateUser, requirePro, async
 
 // ─── Pro: Correlation Matrix ────────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/correlation', authenticateUser, requirePro, async (req, res) => {
+api.get('/user/portfolios/:id/correlation', allowApiKey('portfolios:read'), authenticateUser, requireFeature('advancedAnalytics'), rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -610,7 +681,7 @@ api.get('/user/portfolios/:id/correlation', authenticateUser, requirePro, async
 
 // ─── Pro: Stress Test ───────────────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/stress-test', authenticateUser, requirePro, async (req, res) => {
+api.get('/user/portfolios/:id/stress-test', allowApiKey('portfolios:read'), authenticateUser, requireFeature('advancedAnalytics'), rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -681,9 +752,68 @@ api.get('/user/portfolios/:id/stress-test', authenticateUser, requirePro, async
   }
 });
 
+// ─── Pro: Monte Carlo VaR ───────────────────────────────────────────────────
+
+api.get('/user/portfolios/:id/monte-carlo', allowApiKey('portfolios:read'), authenticateUser, requireFeature('advancedAnalytics'), rateLimit('analytics'), async (req, res) => {
+  try {
+    const portfolioId = parseInt(req.params.id);
+    const simulations = req.query.simulations !== undefined ? parseInt(req.query.simulations) : DEFAULT_SIMULATIONS;
+    const seed = req.query.seed !== undefined ? parseInt(req.query.seed) : DEFAULT_SEED;
+    if (!Number.isInteger(simulations) || simulations < 1000 || simulations > MAX_SIMULATIONS) {
+      return res.status(400).json({ data: null, msg: `simulations must be between 1000 and ${MAX_SIMULATIONS}` });
+    }
+    if (!Number.isInteger(seed) || seed < 0) {
+      return res.status(400).json({ data: null, msg: 'seed must be a non-negative integer' });
+    }
+    if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
+      return res.status(404).json({ data: null, msg: 'Portfolio not found' });
+    }
+
+    const holdings = await getPortfolioHoldings(portfolioId);
+    if (holdings.length === 0) {
+      return res.json({ data: null, msg: 'No holdings' });
+    }
+
+    const cryptoIds = holdings.map((h) => h.crypto_id);
+    const weights = holdings.map((h) => h.weight);
+    // Covariances need every crypto on the same days — intersection, not zero-fill
+    const { returnsByCryptoLog, alignedDates } = await getAlignedReturns(cryptoIds, '365d');
+
+    if (alignedDates.length < 10) {
+      return res.json({ data: null, msg: 'Not enough data points' });
+    }
+
+    const assets = cryptoIds.map((id) => ({ id, returns: returnsByCryptoLog[id] }));
+    const portfolioReturns = alignedDates.map((_, dayIdx) =>
+      assets.reduce((sum, a, i) => sum + weights[i] * a.returns[dayIdx], 0)
+    );
+
+    const result = await simulatePortfolioInWorker({
+      weights,
+      means: assets.map((a) => mean(a.returns)),
+      covMatrix: buildCovarianceMatrix(assets),
+      totalValue: holdings[0].totalValue,
+      portfolioReturns,
+      simulations,
+      seed,
+    });
+
+    res.json({
+      data: {
+        ...result,
+        totalValue: holdings[0].totalValue,
+        dataPoints: alignedDates.length,
+      },
+    });
+  } catch (error) {
+    log.error(`Monte Carlo error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to run Monte Carlo simulation' });
+  }
+});
+
 // ─── Analytics Bundle (single request, all data) ────────────────────────────
 
-api.get('/user/portfolios/:id/analytics-bundle', authenticateUser, async (req, res) => {
+api.get('/user/portfolios/:id/analytics-bundle', allowApiKey('portfolios:read'), authenticateUser, rateLimit('analytics'), async (req, res) => {
   const startTime = Date.now();
   try {
     const portfolioId = parseInt(req.params.id);
@@ -691,9 +821,7 @@ api.get('/user/portfolios/:id/analytics-bundle', authenticateUser, async (req, r
       return res.status(404).json({ data: null, msg: 'Portfolio not found' });
     }
 
-    const isPro =
-      req.user.plan === 'pro' &&
-      (!req.user.planExpiresAt || new Date(req.user.planExpiresAt) > new Date());
+    const isPro = getEntitlements(req.user).features.advancedAnalytics;
     const holdings = await getPortfolioHoldings(portfolioId);
 
     const result = {
@@ -0,0 +1,133 @@
+import { randomBytes } from 'crypto';
+import api from '../lib/api.js';
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import { API_KEY_SCOPES, authenticateUser, hashToken } from '../middleware/userAuth.js';
+
+const API_KEY_PREFIX = 'crl_';
+const MAX_ACTIVE_KEYS = 10;
+const MAX_EXPIRY_DAYS = 365;
+
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: typeof row.scopes === 'string' ? JSON.parse(row.scopes) : row.scopes,
+    last_used_at: row.last_used_at,
+    expires_at: row.expires_at,
+    created_at: row.created_at,
+  };
+}
+
+// Key management is cookie-only: an API key cannot mint or revoke keys.
+
+api.get('/user/api-keys', authenticateUser, async (req, res) => {
+  try {
+    const [keys] = await Database.execute(
+      `SELECT id, name, key_prefix, scopes, last_used_at, expires_at, created_at
+      FROM user_api_keys
+      WHERE user_id = ? AND revoked_at IS NULL
+      ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({ data: keys.map(formatApiKey), scopes: API_KEY_SCOPES });
+  } catch (error) {
+    log.error(`List API keys error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch API keys' });
+  }
+});
+
+api.post('/user/api-keys', authenticateUser, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ data: null, msg: 'name is required' });
+    }
+
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((s) => !API_KEY_SCOPES.includes(s))
+    ) {
+      return res.status(400).json({
+        data: null,
+        msg: `scopes must be a non-empty subset of: ${API_KEY_SCOPES.join(', ')}`,
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+      const days = parseInt(expiresInDays);
+      if (!Number.isFinite(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res
+          .status(400)
+          .json({ data: null, msg: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const [count] = await Database.execute(
+      `SELECT COUNT(*) AS cnt FROM user_api_keys
+      WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+      [req.user.id]
+    );
+
+    if (count[0].cnt >= MAX_ACTIVE_KEYS) {
+      return res
+        .status(400)
+        .json({ data: null, msg: `You can have at most ${MAX_ACTIVE_KEYS} active API keys` });
+    }
+
+    const key = `${API_KEY_PREFIX}${randomBytes(32).toString('hex')}`;
+    const keyName = String(name).trim().slice(0, 100);
+    const keyPrefix = key.slice(0, API_KEY_PREFIX.length + 8);
+    const uniqueScopes = [...new Set(scopes)];
+
+    const [result] = await Database.execute(
+      `INSERT INTO user_api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [req.user.id, keyName, keyPrefix, hashToken(key), JSON.stringify(uniqueScopes), expiresAt]
+    );
+
+    log.info(`User created API key ${result.insertId} (id: ${req.user.id})`);
+
+    // The full key is only ever returned here
+    res.status(201).json({
+      data: {
+        id: result.insertId,
+        name: keyName,
+        key_prefix: keyPrefix,
+        scopes: uniqueScopes,
+        last_used_at: null,
+        expires_at: expiresAt,
+        created_at: new Date(),
+        key,
+      },
+    });
+  } catch (error) {
+    log.error(`Create API key error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to create API key' });
+  }
+});
+
+api.delete('/user/api-keys/:id', authenticateUser, async (req, res) => {
+  try {
+    const [result] = await Database.execute(
+      'UPDATE user_api_keys SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [parseInt(req.params.id), req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ data: null, msg: 'API key not found' });
+    }
+
+    log.info(`User revoked API key ${req.params.id} (id: ${req.user.id})`);
+    res.json({ data: { id: parseInt(req.params.id) } });
+  } catch (error) {
+    log.error(`Revoke API key error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to revoke API key' });
+  }
+});
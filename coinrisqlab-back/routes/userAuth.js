@@ -3,23 +3,240 @@ import Database from '../lib/database.js';
 import log from '../lib/log.js';
 import Config from '../utils/config.js';
 import bcrypt from 'bcryptjs';
-import Stripe from 'stripe';
+import stripe, {
+  cancelCustomerSubscriptions,
+  resumeCustomerSubscriptions,
+} from '../lib/stripe.js';
+import { randomBytes } from 'crypto';
+import { sendMail } from '../lib/mailer.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from '../utils/totp.js';
 import {
   authenticateUser,
   signUserJwt,
   hashToken,
   getUserCookieOptions,
+  getSessionClientInfo,
 } from '../middleware/userAuth.js';
-
-const stripe = Config.STRIPE_SECRET_KEY && Config.STRIPE_SECRET_KEY !== 'sk_test_REPLACE_ME'
-  ? new Stripe(Config.STRIPE_SECRET_KEY)
-  : null;
+import {
+  rateLimit,
+  rejectIfLoginLocked,
+  recordLoginFailure,
+  clearLoginFailures,
+} from '../middleware/rateLimit.js';
 
 const COOKIE_NAME = 'coinrisqlab_user_session';
 
+const FRONT_URL = `http${Config.COINRISQLAB_FRONT_HTTPSECURE ? 's' : ''}://${Config.COINRISQLAB_FRONT_HOSTNAME}${Config.COINRISQLAB_FRONT_HTTPSECURE ? '' : `:${Config.COINRISQLAB_FRONT_PORT}`}`;
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const ACCOUNT_DELETION_GRACE_DAYS = 30;
+
+/**
+ * Issue a single-use token for the given purpose. Previous unused tokens of
+ * the same purpose are dropped so only the latest mailed link works.
+ * Only the SHA-256 hash is stored, like user_sessions.token_hash.
+ */
+async function issueUserToken(userId, purpose, ttlMs) {
+  await Database.execute(
+    'DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  const token = randomBytes(32).toString('hex');
+
+  await Database.execute(
+    'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+    [userId, purpose, hashToken(token), new Date(Date.now() + ttlMs)]
+  );
+
+  return token;
+}
+
+/**
+ * Consume a token. Returns its user id, or null if the token is unknown,
+ * expired or already used. The UPDATE guard makes consumption atomic.
+ */
+async function consumeUserToken(token, purpose) {
+  if (!token || typeof token !== 'string') return null;
+
+  const tokenHash = hashToken(token);
+  const [result] = await Database.execute(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()`,
+    [tokenHash, purpose]
+  );
+
+  if (result.affectedRows === 0) return null;
+
+  const [rows] = await Database.execute(
+    'SELECT user_id FROM user_tokens WHERE token_hash = ?',
+    [tokenHash]
+  );
+
+  return rows.length > 0 ? rows[0].user_id : null;
+}
+
+async function sendVerificationEmail(userId, email) {
+  const token = await issueUserToken(userId, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+  const link = `${FRONT_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your CoinRisqLab email address',
+    text: `Welcome to CoinRisqLab!\n\nConfirm your email address by opening this link (valid 24 hours):\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+}
+
+async function sendPasswordResetEmail(userId, email) {
+  const token = await issueUserToken(userId, 'password_reset', PASSWORD_RESET_TTL_MS);
+  const link = `${FRONT_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: 'Reset your CoinRisqLab password',
+    text: `A password reset was requested for your CoinRisqLab account.\n\nChoose a new password by opening this link (valid 1 hour):\n${link}\n\nIf you did not request this, you can ignore this email: your password stays unchanged.`,
+  });
+}
+
+/**
+ * Write the session row, set the cookie and send the user payload.
+ * Shared by the password step and the 2FA step of the login.
+ */
+async function completeLogin(req, res, user) {
+  // Update last login
+  await Database.execute(
+    'UPDATE users SET last_login_at = NOW() WHERE id = ?',
+    [user.id]
+  );
+
+  // Sign JWT and create session
+  const token = signUserJwt({ userId: user.id, email: user.email, plan: user.plan });
+  if (!token) {
+    return res.status(500).json({ data: null, msg: 'Failed to create session' });
+  }
+
+  const tokenHash = hashToken(token);
+  const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  const { userAgent, ipAddress } = getSessionClientInfo(req);
+
+  await Database.execute(
+    `INSERT INTO user_sessions (user_id, token_hash, user_agent, ip_address, expires_at, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [user.id, tokenHash, userAgent, ipAddress, expiresAt]
+  );
+
+  res.cookie(COOKIE_NAME, token, getUserCookieOptions());
+
+  res.json({
+    data: {
+      id: user.id,
+      email: user.email,
+      displayName: user.display_name,
+      plan: user.plan,
+      planExpiresAt: user.plan_expires_at,
+      emailVerified: !!user.email_verified,
+      twoFactorEnabled: !!user.totp_enabled,
+      deletionScheduledAt: user.deletion_scheduled_at,
+      billingStatus: user.billing_status,
+      graceEndsAt: user.grace_ends_at,
+      trialEndsAt: user.trial_ends_at,
+    },
+  });
+
+  log.info(`User logged in: ${user.email} (id: ${user.id})`);
+}
+
+/**
+ * Check a second factor: a TOTP code (never twice the same time step) or an
+ * unused recovery code, which is burnt on success.
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(userId, code) {
+  const [users] = await Database.execute(
+    'SELECT totp_secret, totp_last_step FROM users WHERE id = ? AND totp_enabled = 1',
+    [userId]
+  );
+
+  if (users.length === 0) return false;
+
+  const step = verifyTotp(users[0].totp_secret, code, users[0].totp_last_step);
+  if (step !== null) {
+    const [result] = await Database.execute(
+      'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+      [step, userId, step]
+    );
+    return result.affectedRows > 0;
+  }
+
+  const recoveryCode = normalizeRecoveryCode(code);
+  if (recoveryCode.length !== 10) return false;
+
+  const [result] = await Database.execute(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+     LIMIT 1`,
+    [userId, hashToken(recoveryCode)]
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Replace the recovery codes of a user. Returns the plain codes (shown once).
+ */
+async function replaceRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+
+  await Database.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+  for (const code of codes) {
+    await Database.execute(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Re-authenticate a signed-in user (password + second factor) before a
+ * sensitive 2FA change. Returns an error message, or null when valid.
+ */
+async function reauthenticateTwoFactor(userId, password, code) {
+  if (!password || !code) {
+    return 'Password and authentication code are required';
+  }
+
+  const [users] = await Database.execute('SELECT password_hash FROM users WHERE id = ?', [
+    userId,
+  ]);
+
+  const validPassword = await bcrypt.compare(password, users[0].password_hash);
+  if (!validPassword) {
+    return 'Password is incorrect';
+  }
+
+  if (!(await verifySecondFactor(userId, code))) {
+    return 'Invalid authentication code';
+  }
+
+  return null;
+}
+
 // ─── Register ───────────────────────────────────────────────────────────────
 
-api.post('/user/auth/register', async (req, res) => {
+api.post('/user/auth/register', rateLimit('auth'), async (req, res) => {
   try {
     const { email, password, displayName } = req.body;
 
@@ -85,10 +302,12 @@ api.post('/user/auth/register', async (req, res) => {
 
     const tokenHash = hashToken(token);
     const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    const { userAgent, ipAddress } = getSessionClientInfo(req);
 
     await Database.execute(
-      'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
-      [userId, tokenHash, expiresAt]
+      `INSERT INTO user_sessions (user_id, token_hash, user_agent, ip_address, expires_at, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [userId, tokenHash, userAgent, ipAddress, expiresAt]
     );
 
     res.cookie(COOKIE_NAME, token, getUserCookieOptions());
@@ -100,10 +319,21 @@ api.post('/user/auth/register', async (req, res) => {
         displayName: displayName || '',
         plan: 'free',
         planExpiresAt: null,
+        emailVerified: false,
+        twoFactorEnabled: false,
+        deletionScheduledAt: null,
+        billingStatus: 'active',
+        graceEndsAt: null,
+        trialEndsAt: null,
       },
     });
 
     log.info(`User registered: ${email.toLowerCase().trim()} (id: ${userId})`);
+
+    // A failed send must not fail the registration: the user can resend from settings
+    sendVerificationEmail(userId, email.toLowerCase().trim()).catch((mailError) => {
+      log.error(`Verification email error: ${mailError.message}`);
+    });
   } catch (error) {
     log.error(`Register error: ${error.message}`);
     res.status(500).json({ data: null, msg: 'Registration failed' });
@@ -112,7 +342,7 @@ api.post('/user/auth/register', async (req, res) => {
 
 // ─── Login ──────────────────────────────────────────────────────────────────
 
-api.post('/user/auth/login', async (req, res) => {
+api.post('/user/auth/login', rateLimit('auth'), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -120,12 +350,18 @@ api.post('/user/auth/login', async (req, res) => {
       return res.status(400).json({ data: null, msg: 'Email and password are required' });
     }
 
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (await rejectIfLoginLocked(normalizedEmail, res)) return;
+
     const [users] = await Database.execute(
-      'SELECT id, email, password_hash, display_name, plan, plan_expires_at, is_active FROM users WHERE email = ?',
-      [email.toLowerCase().trim()]
+      'SELECT id, email, password_hash, display_name, plan, plan_expires_at, is_active, email_verified, totp_enabled, deletion_scheduled_at, billing_status, grace_ends_at, trial_ends_at FROM users WHERE email = ?',
+      [normalizedEmail]
     );
 
+    // Unknown emails count as failures too, so lockout does not reveal which accounts exist
     if (users.length === 0) {
+      await recordLoginFailure(normalizedEmail);
       return res.status(401).json({ data: null, msg: 'Invalid email or password' });
     }
 
@@ -137,44 +373,90 @@ api.post('/user/auth/login', async (req, res) => {
 
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
+      await recordLoginFailure(normalizedEmail);
       return res.status(401).json({ data: null, msg: 'Invalid email or password' });
     }
 
-    // Update last login
-    await Database.execute(
-      'UPDATE users SET last_login_at = NOW() WHERE id = ?',
-      [user.id]
-    );
+    await clearLoginFailures(normalizedEmail);
 
-    // Sign JWT and create session
-    const token = signUserJwt({ userId: user.id, email: user.email, plan: user.plan });
-    if (!token) {
-      return res.status(500).json({ data: null, msg: 'Failed to create session' });
+    // With 2FA on, no session is written until the code is checked
+    if (user.totp_enabled) {
+      const challengeToken = await issueUserToken(
+        user.id,
+        'login_challenge',
+        LOGIN_CHALLENGE_TTL_MS
+      );
+
+      return res.json({ data: { twoFactorRequired: true, challengeToken } });
     }
 
-    const tokenHash = hashToken(token);
-    const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    log.error(`Login error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Login failed' });
+  }
+});
 
-    await Database.execute(
-      'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
-      [user.id, tokenHash, expiresAt]
+api.post('/user/auth/login/2fa', rateLimit('auth'), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res
+        .status(400)
+        .json({ data: null, msg: 'Challenge token and authentication code are required' });
+    }
+
+    const [challenges] = await Database.execute(
+      `SELECT t.id AS challenge_id, u.id, u.email, u.display_name, u.plan, u.plan_expires_at,
+        u.is_active, u.email_verified, u.totp_enabled, u.deletion_scheduled_at, u.billing_status,
+        u.grace_ends_at, u.trial_ends_at
+      FROM user_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND t.purpose = 'login_challenge'
+        AND t.used_at IS NULL AND t.expires_at > NOW()`,
+      [hashToken(String(challengeToken))]
     );
 
-    res.cookie(COOKIE_NAME, token, getUserCookieOptions());
+    if (challenges.length === 0) {
+      return res
+        .status(401)
+        .json({ data: null, msg: 'Sign-in expired, please enter your password again' });
+    }
 
-    res.json({
-      data: {
-        id: user.id,
-        email: user.email,
-        displayName: user.display_name,
-        plan: user.plan,
-        planExpiresAt: user.plan_expires_at,
-      },
-    });
+    const user = challenges[0];
 
-    log.info(`User logged in: ${user.email} (id: ${user.id})`);
+    if (!user.is_active) {
+      return res.status(401).json({ data: null, msg: 'Account is inactive' });
+    }
+
+    if (!(await verifySecondFactor(user.id, code))) {
+      // Too many wrong codes burn the challenge: back to the password step
+      await Database.execute(
+        `UPDATE user_tokens
+         SET attempts = attempts + 1,
+             used_at = IF(attempts >= ?, NOW(), used_at)
+         WHERE id = ?`,
+        [LOGIN_CHALLENGE_MAX_ATTEMPTS, user.challenge_id]
+      );
+
+      return res.status(401).json({ data: null, msg: 'Invalid authentication code' });
+    }
+
+    const [consumed] = await Database.execute(
+      'UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+      [user.challenge_id]
+    );
+
+    if (consumed.affectedRows === 0) {
+      return res
+        .status(401)
+        .json({ data: null, msg: 'Sign-in expired, please enter your password again' });
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
-    log.error(`Login error: ${error.message}`);
+    log.error(`Login 2FA error: ${error.message}`);
     res.status(500).json({ data: null, msg: 'Login failed' });
   }
 });
@@ -216,6 +498,12 @@ api.get('/user/auth/me', authenticateUser, async (req, res) => {
       displayName: req.user.displayName,
       plan: req.user.plan,
       planExpiresAt: req.user.planExpiresAt,
+      emailVerified: req.user.emailVerified,
+      twoFactorEnabled: req.user.twoFactorEnabled,
+      deletionScheduledAt: req.user.deletionScheduledAt,
+      billingStatus: req.user.billingStatus,
+      graceEndsAt: req.user.graceEndsAt,
+      trialEndsAt: req.user.trialEndsAt,
     },
   });
 });
@@ -242,6 +530,12 @@ api.put('/user/auth/profile', authenticateUser, async (req, res) => {
         displayName,
         plan: req.user.plan,
         planExpiresAt: req.user.planExpiresAt,
+        emailVerified: req.user.emailVerified,
+        twoFactorEnabled: req.user.twoFactorEnabled,
+        deletionScheduledAt: req.user.deletionScheduledAt,
+        billingStatus: req.user.billingStatus,
+        graceEndsAt: req.user.graceEndsAt,
+        trialEndsAt: req.user.trialEndsAt,
       },
     });
   } catch (error) {
@@ -261,7 +555,9 @@ api.put('/user/auth/password', authenticateUser, async (req, res) => {
     }
 
     if (newPassword.length < 8) {
-      return res.status(400).json({ data: null, msg: 'New password must be at least 8 characters' });
+      return res
+        .status(400)
+        .json({ data: null, msg: 'New password must be at least 8 characters' });
     }
 
     const [users] = await Database.execute(
@@ -280,9 +576,543 @@ api.put('/user/auth/password', authenticateUser, async (req, res) => {
       [newHash, req.user.id]
     );
 
-    res.json({ data: null, msg: 'Password updated' });
+    // Keep the current device signed in, sign out every other one
+    await Database.execute(
+      'DELETE FROM user_sessions WHERE user_id = ? AND id != ?',
+      [req.user.id, req.sessionId]
+    );
+
+    res.json({ data: null, msg: 'Password updated. Other devices have been signed out.' });
   } catch (error) {
     log.error(`Password change error: ${error.message}`);
     res.status(500).json({ data: null, msg: 'Password change failed' });
   }
 });
+
+// ─── Active Sessions ────────────────────────────────────────────────────────
+
+api.get('/user/auth/sessions', authenticateUser, async (req, res) => {
+  try {
+    const [sessions] = await Database.execute(
+      `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+      FROM user_sessions
+      WHERE user_id = ? AND expires_at > NOW()
+      ORDER BY COALESCE(last_seen_at, created_at) DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      data: sessions.map((s) => ({ ...s, current: s.id === req.sessionId })),
+    });
+  } catch (error) {
+    log.error(`List sessions error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch sessions' });
+  }
+});
+
+api.post('/user/auth/sessions/revoke-others', authenticateUser, async (req, res) => {
+  try {
+    const [result] = await Database.execute(
+      'DELETE FROM user_sessions WHERE user_id = ? AND id != ?',
+      [req.user.id, req.sessionId]
+    );
+
+    log.info(`User revoked ${result.affectedRows} other session(s) (id: ${req.user.id})`);
+    res.json({ data: { revoked: result.affectedRows } });
+  } catch (error) {
+    log.error(`Revoke other sessions error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to revoke sessions' });
+  }
+});
+
+api.delete('/user/auth/sessions/:id', authenticateUser, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    const [result] = await Database.execute(
+      'DELETE FROM user_sessions WHERE id = ? AND user_id = ?',
+      [sessionId, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ data: null, msg: 'Session not found' });
+    }
+
+    // Revoking the current session is a logout
+    if (sessionId === req.sessionId) {
+      res.clearCookie(COOKIE_NAME, {
+        httpOnly: true,
+        secure: Config.COINRISQLAB_FRONT_HTTPSECURE,
+        sameSite: 'lax',
+        path: '/',
+      });
+    }
+
+    res.json({ data: { id: sessionId } });
+  } catch (error) {
+    log.error(`Revoke session error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to revoke session' });
+  }
+});
+
+// ─── Email Verification ─────────────────────────────────────────────────────
+
+api.post('/user/auth/verify-email/request', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ data: null, msg: 'Email already verified' });
+    }
+
+    await sendVerificationEmail(req.user.id, req.user.email);
+
+    res.json({ data: null, msg: 'Verification email sent' });
+  } catch (error) {
+    log.error(`Verification email request error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to send verification email' });
+  }
+});
+
+api.post('/user/auth/verify-email/confirm', rateLimit('auth'), async (req, res) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({ data: null, msg: 'Invalid or expired verification link' });
+    }
+
+    await Database.execute('UPDATE users SET email_verified = 1 WHERE id = ?', [userId]);
+
+    log.info(`User email verified (id: ${userId})`);
+    res.json({ data: null, msg: 'Email verified' });
+  } catch (error) {
+    log.error(`Email verification error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Email verification failed' });
+  }
+});
+
+// ─── Password Reset ─────────────────────────────────────────────────────────
+
+api.post('/user/auth/password-reset/request', rateLimit('auth'), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ data: null, msg: 'Email is required' });
+    }
+
+    const [users] = await Database.execute(
+      'SELECT id, email FROM users WHERE email = ? AND is_active = 1',
+      [String(email).toLowerCase().trim()]
+    );
+
+    // Same answer whether or not the account exists (no email enumeration);
+    // the mail is sent in the background so timing does not leak it either.
+    if (users.length > 0) {
+      sendPasswordResetEmail(users[0].id, users[0].email).catch((mailError) => {
+        log.error(`Password reset email error: ${mailError.message}`);
+      });
+    }
+
+    res.json({
+      data: null,
+      msg: 'If an account exists for this email, a reset link has been sent',
+    });
+  } catch (error) {
+    log.error(`Password reset request error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Password reset request failed' });
+  }
+});
+
+api.post('/user/auth/password-reset/confirm', rateLimit('auth'), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ data: null, msg: 'Token and new password are required' });
+    }
+
+    if (newPassword.length < 8) {
+      return res
+        .status(400)
+        .json({ data: null, msg: 'New password must be at least 8 characters' });
+    }
+
+    const userId = await consumeUserToken(token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({ data: null, msg: 'Invalid or expired reset link' });
+    }
+
+    // The reset link proves ownership of the mailbox, so the email is verified too
+    const newHash = await bcrypt.hash(newPassword, 12);
+    await Database.execute(
+      'UPDATE users SET password_hash = ?, email_verified = 1 WHERE id = ?',
+      [newHash, userId]
+    );
+
+    // Sign out every device: whoever knew the old password loses access
+    await Database.execute('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
+
+    log.info(`User password reset (id: ${userId})`);
+    res.json({ data: null, msg: 'Password has been reset. Please sign in.' });
+  } catch (error) {
+    log.error(`Password reset error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Password reset failed' });
+  }
+});
+
+// ─── Two-Factor Authentication ──────────────────────────────────────────────
+
+api.post('/user/auth/2fa/setup', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ data: null, msg: 'Two-factor authentication is already enabled' });
+    }
+
+    // The secret stays pending (totp_enabled = 0) until a first code is confirmed
+    const secret = generateTotpSecret();
+    await Database.execute(
+      'UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ? AND totp_enabled = 0',
+      [secret, req.user.id]
+    );
+
+    res.json({ data: { secret, otpauthUrl: buildOtpauthUrl(secret, req.user.email) } });
+  } catch (error) {
+    log.error(`2FA setup error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to start two-factor setup' });
+  }
+});
+
+api.post('/user/auth/2fa/enable', authenticateUser, async (req, res) => {
+  try {
+    const [users] = await Database.execute(
+      'SELECT totp_secret, totp_enabled FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    if (users[0].totp_enabled) {
+      return res
+        .status(400)
+        .json({ data: null, msg: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!users[0].totp_secret) {
+      return res.status(400).json({ data: null, msg: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(users[0].totp_secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ data: null, msg: 'Invalid authentication code' });
+    }
+
+    await Database.execute(
+      'UPDATE users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?',
+      [step, req.user.id]
+    );
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    log.info(`User enabled 2FA (id: ${req.user.id})`);
+    res.json({ data: { recoveryCodes } });
+  } catch (error) {
+    log.error(`2FA enable error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to enable two-factor authentication' });
+  }
+});
+
+api.post('/user/auth/2fa/disable', authenticateUser, async (req, res) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ data: null, msg: 'Two-factor authentication is not enabled' });
+    }
+
+    const authError = await reauthenticateTwoFactor(
+      req.user.id,
+      req.body.password,
+      req.body.code
+    );
+    if (authError) {
+      return res.status(401).json({ data: null, msg: authError });
+    }
+
+    await Database.execute(
+      'UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?',
+      [req.user.id]
+    );
+    await Database.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [req.user.id]);
+
+    log.info(`User disabled 2FA (id: ${req.user.id})`);
+    res.json({ data: null, msg: 'Two-factor authentication disabled' });
+  } catch (error) {
+    log.error(`2FA disable error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to disable two-factor authentication' });
+  }
+});
+
+api.post('/user/auth/2fa/recovery-codes', authenticateUser, async (req, res) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ data: null, msg: 'Two-factor authentication is not enabled' });
+    }
+
+    const authError = await reauthenticateTwoFactor(
+      req.user.id,
+      req.body.password,
+      req.body.code
+    );
+    if (authError) {
+      return res.status(401).json({ data: null, msg: authError });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    res.json({ data: { recoveryCodes } });
+  } catch (error) {
+    log.error(`Recovery codes error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// ─── Data Export & Account Deletion (GDPR) ──────────────────────────────────
+
+api.get('/user/auth/export', authenticateUser, rateLimit('analytics'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [profile] = await Database.execute(
+      `SELECT id, email, display_name, plan, plan_expires_at, email_verified, totp_enabled,
+        billing_status, grace_ends_at, trial_ends_at, last_login_at, deletion_scheduled_at, created_at, updated_at
+      FROM users WHERE id = ?`,
+      [userId]
+    );
+
+    const [portfolios] = await Database.execute(
+      'SELECT * FROM user_portfolios WHERE user_id = ? ORDER BY id',
+      [userId]
+    );
+
+    const [holdings] = await Database.execute(
+      `SELECT h.*, c.symbol
+      FROM user_portfolio_holdings h
+      JOIN user_portfolios p ON p.id = h.portfolio_id
+      JOIN cryptocurrencies c ON c.id = h.crypto_id
+      WHERE p.user_id = ?
+      ORDER BY h.portfolio_id, h.id`,
+      [userId]
+    );
+
+    const [transactions] = await Database.execute(
+      `SELECT t.*, c.symbol
+      FROM user_transactions t
+      JOIN user_portfolios p ON p.id = t.portfolio_id
+      JOIN cryptocurrencies c ON c.id = t.crypto_id
+      WHERE p.user_id = ?
+      ORDER BY t.portfolio_id, t.timestamp, t.id`,
+      [userId]
+    );
+
+    const [alerts] = await Database.execute(
+      'SELECT * FROM user_alerts WHERE user_id = ? ORDER BY id',
+      [userId]
+    );
+
+    const [alertEvents] = await Database.execute(
+      'SELECT * FROM user_alert_events WHERE user_id = ? ORDER BY triggered_at',
+      [userId]
+    );
+
+    const [snapshots] = await Database.execute(
+      `SELECT s.*
+      FROM user_portfolio_snapshots s
+      JOIN user_portfolios p ON p.id = s.portfolio_id
+      WHERE p.user_id = ?
+      ORDER BY s.portfolio_id, s.snapshot_date`,
+      [userId]
+    );
+
+    const [analyticsHistory] = await Database.execute(
+      `SELECT a.*
+      FROM user_portfolio_analytics a
+      JOIN user_portfolios p ON p.id = a.portfolio_id
+      WHERE p.user_id = ?
+      ORDER BY a.portfolio_id, a.date`,
+      [userId]
+    );
+
+    const [notifications] = await Database.execute(
+      'SELECT id, type, title, body, data, read_at, created_at FROM user_notifications WHERE user_id = ? ORDER BY id',
+      [userId]
+    );
+
+    // Secrets (webhook secret, key hashes, TOTP secret) are never exported
+    const [notificationPreferences] = await Database.execute(
+      `SELECT email_enabled, in_app_enabled, webhook_enabled, webhook_url
+      FROM user_notification_preferences WHERE user_id = ?`,
+      [userId]
+    );
+
+    const [sessions] = await Database.execute(
+      `SELECT user_agent, ip_address, created_at, last_seen_at, expires_at
+      FROM user_sessions WHERE user_id = ? ORDER BY created_at`,
+      [userId]
+    );
+
+    const [apiKeys] = await Database.execute(
+      `SELECT name, key_prefix, scopes, last_used_at, expires_at, revoked_at, created_at
+      FROM user_api_keys WHERE user_id = ? ORDER BY created_at`,
+      [userId]
+    );
+
+    const bundle = {
+      exported_at: new Date().toISOString(),
+      profile: profile[0],
+      portfolios,
+      holdings,
+      transactions,
+      alerts,
+      alert_events: alertEvents,
+      portfolio_snapshots: snapshots,
+      portfolio_analytics_history: analyticsHistory,
+      notifications,
+      notification_preferences: notificationPreferences[0] || null,
+      sessions,
+      api_keys: apiKeys,
+    };
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="coinrisqlab_export_${new Date().toISOString().slice(0, 10)}.json"`
+    );
+    res.send(JSON.stringify(bundle, null, 2));
+
+    log.info(`User exported account data (id: ${userId})`);
+  } catch (error) {
+    log.error(`Account export error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Export failed' });
+  }
+});
+
+api.delete('/user/auth/account', authenticateUser, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (req.user.deletionScheduledAt) {
+      return res.status(400).json({ data: null, msg: 'Account deletion is already scheduled' });
+    }
+
+    if (!password) {
+      return res.status(400).json({ data: null, msg: 'Password is required' });
+    }
+
+    const [users] = await Database.execute(
+      'SELECT password_hash, stripe_customer_id FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    const validPassword = await bcrypt.compare(password, users[0].password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ data: null, msg: 'Password is incorrect' });
+    }
+
+    if (req.user.twoFactorEnabled && !(await verifySecondFactor(req.user.id, code))) {
+      return res.status(401).json({ data: null, msg: 'Invalid authentication code' });
+    }
+
+    // Stop renewals first: never schedule a deletion that would keep billing the user
+    let cancelledSubscriptions;
+    try {
+      cancelledSubscriptions = await cancelCustomerSubscriptions(users[0].stripe_customer_id, {
+        atPeriodEnd: true,
+      });
+    } catch (stripeError) {
+      log.error(`Account deletion Stripe error: ${stripeError.message}`);
+      return res
+        .status(502)
+        .json({ data: null, msg: 'Could not cancel your subscription, please try again' });
+    }
+
+    await Database.execute(
+      `UPDATE users
+       SET deletion_requested_at = NOW(), deletion_scheduled_at = NOW() + INTERVAL ? DAY,
+           deletion_cancelled_subscriptions = ?
+       WHERE id = ?`,
+      [ACCOUNT_DELETION_GRACE_DAYS, JSON.stringify(cancelledSubscriptions), req.user.id]
+    );
+
+    // Sign out everywhere and cut programmatic access
+    await Database.execute(
+      'DELETE FROM user_sessions WHERE user_id = ? AND id != ?',
+      [req.user.id, req.sessionId]
+    );
+    await Database.execute(
+      'UPDATE user_api_keys SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [req.user.id]
+    );
+
+    const [scheduled] = await Database.execute(
+      'SELECT deletion_scheduled_at FROM users WHERE id = ?',
+      [req.user.id]
+    );
+    const deletionScheduledAt = scheduled[0].deletion_scheduled_at;
+
+    sendMail({
+      to: req.user.email,
+      subject: 'Your CoinRisqLab account will be deleted',
+      text: `Your CoinRisqLab account and all its data will be permanently deleted on ${new Date(deletionScheduledAt).toUTCString()}.\n\nChanged your mind? Sign in and cancel the deletion from Settings before that date:\n${FRONT_URL}/dashboard/settings`,
+    }).catch((mailError) => {
+      log.error(`Account deletion email error: ${mailError.message}`);
+    });
+
+    log.info(`User scheduled account deletion (id: ${req.user.id})`);
+    res.json({ data: { deletionScheduledAt } });
+  } catch (error) {
+    log.error(`Account deletion error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Account deletion failed' });
+  }
+});
+
+api.post('/user/auth/account/restore', authenticateUser, async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledAt) {
+      return res.status(400).json({ data: null, msg: 'Account deletion is not scheduled' });
+    }
+
+    const [users] = await Database.execute(
+      'SELECT stripe_customer_id, deletion_cancelled_subscriptions FROM users WHERE id = ?',
+      [req.user.id]
+    );
+    const cancelled = users[0].deletion_cancelled_subscriptions;
+
+    try {
+      // Resume only what the deletion cancelled, never a subscription the user cancelled earlier
+      await resumeCustomerSubscriptions(
+        users[0].stripe_customer_id,
+        typeof cancelled === 'string' ? JSON.parse(cancelled) : cancelled
+      );
+    } catch (stripeError) {
+      // The account is restored anyway; the subscription can be renewed from the billing portal
+      log.warn(`Account restore Stripe error: ${stripeError.message}`);
+    }
+
+    await Database.execute(
+      `UPDATE users
+       SET deletion_requested_at = NULL, deletion_scheduled_at = NULL,
+           deletion_cancelled_subscriptions = NULL
+       WHERE id = ?`,
+      [req.user.id]
+    );
+
+    log.info(`User cancelled account deletion (id: ${req.user.id})`);
+    res.json({ data: null, msg: 'Account deletion cancelled' });
+  } catch (error) {
+    log.error(`Account restore error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to cancel account deletion' });
+  }
+});
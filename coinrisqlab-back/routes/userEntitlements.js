@@ -0,0 +1,34 @@
+import api from '../lib/api.js';
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import { authenticateUser } from '../middleware/userAuth.js';
+import { FEATURES, getEntitlements } from '../utils/entitlements.js';
+
+// ─── Entitlements ───────────────────────────────────────────────────────────
+// What the current plan allows, with the usage of the per-user limits, so the
+// front end gates its UI with the same rules the API enforces.
+
+api.get('/user/entitlements', authenticateUser, async (req, res) => {
+  try {
+    const [[portfolios], [alerts]] = await Promise.all([
+      Database.execute('SELECT COUNT(*) AS cnt FROM user_portfolios WHERE user_id = ?', [
+        req.user.id,
+      ]),
+      Database.execute('SELECT COUNT(*) AS cnt FROM user_alerts WHERE user_id = ?', [req.user.id]),
+    ]);
+
+    res.json({
+      data: {
+        ...getEntitlements(req.user),
+        usage: {
+          portfolios: Number(portfolios[0].cnt),
+          alerts: Number(alerts[0].cnt),
+        },
+        featureLabels: FEATURES,
+      },
+    });
+  } catch (error) {
+    log.error(`Entitlements error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch entitlements' });
+  }
+});
@@ -1,8 +1,9 @@
 import api from '../lib/api.js';
 import Database from '../lib/database.js';
 import log from '../lib/log.js';
-import { authenticateUser } from '../middleware/userAuth.js';
-import { requirePro } from '../middleware/requirePro.js';
+import { allowApiKey, authenticateUser } from '../middleware/userAuth.js';
+import { requireFeature } from '../middleware/requireFeature.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import { getDateFilter } from '../utils/queryHelpers.js';
 import {
   createReportDoc,
@@ -10,8 +11,10 @@ import {
   addSectionTitle,
   addMetricRow,
   addTable,
+  addNote,
   addFooter,
 } from '../utils/pdfReport.js';
+import { getCapitalGains, getFrench2086, LONG_TERM_HOLDING_DAYS, TAX_JURISDICTIONS } from '../utils/taxReport.js';
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
@@ -37,6 +40,23 @@ function formatCSV(headers, rows) {
   return lines.join('\n');
 }
 
+const formatDate = (d) => (d instanceof Date ? d.toISOString().slice(0, 10) : String(d).slice(0, 10));
+
+/**
+ * Validate ?year= (default: current year) and ?jurisdiction= (default: us).
+ * @returns {{ year: number, jurisdiction: string } | null}
+ */
+function parseTaxReportQuery(query) {
+  const currentYear = new Date().getUTCFullYear();
+  const year = query.year !== undefined ? parseInt(query.year) : currentYear;
+  const jurisdiction = query.jurisdiction || 'us';
+
+  if (!Number.isInteger(year) || year < 2009 || year > currentYear || !TAX_JURISDICTIONS.includes(jurisdiction)) {
+    return null;
+  }
+  return { year, jurisdiction };
+}
+
 function sendCSV(res, filename, csvContent) {
   res.setHeader('Content-Type', 'text/csv; charset=utf-8');
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -45,7 +65,7 @@ function sendCSV(res, filename, csvContent) {
 
 // ─── Free: Positions CSV ────────────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/export/positions-csv', authenticateUser, async (req, res) => {
+api.get('/user/portfolios/:id/export/positions-csv', allowApiKey('portfolios:read'), authenticateUser, rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     const portfolio = await verifyPortfolioOwnership(portfolioId, req.user.id);
@@ -62,7 +82,11 @@ api.get('/user/portfolios/:id/export/positions-csv', authenticateUser, async (re
         CASE WHEN h.avg_buy_price > 0
           THEN ((md.price_usd - h.avg_buy_price) / h.avg_buy_price * 100)
           ELSE 0
-        END AS pnl_percent
+        END AS pnl_percent,
+        (
+          SELECT COALESCE(SUM(t.fee_usd), 0) FROM user_transactions t
+          WHERE t.portfolio_id = h.portfolio_id AND t.crypto_id = h.crypto_id
+        ) AS total_fees_usd
       FROM user_portfolio_holdings h
       JOIN cryptocurrencies c ON c.id = h.crypto_id
       LEFT JOIN market_data md ON md.crypto_id = h.crypto_id
@@ -73,8 +97,10 @@ api.get('/user/portfolios/:id/export/positions-csv', authenticateUser, async (re
     );
 
     const totalValue = holdings.reduce((sum, h) => sum + (h.current_value || 0), 0);
+    const totalPnl = holdings.reduce((sum, h) => sum + (h.pnl_usd || 0), 0);
+    const totalFees = holdings.reduce((sum, h) => sum + h.total_fees_usd, 0);
 
-    const headers = ['Symbol', 'Name', 'Quantity', 'Avg Buy Price (USD)', 'Current Price (USD)', 'Value (USD)', 'PnL (USD)', 'PnL (%)', 'Allocation (%)'];
+    const headers = ['Symbol', 'Name', 'Quantity', 'Avg Buy Price (USD)', 'Current Price (USD)', 'Value (USD)', 'PnL (USD)', 'PnL (%)', 'Allocation (%)', 'Fees Paid (USD)'];
     const rows = holdings.map(h => [
       h.symbol,
       h.name,
@@ -85,7 +111,9 @@ api.get('/user/portfolios/:id/export/positions-csv', authenticateUser, async (re
       Number(h.pnl_usd).toFixed(2),
       Number(h.pnl_percent).toFixed(2),
       totalValue > 0 ? ((h.current_value / totalValue) * 100).toFixed(2) : '0.00',
+      Number(h.total_fees_usd).toFixed(2),
     ]);
+    rows.push(['Total', '', '', '', '', totalValue.toFixed(2), totalPnl.toFixed(2), '', '', totalFees.toFixed(2)]);
 
     sendCSV(res, `${portfolio.name.replace(/\s+/g, '_')}_positions_${new Date().toISOString().slice(0, 10)}.csv`, formatCSV(headers, rows));
   } catch (error) {
@@ -96,7 +124,7 @@ api.get('/user/portfolios/:id/export/positions-csv', authenticateUser, async (re
 
 // ─── Free: Prices CSV (30d) ─────────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/export/prices-csv', authenticateUser, async (req, res) => {
+api.get('/user/portfolios/:id/export/prices-csv', allowApiKey('portfolios:read'), authenticateUser, rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     const portfolio = await verifyPortfolioOwnership(portfolioId, req.user.id);
@@ -157,7 +185,7 @@ api.get('/user/portfolios/:id/export/prices-csv', authenticateUser, async (req,
 
 // ─── Pro: Transactions CSV ──────────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/export/transactions-csv', authenticateUser, requirePro, async (req, res) => {
+api.get('/user/portfolios/:id/export/transactions-csv', allowApiKey('transactions:read'), authenticateUser, requireFeature('exports'), rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     const portfolio = await verifyPortfolioOwnership(portfolioId, req.user.id);
@@ -196,7 +224,7 @@ api.get('/user/portfolios/:id/export/transactions-csv', authenticateUser, requir
 
 // ─── Pro: Portfolio Report PDF ──────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/export/report-pdf', authenticateUser, requirePro, async (req, res) => {
+api.get('/user/portfolios/:id/export/report-pdf', allowApiKey('portfolios:read'), authenticateUser, requireFeature('exports'), rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     const portfolio = await verifyPortfolioOwnership(portfolioId, req.user.id);
@@ -268,7 +296,7 @@ api.get('/user/portfolios/:id/export/report-pdf', authenticateUser, requirePro,
 
 // ─── Pro: Stress Test PDF ───────────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/export/stress-test-pdf', authenticateUser, requirePro, async (req, res) => {
+api.get('/user/portfolios/:id/export/stress-test-pdf', allowApiKey('portfolios:read'), authenticateUser, requireFeature('exports'), rateLimit('analytics'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     const portfolio = await verifyPortfolioOwnership(portfolioId, req.user.id);
@@ -364,3 +392,151 @@ api.get('/user/portfolios/:id/export/stress-test-pdf', authenticateUser, require
     res.status(500).json({ data: null, msg: 'Export failed' });
   }
 });
+
+// ─── Pro: Capital Gains (CSV / PDF) ─────────────────────────────────────────
+
+api.get('/user/portfolios/:id/export/capital-gains-csv', allowApiKey('transactions:read'), authenticateUser, requireFeature('exports'), rateLimit('analytics'), async (req, res) => {
+  try {
+    const portfolioId = parseInt(req.params.id);
+    const portfolio = await verifyPortfolioOwnership(portfolioId, req.user.id);
+    if (!portfolio) {
+      return res.status(404).json({ data: null, msg: 'Portfolio not found' });
+    }
+
+    const params = parseTaxReportQuery(req.query);
+    if (!params) {
+      return res.status(400).json({ data: null, msg: `Invalid year or jurisdiction (${TAX_JURISDICTIONS.join(', ')})` });
+    }
+    const { year, jurisdiction } = params;
+
+    let headers;
+    let rows;
+    if (jurisdiction === 'fr') {
+      // The 2086 covers every portfolio of the user, not just this one
+      const report = await getFrench2086(req.user.id, year);
+      headers = ['Date', 'Symbol', 'Portfolio', 'Global Portfolio Value (USD)', 'Proceeds (USD)', 'Fees (USD)', 'Net Proceeds (USD)', 'Net Acquisition Cost (USD)', 'Allocated Cost (USD)', 'Gain (USD)'];
+      rows = report.cessions.map(c => [
+        formatDate(c.disposedAt),
+        c.symbol,
+        c.portfolioName,
+        c.portfolioValue.toFixed(2),
+        c.proceeds.toFixed(2),
+        c.fees.toFixed(2),
+        c.netProceeds.toFixed(2),
+        c.netAcquisitionCost.toFixed(2),
+        c.allocatedCost.toFixed(2),
+        c.gain.toFixed(2),
+      ]);
+    } else {
+      const report = await getCapitalGains(portfolioId, year);
+      headers = ['Date Sold', 'Symbol', 'Name', 'Date Acquired', 'Quantity', 'Proceeds (USD)', 'Cost Basis (USD)', 'Fees (USD)', 'Gain (USD)', 'Holding Days', 'Term', 'Method'];
+      rows = report.disposals.map(d => [
+        formatDate(d.disposedAt),
+        d.symbol,
+        d.name,
+        formatDate(d.acquiredAt),
+        d.quantity,
+        d.proceeds.toFixed(2),
+        d.costBasis.toFixed(2),
+        d.fees.toFixed(2),
+        d.gain.toFixed(2),
+        d.holdingDays,
+        d.term,
+        d.method,
+      ]);
+    }
+
+    sendCSV(res, `${portfolio.name.replace(/\s+/g, '_')}_capital_gains_${year}_${jurisdiction}.csv`, formatCSV(headers, rows));
+  } catch (error) {
+    log.error(`Capital gains CSV export error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Export failed' });
+  }
+});
+
+api.get('/user/portfolios/:id/export/capital-gains-pdf', allowApiKey('transactions:read'), authenticateUser, requireFeature('exports'), rateLimit('analytics'), async (req, res) => {
+  try {
+    const portfolioId = parseInt(req.params.id);
+    const portfolio = await verifyPortfolioOwnership(portfolioId, req.user.id);
+    if (!portfolio) {
+      return res.status(404).json({ data: null, msg: 'Portfolio not found' });
+    }
+
+    const params = parseTaxReportQuery(req.query);
+    if (!params) {
+      return res.status(400).json({ data: null, msg: `Invalid year or jurisdiction (${TAX_JURISDICTIONS.join(', ')})` });
+    }
+    const { year, jurisdiction } = params;
+
+    // The 2086 covers every portfolio of the user: the whole document then has that scope
+    const french = jurisdiction === 'fr' ? await getFrench2086(req.user.id, year) : null;
+    const gains = french ? null : await getCapitalGains(portfolioId, year);
+    const usd = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    const signedUsd = (value) => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+
+    // Build PDF
+    const doc = createReportDoc();
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${portfolio.name.replace(/\s+/g, '_')}_capital_gains_${year}_${jurisdiction}.pdf"`);
+    doc.pipe(res);
+
+    addHeader(doc, `Capital Gains ${year}: ${french ? 'All Portfolios' : portfolio.name}`, `Jurisdiction: ${jurisdiction.toUpperCase()} | Amounts in USD`);
+
+    if (french) {
+      addSectionTitle(doc, 'Formulaire 2086 Summary (PFU, all portfolios)');
+      addMetricRow(doc, 'Taxable disposals', french.summary.count);
+      addMetricRow(doc, 'Total proceeds', usd(french.summary.totalProceeds));
+      addMetricRow(doc, 'Net gain', usd(french.summary.totalGain), french.summary.totalGain >= 0 ? '#16C784' : '#EA3943');
+      addMetricRow(doc, `Estimated PFU (${(french.summary.pfuRate * 100).toFixed(0)}%)`, usd(french.summary.estimatedTax));
+      doc.moveDown(0.5);
+
+      addSectionTitle(doc, 'Disposals');
+      addTable(
+        doc,
+        ['Date', 'Symbol', 'Portfolio', 'Global Value', 'Proceeds', 'Fees', 'Acq. Cost', 'Allocated', 'Gain'],
+        french.cessions.map(c => [
+          formatDate(c.disposedAt),
+          c.symbol,
+          c.portfolioName,
+          usd(c.portfolioValue),
+          usd(c.proceeds),
+          usd(c.fees),
+          usd(c.netAcquisitionCost),
+          usd(c.allocatedCost),
+          signedUsd(c.gain),
+        ]),
+        [55, 40, 60, 60, 60, 40, 60, 60, 60]
+      );
+      addNote(doc, 'Gain = net proceeds - net acquisition cost x proceeds / global portfolio value at the sale. Computed across all your portfolios, transfers between them excluded; the 2086 expects EUR amounts.');
+    } else {
+      addSectionTitle(doc, 'Summary');
+      for (const [label, totals] of [['Short term', gains.summary.shortTerm], ['Long term', gains.summary.longTerm], ['Total', gains.summary.total]]) {
+        addMetricRow(doc, `${label} (${totals.count} disposals)`, usd(totals.gain), totals.gain >= 0 ? '#16C784' : '#EA3943');
+      }
+      addNote(doc, `Long term = held more than ${LONG_TERM_HOLDING_DAYS} days. Cost basis follows the portfolio's cost-basis method.`);
+
+      addSectionTitle(doc, 'Disposals');
+      addTable(
+        doc,
+        ['Sold', 'Symbol', 'Acquired', 'Quantity', 'Proceeds', 'Cost', 'Fees', 'Gain', 'Term'],
+        gains.disposals.map(d => [
+          formatDate(d.disposedAt),
+          d.symbol,
+          formatDate(d.acquiredAt),
+          Number(d.quantity).toFixed(4),
+          usd(d.proceeds),
+          usd(d.costBasis),
+          usd(d.fees),
+          signedUsd(d.gain),
+          d.term,
+        ]),
+        [55, 45, 55, 55, 60, 60, 45, 70, 50]
+      );
+    }
+
+    addFooter(doc);
+    doc.end();
+  } catch (error) {
+    log.error(`Capital gains PDF export error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Export failed' });
+  }
+});
@@ -0,0 +1,186 @@
+import api from '../lib/api.js';
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import { authenticateUser } from '../middleware/userAuth.js';
+import {
+  generateWebhookSecret,
+  getNotificationPreferences,
+  isAllowedWebhookUrl,
+  notifyUser,
+} from '../utils/notifications.js';
+
+const INBOX_LIMIT = 50;
+
+// ─── Inbox ──────────────────────────────────────────────────────────────────
+
+api.get('/user/notifications', authenticateUser, async (req, res) => {
+  try {
+    const unreadOnly = req.query.unread === '1' || req.query.unread === 'true';
+
+    const [notifications] = await Database.execute(
+      `SELECT id, type, title, body, data, read_at, created_at
+      FROM user_notifications
+      WHERE user_id = ? AND in_app = 1 ${unreadOnly ? 'AND read_at IS NULL' : ''}
+      ORDER BY created_at DESC
+      LIMIT ${INBOX_LIMIT}`,
+      [req.user.id]
+    );
+
+    const [count] = await Database.execute(
+      'SELECT COUNT(*) AS cnt FROM user_notifications WHERE user_id = ? AND in_app = 1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ data: notifications, unreadCount: count[0].cnt });
+  } catch (error) {
+    log.error(`List notifications error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch notifications' });
+  }
+});
+
+api.put('/user/notifications/read-all', authenticateUser, async (req, res) => {
+  try {
+    await Database.execute(
+      'UPDATE user_notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ data: null, msg: 'All notifications marked as read' });
+  } catch (error) {
+    log.error(`Read all notifications error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to update notifications' });
+  }
+});
+
+api.put('/user/notifications/:id/read', authenticateUser, async (req, res) => {
+  try {
+    const [result] = await Database.execute(
+      'UPDATE user_notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?',
+      [parseInt(req.params.id), req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ data: null, msg: 'Notification not found' });
+    }
+
+    res.json({ data: { id: parseInt(req.params.id) } });
+  } catch (error) {
+    log.error(`Read notification error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to update notification' });
+  }
+});
+
+// ─── Channel Preferences ────────────────────────────────────────────────────
+
+api.get('/user/notifications/preferences', authenticateUser, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.id);
+
+    res.json({ data: preferences });
+  } catch (error) {
+    log.error(`Get notification preferences error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch notification preferences' });
+  }
+});
+
+api.put('/user/notifications/preferences', authenticateUser, async (req, res) => {
+  try {
+    const current = await getNotificationPreferences(req.user.id);
+    const { email_enabled, in_app_enabled, webhook_enabled, webhook_url } = req.body;
+
+    const next = {
+      email_enabled: email_enabled !== undefined ? (email_enabled ? 1 : 0) : current.email_enabled,
+      in_app_enabled:
+        in_app_enabled !== undefined ? (in_app_enabled ? 1 : 0) : current.in_app_enabled,
+      webhook_enabled:
+        webhook_enabled !== undefined ? (webhook_enabled ? 1 : 0) : current.webhook_enabled,
+      webhook_url: webhook_url !== undefined ? webhook_url || null : current.webhook_url,
+    };
+
+    if (next.webhook_url && !(await isAllowedWebhookUrl(next.webhook_url))) {
+      return res
+        .status(400)
+        .json({ data: null, msg: 'webhook_url must be a valid https:// URL on a public host' });
+    }
+
+    if (next.webhook_enabled && !next.webhook_url) {
+      return res
+        .status(400)
+        .json({ data: null, msg: 'webhook_url is required to enable webhooks' });
+    }
+
+    // A secret is generated the first time webhooks are configured
+    const webhookSecret =
+      current.webhook_secret || (next.webhook_url ? generateWebhookSecret() : null);
+
+    await Database.execute(
+      `INSERT INTO user_notification_preferences
+       (user_id, email_enabled, in_app_enabled, webhook_enabled, webhook_url, webhook_secret)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         email_enabled = VALUES(email_enabled),
+         in_app_enabled = VALUES(in_app_enabled),
+         webhook_enabled = VALUES(webhook_enabled),
+         webhook_url = VALUES(webhook_url),
+         webhook_secret = VALUES(webhook_secret)`,
+      [
+        req.user.id,
+        next.email_enabled,
+        next.in_app_enabled,
+        next.webhook_enabled,
+        next.webhook_url,
+        webhookSecret,
+      ]
+    );
+
+    res.json({ data: { ...next, webhook_secret: webhookSecret } });
+  } catch (error) {
+    log.error(`Update notification preferences error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to update notification preferences' });
+  }
+});
+
+api.post('/user/notifications/preferences/webhook-secret', authenticateUser, async (req, res) => {
+  try {
+    const current = await getNotificationPreferences(req.user.id);
+
+    if (!current.webhook_url) {
+      return res.status(400).json({ data: null, msg: 'Configure a webhook URL first' });
+    }
+
+    const webhookSecret = generateWebhookSecret();
+
+    await Database.execute(
+      'UPDATE user_notification_preferences SET webhook_secret = ? WHERE user_id = ?',
+      [webhookSecret, req.user.id]
+    );
+
+    res.json({ data: { webhook_secret: webhookSecret } });
+  } catch (error) {
+    log.error(`Rotate webhook secret error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to rotate webhook secret' });
+  }
+});
+
+// ─── Test Notification ──────────────────────────────────────────────────────
+
+api.post('/user/notifications/test', authenticateUser, async (req, res) => {
+  try {
+    const notificationId = await notifyUser(req.user.id, {
+      type: 'test',
+      title: 'Test notification',
+      body: 'Your CoinRisqLab notification channels are working.',
+      data: { test: true },
+    });
+
+    const [deliveries] = await Database.execute(
+      'SELECT channel, status, last_error FROM user_notification_deliveries WHERE notification_id = ?',
+      [notificationId]
+    );
+
+    res.json({ data: { id: notificationId, deliveries } });
+  } catch (error) {
+    log.error(`Test notification error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to send test notification' });
+  }
+});
@@ -1,8 +1,10 @@
 import api from '../lib/api.js';
 import Database from '../lib/database.js';
 import log from '../lib/log.js';
-import { authenticateUser } from '../middleware/userAuth.js';
-import { recomputeHolding } from './userTransactions.js';
+import { allowApiKey, authenticateUser } from '../middleware/userAuth.js';
+import { findLinkedHoldings, recomputeHolding, recomputePortfolioHoldings } from '../utils/holdings.js';
+import { getEntitlements, isWithinLimit, limitReachedMessage } from '../utils/entitlements.js';
+import { COST_BASIS_METHODS } from '../utils/taxLots.js';
 
 const SYNTHETIC_TX_NOTE = 'Initial position (Add Holding)';
 
@@ -19,11 +21,11 @@ async function verifyPortfolioOwnership(portfolioId, userId) {
 // ─── Portfolio CRUD ─────────────────────────────────────────────────────────
 
 // List portfolios
-api.get('/user/portfolios', authenticateUser, async (req, res) => {
+api.get('/user/portfolios', allowApiKey('portfolios:read'), authenticateUser, async (req, res) => {
   try {
     const [portfolios] = await Database.execute(
       `SELECT
-        p.id, p.name, p.description, p.created_at, p.updated_at,
+        p.id, p.name, p.description, p.cost_basis_method, p.created_at, p.updated_at,
         COUNT(h.id) AS holding_count,
         s.total_value_usd AS latest_value,
         s.total_pnl_usd AS latest_pnl
@@ -45,7 +47,7 @@ api.get('/user/portfolios', authenticateUser, async (req, res) => {
 });
 
 // Create portfolio
-api.post('/user/portfolios', authenticateUser, async (req, res) => {
+api.post('/user/portfolios', allowApiKey('portfolios:write'), authenticateUser, async (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -53,14 +55,16 @@ api.post('/user/portfolios', authenticateUser, async (req, res) => {
       return res.status(400).json({ data: null, msg: 'Portfolio name is required' });
     }
 
-    // Free plan: max 1 portfolio
-    if (req.user.plan === 'free') {
+    // Plan limit: portfolio count
+    const entitlements = getEntitlements(req.user);
+    const maxPortfolios = entitlements.limits.portfolios;
+    if (maxPortfolios !== null) {
       const [existing] = await Database.execute(
         'SELECT COUNT(*) AS cnt FROM user_portfolios WHERE user_id = ?',
         [req.user.id]
       );
-      if (existing[0].cnt >= 1) {
-        return res.status(403).json({ data: null, msg: 'Free plan allows only 1 portfolio. Upgrade to Pro for unlimited.' });
+      if (!isWithinLimit(maxPortfolios, existing[0].cnt)) {
+        return res.status(403).json({ data: null, msg: limitReachedMessage(entitlements, maxPortfolios, 'portfolios') });
       }
     }
 
@@ -79,20 +83,38 @@ api.post('/user/portfolios', authenticateUser, async (req, res) => {
 });
 
 // Update portfolio
-api.put('/user/portfolios/:id', authenticateUser, async (req, res) => {
+api.put('/user/portfolios/:id', allowApiKey('portfolios:write'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
       return res.status(404).json({ data: null, msg: 'Portfolio not found' });
     }
 
-    const { name, description } = req.body;
+    const { name, description, cost_basis_method } = req.body;
+
+    if (cost_basis_method !== undefined && !COST_BASIS_METHODS.includes(cost_basis_method)) {
+      return res.status(400).json({ data: null, msg: `cost_basis_method must be one of ${COST_BASIS_METHODS.join(', ')}` });
+    }
+
+    const [current] = await Database.execute(
+      'SELECT cost_basis_method FROM user_portfolios WHERE id = ?',
+      [portfolioId]
+    );
+
     await Database.execute(
-      'UPDATE user_portfolios SET name = COALESCE(?, name), description = COALESCE(?, description) WHERE id = ?',
-      [name || null, description !== undefined ? description : null, portfolioId]
+      `UPDATE user_portfolios
+       SET name = COALESCE(?, name), description = COALESCE(?, description),
+         cost_basis_method = COALESCE(?, cost_basis_method)
+       WHERE id = ?`,
+      [name || null, description !== undefined ? description : null, cost_basis_method || null, portfolioId]
     );
 
-    res.json({ data: { id: portfolioId, name, description } });
+    // Realized P&L, avg buy price and lots all depend on the method
+    if (cost_basis_method && cost_basis_method !== current[0].cost_basis_method) {
+      await recomputePortfolioHoldings(portfolioId);
+    }
+
+    res.json({ data: { id: portfolioId, name, description, cost_basis_method } });
   } catch (error) {
     log.error(`Update portfolio error: ${error.message}`);
     res.status(500).json({ data: null, msg: 'Failed to update portfolio' });
@@ -101,7 +123,7 @@ api.put('/user/portfolios/:id', authenticateUser, async (req, res) => {
 
 // Duplicate portfolio (copies holdings + transactions under a new name).
 // Same plan check as POST /user/portfolios.
-api.post('/user/portfolios/:id/duplicate', authenticateUser, async (req, res) => {
+api.post('/user/portfolios/:id/duplicate', allowApiKey('portfolios:write'), authenticateUser, async (req, res) => {
   try {
     const sourceId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(sourceId, req.user.id))) {
@@ -113,26 +135,28 @@ api.post('/user/portfolios/:id/duplicate', authenticateUser, async (req, res) =>
       return res.status(400).json({ data: null, msg: 'Portfolio name is required' });
     }
 
-    // Free plan: max 1 portfolio
-    if (req.user.plan === 'free') {
+    // Plan limit: portfolio count
+    const entitlements = getEntitlements(req.user);
+    const maxPortfolios = entitlements.limits.portfolios;
+    if (maxPortfolios !== null) {
       const [existing] = await Database.execute(
         'SELECT COUNT(*) AS cnt FROM user_portfolios WHERE user_id = ?',
         [req.user.id]
       );
-      if (existing[0].cnt >= 1) {
-        return res.status(403).json({ data: null, msg: 'Free plan allows only 1 portfolio. Upgrade to Pro for unlimited.' });
+      if (!isWithinLimit(maxPortfolios, existing[0].cnt)) {
+        return res.status(403).json({ data: null, msg: limitReachedMessage(entitlements, maxPortfolios, 'portfolios') });
       }
     }
 
     const [src] = await Database.execute(
-      'SELECT description FROM user_portfolios WHERE id = ?',
+      'SELECT description, cost_basis_method FROM user_portfolios WHERE id = ?',
       [sourceId]
     );
     const description = src[0]?.description ?? null;
 
     const [created] = await Database.execute(
-      'INSERT INTO user_portfolios (user_id, name, description) VALUES (?, ?, ?)',
-      [req.user.id, name.trim(), description]
+      'INSERT INTO user_portfolios (user_id, name, description, cost_basis_method) VALUES (?, ?, ?, ?)',
+      [req.user.id, name.trim(), description, src[0].cost_basis_method]
     );
     const newId = created.insertId;
 
@@ -144,7 +168,9 @@ api.post('/user/portfolios/:id/duplicate', authenticateUser, async (req, res) =>
       [newId, sourceId]
     );
 
-    // Clone transaction history (so the TWR / analytics replay matches the source)
+    // Clone transaction history (so the TWR / analytics replay matches the source).
+    // Internal transfer links are not cloned: the copies count as external
+    // transfers, at the cost basis recorded on them.
     await Database.execute(
       `INSERT INTO user_transactions (portfolio_id, crypto_id, type, quantity, price_usd, fee_usd, timestamp, notes)
        SELECT ?, crypto_id, type, quantity, price_usd, fee_usd, timestamp, notes
@@ -152,6 +178,9 @@ api.post('/user/portfolios/:id/duplicate', authenticateUser, async (req, res) =>
       [newId, sourceId]
     );
 
+    // Rebuild realized P&L and tax lots against the cloned transaction ids
+    await recomputePortfolioHoldings(newId);
+
     res.status(201).json({ data: { id: newId, name: name.trim(), description } });
   } catch (error) {
     log.error(`Duplicate portfolio error: ${error.message}`);
@@ -160,14 +189,22 @@ api.post('/user/portfolios/:id/duplicate', authenticateUser, async (req, res) =>
 });
 
 // Delete portfolio
-api.delete('/user/portfolios/:id', authenticateUser, async (req, res) => {
+api.delete('/user/portfolios/:id', allowApiKey('portfolios:write'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
       return res.status(404).json({ data: null, msg: 'Portfolio not found' });
     }
 
+    // Transfers to/from other portfolios become one-sided: rebuild those sides
+    const linkedHoldings = await findLinkedHoldings(portfolioId);
+
     await Database.execute('DELETE FROM user_portfolios WHERE id = ?', [portfolioId]);
+
+    for (const holding of linkedHoldings) {
+      await recomputeHolding(holding.portfolioId, holding.cryptoId);
+    }
+
     res.json({ data: null, msg: 'Portfolio deleted' });
   } catch (error) {
     log.error(`Delete portfolio error: ${error.message}`);
@@ -180,7 +217,7 @@ api.delete('/user/portfolios/:id', authenticateUser, async (req, res) => {
 // List holdings across ALL of the user's portfolios in a single round-trip.
 // Used by the dashboard and portfolios-list pages to compute live totals
 // without N+1 fetches.
-api.get('/user/holdings/all', authenticateUser, async (req, res) => {
+api.get('/user/holdings/all', allowApiKey('portfolios:read'), authenticateUser, async (req, res) => {
   try {
     const [holdings] = await Database.execute(
       `SELECT
@@ -202,7 +239,11 @@ api.get('/user/holdings/all', authenticateUser, async (req, res) => {
           THEN ((md.price_usd - h.avg_buy_price) / h.avg_buy_price * 100)
           ELSE 0
         END AS pnl_percent,
-        md.percent_change_24h
+        md.percent_change_24h,
+        (
+          SELECT COALESCE(SUM(ut.fee_usd), 0) FROM user_transactions ut
+          WHERE ut.portfolio_id = h.portfolio_id AND ut.crypto_id = h.crypto_id
+        ) AS total_fees_usd
       FROM user_portfolios p
       JOIN user_portfolio_holdings h ON h.portfolio_id = p.id
       JOIN cryptocurrencies c ON c.id = h.crypto_id
@@ -235,7 +276,7 @@ api.get('/user/holdings/all', authenticateUser, async (req, res) => {
 // ─── Holdings CRUD ──────────────────────────────────────────────────────────
 
 // List holdings with live prices
-api.get('/user/portfolios/:id/holdings', authenticateUser, async (req, res) => {
+api.get('/user/portfolios/:id/holdings', allowApiKey('portfolios:read'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -265,7 +306,11 @@ api.get('/user/portfolios/:id/holdings', authenticateUser, async (req, res) => {
           SELECT COUNT(*) FROM user_transactions ut
           WHERE ut.portfolio_id = h.portfolio_id AND ut.crypto_id = h.crypto_id
             AND NOT (ut.type = 'buy' AND ut.notes = 'Initial position (Add Holding)')
-        ) AS real_tx_count
+        ) AS real_tx_count,
+        (
+          SELECT COALESCE(SUM(ut.fee_usd), 0) FROM user_transactions ut
+          WHERE ut.portfolio_id = h.portfolio_id AND ut.crypto_id = h.crypto_id
+        ) AS total_fees_usd
       FROM user_portfolio_holdings h
       JOIN cryptocurrencies c ON c.id = h.crypto_id
       LEFT JOIN market_data md ON md.crypto_id = h.crypto_id
@@ -277,12 +322,13 @@ api.get('/user/portfolios/:id/holdings', authenticateUser, async (req, res) => {
 
     // Compute total for allocation percentages
     const totalValue = holdings.reduce((sum, h) => sum + (h.current_value || 0), 0);
+    const totalFees = holdings.reduce((sum, h) => sum + h.total_fees_usd, 0);
     const data = holdings.map(h => ({
       ...h,
       allocation_pct: totalValue > 0 ? ((h.current_value / totalValue) * 100) : 0,
     }));
 
-    res.json({ data, totalValue });
+    res.json({ data, totalValue, totalFees });
   } catch (error) {
     log.error(`List holdings error: ${error.message}`);
     res.status(500).json({ data: null, msg: 'Failed to fetch holdings' });
@@ -290,7 +336,7 @@ api.get('/user/portfolios/:id/holdings', authenticateUser, async (req, res) => {
 });
 
 // Add holding
-api.post('/user/portfolios/:id/holdings', authenticateUser, async (req, res) => {
+api.post('/user/portfolios/:id/holdings', allowApiKey('portfolios:write'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -312,9 +358,11 @@ api.post('/user/portfolios/:id/holdings', authenticateUser, async (req, res) =>
       return res.status(400).json({ data: null, msg: 'Cryptocurrency not found' });
     }
 
-    // Free plan: max 10 OPEN cryptos per portfolio (closed positions with
+    // Plan limit: OPEN cryptos per portfolio (closed positions with
     // qty=0 don't count — they're history).
-    if (req.user.plan === 'free') {
+    const entitlements = getEntitlements(req.user);
+    const maxHoldings = entitlements.limits.holdingsPerPortfolio;
+    if (maxHoldings !== null) {
       const [existingHolding] = await Database.execute(
         'SELECT id, quantity FROM user_portfolio_holdings WHERE portfolio_id = ? AND crypto_id = ?',
         [portfolioId, crypto_id]
@@ -326,8 +374,8 @@ api.post('/user/portfolios/:id/holdings', authenticateUser, async (req, res) =>
           [portfolioId]
         );
 
-        if (count[0].cnt >= 10) {
-          return res.status(403).json({ data: null, msg: 'Free plan allows max 10 cryptos per portfolio. Upgrade to Pro.' });
+        if (!isWithinLimit(maxHoldings, count[0].cnt)) {
+          return res.status(403).json({ data: null, msg: limitReachedMessage(entitlements, maxHoldings, 'cryptos per portfolio') });
         }
       }
     }
@@ -361,7 +409,7 @@ api.post('/user/portfolios/:id/holdings', authenticateUser, async (req, res) =>
 
 // Update holding (only allowed when no real transaction history exists —
 // just the synthetic "Initial position" tx, or no tx at all).
-api.put('/user/portfolios/:id/holdings/:holdingId', authenticateUser, async (req, res) => {
+api.put('/user/portfolios/:id/holdings/:holdingId', allowApiKey('portfolios:write'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -449,7 +497,7 @@ api.put('/user/portfolios/:id/holdings/:holdingId', authenticateUser, async (req
 });
 
 // Delete holding
-api.delete('/user/portfolios/:id/holdings/:holdingId', authenticateUser, async (req, res) => {
+api.delete('/user/portfolios/:id/holdings/:holdingId', allowApiKey('portfolios:write'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -470,6 +518,8 @@ api.delete('/user/portfolios/:id/holdings/:holdingId', authenticateUser, async (
       return res.status(404).json({ data: null, msg: 'Holding not found' });
     }
 
+    const linkedHoldings = await findLinkedHoldings(portfolioId, holdingRow[0].crypto_id);
+
     await Database.execute(
       'DELETE FROM user_transactions WHERE portfolio_id = ? AND crypto_id = ?',
       [portfolioId, holdingRow[0].crypto_id]
@@ -479,6 +529,10 @@ api.delete('/user/portfolios/:id/holdings/:holdingId', authenticateUser, async (
       holdingId,
     ]);
 
+    for (const holding of linkedHoldings) {
+      await recomputeHolding(holding.portfolioId, holding.cryptoId);
+    }
+
     res.json({ data: null, msg: 'Holding deleted' });
   } catch (error) {
     log.error(`Delete holding error: ${error.message}`);
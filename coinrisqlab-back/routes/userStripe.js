@@ -3,15 +3,67 @@ import api from '../lib/api.js';
 import Database from '../lib/database.js';
 import log from '../lib/log.js';
 import Config from '../utils/config.js';
-import Stripe from 'stripe';
+import stripe, {
+  findPromotionCode,
+  getSubscriptionPeriodEnd,
+  isFirstTimeSubscriber,
+} from '../lib/stripe.js';
 import { authenticateUser } from '../middleware/userAuth.js';
-
-const stripe = Config.STRIPE_SECRET_KEY && Config.STRIPE_SECRET_KEY !== 'sk_test_REPLACE_ME'
-  ? new Stripe(Config.STRIPE_SECRET_KEY)
-  : null;
+import { getGraceEndDate, notifyBillingStatus, notifyTrialEnding } from '../utils/billing.js';
+import { isPaidPlan } from '../utils/entitlements.js';
 
 const FRONT_URL = `http${Config.COINRISQLAB_FRONT_HTTPSECURE ? 's' : ''}://${Config.COINRISQLAB_FRONT_HOSTNAME}${Config.COINRISQLAB_FRONT_HTTPSECURE ? '' : `:${Config.COINRISQLAB_FRONT_PORT}`}`;
 
+// Stripe prices by billing interval; the annual price is optional
+const PRICE_IDS = {
+  month: Config.STRIPE_PRICE_ID,
+  year: Config.STRIPE_PRICE_ID_ANNUAL,
+};
+
+async function getStripeCustomerId(userId) {
+  const [users] = await Database.execute(
+    'SELECT stripe_customer_id FROM users WHERE id = ?',
+    [userId]
+  );
+
+  return users[0]?.stripe_customer_id || null;
+}
+
+/**
+ * Trial length offered to a customer: STRIPE_TRIAL_DAYS for first-time
+ * subscribers, 0 otherwise.
+ */
+async function getTrialDays(customerId) {
+  if (Config.STRIPE_TRIAL_DAYS <= 0) return 0;
+
+  return (await isFirstTimeSubscriber(customerId)) ? Config.STRIPE_TRIAL_DAYS : 0;
+}
+
+// ─── Plans (prices + trial eligibility) ─────────────────────────────────────
+
+api.get('/user/stripe/plans', authenticateUser, async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(503).json({ data: null, msg: 'Payment service not configured' });
+    }
+
+    const configured = Object.entries(PRICE_IDS).filter(([, priceId]) => priceId);
+    const prices = await Promise.all(
+      configured.map(async ([interval, priceId]) => {
+        const price = await stripe.prices.retrieve(priceId);
+        return { interval, amount: price.unit_amount, currency: price.currency };
+      })
+    );
+
+    const trialDays = await getTrialDays(await getStripeCustomerId(req.user.id));
+
+    res.json({ data: { prices, trialDays } });
+  } catch (error) {
+    log.error(`Stripe plans error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch plans' });
+  }
+});
+
 // ─── Create Checkout Session ────────────────────────────────────────────────
 
 api.post('/user/stripe/create-checkout-session', authenticateUser, async (req, res) => {
@@ -20,14 +72,29 @@ api.post('/user/stripe/create-checkout-session', authenticateUser, async (req, r
       return res.status(503).json({ data: null, msg: 'Payment service not configured' });
     }
 
-    // Get or create Stripe customer
-    let stripeCustomerId;
-    const [users] = await Database.execute(
-      'SELECT stripe_customer_id FROM users WHERE id = ?',
-      [req.user.id]
-    );
+    const { interval = 'month', promotionCode } = req.body || {};
+
+    if (!Object.hasOwn(PRICE_IDS, interval)) {
+      return res.status(400).json({ data: null, msg: 'interval must be month or year' });
+    }
+
+    const priceId = PRICE_IDS[interval];
+    if (!priceId) {
+      return res.status(400).json({ data: null, msg: `The ${interval}ly plan is not available` });
+    }
+
+    // Promotion code typed on our pricing page; otherwise Stripe Checkout shows its own field
+    let discounts = null;
+    if (promotionCode && String(promotionCode).trim()) {
+      const promotion = await findPromotionCode(String(promotionCode).trim());
+      if (!promotion) {
+        return res.status(400).json({ data: null, msg: 'Invalid or expired promotion code' });
+      }
+      discounts = [{ promotion_code: promotion.id }];
+    }
 
-    stripeCustomerId = users[0]?.stripe_customer_id;
+    // Get or create Stripe customer
+    let stripeCustomerId = await getStripeCustomerId(req.user.id);
 
     if (!stripeCustomerId) {
       const customer = await stripe.customers.create({
@@ -41,16 +108,23 @@ api.post('/user/stripe/create-checkout-session', authenticateUser, async (req, r
       );
     }
 
+    const trialDays = await getTrialDays(stripeCustomerId);
+
     const session = await stripe.checkout.sessions.create({
       customer: stripeCustomerId,
       mode: 'subscription',
-      line_items: [{ price: Config.STRIPE_PRICE_ID, quantity: 1 }],
+      line_items: [{ price: priceId, quantity: 1 }],
+      ...(discounts ? { discounts } : { allow_promotion_codes: true }),
+      subscription_data: {
+        metadata: { userId: String(req.user.id) },
+        ...(trialDays > 0 ? { trial_period_days: trialDays } : {}),
+      },
       success_url: `${FRONT_URL}/dashboard/pricing/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${FRONT_URL}/dashboard/pricing/cancel`,
-      metadata: { userId: String(req.user.id) },
+      metadata: { userId: String(req.user.id), interval },
     });
 
-    res.json({ data: { url: session.url } });
+    res.json({ data: { url: session.url, trialDays } });
   } catch (error) {
     log.error(`Stripe checkout error: ${error.message}`);
     res.status(500).json({ data: null, msg: 'Failed to create checkout session' });
@@ -65,12 +139,7 @@ api.post('/user/stripe/create-portal-session', authenticateUser, async (req, res
       return res.status(503).json({ data: null, msg: 'Payment service not configured' });
     }
 
-    const [users] = await Database.execute(
-      'SELECT stripe_customer_id FROM users WHERE id = ?',
-      [req.user.id]
-    );
-
-    const stripeCustomerId = users[0]?.stripe_customer_id;
+    const stripeCustomerId = await getStripeCustomerId(req.user.id);
     if (!stripeCustomerId) {
       return res.status(400).json({ data: null, msg: 'No billing account found' });
     }
@@ -87,9 +156,341 @@ api.post('/user/stripe/create-portal-session', authenticateUser, async (req, res
   }
 });
 
+// ─── Invoice History ────────────────────────────────────────────────────────
+
+function formatInvoice(invoice) {
+  const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+  return {
+    id: invoice.id,
+    number: invoice.number,
+    status: invoice.status,
+    total: invoice.total,
+    amountPaid: invoice.amount_paid,
+    amountDue: invoice.amount_due,
+    currency: invoice.currency,
+    created: toDate(invoice.created),
+    periodStart: toDate(invoice.period_start),
+    periodEnd: toDate(invoice.period_end),
+    hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+    invoicePdf: invoice.invoice_pdf || null,
+  };
+}
+
+api.get('/user/stripe/invoices', authenticateUser, async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(503).json({ data: null, msg: 'Payment service not configured' });
+    }
+
+    const stripeCustomerId = await getStripeCustomerId(req.user.id);
+    if (!stripeCustomerId) {
+      return res.json({ data: [], hasMore: false });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 100);
+    const invoices = await stripe.invoices.list({
+      customer: stripeCustomerId,
+      limit,
+      ...(req.query.startingAfter ? { starting_after: String(req.query.startingAfter) } : {}),
+    });
+
+    res.json({ data: invoices.data.map(formatInvoice), hasMore: invoices.has_more });
+  } catch (error) {
+    log.error(`Stripe invoices error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch invoices' });
+  }
+});
+
 // ─── Webhook ────────────────────────────────────────────────────────────────
 // This endpoint needs raw body for signature verification.
 // We use a separate router with express.raw() middleware.
+//
+// Every event is recorded in stripe_events: a redelivered event that was already
+// processed is acknowledged without being applied again, and users.stripe_event_at
+// holds the `created` time of the last event applied to a user so an older event
+// delivered late (e.g. subscription.updated after subscription.deleted) is skipped.
+// `created` only has one-second resolution, so events created in the same second
+// are ordered by users.stripe_event_rank instead of by arrival.
+
+// A delivery stuck in 'processing' (crash mid-way) can be claimed again after this delay
+const STRIPE_EVENT_STALE_MINUTES = 5;
+
+const OUT_OF_ORDER_REASON = 'Out of order: a newer event was already applied';
+
+// How far along its lifecycle an event puts the subscription. Among events created
+// in the same second the furthest state wins, so a subscription.updated (active)
+// created alongside subscription.deleted cannot reactivate the plan.
+const EVENT_RANK = {
+  live: 0,
+  pastDue: 1,
+  unpaid: 2,
+  ended: 3,
+};
+
+/**
+ * Record a delivery in the ledger and claim the event for processing.
+ * @returns {Promise<boolean>} false if the event was already handled or is being handled
+ */
+async function claimStripeEvent(event) {
+  const customer = event.data.object?.customer;
+  const customerId = typeof customer === 'string' ? customer : customer?.id || null;
+
+  const [inserted] = await Database.execute(
+    `INSERT IGNORE INTO stripe_events (id, type, stripe_created_at, customer_id, payload)
+     VALUES (?, ?, ?, ?, ?)`,
+    [event.id, event.type, new Date(event.created * 1000), customerId, JSON.stringify(event)]
+  );
+
+  if (inserted.affectedRows === 1) return true;
+
+  // Retry of a failed delivery, or of one that never finished
+  const [retried] = await Database.execute(
+    `UPDATE stripe_events
+     SET status = 'processing', error = NULL, attempts = attempts + 1, last_attempt_at = NOW()
+     WHERE id = ?
+       AND (status = 'failed'
+            OR (status = 'processing' AND last_attempt_at < NOW() - INTERVAL ${STRIPE_EVENT_STALE_MINUTES} MINUTE))`,
+    [event.id]
+  );
+
+  return retried.affectedRows === 1;
+}
+
+async function finishStripeEvent(
+  eventId,
+  status,
+  { userId = null, skipReason = null, error = null } = {}
+) {
+  await Database.execute(
+    `UPDATE stripe_events
+     SET status = ?, user_id = ?, skip_reason = ?, error = ?, processed_at = ?
+     WHERE id = ?`,
+    [status, userId, skipReason, error, status === 'failed' ? null : new Date(), eventId]
+  );
+}
+
+const BILLING_COLUMNS = {
+  plan: 'plan',
+  planExpiresAt: 'plan_expires_at',
+  billingStatus: 'billing_status',
+  graceEndsAt: 'grace_ends_at',
+  trialEndsAt: 'trial_ends_at',
+};
+
+/**
+ * Apply plan / dunning changes from an event unless a more recent event was
+ * already applied to the user. An event created in the same second as the
+ * last applied one is applied only if its rank is not lower. The user is
+ * notified when the billing status changes.
+ *
+ * @param {{ id: number, billing_status: string }} user
+ * @param {object} event
+ * @param {{ plan?: string, planExpiresAt?: Date|null, billingStatus?: string, graceEndsAt?: Date|null, trialEndsAt?: Date|null }} changes
+ * @param {number} rank EVENT_RANK of the event
+ * @returns {Promise<boolean>} false if the event is older than the last applied one
+ */
+async function applyBillingFromEvent(user, event, changes, rank) {
+  const eventAt = new Date(event.created * 1000);
+  const statusChanged =
+    changes.billingStatus !== undefined && changes.billingStatus !== user.billing_status;
+
+  const assignments = Object.keys(changes).map((key) => `${BILLING_COLUMNS[key]} = ?`);
+  if (statusChanged) assignments.push('billing_status_changed_at = NOW()');
+
+  const [result] = await Database.execute(
+    `UPDATE users SET ${assignments.join(', ')}, stripe_event_at = ?, stripe_event_rank = ?
+     WHERE id = ?
+       AND (stripe_event_at IS NULL
+            OR stripe_event_at < ?
+            OR (stripe_event_at = ? AND stripe_event_rank <= ?))`,
+    [...Object.values(changes), eventAt, rank, user.id, eventAt, eventAt, rank]
+  );
+
+  if (result.affectedRows !== 1) return false;
+
+  if (statusChanged) {
+    await notifyBillingStatus(user.id, changes.billingStatus, {
+      graceEndsAt: changes.graceEndsAt ?? null,
+    });
+  }
+
+  return true;
+}
+
+/**
+ * An active or trialing subscription: Pro until the end of the current period.
+ */
+function liveSubscriptionChanges(subscription) {
+  const trialing = subscription.status === 'trialing' && subscription.trial_end;
+
+  return {
+    plan: 'pro',
+    planExpiresAt: getSubscriptionPeriodEnd(subscription),
+    billingStatus: 'active',
+    graceEndsAt: null,
+    trialEndsAt: trialing ? new Date(subscription.trial_end * 1000) : null,
+  };
+}
+
+/**
+ * A payment failed while Stripe keeps retrying: active Pro users become past_due.
+ */
+function pastDueChanges(user) {
+  return isPaidPlan(user.plan) && user.billing_status === 'active'
+    ? { billingStatus: 'past_due' }
+    : null;
+}
+
+/**
+ * Stripe gave up on the payment: start the grace period (once).
+ */
+function graceChanges(user) {
+  return isPaidPlan(user.plan) && ['active', 'past_due'].includes(user.billing_status)
+    ? { billingStatus: 'grace', graceEndsAt: getGraceEndDate() }
+    : null;
+}
+
+/**
+ * The subscription ended. After failed payments the user keeps Pro for the
+ * grace period (commands/expireBillingGrace.js downgrades them); otherwise
+ * the plan goes back to free right away.
+ */
+function subscriptionEndedChanges(user) {
+  if (user.billing_status === 'past_due') return graceChanges(user);
+  if (user.billing_status === 'grace') return null;
+
+  return { plan: 'free', planExpiresAt: null, trialEndsAt: null };
+}
+
+async function findUser(column, value) {
+  const [users] = await Database.execute(
+    `SELECT id, plan, billing_status FROM users WHERE ${column} = ?`,
+    [value ?? null]
+  );
+
+  return users[0] || null;
+}
+
+/**
+ * Apply a verified event.
+ * @returns {Promise<{ userId: number|null, skipReason: string|null }>}
+ */
+async function handleStripeEvent(event) {
+  const object = event.data.object;
+
+  // Apply `changes` (if any) to `user` and build the ledger outcome
+  const apply = async (user, changes, rank, message) => {
+    if (changes && !(await applyBillingFromEvent(user, event, changes, rank))) {
+      return { userId: user.id, skipReason: OUT_OF_ORDER_REASON };
+    }
+    if (changes && message) log.info(message);
+
+    return { userId: user.id, skipReason: null };
+  };
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const user = await findUser('id', parseInt(object.metadata?.userId) || 0);
+      if (!user || !object.subscription) {
+        return { userId: null, skipReason: 'No user or subscription on the session' };
+      }
+
+      // Fetch subscription to get the period end and trial
+      const subscription = await stripe.subscriptions.retrieve(object.subscription);
+
+      return apply(
+        user,
+        liveSubscriptionChanges(subscription),
+        EVENT_RANK.live,
+        `User ${user.id} upgraded to pro (subscription: ${object.subscription})`
+      );
+    }
+
+    case 'customer.subscription.updated': {
+      const user = await findUser('stripe_customer_id', object.customer);
+      if (!user) return { userId: null, skipReason: 'Unknown customer' };
+
+      let changes;
+      let rank;
+      switch (object.status) {
+        case 'active':
+        case 'trialing':
+          changes = liveSubscriptionChanges(object);
+          rank = EVENT_RANK.live;
+          break;
+        case 'past_due':
+          changes = pastDueChanges(user);
+          rank = EVENT_RANK.pastDue;
+          break;
+        case 'unpaid':
+          changes = graceChanges(user);
+          rank = EVENT_RANK.unpaid;
+          break;
+        default:
+          changes = subscriptionEndedChanges(user);
+          rank = EVENT_RANK.ended;
+      }
+
+      return apply(
+        user,
+        changes,
+        rank,
+        `Subscription updated for user ${user.id}: status=${object.status}`
+      );
+    }
+
+    case 'customer.subscription.deleted': {
+      const user = await findUser('stripe_customer_id', object.customer);
+      if (!user) return { userId: null, skipReason: 'Unknown customer' };
+
+      return apply(
+        user,
+        subscriptionEndedChanges(user),
+        EVENT_RANK.ended,
+        `Subscription deleted for user ${user.id}`
+      );
+    }
+
+    case 'customer.subscription.trial_will_end': {
+      const user = await findUser('stripe_customer_id', object.customer);
+      if (!user) return { userId: null, skipReason: 'Unknown customer' };
+
+      await notifyTrialEnding(user.id, new Date(object.trial_end * 1000));
+
+      return { userId: user.id, skipReason: null };
+    }
+
+    case 'invoice.payment_failed': {
+      log.warn(`Payment failed for customer ${object.customer}`);
+
+      const user = await findUser('stripe_customer_id', object.customer);
+      if (!user) return { userId: null, skipReason: 'Unknown customer' };
+
+      return apply(user, pastDueChanges(user), EVENT_RANK.pastDue, `User ${user.id} is past due`);
+    }
+
+    case 'invoice.paid': {
+      const user = await findUser('stripe_customer_id', object.customer);
+      if (!user) return { userId: null, skipReason: 'Unknown customer' };
+
+      // The plan itself is restored by the customer.subscription.updated that follows
+      const changes =
+        user.billing_status === 'active' ? null : { billingStatus: 'active', graceEndsAt: null };
+
+      return apply(
+        user,
+        changes,
+        EVENT_RANK.live,
+        `User ${user.id} recovered from ${user.billing_status}`
+      );
+    }
+
+    default:
+      log.debug(`Unhandled Stripe event: ${event.type}`);
+      return { userId: null, skipReason: 'Unhandled event type' };
+  }
+}
 
 const webhookRouter = express.Router();
 webhookRouter.use(express.raw({ type: 'application/json' }));
@@ -110,79 +511,38 @@ webhookRouter.post('/', async (req, res) => {
   }
 
   try {
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const userId = session.metadata?.userId;
-        if (userId && session.subscription) {
-          // Fetch subscription to get current_period_end
-          const subscription = await stripe.subscriptions.retrieve(session.subscription);
-          const periodEnd = new Date(subscription.current_period_end * 1000);
-          await Database.execute(
-            'UPDATE users SET plan = ?, plan_expires_at = ? WHERE id = ?',
-            ['pro', periodEnd, userId]
-          );
-          log.info(`User ${userId} upgraded to pro (subscription: ${session.subscription})`);
-        }
-        break;
-      }
-
-      case 'customer.subscription.updated': {
-        const subscription = event.data.object;
-        const customerId = subscription.customer;
-        const [users] = await Database.execute(
-          'SELECT id FROM users WHERE stripe_customer_id = ?',
-          [customerId]
-        );
-        if (users.length > 0) {
-          const periodEnd = new Date(subscription.current_period_end * 1000);
-          const status = subscription.status;
-          if (status === 'active' || status === 'trialing') {
-            await Database.execute(
-              'UPDATE users SET plan = ?, plan_expires_at = ? WHERE id = ?',
-              ['pro', periodEnd, users[0].id]
-            );
-          } else {
-            await Database.execute(
-              'UPDATE users SET plan = ?, plan_expires_at = NULL WHERE id = ?',
-              ['free', users[0].id]
-            );
-          }
-          log.info(`Subscription updated for user ${users[0].id}: status=${status}`);
-        }
-        break;
-      }
-
-      case 'customer.subscription.deleted': {
-        const subscription = event.data.object;
-        const customerId = subscription.customer;
-        const [users] = await Database.execute(
-          'SELECT id FROM users WHERE stripe_customer_id = ?',
-          [customerId]
-        );
-        if (users.length > 0) {
-          await Database.execute(
-            'UPDATE users SET plan = ?, plan_expires_at = NULL WHERE id = ?',
-            ['free', users[0].id]
-          );
-          log.info(`User ${users[0].id} downgraded to free (subscription deleted)`);
-        }
-        break;
-      }
+    if (!(await claimStripeEvent(event))) {
+      log.debug(`Stripe event ${event.id} already handled, ignoring redelivery`);
+      return res.json({ received: true, duplicate: true });
+    }
+  } catch (error) {
+    log.error(`Stripe webhook ledger error: ${error.message}`);
+    return res.status(500).json({ data: null, msg: 'Webhook processing failed' });
+  }
 
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        log.warn(`Payment failed for customer ${invoice.customer}`);
-        break;
-      }
+  try {
+    const { userId, skipReason } = await handleStripeEvent(event);
 
-      default:
-        log.debug(`Unhandled Stripe event: ${event.type}`);
+    if (skipReason === OUT_OF_ORDER_REASON) {
+      log.warn(`Stripe event ${event.id} (${event.type}) skipped: ${skipReason}`);
     }
 
+    await finishStripeEvent(event.id, skipReason ? 'skipped' : 'processed', {
+      userId,
+      skipReason,
+    });
+
     res.json({ received: true });
   } catch (error) {
     log.error(`Stripe webhook processing error: ${error.message}`);
+
+    // Stripe retries on 5xx; the retry reclaims the failed event
+    try {
+      await finishStripeEvent(event.id, 'failed', { error: error.message });
+    } catch (ledgerError) {
+      log.error(`Stripe webhook ledger error: ${ledgerError.message}`);
+    }
+
     res.status(500).json({ data: null, msg: 'Webhook processing failed' });
   }
 });
@@ -1,8 +1,19 @@
 import api from '../lib/api.js';
 import Database from '../lib/database.js';
 import log from '../lib/log.js';
-import { authenticateUser } from '../middleware/userAuth.js';
-import { requirePro } from '../middleware/requirePro.js';
+import { allowApiKey, authenticateUser } from '../middleware/userAuth.js';
+import { requireFeature } from '../middleware/requireFeature.js';
+import { getEntitlements, isWithinLimit, limitReachedMessage } from '../utils/entitlements.js';
+import { recomputeHolding } from '../utils/holdings.js';
+import { ACQUISITION_TYPES, DISPOSAL_TYPES, walkTransactions } from '../utils/taxLots.js';
+import {
+  IMPORT_SOURCES,
+  commitImport,
+  previewCsvImport,
+  previewRowsImport,
+  undoImport,
+  validateTransaction,
+} from '../utils/transactionImport.js';
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
@@ -15,161 +26,34 @@ async function verifyPortfolioOwnership(portfolioId, userId) {
 }
 
 /**
- * Walk the full transaction history chronologically and produce the current
- * lot state. Returns null if any transaction would push qty negative
- * (impossible state — the caller should reject the operation).
- *
- * Convention:
- *   - Buys add to the open lot. avg_buy_price = weighted average of the
- *     OPEN-LOT buys only. When a previous lot was fully sold (qty hit 0)
- *     and a new buy arrives, the cost basis RESETS — the new lot starts
- *     fresh. This matches how a portfolio tracker like CoinGecko reports
- *     "current avg buy price" after a full liquidation cycle.
- *   - Sells reduce qty. Realised P&L is accumulated as
- *     sellQty × (sellPrice − avg_buy_at_that_moment). This number is
- *     CRYSTALLISED — it is never erased even if the line is later
- *     re-opened with a new buy.
- *   - Transfers don't move qty or cost basis (kept consistent with the
- *     previous implementation).
- *
- * Floating-point safety: tiny residuals (|qty| < EPSILON) are clamped
- * to exactly 0.
+ * Whether the plan's holdings cap lets a portfolio hold cryptoId
+ * (always true when it already holds it).
  */
-const QTY_EPSILON = 1e-12;
-
-function walkTransactions(txs) {
-  let totalQty = 0;
-  let openLotQty = 0;     // qty acquired since the last "qty=0" reset
-  let openLotCost = 0;    // cumulative USD cost of openLotQty
-  let realizedPnl = 0;
-  let firstBuyDate = null;
-  let invalid = false;
-
-  for (const t of txs) {
-    const q = parseFloat(t.quantity);
-    const p = parseFloat(t.price_usd);
-
-    if (t.type === 'buy') {
-      // If the previous lot was closed (qty=0), the new buy starts a fresh
-      // cost basis. Realised P&L stays — it's history.
-      if (totalQty <= QTY_EPSILON) {
-        openLotQty = q;
-        openLotCost = q * p;
-      } else {
-        openLotQty += q;
-        openLotCost += q * p;
-      }
-      totalQty += q;
-      if (firstBuyDate === null) firstBuyDate = t.timestamp;
-    } else if (t.type === 'sell') {
-      // Validate: cannot sell more than currently held. Caller decides
-      // how to react (reject the new operation, or allow with clamp).
-      if (q > totalQty + QTY_EPSILON) {
-        invalid = true;
-        break;
-      }
-      const avgAtSell = openLotQty > 0 ? openLotCost / openLotQty : 0;
-
-      realizedPnl += q * (p - avgAtSell);
-      totalQty -= q;
-      // Reduce the open lot's qty proportionally — the cost basis per unit
-      // stays the same so the avg doesn't drift on partial sells.
-      const reduction = openLotQty > 0 ? Math.min(q / openLotQty, 1) : 0;
-
-      openLotCost = openLotCost * (1 - reduction);
-      openLotQty = openLotQty * (1 - reduction);
-      // Clamp residuals
-      if (Math.abs(totalQty) < QTY_EPSILON) totalQty = 0;
-      if (Math.abs(openLotQty) < QTY_EPSILON) openLotQty = 0;
-      if (openLotQty === 0) openLotCost = 0;
-    } else if (t.type === 'transfer') {
-      // No-op on qty / cost basis (consistent with previous behaviour).
-    }
-  }
-
-  return {
-    invalid,
-    totalQty: Math.abs(totalQty) < QTY_EPSILON ? 0 : totalQty,
-    avgBuyPrice: openLotQty > 0 ? openLotCost / openLotQty : 0,
-    realizedPnl,
-    firstBuyDate,
-  };
-}
+async function canAddHolding(entitlements, portfolioId, cryptoId) {
+  const maxHoldings = entitlements.limits.holdingsPerPortfolio;
+  if (maxHoldings === null) return true;
 
-/**
- * Recompute a holding from the full transaction history. Holdings are a
- * derived cache; user_transactions is the single source of truth.
- *
- * Throws an error with code='INVALID_TX_HISTORY' if the existing tx
- * sequence is impossible (e.g. a sell larger than what was held at that
- * moment) — the caller should surface that as a 400 to the user instead
- * of silently producing a corrupt state.
- *
- * Lines with qty=0 are KEPT (not deleted) so realised P&L stays visible.
- * The user can manually delete the row when they want it gone.
- */
-export async function recomputeHolding(portfolioId, cryptoId) {
-  const [txs] = await Database.execute(
-    `SELECT type, quantity, price_usd, timestamp
-     FROM user_transactions
-     WHERE portfolio_id = ? AND crypto_id = ?
-     ORDER BY timestamp ASC, id ASC`,
-    [portfolioId, cryptoId]
-  );
-
-  const state = walkTransactions(txs);
-
-  if (state.invalid) {
-    const err = new Error('Transaction sequence would push quantity below zero');
-
-    err.code = 'INVALID_TX_HISTORY';
-    throw err;
-  }
-
-  const [existing] = await Database.execute(
+  const [existingHolding] = await Database.execute(
     'SELECT id FROM user_portfolio_holdings WHERE portfolio_id = ? AND crypto_id = ?',
     [portfolioId, cryptoId]
   );
+  if (existingHolding.length > 0) return true;
 
-  if (txs.length === 0) {
-    // Last transaction was deleted → no history → drop the holding row.
-    if (existing.length > 0) {
-      await Database.execute(
-        'DELETE FROM user_portfolio_holdings WHERE id = ?',
-        [existing[0].id]
-      );
-    }
-    return;
-  }
+  const [count] = await Database.execute(
+    'SELECT COUNT(*) AS cnt FROM user_portfolio_holdings WHERE portfolio_id = ?',
+    [portfolioId]
+  );
 
-  if (existing.length > 0) {
-    await Database.execute(
-      `UPDATE user_portfolio_holdings
-       SET quantity = ?, avg_buy_price = ?, realized_pnl_usd = ?
-       WHERE id = ?`,
-      [state.totalQty, state.avgBuyPrice, state.realizedPnl, existing[0].id]
-    );
-  } else {
-    const fbDate = state.firstBuyDate
-      ? new Date(state.firstBuyDate).toISOString().slice(0, 10)
-      : new Date().toISOString().slice(0, 10);
-
-    await Database.execute(
-      `INSERT INTO user_portfolio_holdings
-         (portfolio_id, crypto_id, quantity, avg_buy_price, realized_pnl_usd, first_buy_date)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [portfolioId, cryptoId, state.totalQty, state.avgBuyPrice, state.realizedPnl, fbDate]
-    );
-  }
+  return isWithinLimit(maxHoldings, count[0].cnt);
 }
 
 /**
  * Predict whether the next transaction would produce an invalid state
- * (sell > current qty). Used by POST /transactions to reject sells before
- * they're written. Returns true if the prospective tx is OK.
+ * (sell or transfer out > current qty). Used by POST /transactions to reject
+ * disposals before they're written. Returns true if the prospective tx is OK.
  */
 async function wouldTxBeValid(portfolioId, cryptoId, type, quantity, timestamp) {
-  if (type !== 'sell') return true;
+  if (!DISPOSAL_TYPES.includes(type)) return true;
   const [txs] = await Database.execute(
     `SELECT type, quantity, price_usd, timestamp
      FROM user_transactions
@@ -178,7 +62,7 @@ async function wouldTxBeValid(portfolioId, cryptoId, type, quantity, timestamp)
     [portfolioId, cryptoId]
   );
 
-  // Insert the prospective sell at the right chronological spot
+  // Insert the prospective disposal at the right chronological spot
   const projected = [
     ...txs,
     { type, quantity, price_usd: 0, timestamp: timestamp || new Date().toISOString() },
@@ -193,7 +77,7 @@ async function wouldTxBeValid(portfolioId, cryptoId, type, quantity, timestamp)
 
 // ─── List Transactions ──────────────────────────────────────────────────────
 
-api.get('/user/portfolios/:id/transactions', authenticateUser, async (req, res) => {
+api.get('/user/portfolios/:id/transactions', allowApiKey('transactions:read'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -204,16 +88,21 @@ api.get('/user/portfolios/:id/transactions', authenticateUser, async (req, res)
     const limit = parseInt(req.query.limit) || 50;
     const offset = (page - 1) * limit;
 
-    // Free plan: only last 30 transactions
-    const effectiveLimit = req.user.plan === 'free' ? Math.min(limit, 30) : limit;
-    const effectiveOffset = req.user.plan === 'free' ? 0 : offset;
+    // Plan limit: only the most recent transactions
+    const maxTransactions = getEntitlements(req.user).limits.transactionHistory;
+    const effectiveLimit = maxTransactions !== null ? Math.min(limit, maxTransactions) : limit;
+    const effectiveOffset = maxTransactions !== null ? 0 : offset;
 
     const [transactions] = await Database.execute(
       `SELECT
         t.id, t.crypto_id, c.symbol, c.name AS crypto_name, c.image_url,
-        t.type, t.quantity, t.price_usd, t.fee_usd, t.timestamp, t.notes, t.created_at
+        t.type, t.quantity, t.price_usd, t.fee_usd, t.timestamp, t.notes, t.created_at,
+        t.linked_transaction_id, lp.id AS linked_portfolio_id, lp.name AS linked_portfolio_name,
+        t.import_batch_id
       FROM user_transactions t
       JOIN cryptocurrencies c ON c.id = t.crypto_id
+      LEFT JOIN user_transactions l ON l.id = t.linked_transaction_id
+      LEFT JOIN user_portfolios lp ON lp.id = l.portfolio_id
       WHERE t.portfolio_id = ?
       ORDER BY t.timestamp DESC
       LIMIT ${Number(effectiveLimit)} OFFSET ${Number(effectiveOffset)}`,
@@ -242,7 +131,7 @@ api.get('/user/portfolios/:id/transactions', authenticateUser, async (req, res)
 
 // ─── Record Transaction ─────────────────────────────────────────────────────
 
-api.post('/user/portfolios/:id/transactions', authenticateUser, async (req, res) => {
+api.post('/user/portfolios/:id/transactions', allowApiKey('transactions:write'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -251,12 +140,9 @@ api.post('/user/portfolios/:id/transactions', authenticateUser, async (req, res)
 
     const { crypto_id, type, quantity, price_usd, fee_usd, timestamp, notes } = req.body;
 
-    if (!crypto_id || !type || !quantity || quantity <= 0 || !price_usd) {
-      return res.status(400).json({ data: null, msg: 'crypto_id, type, quantity, and price_usd are required' });
-    }
-
-    if (!['buy', 'sell', 'transfer'].includes(type)) {
-      return res.status(400).json({ data: null, msg: 'type must be buy, sell, or transfer' });
+    const invalidMsg = validateTransaction(req.body);
+    if (invalidMsg) {
+      return res.status(400).json({ data: null, msg: invalidMsg });
     }
 
     // Verify crypto exists
@@ -268,37 +154,25 @@ api.post('/user/portfolios/:id/transactions', authenticateUser, async (req, res)
       return res.status(400).json({ data: null, msg: 'Cryptocurrency not found' });
     }
 
-    // Free-plan limit: max 10 distinct cryptos per portfolio. Only relevant
-    // when the buy creates a new holding row (i.e. crypto not yet held).
-    if (type === 'buy' && req.user.plan === 'free') {
-      const [existingHolding] = await Database.execute(
-        'SELECT id FROM user_portfolio_holdings WHERE portfolio_id = ? AND crypto_id = ?',
-        [portfolioId, crypto_id]
-      );
-
-      if (existingHolding.length === 0) {
-        const [count] = await Database.execute(
-          'SELECT COUNT(*) AS cnt FROM user_portfolio_holdings WHERE portfolio_id = ?',
-          [portfolioId]
-        );
-
-        if (count[0].cnt >= 10) {
-          return res.status(403).json({ data: null, msg: 'Free plan allows max 10 cryptos per portfolio' });
-        }
-      }
+    // Plan limit: distinct cryptos per portfolio. Only relevant when the
+    // acquisition creates a new holding row (i.e. crypto not yet held).
+    const entitlements = getEntitlements(req.user);
+    if (ACQUISITION_TYPES.includes(type) && !(await canAddHolding(entitlements, portfolioId, crypto_id))) {
+      const maxHoldings = entitlements.limits.holdingsPerPortfolio;
+      return res.status(403).json({ data: null, msg: limitReachedMessage(entitlements, maxHoldings, 'cryptos per portfolio') });
     }
 
     const txTimestamp = timestamp || new Date().toISOString().slice(0, 19).replace('T', ' ');
 
-    // Reject sells that would push qty negative — you can't sell what you
-    // don't own. Buys are always allowed (limited only by the free-plan
-    // 10-crypto cap, checked above).
+    // Reject sells and transfers out that would push qty negative — you
+    // can't sell what you don't own. Acquisitions are always allowed
+    // (limited only by the plan holdings cap, checked above).
     const ok = await wouldTxBeValid(portfolioId, crypto_id, type, quantity, txTimestamp);
 
     if (!ok) {
       return res.status(400).json({
         data: null,
-        msg: 'Cannot sell more than the holding currently owns',
+        msg: 'Cannot sell or transfer out more than the holding currently owns',
       });
     }
 
@@ -320,9 +194,113 @@ api.post('/user/portfolios/:id/transactions', authenticateUser, async (req, res)
   }
 });
 
+// ─── Transfer Between Portfolios ────────────────────────────────────────────
+
+// Records a linked transfer_out / transfer_in pair. The incoming leg reopens
+// the lots consumed by the outgoing one, so cost basis and holding periods
+// carry across (see utils/taxLots.js). The fee is a loss of the source.
+api.post('/user/portfolios/:id/transfers', allowApiKey('transactions:write'), authenticateUser, async (req, res) => {
+  try {
+    const portfolioId = parseInt(req.params.id);
+    if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
+      return res.status(404).json({ data: null, msg: 'Portfolio not found' });
+    }
+
+    const { to_portfolio_id, crypto_id, quantity, fee_usd, timestamp, notes } = req.body;
+    const toPortfolioId = parseInt(to_portfolio_id);
+
+    if (!toPortfolioId || !crypto_id || !quantity || quantity <= 0) {
+      return res.status(400).json({ data: null, msg: 'to_portfolio_id, crypto_id, and quantity are required' });
+    }
+
+    if (toPortfolioId === portfolioId) {
+      return res.status(400).json({ data: null, msg: 'Cannot transfer to the same portfolio' });
+    }
+
+    if (!(await verifyPortfolioOwnership(toPortfolioId, req.user.id))) {
+      return res.status(404).json({ data: null, msg: 'Destination portfolio not found' });
+    }
+
+    const entitlements = getEntitlements(req.user);
+    if (!(await canAddHolding(entitlements, toPortfolioId, crypto_id))) {
+      const maxHoldings = entitlements.limits.holdingsPerPortfolio;
+      return res.status(403).json({ data: null, msg: limitReachedMessage(entitlements, maxHoldings, 'cryptos per portfolio') });
+    }
+
+    const txTimestamp = timestamp || new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+    const ok = await wouldTxBeValid(portfolioId, crypto_id, 'transfer_out', quantity, txTimestamp);
+
+    if (!ok) {
+      return res.status(400).json({
+        data: null,
+        msg: 'Cannot transfer out more than the holding currently owns',
+      });
+    }
+
+    // Both legs record the source's average cost, used as the cost basis
+    // should the link ever be lost (e.g. the source portfolio is deleted)
+    const [holding] = await Database.execute(
+      'SELECT avg_buy_price FROM user_portfolio_holdings WHERE portfolio_id = ? AND crypto_id = ?',
+      [portfolioId, crypto_id]
+    );
+    const costBasis = holding[0]?.avg_buy_price ?? 0;
+
+    // Both legs, their link and the rebuilt holdings are written in one DB
+    // transaction: a failure part-way must not leave a one-legged transfer
+    const conn = await Database.getConnection();
+    let outResult;
+    let inResult;
+    try {
+      await conn.beginTransaction();
+
+      [outResult] = await conn.execute(
+        `INSERT INTO user_transactions (portfolio_id, crypto_id, type, quantity, price_usd, fee_usd, timestamp, notes)
+         VALUES (?, ?, 'transfer_out', ?, ?, ?, ?, ?)`,
+        [portfolioId, crypto_id, quantity, costBasis, fee_usd || 0, txTimestamp, notes || null]
+      );
+
+      [inResult] = await conn.execute(
+        `INSERT INTO user_transactions (portfolio_id, crypto_id, type, linked_transaction_id, quantity, price_usd, fee_usd, timestamp, notes)
+         VALUES (?, ?, 'transfer_in', ?, ?, ?, 0, ?, ?)`,
+        [toPortfolioId, crypto_id, outResult.insertId, quantity, costBasis, txTimestamp, notes || null]
+      );
+
+      await conn.execute(
+        'UPDATE user_transactions SET linked_transaction_id = ? WHERE id = ?',
+        [inResult.insertId, outResult.insertId]
+      );
+
+      // Recomputing the source rebuilds the destination with the carried lots
+      await recomputeHolding(portfolioId, crypto_id, { db: conn });
+
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+
+      if (err.code === 'INVALID_TX_HISTORY') {
+        return res.status(400).json({
+          data: null,
+          msg: 'Cannot transfer out more than the holding currently owns',
+        });
+      }
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    res.status(201).json({
+      data: { transfer_out_id: outResult.insertId, transfer_in_id: inResult.insertId },
+    });
+  } catch (error) {
+    log.error(`Transfer between portfolios error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to record transfer' });
+  }
+});
+
 // ─── Update Transaction ─────────────────────────────────────────────────────
 
-api.put('/user/portfolios/:id/transactions/:txId', authenticateUser, async (req, res) => {
+api.put('/user/portfolios/:id/transactions/:txId', allowApiKey('transactions:write'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -336,7 +314,7 @@ api.put('/user/portfolios/:id/transactions/:txId', authenticateUser, async (req,
     // produce an impossible state (e.g. a sell suddenly larger than what
     // was held at that moment after the user edits a buy further upstream).
     const [txBefore] = await Database.execute(
-      'SELECT crypto_id, quantity, price_usd, fee_usd, notes FROM user_transactions WHERE id = ? AND portfolio_id = ?',
+      'SELECT crypto_id, linked_transaction_id, quantity, price_usd, fee_usd, notes FROM user_transactions WHERE id = ? AND portfolio_id = ?',
       [txId, portfolioId]
     );
 
@@ -345,6 +323,14 @@ api.put('/user/portfolios/:id/transactions/:txId', authenticateUser, async (req,
     }
     const snapshot = txBefore[0];
 
+    // Both legs of an internal transfer must move the same quantity
+    if (snapshot.linked_transaction_id && quantity !== undefined && parseFloat(quantity) !== snapshot.quantity) {
+      return res.status(400).json({
+        data: null,
+        msg: 'The quantity of a transfer between portfolios cannot be edited: delete it and record it again',
+      });
+    }
+
     const [result] = await Database.execute(
       `UPDATE user_transactions
        SET quantity = COALESCE(?, quantity),
@@ -396,7 +382,7 @@ api.put('/user/portfolios/:id/transactions/:txId', authenticateUser, async (req,
 
 // ─── Delete Transaction ─────────────────────────────────────────────────────
 
-api.delete('/user/portfolios/:id/transactions/:txId', authenticateUser, async (req, res) => {
+api.delete('/user/portfolios/:id/transactions/:txId', allowApiKey('transactions:write'), authenticateUser, async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
@@ -405,58 +391,55 @@ api.delete('/user/portfolios/:id/transactions/:txId', authenticateUser, async (r
 
     const txId = parseInt(req.params.txId);
 
-    // Snapshot the full row so we can re-insert it if removing it would
-    // create an impossible state (e.g. deleting a buy that an existing
-    // sell relied on).
-    const [txBefore] = await Database.execute(
-      `SELECT crypto_id, type, quantity, price_usd, fee_usd, timestamp, notes
-       FROM user_transactions WHERE id = ? AND portfolio_id = ?`,
-      [txId, portfolioId]
-    );
+    // Delete and rebuild in one DB transaction: if removing the row would
+    // create an impossible state (e.g. deleting a buy that an existing sell
+    // relied on), rolling back leaves the history exactly as it was.
+    const conn = await Database.getConnection();
+    try {
+      await conn.beginTransaction();
 
-    if (txBefore.length === 0) {
-      return res.status(404).json({ data: null, msg: 'Transaction not found' });
-    }
-    const snapshot = txBefore[0];
+      const [txBefore] = await conn.execute(
+        'SELECT id, portfolio_id, crypto_id, linked_transaction_id FROM user_transactions WHERE id = ? AND portfolio_id = ?',
+        [txId, portfolioId]
+      );
 
-    const [result] = await Database.execute(
-      'DELETE FROM user_transactions WHERE id = ? AND portfolio_id = ?',
-      [txId, portfolioId]
-    );
+      if (txBefore.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ data: null, msg: 'Transaction not found' });
+      }
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ data: null, msg: 'Transaction not found' });
-    }
+      // A transfer between portfolios is deleted as a whole (both legs)
+      const deleted = [...txBefore];
+      if (txBefore[0].linked_transaction_id) {
+        const [linked] = await conn.execute(
+          'SELECT id, portfolio_id, crypto_id FROM user_transactions WHERE id = ?',
+          [txBefore[0].linked_transaction_id]
+        );
+        deleted.push(...linked);
+      }
 
-    try {
-      await recomputeHolding(portfolioId, snapshot.crypto_id);
+      await conn.execute(
+        `DELETE FROM user_transactions WHERE id IN (${deleted.map(() => '?').join(', ')})`,
+        deleted.map((tx) => tx.id)
+      );
+
+      for (const tx of deleted) {
+        await recomputeHolding(tx.portfolio_id, tx.crypto_id, { db: conn });
+      }
+
+      await conn.commit();
     } catch (err) {
-      if (err.code === 'INVALID_TX_HISTORY') {
-        // Re-insert the row to keep history consistent
-        await Database.execute(
-          `INSERT INTO user_transactions
-             (id, portfolio_id, crypto_id, type, quantity, price_usd, fee_usd, timestamp, notes)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            txId,
-            portfolioId,
-            snapshot.crypto_id,
-            snapshot.type,
-            snapshot.quantity,
-            snapshot.price_usd,
-            snapshot.fee_usd,
-            snapshot.timestamp,
-            snapshot.notes,
-          ]
-        );
-        await recomputeHolding(portfolioId, snapshot.crypto_id);
+      await conn.rollback();
 
+      if (err.code === 'INVALID_TX_HISTORY') {
         return res.status(400).json({
           data: null,
-          msg: 'Delete rejected: this transaction is required by a later sell',
+          msg: 'Delete rejected: this transaction is required by a later sell or transfer out',
         });
       }
       throw err;
+    } finally {
+      conn.release();
     }
 
     res.json({ data: null, msg: 'Transaction deleted' });
@@ -468,57 +451,116 @@ api.delete('/user/portfolios/:id/transactions/:txId', authenticateUser, async (r
 
 // ─── CSV Import (Pro only) ──────────────────────────────────────────────────
 
-api.post('/user/portfolios/:id/transactions/import', authenticateUser, requirePro, async (req, res) => {
+// Body: { csv, source?, file_name?, dry_run? } with a raw exchange export (see
+// utils/transactionImport.js), or { transactions, dry_run? } with pre-shaped
+// rows. dry_run returns the row-level preview without writing anything;
+// otherwise the valid rows are committed as one import batch, in a single DB
+// transaction, and duplicates / errors are skipped.
+api.post('/user/portfolios/:id/transactions/import', allowApiKey('transactions:write'), authenticateUser, requireFeature('import'), async (req, res) => {
   try {
     const portfolioId = parseInt(req.params.id);
     if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
       return res.status(404).json({ data: null, msg: 'Portfolio not found' });
     }
 
-    const { transactions } = req.body;
+    const { csv, source, file_name, transactions, dry_run } = req.body;
 
-    if (!Array.isArray(transactions) || transactions.length === 0) {
-      return res.status(400).json({ data: null, msg: 'transactions array is required' });
+    if (source && !IMPORT_SOURCES.includes(source)) {
+      return res.status(400).json({ data: null, msg: `source must be one of: ${IMPORT_SOURCES.join(', ')}` });
     }
 
-    let imported = 0;
-    let errors = [];
-    const touchedCryptoIds = new Set();
+    let preview;
+    if (typeof csv === 'string' && csv.trim()) {
+      preview = await previewCsvImport(portfolioId, csv, source);
+    } else if (Array.isArray(transactions) && transactions.length > 0) {
+      preview = await previewRowsImport(portfolioId, transactions);
+    } else {
+      return res.status(400).json({ data: null, msg: 'csv or transactions array is required' });
+    }
 
-    for (let i = 0; i < transactions.length; i++) {
-      const tx = transactions[i];
+    if (dry_run) {
+      return res.json({ data: preview });
+    }
 
-      try {
-        if (!tx.crypto_id || !tx.type || !tx.quantity || !tx.price_usd) {
-          errors.push({ row: i + 1, msg: 'Missing required fields' });
-          continue;
-        }
+    const { imported, batchId } = await commitImport(portfolioId, preview, file_name);
 
-        await Database.execute(
-          `INSERT INTO user_transactions (portfolio_id, crypto_id, type, quantity, price_usd, fee_usd, timestamp, notes)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [portfolioId, tx.crypto_id, tx.type, tx.quantity, tx.price_usd, tx.fee_usd || 0, tx.timestamp || new Date(), tx.notes || null]
-        );
-        imported++;
-        touchedCryptoIds.add(tx.crypto_id);
-      } catch (err) {
-        errors.push({ row: i + 1, msg: err.message });
-      }
+    res.json({
+      data: {
+        imported,
+        batch_id: batchId,
+        duplicates: preview.summary.duplicates,
+        errors: preview.rows.filter((r) => r.status === 'error').map((r) => ({ row: r.row, msg: r.msg })),
+      },
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT_FILE') {
+      return res.status(400).json({ data: null, msg: error.message });
     }
+    if (error.code === 'INVALID_TX_HISTORY') {
+      // The history changed between the preview and the commit; nothing was written
+      return res.status(400).json({ data: null, msg: 'Import rejected: it would push a holding below zero quantity' });
+    }
+    log.error(`CSV import error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Import failed' });
+  }
+});
 
-    // Recompute holdings once per touched crypto (instead of per-row) — faster
-    // for large CSVs and avoids redundant intermediate states.
-    for (const cryptoId of touchedCryptoIds) {
-      try {
-        await recomputeHolding(portfolioId, cryptoId);
-      } catch (err) {
-        log.warn(`recomputeHolding failed for crypto ${cryptoId}: ${err.message}`);
-      }
+// ─── Import Batches ─────────────────────────────────────────────────────────
+
+api.get('/user/portfolios/:id/imports', allowApiKey('transactions:read'), authenticateUser, async (req, res) => {
+  try {
+    const portfolioId = parseInt(req.params.id);
+    if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
+      return res.status(404).json({ data: null, msg: 'Portfolio not found' });
     }
 
-    res.json({ data: { imported, errors } });
+    const [batches] = await Database.execute(
+      `SELECT b.id, b.source, b.file_name, b.imported_count, b.duplicate_count, b.error_count,
+        b.created_at,
+        (SELECT COUNT(*) FROM user_transactions t WHERE t.import_batch_id = b.id) AS transaction_count
+      FROM user_import_batches b
+      WHERE b.portfolio_id = ?
+      ORDER BY b.created_at DESC, b.id DESC`,
+      [portfolioId]
+    );
+
+    res.json({ data: batches });
   } catch (error) {
-    log.error(`CSV import error: ${error.message}`);
-    res.status(500).json({ data: null, msg: 'Import failed' });
+    log.error(`List imports error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to fetch imports' });
+  }
+});
+
+// Undo a whole import: its transactions (including ones edited since) go
+// atomically, or nothing does.
+api.delete('/user/portfolios/:id/imports/:batchId', allowApiKey('transactions:write'), authenticateUser, async (req, res) => {
+  try {
+    const portfolioId = parseInt(req.params.id);
+    if (!(await verifyPortfolioOwnership(portfolioId, req.user.id))) {
+      return res.status(404).json({ data: null, msg: 'Portfolio not found' });
+    }
+
+    const batchId = parseInt(req.params.batchId);
+    const [batches] = await Database.execute(
+      'SELECT id FROM user_import_batches WHERE id = ? AND portfolio_id = ?',
+      [batchId, portfolioId]
+    );
+
+    if (batches.length === 0) {
+      return res.status(404).json({ data: null, msg: 'Import not found' });
+    }
+
+    const removed = await undoImport(portfolioId, batchId);
+
+    res.json({ data: { removed } });
+  } catch (error) {
+    if (error.code === 'INVALID_TX_HISTORY') {
+      return res.status(400).json({
+        data: null,
+        msg: 'Undo rejected: later sells or transfers out rely on the imported transactions',
+      });
+    }
+    log.error(`Undo import error: ${error.message}`);
+    res.status(500).json({ data: null, msg: 'Failed to undo import' });
   }
 });
@@ -158,6 +158,8 @@ api.get('/volatility/portfolio/constituents', async (req, res) => {
  * Query params:
  *  - symbol: crypto symbol (required)
  *  - period: '7d', '30d', '90d', 'all' (default: '90d')
+ * Alongside the 90-day rolling window, `models` carries the EWMA and
+ * GARCH(1,1) conditional volatilities with their 1d/10d/30d forecasts.
  */
 api.get('/volatility/crypto/:id', async (req, res) => {
   try {
@@ -240,6 +242,46 @@ api.get('/volatility/crypto/:id', async (req, res) => {
       computeDelta(90),
     ]);
 
+    // EWMA / GARCH(1,1): latest row per model + history over the period
+    const [modelLatest] = await Database.execute(`
+      SELECT m.*
+      FROM crypto_volatility_models m
+      WHERE m.crypto_id = ?
+        AND m.date = (
+          SELECT MAX(date) FROM crypto_volatility_models
+          WHERE crypto_id = m.crypto_id AND model = m.model
+        )
+    `, [cryptoId]);
+
+    const [modelHistory] = await Database.execute(`
+      SELECT model, date, daily_volatility, annualized_volatility
+      FROM crypto_volatility_models
+      WHERE crypto_id = ?
+        ${dateFilter}
+      ORDER BY date ASC
+    `, [cryptoId]);
+
+    const models = { ewma: null, garch: null };
+    for (const row of modelLatest) {
+      models[row.model] = {
+        date: row.date,
+        dailyVolatility: row.daily_volatility,
+        annualizedVolatility: row.annualized_volatility,
+        // Horizon volatilities of the cumulative log return (1d = next day)
+        forecasts: {
+          '1d': row.daily_volatility,
+          '10d': row.forecast_10d,
+          '30d': row.forecast_30d,
+        },
+        params: row.model === 'ewma'
+          ? { lambda: row.lambda }
+          : { omega: row.omega, alpha: row.alpha, beta: row.beta },
+        history: modelHistory
+          .filter(h => h.model === row.model)
+          .map(({ date, daily_volatility, annualized_volatility }) => ({ date, daily_volatility, annualized_volatility })),
+      };
+    }
+
     res.json({
       data: {
         crypto: crypto[0],
@@ -251,6 +293,7 @@ api.get('/volatility/crypto/:id', async (req, res) => {
           '30d': d30,
           '90d': d90,
         },
+        models,
       }
     });
 
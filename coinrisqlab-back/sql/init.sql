@@ -256,6 +256,27 @@ CREATE TABLE IF NOT EXISTS `crypto_volatility` (
     -- idx_annualized_volatility removed: ORDER BY with correlated subquery in WHERE prevents index use
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+DROP TABLE IF EXISTS `crypto_volatility_models`;
+CREATE TABLE IF NOT EXISTS `crypto_volatility_models` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `date` DATE NOT NULL COMMENT 'Close of the day the model was filtered to',
+    `model` ENUM('ewma', 'garch') NOT NULL,
+    `daily_volatility` DECIMAL(20, 12) NOT NULL COMMENT 'One-day-ahead conditional volatility (= 1d forecast)',
+    `annualized_volatility` DECIMAL(20, 12) NOT NULL COMMENT 'daily_volatility * sqrt(365)',
+    `forecast_10d` DECIMAL(20, 12) NOT NULL COMMENT 'Volatility of the cumulative log return over the next 10 days',
+    `forecast_30d` DECIMAL(20, 12) NOT NULL COMMENT 'Volatility of the cumulative log return over the next 30 days',
+    `lambda` DECIMAL(10, 6) NULL COMMENT 'EWMA decay factor',
+    `omega` DECIMAL(20, 12) NULL COMMENT 'GARCH constant',
+    `alpha` DECIMAL(10, 6) NULL COMMENT 'GARCH shock coefficient',
+    `beta` DECIMAL(10, 6) NULL COMMENT 'GARCH persistence coefficient',
+    `num_observations` INT UNSIGNED NOT NULL COMMENT 'Returns filtered (EWMA) or used in the fit (GARCH)',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_volatility_models_crypto_idx` (`crypto_id`) REFERENCES `cryptocurrencies`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_crypto_date_model` (`crypto_id`, `date`, `model`),
+    KEY `idx_date` (`date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 DROP TABLE IF EXISTS `portfolio_volatility`;
 CREATE TABLE IF NOT EXISTS `portfolio_volatility` (
     `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
@@ -346,6 +367,7 @@ CREATE TABLE IF NOT EXISTS `crypto_var` (
     `crypto_id` INT UNSIGNED NOT NULL,
     `date` DATE NOT NULL COMMENT 'Date for which VaR is calculated',
     `window_days` INT UNSIGNED NOT NULL DEFAULT 90 COMMENT 'Rolling window size in days',
+    `method` ENUM('historical', 'parametric', 'cornish_fisher') NOT NULL DEFAULT 'historical' COMMENT 'historical percentile, Gaussian parametric or Cornish-Fisher modified',
     `var_95` DECIMAL(20, 12) NOT NULL COMMENT 'Value at Risk at 95% confidence',
     `var_99` DECIMAL(20, 12) NOT NULL COMMENT 'Value at Risk at 99% confidence',
     `cvar_95` DECIMAL(20, 12) NOT NULL COMMENT 'Conditional VaR at 95% confidence',
@@ -357,7 +379,7 @@ CREATE TABLE IF NOT EXISTS `crypto_var` (
     `num_observations` INT UNSIGNED NOT NULL COMMENT 'Number of data points used in calculation',
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY `fk_var_crypto_idx` (`crypto_id`) REFERENCES `cryptocurrencies`(`id`) ON DELETE CASCADE,
-    UNIQUE KEY `idx_crypto_date_window` (`crypto_id`, `date`, `window_days`),
+    UNIQUE KEY `idx_crypto_date_window_method` (`crypto_id`, `date`, `window_days`, `method`),
     KEY `idx_date` (`date`)
     -- idx_var_95, idx_var_99 removed: values only displayed, never filtered/sorted on
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -431,15 +453,71 @@ CREATE TABLE IF NOT EXISTS `crypto_rsi` (
     KEY `idx_date` (`date`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+DROP TABLE IF EXISTS `crypto_drawdown`;
+CREATE TABLE IF NOT EXISTS `crypto_drawdown` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `date` DATE NOT NULL COMMENT 'Date for which drawdown is calculated',
+    `window_days` INT UNSIGNED NOT NULL DEFAULT 365 COMMENT 'Rolling window size in days',
+    `max_drawdown` DECIMAL(20, 12) NOT NULL COMMENT 'Largest peak-to-trough decline in the window (fraction)',
+    `current_drawdown` DECIMAL(20, 12) NOT NULL COMMENT 'Decline from the running peak at date (fraction)',
+    `peak_date` DATE NULL COMMENT 'Peak preceding the max drawdown',
+    `trough_date` DATE NULL COMMENT 'Trough of the max drawdown',
+    `recovery_date` DATE NULL COMMENT 'Date the max drawdown peak was regained, NULL if not recovered',
+    `recovery_days` INT UNSIGNED NULL COMMENT 'Trough to recovery of the max drawdown, NULL if not recovered',
+    `current_duration_days` INT UNSIGNED NOT NULL COMMENT 'Days since the last peak (0 at a peak)',
+    `longest_duration_days` INT UNSIGNED NOT NULL COMMENT 'Longest peak-to-recovery episode, ongoing one included',
+    `num_observations` INT UNSIGNED NOT NULL COMMENT 'Number of data points used in calculation',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_drawdown_crypto_idx` (`crypto_id`) REFERENCES `cryptocurrencies`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_crypto_date_window` (`crypto_id`, `date`, `window_days`),
+    KEY `idx_date` (`date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP TABLE IF EXISTS `crypto_performance_ratios`;
+CREATE TABLE IF NOT EXISTS `crypto_performance_ratios` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `date` DATE NOT NULL COMMENT 'Date for which ratios are calculated',
+    `window_days` INT UNSIGNED NOT NULL DEFAULT 365 COMMENT 'Rolling window size in days',
+    `mar` DECIMAL(10, 6) NOT NULL DEFAULT 0 COMMENT 'Annual minimum acceptable return used by Sortino / Omega (fraction)',
+    `sortino_ratio` DECIMAL(20, 12) NULL COMMENT 'Annualized, NULL without any return below MAR',
+    `downside_deviation` DECIMAL(20, 12) NOT NULL COMMENT 'Daily downside deviation below MAR',
+    `calmar_ratio` DECIMAL(20, 12) NULL COMMENT 'Annualized return / max drawdown, NULL without drawdown',
+    `omega_ratio` DECIMAL(20, 12) NULL COMMENT 'Gains / losses around MAR, NULL without any loss',
+    `treynor_ratio` DECIMAL(20, 12) NULL COMMENT 'Annualized return / beta, NULL if beta is 0',
+    `information_ratio` DECIMAL(20, 12) NULL COMMENT 'Annualized active return / tracking error vs CoinRisqLab 80',
+    `tracking_error` DECIMAL(20, 12) NULL COMMENT 'Annualized std of active returns vs CoinRisqLab 80',
+    `max_drawdown` DECIMAL(20, 12) NOT NULL COMMENT 'Max drawdown over the window, used by Calmar (fraction)',
+    `beta` DECIMAL(20, 12) NULL COMMENT 'Beta vs CoinRisqLab 80 over the window, used by Treynor',
+    `num_observations` INT UNSIGNED NOT NULL COMMENT 'Number of data points used in calculation',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_ratios_crypto_idx` (`crypto_id`) REFERENCES `cryptocurrencies`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_crypto_date_window_mar` (`crypto_id`, `date`, `window_days`, `mar`),
+    KEY `idx_date` (`date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================================================
 -- USER SPACE TABLES
 -- ============================================================================
 
 DROP TABLE IF EXISTS `user_portfolio_snapshots`;
+DROP TABLE IF EXISTS `user_alert_events`;
+DROP TABLE IF EXISTS `user_notification_deliveries`;
+DROP TABLE IF EXISTS `user_notifications`;
+DROP TABLE IF EXISTS `user_notification_preferences`;
 DROP TABLE IF EXISTS `user_alerts`;
+DROP TABLE IF EXISTS `user_tax_lot_disposals`;
+DROP TABLE IF EXISTS `user_tax_lots`;
 DROP TABLE IF EXISTS `user_transactions`;
+DROP TABLE IF EXISTS `user_import_batches`;
 DROP TABLE IF EXISTS `user_portfolio_holdings`;
 DROP TABLE IF EXISTS `user_portfolios`;
+DROP TABLE IF EXISTS `stripe_events`;
+DROP TABLE IF EXISTS `rate_limit_counters`;
+DROP TABLE IF EXISTS `user_api_keys`;
+DROP TABLE IF EXISTS `user_recovery_codes`;
+DROP TABLE IF EXISTS `user_tokens`;
 DROP TABLE IF EXISTS `user_sessions`;
 DROP TABLE IF EXISTS `users`;
 
@@ -453,10 +531,25 @@ CREATE TABLE IF NOT EXISTS `users` (
     `plan_expires_at` TIMESTAMP NULL COMMENT 'NULL for free plan, expiry date for pro',
     `is_active` TINYINT(1) NOT NULL DEFAULT 1,
     `email_verified` TINYINT(1) NOT NULL DEFAULT 0,
+    `totp_secret` VARCHAR(64) NULL COMMENT 'Base32 TOTP secret (pending until totp_enabled)',
+    `totp_enabled` TINYINT(1) NOT NULL DEFAULT 0,
+    `totp_last_step` BIGINT UNSIGNED NULL COMMENT 'Last accepted TOTP time step (anti-replay)',
+    `stripe_customer_id` VARCHAR(255) NULL,
+    `stripe_event_at` TIMESTAMP NULL COMMENT 'Stripe created time of the last applied billing event',
+    `stripe_event_rank` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Subscription state rank of that event: 0 live, 1 past due, 2 unpaid, 3 ended',
+    `billing_status` ENUM('active', 'past_due', 'grace', 'downgraded') NOT NULL DEFAULT 'active' COMMENT 'Dunning state',
+    `billing_status_changed_at` TIMESTAMP NULL,
+    `grace_ends_at` TIMESTAMP NULL COMMENT 'Pro access ends at this date in the grace state',
+    `trial_ends_at` TIMESTAMP NULL COMMENT 'End of the Stripe free trial while trialing',
     `last_login_at` TIMESTAMP NULL,
+    `deletion_requested_at` TIMESTAMP NULL,
+    `deletion_scheduled_at` TIMESTAMP NULL COMMENT 'Account is purged after this date',
+    `deletion_cancelled_subscriptions` JSON NULL COMMENT 'Stripe subscription ids cancelled by the deletion, resumed on restore',
     `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    UNIQUE KEY `idx_email` (`email`)
+    UNIQUE KEY `idx_email` (`email`),
+    KEY `idx_deletion_scheduled_at` (`deletion_scheduled_at`),
+    KEY `idx_billing_grace` (`billing_status`, `grace_ends_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- User sessions — JWT session tracking
@@ -464,19 +557,93 @@ CREATE TABLE IF NOT EXISTS `user_sessions` (
     `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     `user_id` INT UNSIGNED NOT NULL,
     `token_hash` VARCHAR(64) NOT NULL COMMENT 'SHA-256 hash of JWT token',
+    `user_agent` VARCHAR(255) NULL,
+    `ip_address` VARCHAR(45) NULL COMMENT 'IPv4 or IPv6 of the last request',
     `expires_at` TIMESTAMP NOT NULL,
     `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `last_seen_at` TIMESTAMP NULL,
     FOREIGN KEY `fk_user_sessions_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
     KEY `idx_expires_at` (`expires_at`),
     UNIQUE KEY `idx_token_hash` (`token_hash`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- User tokens — Single-use email verification / password reset / login challenge tokens (hashed)
+CREATE TABLE IF NOT EXISTS `user_tokens` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT UNSIGNED NOT NULL,
+    `purpose` ENUM('email_verification', 'password_reset', 'login_challenge') NOT NULL,
+    `token_hash` VARCHAR(64) NOT NULL COMMENT 'SHA-256 hash of the mailed token',
+    `expires_at` TIMESTAMP NOT NULL,
+    `used_at` TIMESTAMP NULL COMMENT 'Set when the token is consumed (single use)',
+    `attempts` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Failed code attempts (login_challenge)',
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_tokens_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_token_hash` (`token_hash`),
+    KEY `idx_user_purpose` (`user_id`, `purpose`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User recovery codes — Single-use 2FA recovery codes (hashed)
+CREATE TABLE IF NOT EXISTS `user_recovery_codes` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT UNSIGNED NOT NULL,
+    `code_hash` VARCHAR(64) NOT NULL COMMENT 'SHA-256 hash of the normalized code',
+    `used_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_recovery_codes_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    KEY `idx_user_code` (`user_id`, `code_hash`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User API keys — Scoped personal API keys (hashed), sent as Authorization: Bearer
+CREATE TABLE IF NOT EXISTS `user_api_keys` (
+    `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT UNSIGNED NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `key_prefix` VARCHAR(16) NOT NULL COMMENT 'First characters of the key, shown in the UI',
+    `key_hash` VARCHAR(64) NOT NULL COMMENT 'SHA-256 hash of the full key',
+    `scopes` JSON NOT NULL,
+    `last_used_at` TIMESTAMP NULL,
+    `expires_at` TIMESTAMP NULL COMMENT 'NULL = never expires',
+    `revoked_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_api_keys_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_key_hash` (`key_hash`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Rate limit counters — Shared store of middleware/rateLimit.js (COINRISQLAB_RATE_LIMIT_STORE=mysql)
+CREATE TABLE IF NOT EXISTS `rate_limit_counters` (
+    `bucket_key` VARCHAR(191) NOT NULL PRIMARY KEY COMMENT '<group>:<client> or login-fail/login-lock:<sha256 of email>',
+    `hits` INT UNSIGNED NOT NULL DEFAULT 1,
+    `reset_at` TIMESTAMP(3) NOT NULL COMMENT 'End of the current window',
+    KEY `idx_reset_at` (`reset_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Stripe events — Webhook ledger (idempotency + processing status), kept after account purge
+CREATE TABLE IF NOT EXISTS `stripe_events` (
+    `id` VARCHAR(255) NOT NULL PRIMARY KEY COMMENT 'Stripe event id (evt_...)',
+    `type` VARCHAR(100) NOT NULL,
+    `stripe_created_at` TIMESTAMP NOT NULL COMMENT 'Stripe event created time',
+    `customer_id` VARCHAR(255) NULL,
+    `user_id` INT UNSIGNED NULL,
+    `status` ENUM('processing', 'processed', 'skipped', 'failed') NOT NULL DEFAULT 'processing',
+    `skip_reason` VARCHAR(255) NULL COMMENT 'Unhandled type, unknown customer or out-of-order event',
+    `error` TEXT NULL COMMENT 'Last processing error (status failed)',
+    `attempts` INT UNSIGNED NOT NULL DEFAULT 1 COMMENT 'Deliveries that were processed',
+    `payload` JSON NOT NULL,
+    `received_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `last_attempt_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `processed_at` TIMESTAMP NULL,
+    KEY `idx_status_received` (`status`, `received_at`),
+    KEY `idx_customer_id` (`customer_id`),
+    KEY `idx_user_id` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- User portfolios — Portfolio containers (1 for free, unlimited for pro)
 CREATE TABLE IF NOT EXISTS `user_portfolios` (
     `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     `user_id` INT UNSIGNED NOT NULL,
     `name` VARCHAR(100) NOT NULL DEFAULT 'My Portfolio',
     `description` VARCHAR(500) NULL,
+    `cost_basis_method` ENUM('AVG', 'FIFO', 'LIFO', 'HIFO') NOT NULL DEFAULT 'AVG' COMMENT 'Lot method for realized P&L (utils/taxLots.js)',
     `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY `fk_user_portfolios_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
@@ -500,29 +667,87 @@ CREATE TABLE IF NOT EXISTS `user_portfolio_holdings` (
     KEY `idx_crypto_id` (`crypto_id`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
--- User transactions — Buy/sell/transfer history
+-- User import batches — One per committed CSV / bulk import (undone as a whole)
+CREATE TABLE IF NOT EXISTS `user_import_batches` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `portfolio_id` INT UNSIGNED NOT NULL,
+    `source` VARCHAR(20) NULL COMMENT 'binance, coinbase, kraken, generic; NULL for pre-shaped JSON rows',
+    `file_name` VARCHAR(255) NULL,
+    `imported_count` INT UNSIGNED NOT NULL DEFAULT 0,
+    `duplicate_count` INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Rows skipped as already recorded',
+    `error_count` INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Rows skipped as invalid',
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_import_batches_portfolio_idx` (`portfolio_id`) REFERENCES `user_portfolios`(`id`) ON DELETE CASCADE,
+    KEY `idx_portfolio_created` (`portfolio_id`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User transactions — Buy/sell/income/transfer history
 CREATE TABLE IF NOT EXISTS `user_transactions` (
     `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     `portfolio_id` INT UNSIGNED NOT NULL,
     `crypto_id` INT UNSIGNED NOT NULL,
-    `type` ENUM('buy', 'sell', 'transfer') NOT NULL,
+    `type` ENUM('buy', 'sell', 'transfer', 'reward', 'airdrop', 'income', 'transfer_in', 'transfer_out') NOT NULL COMMENT 'transfer = legacy, direction unknown',
+    `linked_transaction_id` BIGINT UNSIGNED NULL COMMENT 'Other leg of an internal transfer between portfolios',
     `quantity` DECIMAL(30, 18) NOT NULL COMMENT 'Amount of crypto transacted',
     `price_usd` DECIMAL(30, 18) NOT NULL COMMENT 'Price per unit at time of transaction',
     `fee_usd` DECIMAL(20, 8) NOT NULL DEFAULT 0 COMMENT 'Transaction fee in USD',
     `timestamp` DATETIME NOT NULL COMMENT 'When the transaction occurred',
     `notes` VARCHAR(500) NULL,
+    `import_batch_id` BIGINT UNSIGNED NULL COMMENT 'Import that created the row (NULL if recorded manually)',
     `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY `fk_transactions_portfolio_idx` (`portfolio_id`) REFERENCES `user_portfolios`(`id`) ON DELETE CASCADE,
     FOREIGN KEY `fk_transactions_crypto_idx` (`crypto_id`) REFERENCES `cryptocurrencies`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_transactions_linked_idx` (`linked_transaction_id`) REFERENCES `user_transactions`(`id`) ON DELETE SET NULL,
+    FOREIGN KEY `fk_transactions_import_batch_idx` (`import_batch_id`) REFERENCES `user_import_batches`(`id`) ON DELETE SET NULL,
     KEY `idx_portfolio_timestamp` (`portfolio_id`, `timestamp`),
     KEY `idx_crypto_id` (`crypto_id`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- User tax lots — Acquisition lots, several per transfer_in carrying lots across portfolios (derived, rebuilt by recomputeHolding)
+CREATE TABLE IF NOT EXISTS `user_tax_lots` (
+    `transaction_id` BIGINT UNSIGNED NOT NULL COMMENT 'Acquisition transaction that opened the lot',
+    `lot_index` SMALLINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Position among the lots carried by a transfer_in',
+    `portfolio_id` INT UNSIGNED NOT NULL,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `acquired_at` DATETIME NOT NULL,
+    `quantity` DECIMAL(30, 18) NOT NULL,
+    `remaining_quantity` DECIMAL(30, 18) NOT NULL COMMENT 'Not yet consumed by disposals',
+    `unit_cost_usd` DECIMAL(30, 18) NOT NULL COMMENT 'Price (or fair value) plus fee per unit',
+    PRIMARY KEY (`transaction_id`, `lot_index`),
+    FOREIGN KEY `fk_tax_lots_transaction_idx` (`transaction_id`) REFERENCES `user_transactions`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_tax_lots_portfolio_idx` (`portfolio_id`) REFERENCES `user_portfolios`(`id`) ON DELETE CASCADE,
+    KEY `idx_portfolio_crypto` (`portfolio_id`, `crypto_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User tax lot disposals — Which sells and transfers out consumed which lots
+CREATE TABLE IF NOT EXISTS `user_tax_lot_disposals` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `lot_transaction_id` BIGINT UNSIGNED NOT NULL,
+    `lot_index` SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+    `sell_transaction_id` BIGINT UNSIGNED NOT NULL COMMENT 'Sell or transfer_out',
+    `portfolio_id` INT UNSIGNED NOT NULL,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `kind` ENUM('sale', 'transfer') NOT NULL DEFAULT 'sale' COMMENT 'Transfers are not taxable',
+    `method` ENUM('AVG', 'FIFO', 'LIFO', 'HIFO') NOT NULL COMMENT 'Cost-basis method in effect',
+    `quantity` DECIMAL(30, 18) NOT NULL,
+    `cost_basis_usd` DECIMAL(30, 8) NOT NULL,
+    `proceeds_usd` DECIMAL(30, 8) NOT NULL COMMENT 'Equals cost_basis_usd for transfers',
+    `fee_usd` DECIMAL(20, 8) NOT NULL DEFAULT 0 COMMENT 'Share of the sell fee',
+    `realized_pnl_usd` DECIMAL(30, 8) NOT NULL,
+    `acquired_at` DATETIME NOT NULL,
+    `disposed_at` DATETIME NOT NULL,
+    FOREIGN KEY `fk_disposals_lot_idx` (`lot_transaction_id`, `lot_index`) REFERENCES `user_tax_lots`(`transaction_id`, `lot_index`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_disposals_sell_idx` (`sell_transaction_id`) REFERENCES `user_transactions`(`id`) ON DELETE CASCADE,
+    KEY `idx_portfolio_disposed` (`portfolio_id`, `disposed_at`),
+    KEY `idx_portfolio_crypto` (`portfolio_id`, `crypto_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- User alerts — Price and risk alerts
 CREATE TABLE IF NOT EXISTS `user_alerts` (
     `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     `user_id` INT UNSIGNED NOT NULL,
-    `crypto_id` INT UNSIGNED NOT NULL,
+    `crypto_id` INT UNSIGNED NULL COMMENT 'Target crypto (NULL for portfolio alerts)',
+    `portfolio_id` INT UNSIGNED NULL COMMENT 'Target portfolio (NULL for crypto alerts)',
     `alert_type` ENUM('price', 'volatility', 'drawdown', 'var_breach', 'rebalancing') NOT NULL,
     `threshold_value` DECIMAL(30, 18) NOT NULL COMMENT 'Threshold to trigger alert',
     `direction` ENUM('above', 'below') NOT NULL DEFAULT 'above',
@@ -532,8 +757,74 @@ CREATE TABLE IF NOT EXISTS `user_alerts` (
     `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY `fk_alerts_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
     FOREIGN KEY `fk_alerts_crypto_idx` (`crypto_id`) REFERENCES `cryptocurrencies`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_alerts_portfolio_idx` (`portfolio_id`) REFERENCES `user_portfolios`(`id`) ON DELETE CASCADE,
     KEY `idx_user_active` (`user_id`, `is_active`),
-    KEY `idx_crypto_id` (`crypto_id`)
+    KEY `idx_crypto_id` (`crypto_id`),
+    KEY `idx_portfolio_id` (`portfolio_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User notification preferences — Per-user channel settings (no row = defaults)
+CREATE TABLE IF NOT EXISTS `user_notification_preferences` (
+    `user_id` INT UNSIGNED PRIMARY KEY,
+    `email_enabled` TINYINT(1) NOT NULL DEFAULT 1,
+    `in_app_enabled` TINYINT(1) NOT NULL DEFAULT 1,
+    `webhook_enabled` TINYINT(1) NOT NULL DEFAULT 0,
+    `webhook_url` VARCHAR(2048) NULL COMMENT 'HTTPS endpoint receiving signed POST requests',
+    `webhook_secret` VARCHAR(64) NULL COMMENT 'HMAC-SHA256 signing secret (X-CoinRisqLab-Signature)',
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_notif_prefs_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User notifications — Every notification sent to a user (in-app inbox)
+CREATE TABLE IF NOT EXISTS `user_notifications` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT UNSIGNED NOT NULL,
+    `type` VARCHAR(50) NOT NULL COMMENT 'e.g. alert.triggered, test',
+    `title` VARCHAR(255) NOT NULL,
+    `body` TEXT NOT NULL,
+    `data` JSON NULL COMMENT 'Structured payload forwarded to webhooks',
+    `in_app` TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Shown in the in-app inbox',
+    `read_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_notifications_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    KEY `idx_user_inbox` (`user_id`, `in_app`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User notification deliveries — Email/webhook delivery log and retry queue
+CREATE TABLE IF NOT EXISTS `user_notification_deliveries` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `notification_id` BIGINT UNSIGNED NOT NULL,
+    `user_id` INT UNSIGNED NOT NULL,
+    `channel` ENUM('email', 'webhook') NOT NULL,
+    `status` ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    `attempts` INT UNSIGNED NOT NULL DEFAULT 0,
+    `next_attempt_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Exponential backoff between retries',
+    `last_error` VARCHAR(500) NULL,
+    `sent_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_deliveries_notification_idx` (`notification_id`) REFERENCES `user_notifications`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_deliveries_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    KEY `idx_status_next_attempt` (`status`, `next_attempt_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User alert events — One row per alert trigger (written by commands/evaluateAlerts.js)
+CREATE TABLE IF NOT EXISTS `user_alert_events` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `alert_id` BIGINT UNSIGNED NOT NULL,
+    `user_id` INT UNSIGNED NOT NULL,
+    `alert_type` ENUM('price', 'volatility', 'drawdown', 'var_breach', 'rebalancing') NOT NULL,
+    `observed_value` DECIMAL(30, 18) NOT NULL COMMENT 'Metric value that crossed the threshold (USD for price, % otherwise)',
+    `threshold_value` DECIMAL(30, 18) NOT NULL COMMENT 'Alert threshold at trigger time',
+    `direction` ENUM('above', 'below') NOT NULL,
+    `notification_id` BIGINT UNSIGNED NULL COMMENT 'Notification sent for this trigger (NULL if notification failed)',
+    `triggered_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_alert_events_alert_idx` (`alert_id`) REFERENCES `user_alerts`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_alert_events_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_alert_events_notification_idx` (`notification_id`) REFERENCES `user_notifications`(`id`) ON DELETE SET NULL,
+    KEY `idx_alert_triggered` (`alert_id`, `triggered_at`),
+    KEY `idx_user_triggered` (`user_id`, `triggered_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- User portfolio snapshots — Daily portfolio value history (for charts)
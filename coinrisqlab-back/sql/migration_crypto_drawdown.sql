@@ -0,0 +1,36 @@
+-- Migration: Crypto Drawdown
+-- Date: 2026-10-19
+-- Description: Historizes drawdown statistics per crypto over a rolling
+--              window of up to 365 days: max and current drawdown, peak /
+--              trough / recovery dates and episode durations.
+--              Filled by calculateDrawdownStats.
+-- Impact: Additive only (new table) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. CRYPTO_DRAWDOWN — One row per crypto, date and window
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `crypto_drawdown` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `date` DATE NOT NULL COMMENT 'Date for which drawdown is calculated',
+    `window_days` INT UNSIGNED NOT NULL DEFAULT 365 COMMENT 'Rolling window size in days',
+    `max_drawdown` DECIMAL(20, 12) NOT NULL COMMENT 'Largest peak-to-trough decline in the window (fraction)',
+    `current_drawdown` DECIMAL(20, 12) NOT NULL COMMENT 'Decline from the running peak at date (fraction)',
+    `peak_date` DATE NULL COMMENT 'Peak preceding the max drawdown',
+    `trough_date` DATE NULL COMMENT 'Trough of the max drawdown',
+    `recovery_date` DATE NULL COMMENT 'Date the max drawdown peak was regained, NULL if not recovered',
+    `recovery_days` INT UNSIGNED NULL COMMENT 'Trough to recovery of the max drawdown, NULL if not recovered',
+    `current_duration_days` INT UNSIGNED NOT NULL COMMENT 'Days since the last peak (0 at a peak)',
+    `longest_duration_days` INT UNSIGNED NOT NULL COMMENT 'Longest peak-to-recovery episode, ongoing one included',
+    `num_observations` INT UNSIGNED NOT NULL COMMENT 'Number of data points used in calculation',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_drawdown_crypto_idx` (`crypto_id`) REFERENCES `cryptocurrencies`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_crypto_date_window` (`crypto_id`, `date`, `window_days`),
+    KEY `idx_date` (`date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
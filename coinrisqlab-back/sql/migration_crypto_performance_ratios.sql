@@ -0,0 +1,40 @@
+-- Migration: Crypto Performance Ratios
+-- Date: 2026-10-19
+-- Description: Historizes downside and benchmark-relative ratios per crypto
+--              over a rolling window of up to 365 days: Sortino, Calmar,
+--              Omega, Treynor, Information ratio and tracking error vs the
+--              CoinRisqLab 80. Rows are keyed by the minimum acceptable
+--              return used for Sortino / Omega.
+--              Filled by calculateRatioStats.
+-- Impact: Additive only (new table) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. CRYPTO_PERFORMANCE_RATIOS — One row per crypto, date, window and MAR
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `crypto_performance_ratios` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `date` DATE NOT NULL COMMENT 'Date for which ratios are calculated',
+    `window_days` INT UNSIGNED NOT NULL DEFAULT 365 COMMENT 'Rolling window size in days',
+    `mar` DECIMAL(10, 6) NOT NULL DEFAULT 0 COMMENT 'Annual minimum acceptable return used by Sortino / Omega (fraction)',
+    `sortino_ratio` DECIMAL(20, 12) NULL COMMENT 'Annualized, NULL without any return below MAR',
+    `downside_deviation` DECIMAL(20, 12) NOT NULL COMMENT 'Daily downside deviation below MAR',
+    `calmar_ratio` DECIMAL(20, 12) NULL COMMENT 'Annualized return / max drawdown, NULL without drawdown',
+    `omega_ratio` DECIMAL(20, 12) NULL COMMENT 'Gains / losses around MAR, NULL without any loss',
+    `treynor_ratio` DECIMAL(20, 12) NULL COMMENT 'Annualized return / beta, NULL if beta is 0',
+    `information_ratio` DECIMAL(20, 12) NULL COMMENT 'Annualized active return / tracking error vs CoinRisqLab 80',
+    `tracking_error` DECIMAL(20, 12) NULL COMMENT 'Annualized std of active returns vs CoinRisqLab 80',
+    `max_drawdown` DECIMAL(20, 12) NOT NULL COMMENT 'Max drawdown over the window, used by Calmar (fraction)',
+    `beta` DECIMAL(20, 12) NULL COMMENT 'Beta vs CoinRisqLab 80 over the window, used by Treynor',
+    `num_observations` INT UNSIGNED NOT NULL COMMENT 'Number of data points used in calculation',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_ratios_crypto_idx` (`crypto_id`) REFERENCES `cryptocurrencies`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_crypto_date_window_mar` (`crypto_id`, `date`, `window_days`, `mar`),
+    KEY `idx_date` (`date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- Migration: Crypto VaR Methods
+-- Date: 2026-10-19
+-- Description: Historizes parametric (Gaussian) and Cornish-Fisher VaR/CVaR next
+--              to the historical ones. crypto_var gets a method column and one
+--              row per (crypto, date, window, method). Existing rows are
+--              historical; the next calculateVaRStats run backfills the others.
+-- Impact: Additive (new column with default, unique key widened) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. CRYPTO_VAR — Estimation method
+-- ============================================================================
+ALTER TABLE `crypto_var`
+    ADD COLUMN `method` ENUM('historical', 'parametric', 'cornish_fisher') NOT NULL DEFAULT 'historical'
+        COMMENT 'historical percentile, Gaussian parametric or Cornish-Fisher modified'
+        AFTER `window_days`,
+    DROP INDEX `idx_crypto_date_window`,
+    ADD UNIQUE KEY `idx_crypto_date_window_method` (`crypto_id`, `date`, `window_days`, `method`);
+
+COMMIT;
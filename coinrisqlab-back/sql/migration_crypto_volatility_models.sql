@@ -0,0 +1,36 @@
+-- Migration: Crypto Volatility Models
+-- Date: 2026-10-19
+-- Description: Historizes EWMA (RiskMetrics, lambda 0.94) and GARCH(1,1)
+--              conditional volatilities per crypto next to the 90-day rolling
+--              window of crypto_volatility, with their 10 and 30-day forecasts.
+--              Filled by calculateCryptoVolatility.
+-- Impact: Additive only (new table) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. CRYPTO_VOLATILITY_MODELS — One row per crypto, date and model
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `crypto_volatility_models` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `date` DATE NOT NULL COMMENT 'Close of the day the model was filtered to',
+    `model` ENUM('ewma', 'garch') NOT NULL,
+    `daily_volatility` DECIMAL(20, 12) NOT NULL COMMENT 'One-day-ahead conditional volatility (= 1d forecast)',
+    `annualized_volatility` DECIMAL(20, 12) NOT NULL COMMENT 'daily_volatility * sqrt(365)',
+    `forecast_10d` DECIMAL(20, 12) NOT NULL COMMENT 'Volatility of the cumulative log return over the next 10 days',
+    `forecast_30d` DECIMAL(20, 12) NOT NULL COMMENT 'Volatility of the cumulative log return over the next 30 days',
+    `lambda` DECIMAL(10, 6) NULL COMMENT 'EWMA decay factor',
+    `omega` DECIMAL(20, 12) NULL COMMENT 'GARCH constant',
+    `alpha` DECIMAL(10, 6) NULL COMMENT 'GARCH shock coefficient',
+    `beta` DECIMAL(10, 6) NULL COMMENT 'GARCH persistence coefficient',
+    `num_observations` INT UNSIGNED NOT NULL COMMENT 'Returns filtered (EWMA) or used in the fit (GARCH)',
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_volatility_models_crypto_idx` (`crypto_id`) REFERENCES `cryptocurrencies`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_crypto_date_model` (`crypto_id`, `date`, `model`),
+    KEY `idx_date` (`date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
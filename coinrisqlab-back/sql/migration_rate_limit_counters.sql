@@ -0,0 +1,22 @@
+-- Migration: Rate Limit Counters
+-- Date: 2026-10-19
+-- Description: Shared counters for middleware/rateLimit.js when several API instances run
+--              (COINRISQLAB_RATE_LIMIT_STORE=mysql). Also holds the login lockout state.
+-- Impact: Additive only (CREATE TABLE IF NOT EXISTS) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. RATE_LIMIT_COUNTERS — One fixed window per key
+--    Expired rows are purged by commands/cleanExpiredSessions.js.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `rate_limit_counters` (
+    `bucket_key` VARCHAR(191) NOT NULL PRIMARY KEY COMMENT '<group>:<client> or login-fail/login-lock:<sha256 of email>',
+    `hits` INT UNSIGNED NOT NULL DEFAULT 1,
+    `reset_at` TIMESTAMP(3) NOT NULL COMMENT 'End of the current window',
+    KEY `idx_reset_at` (`reset_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- Migration: Stripe Webhook Event Ledger
+-- Date: 2026-10-19
+-- Description: Every Stripe webhook event is recorded by id so redeliveries are not applied
+--              twice, and users.stripe_event_at keeps the creation time of the last event
+--              applied to a user so older events delivered late cannot overwrite the plan.
+-- Impact: Additive only (new table, nullable column) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USERS — Ordering guard
+--    Creation time (Stripe `created`) of the last event that changed the plan.
+--    `created` has one-second resolution: among events created in the same
+--    second, stripe_event_rank keeps the furthest subscription state (an ended
+--    subscription is never reactivated by a same-second update).
+-- ============================================================================
+ALTER TABLE `users`
+    ADD COLUMN `stripe_event_at` TIMESTAMP NULL COMMENT 'Stripe created time of the last applied billing event' AFTER `stripe_customer_id`,
+    ADD COLUMN `stripe_event_rank` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Subscription state rank of that event: 0 live, 1 past due, 2 unpaid, 3 ended' AFTER `stripe_event_at`;
+
+-- ============================================================================
+-- 2. STRIPE EVENTS — Webhook ledger
+--    No foreign key on user_id: the ledger outlives purged accounts.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `stripe_events` (
+    `id` VARCHAR(255) NOT NULL PRIMARY KEY COMMENT 'Stripe event id (evt_...)',
+    `type` VARCHAR(100) NOT NULL,
+    `stripe_created_at` TIMESTAMP NOT NULL COMMENT 'Stripe event created time',
+    `customer_id` VARCHAR(255) NULL,
+    `user_id` INT UNSIGNED NULL,
+    `status` ENUM('processing', 'processed', 'skipped', 'failed') NOT NULL DEFAULT 'processing',
+    `skip_reason` VARCHAR(255) NULL COMMENT 'Unhandled type, unknown customer or out-of-order event',
+    `error` TEXT NULL COMMENT 'Last processing error (status failed)',
+    `attempts` INT UNSIGNED NOT NULL DEFAULT 1 COMMENT 'Deliveries that were processed',
+    `payload` JSON NOT NULL,
+    `received_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `last_attempt_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `processed_at` TIMESTAMP NULL,
+    KEY `idx_status_received` (`status`, `received_at`),
+    KEY `idx_customer_id` (`customer_id`),
+    KEY `idx_user_id` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
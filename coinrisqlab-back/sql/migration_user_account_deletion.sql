@@ -0,0 +1,24 @@
+-- Migration: User Account Deletion (GDPR)
+-- Date: 2026-10-19
+-- Description: Self-service account deletion with a grace period. DELETE /user/auth/account
+--              schedules the deletion; commands/purgeDeletedAccounts.js removes the user
+--              (and, through ON DELETE CASCADE, all their data) once the grace period is over.
+-- Impact: Additive only (nullable columns) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USERS — Deletion schedule
+--    NULL = not scheduled. Restoring the account resets all three columns.
+--    deletion_cancelled_subscriptions lists the Stripe subscriptions the deletion
+--    set to cancel at period end, so a restore resumes only those.
+-- ============================================================================
+ALTER TABLE `users`
+    ADD COLUMN `deletion_requested_at` TIMESTAMP NULL AFTER `last_login_at`,
+    ADD COLUMN `deletion_scheduled_at` TIMESTAMP NULL COMMENT 'Account is purged after this date' AFTER `deletion_requested_at`,
+    ADD COLUMN `deletion_cancelled_subscriptions` JSON NULL COMMENT 'Stripe subscription ids cancelled by the deletion, resumed on restore' AFTER `deletion_scheduled_at`,
+    ADD KEY `idx_deletion_scheduled_at` (`deletion_scheduled_at`);
+
+COMMIT;
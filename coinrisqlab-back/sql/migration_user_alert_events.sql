@@ -0,0 +1,31 @@
+-- Migration: User Alert Events
+-- Date: 2026-10-19
+-- Description: Record every firing of a user alert evaluated by commands/evaluateAlerts.js
+-- Impact: Additive only (CREATE TABLE IF NOT EXISTS) — zero downtime
+--
+-- user_alerts.last_triggered_at keeps driving the cooldown; this table keeps the
+-- full trigger history (observed value vs threshold at evaluation time).
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_ALERT_EVENTS — One row per alert trigger
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `user_alert_events` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `alert_id` BIGINT UNSIGNED NOT NULL,
+    `user_id` INT UNSIGNED NOT NULL,
+    `alert_type` ENUM('price', 'volatility', 'drawdown', 'var_breach', 'rebalancing') NOT NULL,
+    `observed_value` DECIMAL(30, 18) NOT NULL COMMENT 'Metric value that crossed the threshold (USD for price, % otherwise)',
+    `threshold_value` DECIMAL(30, 18) NOT NULL COMMENT 'Alert threshold at trigger time',
+    `direction` ENUM('above', 'below') NOT NULL,
+    `triggered_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_alert_events_alert_idx` (`alert_id`) REFERENCES `user_alerts`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_alert_events_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    KEY `idx_alert_triggered` (`alert_id`, `triggered_at`),
+    KEY `idx_user_triggered` (`user_id`, `triggered_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
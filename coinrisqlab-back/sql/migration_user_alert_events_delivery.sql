@@ -0,0 +1,20 @@
+-- Migration: User Alert Events Delivery Link
+-- Date: 2026-10-19
+-- Description: Link each alert trigger to the notification sent for it, so the alert
+--              history can report the delivery status of every channel
+-- Impact: Additive only (nullable column) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_ALERT_EVENTS — notification_id
+--    Delivery status is derived from user_notification_deliveries
+--    (email/webhook) so it follows the retry queue without duplication.
+-- ============================================================================
+ALTER TABLE `user_alert_events`
+    ADD COLUMN `notification_id` BIGINT UNSIGNED NULL COMMENT 'Notification sent for this trigger (NULL if notification failed)' AFTER `direction`,
+    ADD CONSTRAINT `fk_alert_events_notification_idx` FOREIGN KEY (`notification_id`) REFERENCES `user_notifications`(`id`) ON DELETE SET NULL;
+
+COMMIT;
@@ -0,0 +1,30 @@
+-- Migration: User API Keys
+-- Date: 2026-10-19
+-- Description: Personal, scoped, revocable API keys sent as `Authorization: Bearer <key>`.
+--              Only the SHA-256 hash of the key is stored; key_prefix is kept for display.
+-- Impact: Additive only (CREATE TABLE IF NOT EXISTS) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_API_KEYS — Programmatic access for scripts
+--    scopes is a JSON array of API_KEY_SCOPES (middleware/userAuth.js).
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `user_api_keys` (
+    `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT UNSIGNED NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `key_prefix` VARCHAR(16) NOT NULL COMMENT 'First characters of the key, shown in the UI',
+    `key_hash` VARCHAR(64) NOT NULL COMMENT 'SHA-256 hash of the full key',
+    `scopes` JSON NOT NULL,
+    `last_used_at` TIMESTAMP NULL,
+    `expires_at` TIMESTAMP NULL COMMENT 'NULL = never expires',
+    `revoked_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_api_keys_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_key_hash` (`key_hash`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- Migration: User Billing Dunning
+-- Date: 2026-10-19
+-- Description: Dunning state machine for failed subscription payments.
+--              active -> past_due (Stripe is retrying) -> grace (retries exhausted, Pro kept
+--              until grace_ends_at) -> downgraded (commands/expireBillingGrace.js).
+--              A successful payment brings the user back to active from any state.
+-- Impact: Additive only (column with default, nullable columns) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USERS — Dunning state
+-- ============================================================================
+ALTER TABLE `users`
+    ADD COLUMN `billing_status` ENUM('active', 'past_due', 'grace', 'downgraded') NOT NULL DEFAULT 'active' COMMENT 'Dunning state' AFTER `stripe_event_at`,
+    ADD COLUMN `billing_status_changed_at` TIMESTAMP NULL AFTER `billing_status`,
+    ADD COLUMN `grace_ends_at` TIMESTAMP NULL COMMENT 'Pro access ends at this date in the grace state' AFTER `billing_status_changed_at`,
+    ADD KEY `idx_billing_grace` (`billing_status`, `grace_ends_at`);
+
+COMMIT;
@@ -0,0 +1,24 @@
+-- Migration: User Fees Cost Basis
+-- Date: 2026-10-19
+-- Description: Transaction fees now count in cost basis (buys) and realized P&L (sells).
+--              Disposals record their share of the sell fee. Holdings, lots and
+--              disposals must then be rebuilt: run `npm run recompute-holdings`.
+-- Impact: Additive only (column with default, column comment) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_TAX_LOT_DISPOSALS — Sell fee share
+-- ============================================================================
+ALTER TABLE `user_tax_lot_disposals`
+    ADD COLUMN `fee_usd` DECIMAL(20, 8) NOT NULL DEFAULT 0 COMMENT 'Share of the sell fee' AFTER `proceeds_usd`;
+
+-- ============================================================================
+-- 2. USER_TAX_LOTS — Unit cost includes the buy fee
+-- ============================================================================
+ALTER TABLE `user_tax_lots`
+    MODIFY COLUMN `unit_cost_usd` DECIMAL(30, 18) NOT NULL COMMENT 'Buy price plus buy fee per unit';
+
+COMMIT;
@@ -0,0 +1,35 @@
+-- Migration: User Import Batches
+-- Date: 2026-10-19
+-- Description: Records every committed transaction import and tags the imported
+--              rows with it, so a whole import can be listed and undone at once.
+--              Rows imported before this migration have no batch.
+-- Impact: Additive only (new table, nullable column) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_IMPORT_BATCHES — One row per committed import
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `user_import_batches` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `portfolio_id` INT UNSIGNED NOT NULL,
+    `source` VARCHAR(20) NULL COMMENT 'binance, coinbase, kraken, generic; NULL for pre-shaped JSON rows',
+    `file_name` VARCHAR(255) NULL,
+    `imported_count` INT UNSIGNED NOT NULL DEFAULT 0,
+    `duplicate_count` INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Rows skipped as already recorded',
+    `error_count` INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Rows skipped as invalid',
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_import_batches_portfolio_idx` (`portfolio_id`) REFERENCES `user_portfolios`(`id`) ON DELETE CASCADE,
+    KEY `idx_portfolio_created` (`portfolio_id`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- 2. USER_TRANSACTIONS — Batch of imported rows
+-- ============================================================================
+ALTER TABLE `user_transactions`
+    ADD COLUMN `import_batch_id` BIGINT UNSIGNED NULL COMMENT 'Import that created the row (NULL if recorded manually)' AFTER `notes`,
+    ADD FOREIGN KEY `fk_transactions_import_batch_idx` (`import_batch_id`) REFERENCES `user_import_batches`(`id`) ON DELETE SET NULL;
+
+COMMIT;
@@ -0,0 +1,65 @@
+-- Migration: User Notifications
+-- Date: 2026-10-19
+-- Description: Notification channels (email, signed webhook, in-app inbox), per-user
+--              preferences and a delivery retry queue for triggered alerts
+-- Impact: Additive only (CREATE TABLE IF NOT EXISTS) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_NOTIFICATION_PREFERENCES — Per-user channel settings
+--    No row = defaults (email + in-app on, webhook off).
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `user_notification_preferences` (
+    `user_id` INT UNSIGNED PRIMARY KEY,
+    `email_enabled` TINYINT(1) NOT NULL DEFAULT 1,
+    `in_app_enabled` TINYINT(1) NOT NULL DEFAULT 1,
+    `webhook_enabled` TINYINT(1) NOT NULL DEFAULT 0,
+    `webhook_url` VARCHAR(2048) NULL COMMENT 'HTTPS endpoint receiving signed POST requests',
+    `webhook_secret` VARCHAR(64) NULL COMMENT 'HMAC-SHA256 signing secret (X-CoinRisqLab-Signature)',
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_notif_prefs_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- 2. USER_NOTIFICATIONS — Every notification sent to a user (in-app inbox)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `user_notifications` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT UNSIGNED NOT NULL,
+    `type` VARCHAR(50) NOT NULL COMMENT 'e.g. alert.triggered, test',
+    `title` VARCHAR(255) NOT NULL,
+    `body` TEXT NOT NULL,
+    `data` JSON NULL COMMENT 'Structured payload forwarded to webhooks',
+    `in_app` TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Shown in the in-app inbox',
+    `read_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_notifications_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    KEY `idx_user_inbox` (`user_id`, `in_app`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- 3. USER_NOTIFICATION_DELIVERIES — Email/webhook delivery log and retry queue
+--    Processed by commands/processNotificationQueue.js.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `user_notification_deliveries` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `notification_id` BIGINT UNSIGNED NOT NULL,
+    `user_id` INT UNSIGNED NOT NULL,
+    `channel` ENUM('email', 'webhook') NOT NULL,
+    `status` ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    `attempts` INT UNSIGNED NOT NULL DEFAULT 0,
+    `next_attempt_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Exponential backoff between retries',
+    `last_error` VARCHAR(500) NULL,
+    `sent_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_deliveries_notification_idx` (`notification_id`) REFERENCES `user_notifications`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_deliveries_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    KEY `idx_status_next_attempt` (`status`, `next_attempt_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- Migration: Portfolio-level User Alerts
+-- Date: 2026-10-19
+-- Description: Let user alerts target a whole portfolio (portfolio_id) instead of a
+--              single crypto. Exactly one of crypto_id / portfolio_id is set (enforced by the API).
+-- Impact: Additive only (nullable column, crypto_id relaxed to NULL) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_ALERTS — portfolio_id target
+--    Portfolio alerts are evaluated by commands/evaluateAlerts.js against
+--    computeAnalyticsBundle (volatility, VaR) and user_portfolio_snapshots (drawdown).
+-- ============================================================================
+ALTER TABLE `user_alerts`
+    MODIFY COLUMN `crypto_id` INT UNSIGNED NULL COMMENT 'Target crypto (NULL for portfolio alerts)',
+    ADD COLUMN `portfolio_id` INT UNSIGNED NULL COMMENT 'Target portfolio (NULL for crypto alerts)' AFTER `crypto_id`,
+    ADD CONSTRAINT `fk_alerts_portfolio_idx` FOREIGN KEY (`portfolio_id`) REFERENCES `user_portfolios`(`id`) ON DELETE CASCADE,
+    ADD KEY `idx_portfolio_id` (`portfolio_id`);
+
+COMMIT;
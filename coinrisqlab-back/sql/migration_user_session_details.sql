@@ -0,0 +1,20 @@
+-- Migration: User Session Details
+-- Date: 2026-10-19
+-- Description: Store the client (user agent, IP) and last activity of each user session
+--              so users can list their signed-in devices and revoke them.
+-- Impact: Additive only (nullable columns) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_SESSIONS — Client details and last-seen
+--    last_seen_at is refreshed by middleware/userAuth.js (at most once a minute).
+-- ============================================================================
+ALTER TABLE `user_sessions`
+    ADD COLUMN `user_agent` VARCHAR(255) NULL AFTER `token_hash`,
+    ADD COLUMN `ip_address` VARCHAR(45) NULL COMMENT 'IPv4 or IPv6 of the last request' AFTER `user_agent`,
+    ADD COLUMN `last_seen_at` TIMESTAMP NULL AFTER `created_at`;
+
+COMMIT;
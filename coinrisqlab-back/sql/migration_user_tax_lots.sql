@@ -0,0 +1,57 @@
+-- Migration: User Tax Lots
+-- Date: 2026-10-19
+-- Description: Per-portfolio cost-basis method (AVG, FIFO, LIFO, HIFO) and lot-level
+--              state: one lot per buy and one disposal per (lot, sell) pair.
+--              Lots are derived from user_transactions by recomputeHolding; existing
+--              portfolios keep AVG. Build their lots once after applying this
+--              migration: `npm run recompute-holdings` (capital gains reports read them).
+-- Impact: Additive only (column with default, new tables) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_PORTFOLIOS — Cost-basis method
+-- ============================================================================
+ALTER TABLE `user_portfolios`
+    ADD COLUMN `cost_basis_method` ENUM('AVG', 'FIFO', 'LIFO', 'HIFO') NOT NULL DEFAULT 'AVG' COMMENT 'Lot method for realized P&L (utils/taxLots.js)' AFTER `description`;
+
+-- ============================================================================
+-- 2. USER_TAX_LOTS / USER_TAX_LOT_DISPOSALS
+-- ============================================================================
+-- User tax lots — One acquisition lot per buy (derived, rebuilt by recomputeHolding)
+CREATE TABLE IF NOT EXISTS `user_tax_lots` (
+    `transaction_id` BIGINT UNSIGNED PRIMARY KEY COMMENT 'Buy transaction that opened the lot',
+    `portfolio_id` INT UNSIGNED NOT NULL,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `acquired_at` DATETIME NOT NULL,
+    `quantity` DECIMAL(30, 18) NOT NULL,
+    `remaining_quantity` DECIMAL(30, 18) NOT NULL COMMENT 'Not yet consumed by sells',
+    `unit_cost_usd` DECIMAL(30, 18) NOT NULL,
+    FOREIGN KEY `fk_tax_lots_transaction_idx` (`transaction_id`) REFERENCES `user_transactions`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_tax_lots_portfolio_idx` (`portfolio_id`) REFERENCES `user_portfolios`(`id`) ON DELETE CASCADE,
+    KEY `idx_portfolio_crypto` (`portfolio_id`, `crypto_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User tax lot disposals — Which sells consumed which lots
+CREATE TABLE IF NOT EXISTS `user_tax_lot_disposals` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `lot_transaction_id` BIGINT UNSIGNED NOT NULL,
+    `sell_transaction_id` BIGINT UNSIGNED NOT NULL,
+    `portfolio_id` INT UNSIGNED NOT NULL,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `method` ENUM('AVG', 'FIFO', 'LIFO', 'HIFO') NOT NULL COMMENT 'Cost-basis method in effect',
+    `quantity` DECIMAL(30, 18) NOT NULL,
+    `cost_basis_usd` DECIMAL(30, 8) NOT NULL,
+    `proceeds_usd` DECIMAL(30, 8) NOT NULL,
+    `realized_pnl_usd` DECIMAL(30, 8) NOT NULL,
+    `acquired_at` DATETIME NOT NULL,
+    `disposed_at` DATETIME NOT NULL,
+    FOREIGN KEY `fk_disposals_lot_idx` (`lot_transaction_id`) REFERENCES `user_tax_lots`(`transaction_id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_disposals_sell_idx` (`sell_transaction_id`) REFERENCES `user_transactions`(`id`) ON DELETE CASCADE,
+    KEY `idx_portfolio_disposed` (`portfolio_id`, `disposed_at`),
+    KEY `idx_portfolio_crypto` (`portfolio_id`, `crypto_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- Migration: User Tokens (email verification & password reset)
+-- Date: 2026-10-19
+-- Description: Single-use, expiring tokens mailed to users. Only the SHA-256 hash of
+--              the token is stored (same scheme as user_sessions.token_hash).
+-- Impact: Additive only (CREATE TABLE IF NOT EXISTS) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_TOKENS — Email verification and password reset tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `user_tokens` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT UNSIGNED NOT NULL,
+    `purpose` ENUM('email_verification', 'password_reset') NOT NULL,
+    `token_hash` VARCHAR(64) NOT NULL COMMENT 'SHA-256 hash of the mailed token',
+    `expires_at` TIMESTAMP NOT NULL,
+    `used_at` TIMESTAMP NULL COMMENT 'Set when the token is consumed (single use)',
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_tokens_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    UNIQUE KEY `idx_token_hash` (`token_hash`),
+    KEY `idx_user_purpose` (`user_id`, `purpose`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
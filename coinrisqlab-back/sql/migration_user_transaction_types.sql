@@ -0,0 +1,68 @@
+-- Migration: User Transaction Types
+-- Date: 2026-10-19
+-- Description: Adds reward, airdrop, income, transfer_in and transfer_out transactions
+--              and links the two legs of an internal transfer between portfolios.
+--              Tax lots gain a lot_index (a transfer_in can carry several lots) and
+--              disposals a kind (transfers are not taxable). Lots and disposals are a
+--              derived cache: they are recreated empty, then rebuilt with
+--              `npm run recompute-holdings`. Legacy `transfer` rows are left as they
+--              are and replayed as before: no effect on holdings, + in the TWR curve.
+-- Impact: Additive on user_transactions; user_tax_lots and user_tax_lot_disposals are
+--         dropped and recreated (tax reports are empty until the recompute has run)
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USER_TRANSACTIONS — New types and internal transfer link
+-- ============================================================================
+ALTER TABLE `user_transactions`
+    MODIFY COLUMN `type` ENUM('buy', 'sell', 'transfer', 'reward', 'airdrop', 'income', 'transfer_in', 'transfer_out') NOT NULL COMMENT 'transfer = legacy, direction unknown',
+    ADD COLUMN `linked_transaction_id` BIGINT UNSIGNED NULL COMMENT 'Other leg of an internal transfer between portfolios' AFTER `type`,
+    ADD FOREIGN KEY `fk_transactions_linked_idx` (`linked_transaction_id`) REFERENCES `user_transactions`(`id`) ON DELETE SET NULL;
+
+-- ============================================================================
+-- 2. USER_TAX_LOTS / USER_TAX_LOT_DISPOSALS — Recreated with lot_index and kind
+-- ============================================================================
+DROP TABLE IF EXISTS `user_tax_lot_disposals`;
+DROP TABLE IF EXISTS `user_tax_lots`;
+
+CREATE TABLE IF NOT EXISTS `user_tax_lots` (
+    `transaction_id` BIGINT UNSIGNED NOT NULL COMMENT 'Acquisition transaction that opened the lot',
+    `lot_index` SMALLINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Position among the lots carried by a transfer_in',
+    `portfolio_id` INT UNSIGNED NOT NULL,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `acquired_at` DATETIME NOT NULL,
+    `quantity` DECIMAL(30, 18) NOT NULL,
+    `remaining_quantity` DECIMAL(30, 18) NOT NULL COMMENT 'Not yet consumed by disposals',
+    `unit_cost_usd` DECIMAL(30, 18) NOT NULL COMMENT 'Price (or fair value) plus fee per unit',
+    PRIMARY KEY (`transaction_id`, `lot_index`),
+    FOREIGN KEY `fk_tax_lots_transaction_idx` (`transaction_id`) REFERENCES `user_transactions`(`id`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_tax_lots_portfolio_idx` (`portfolio_id`) REFERENCES `user_portfolios`(`id`) ON DELETE CASCADE,
+    KEY `idx_portfolio_crypto` (`portfolio_id`, `crypto_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS `user_tax_lot_disposals` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `lot_transaction_id` BIGINT UNSIGNED NOT NULL,
+    `lot_index` SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+    `sell_transaction_id` BIGINT UNSIGNED NOT NULL COMMENT 'Sell or transfer_out',
+    `portfolio_id` INT UNSIGNED NOT NULL,
+    `crypto_id` INT UNSIGNED NOT NULL,
+    `kind` ENUM('sale', 'transfer') NOT NULL DEFAULT 'sale' COMMENT 'Transfers are not taxable',
+    `method` ENUM('AVG', 'FIFO', 'LIFO', 'HIFO') NOT NULL COMMENT 'Cost-basis method in effect',
+    `quantity` DECIMAL(30, 18) NOT NULL,
+    `cost_basis_usd` DECIMAL(30, 8) NOT NULL,
+    `proceeds_usd` DECIMAL(30, 8) NOT NULL COMMENT 'Equals cost_basis_usd for transfers',
+    `fee_usd` DECIMAL(20, 8) NOT NULL DEFAULT 0 COMMENT 'Share of the sell fee',
+    `realized_pnl_usd` DECIMAL(30, 8) NOT NULL,
+    `acquired_at` DATETIME NOT NULL,
+    `disposed_at` DATETIME NOT NULL,
+    FOREIGN KEY `fk_disposals_lot_idx` (`lot_transaction_id`, `lot_index`) REFERENCES `user_tax_lots`(`transaction_id`, `lot_index`) ON DELETE CASCADE,
+    FOREIGN KEY `fk_disposals_sell_idx` (`sell_transaction_id`) REFERENCES `user_transactions`(`id`) ON DELETE CASCADE,
+    KEY `idx_portfolio_disposed` (`portfolio_id`, `disposed_at`),
+    KEY `idx_portfolio_crypto` (`portfolio_id`, `crypto_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
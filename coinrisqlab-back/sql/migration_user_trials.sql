@@ -0,0 +1,18 @@
+-- Migration: User Trials
+-- Date: 2026-10-19
+-- Description: Track the end of the Stripe free trial (STRIPE_TRIAL_DAYS) so the
+--              pricing and settings pages can show the trial status.
+--              Set by the webhook while the subscription is trialing, cleared otherwise.
+-- Impact: Additive only (nullable column) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USERS — Trial end
+-- ============================================================================
+ALTER TABLE `users`
+    ADD COLUMN `trial_ends_at` TIMESTAMP NULL COMMENT 'End of the Stripe free trial while trialing' AFTER `grace_ends_at`;
+
+COMMIT;
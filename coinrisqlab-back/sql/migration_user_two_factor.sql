@@ -0,0 +1,43 @@
+-- Migration: User TOTP Two-Factor Authentication
+-- Date: 2026-10-19
+-- Description: Optional TOTP (RFC 6238) second factor for user accounts, single-use
+--              recovery codes, and short-lived login challenges between the password
+--              step and the TOTP step of POST /user/auth/login.
+-- Impact: Additive only (new columns with defaults, new ENUM value, new table) — zero downtime
+
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+-- ============================================================================
+-- 1. USERS — TOTP secret and state
+--    totp_secret is set on enrollment start and only trusted once totp_enabled = 1.
+--    totp_last_step blocks replay of a code within its 30s window.
+-- ============================================================================
+ALTER TABLE `users`
+    ADD COLUMN `totp_secret` VARCHAR(64) NULL COMMENT 'Base32 TOTP secret (pending until totp_enabled)' AFTER `email_verified`,
+    ADD COLUMN `totp_enabled` TINYINT(1) NOT NULL DEFAULT 0 AFTER `totp_secret`,
+    ADD COLUMN `totp_last_step` BIGINT UNSIGNED NULL COMMENT 'Last accepted TOTP time step (anti-replay)' AFTER `totp_enabled`;
+
+-- ============================================================================
+-- 2. USER_TOKENS — Login challenge purpose
+--    Issued after a valid password when 2FA is on; attempts caps code guessing.
+-- ============================================================================
+ALTER TABLE `user_tokens`
+    MODIFY COLUMN `purpose` ENUM('email_verification', 'password_reset', 'login_challenge') NOT NULL,
+    ADD COLUMN `attempts` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Failed code attempts (login_challenge)' AFTER `used_at`;
+
+-- ============================================================================
+-- 3. USER_RECOVERY_CODES — Single-use 2FA recovery codes (SHA-256 hashed)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS `user_recovery_codes` (
+    `id` BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT UNSIGNED NOT NULL,
+    `code_hash` VARCHAR(64) NOT NULL COMMENT 'SHA-256 hash of the normalized code',
+    `used_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY `fk_recovery_codes_user_idx` (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+    KEY `idx_user_code` (`user_id`, `code_hash`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+COMMIT;
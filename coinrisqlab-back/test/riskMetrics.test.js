@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  calculateCornishFisherCVaR,
+  calculateCornishFisherVaR,
+  calculateKurtosis,
+  calculateParametricCVaR,
+  calculateParametricVaR,
+  calculateSkewness,
+  normalInverseCDF,
+  normalPDF,
+} from '../utils/riskMetrics.js';
+import { mean, standardDeviation } from '../utils/statistics.js';
+
+const close = (actual, expected, tolerance = 1e-8) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+
+// Symmetric returns: zero skewness, negative excess kurtosis
+const SYMMETRIC = [-0.03, -0.02, -0.01, 0, 0.01, 0.02, 0.03];
+
+// A fat left tail within the expansion's range (skewness ≈ -1.5, excess kurtosis ≈ 4.6)
+const CRASHY = [
+  ...Array(20).fill(0.02),
+  ...Array(30).fill(0.01),
+  ...Array(30).fill(0),
+  ...Array(10).fill(-0.01),
+  -0.03,
+  -0.04,
+  -0.05,
+];
+
+describe('normalInverseCDF', () => {
+  it('matches standard normal quantiles', () => {
+    close(normalInverseCDF(0.5), 0);
+    close(normalInverseCDF(0.975), 1.959963985);
+    close(normalInverseCDF(0.95), 1.644853627);
+    close(normalInverseCDF(0.01), -2.326347874);
+    close(normalInverseCDF(0.001), -3.090232306);
+  });
+
+  it('is antisymmetric around 0.5', () => {
+    for (const p of [0.001, 0.02, 0.1, 0.3]) {
+      close(normalInverseCDF(p), -normalInverseCDF(1 - p), 1e-9);
+    }
+  });
+
+  it('returns infinities outside (0, 1)', () => {
+    assert.equal(normalInverseCDF(0), -Infinity);
+    assert.equal(normalInverseCDF(1), Infinity);
+  });
+});
+
+describe('parametric VaR / CVaR', () => {
+  it('follows the Gaussian closed forms', () => {
+    const mu = mean(SYMMETRIC);
+    const sigma = standardDeviation(SYMMETRIC, mu);
+    const z = normalInverseCDF(0.05);
+
+    close(calculateParametricVaR(SYMMETRIC, 95), -(mu + sigma * z));
+    close(calculateParametricCVaR(SYMMETRIC, 95), -mu + (sigma * normalPDF(z)) / 0.05);
+  });
+
+  it('returns 0 without enough returns', () => {
+    assert.equal(calculateParametricVaR([0.01], 95), 0);
+    assert.equal(calculateParametricCVaR([], 95), 0);
+  });
+});
+
+describe('Cornish-Fisher VaR / CVaR', () => {
+  it('only applies the kurtosis term to symmetric returns', () => {
+    const mu = mean(SYMMETRIC);
+    const sigma = standardDeviation(SYMMETRIC, mu);
+    const z = normalInverseCDF(0.05);
+    const K = calculateKurtosis(SYMMETRIC);
+
+    close(calculateSkewness(SYMMETRIC), 0, 1e-12);
+    close(
+      calculateCornishFisherVaR(SYMMETRIC, 95),
+      -(mu + sigma * (z + ((z ** 3 - 3 * z) * K) / 24))
+    );
+  });
+
+  it('raises the VaR above the Gaussian one for a fat left tail', () => {
+    assert.ok(calculateSkewness(CRASHY) < 0);
+    assert.ok(calculateCornishFisherVaR(CRASHY, 99) > calculateParametricVaR(CRASHY, 99));
+  });
+
+  it('keeps the CVaR beyond the VaR', () => {
+    for (const returns of [SYMMETRIC, CRASHY]) {
+      for (const level of [95, 99]) {
+        assert.ok(
+          calculateCornishFisherCVaR(returns, level) >= calculateCornishFisherVaR(returns, level)
+        );
+        assert.ok(
+          calculateParametricCVaR(returns, level) >= calculateParametricVaR(returns, level)
+        );
+      }
+    }
+  });
+});
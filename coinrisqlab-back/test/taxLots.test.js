@@ -0,0 +1,228 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { walkTransactions } from '../utils/taxLots.js';
+
+let nextId = 1;
+
+function tx(type, quantity, price, { fee = 0, timestamp = '2024-01-01 00:00:00', id } = {}) {
+  return { id: id ?? nextId++, type, quantity, price_usd: price, fee_usd: fee, timestamp };
+}
+
+const round = (value) => Math.round(value * 1e8) / 1e8;
+
+// Only the fields the assertions care about, rounded against float noise
+function summarize(disposals) {
+  return disposals.map((d) => ({
+    lot: d.lotTransactionId,
+    kind: d.kind,
+    quantity: round(d.quantity),
+    costBasis: round(d.costBasis),
+    proceeds: round(d.proceeds),
+    fees: round(d.fees),
+    realizedPnl: round(d.realizedPnl),
+  }));
+}
+
+describe('walkTransactions', () => {
+  const buy100 = tx('buy', 1, 100, { timestamp: '2024-01-01 00:00:00' });
+  const buy300 = tx('buy', 1, 300, { timestamp: '2024-02-01 00:00:00' });
+  const buy200 = tx('buy', 1, 200, { timestamp: '2024-03-01 00:00:00' });
+  const sell = (quantity, price, fee = 0) =>
+    tx('sell', quantity, price, { fee, timestamp: '2024-04-01 00:00:00' });
+
+  it('FIFO consumes the oldest lots first', () => {
+    const result = walkTransactions([buy100, buy300, buy200, sell(1.5, 400)], 'FIFO');
+
+    assert.deepEqual(summarize(result.disposals), [
+      {
+        lot: buy100.id,
+        kind: 'sale',
+        quantity: 1,
+        costBasis: 100,
+        proceeds: 400,
+        fees: 0,
+        realizedPnl: 300,
+      },
+      {
+        lot: buy300.id,
+        kind: 'sale',
+        quantity: 0.5,
+        costBasis: 150,
+        proceeds: 200,
+        fees: 0,
+        realizedPnl: 50,
+      },
+    ]);
+    assert.equal(round(result.realizedPnl), 350);
+    assert.equal(round(result.totalQty), 1.5);
+    // Open: 0.5 @ 300 + 1 @ 200
+    assert.equal(round(result.avgBuyPrice), round(350 / 1.5));
+  });
+
+  it('LIFO consumes the newest lots first', () => {
+    const result = walkTransactions([buy100, buy300, buy200, sell(1.5, 400)], 'LIFO');
+
+    assert.deepEqual(
+      summarize(result.disposals).map((d) => [d.lot, d.quantity, d.costBasis]),
+      [
+        [buy200.id, 1, 200],
+        [buy300.id, 0.5, 150],
+      ]
+    );
+    assert.equal(round(result.realizedPnl), 250);
+  });
+
+  it('HIFO consumes the most expensive lots first', () => {
+    const result = walkTransactions([buy100, buy300, buy200, sell(1.5, 400)], 'HIFO');
+
+    assert.deepEqual(
+      summarize(result.disposals).map((d) => [d.lot, d.quantity, d.costBasis]),
+      [
+        [buy300.id, 1, 300],
+        [buy200.id, 0.5, 100],
+      ]
+    );
+    // Open: 1 @ 100 + 0.5 @ 200
+    assert.equal(round(result.avgBuyPrice), round(200 / 1.5));
+  });
+
+  it('AVG sells at the running average cost', () => {
+    const result = walkTransactions([buy100, buy300, sell(1, 400)], 'AVG');
+
+    assert.deepEqual(
+      summarize(result.disposals).map((d) => [d.quantity, d.costBasis]),
+      [[1, 200]]
+    );
+    assert.equal(round(result.realizedPnl), 200);
+    assert.equal(round(result.avgBuyPrice), 200);
+  });
+
+  it('AVG resets the average once the position is fully sold', () => {
+    const result = walkTransactions(
+      [
+        buy100,
+        tx('sell', 1, 150, { timestamp: '2024-01-15 00:00:00' }),
+        tx('buy', 2, 400, { timestamp: '2024-02-01 00:00:00' }),
+      ],
+      'AVG'
+    );
+
+    assert.equal(round(result.avgBuyPrice), 400);
+    // Realized P&L is crystallised across the reset
+    assert.equal(round(result.realizedPnl), 50);
+  });
+
+  it('adds acquisition fees to the lot cost and splits sell fees across lots', () => {
+    const a = tx('buy', 1, 100, { fee: 2, timestamp: '2024-01-01 00:00:00' });
+    const b = tx('buy', 1, 100, { fee: 4, timestamp: '2024-01-02 00:00:00' });
+    const result = walkTransactions([a, b, sell(2, 150, 6)], 'FIFO');
+
+    assert.deepEqual(
+      result.lots.map((lot) => lot.unitCost),
+      [102, 104]
+    );
+    assert.deepEqual(summarize(result.disposals), [
+      {
+        lot: a.id,
+        kind: 'sale',
+        quantity: 1,
+        costBasis: 102,
+        proceeds: 150,
+        fees: 3,
+        realizedPnl: 45,
+      },
+      {
+        lot: b.id,
+        kind: 'sale',
+        quantity: 1,
+        costBasis: 104,
+        proceeds: 150,
+        fees: 3,
+        realizedPnl: 43,
+      },
+    ]);
+  });
+
+  it('values rewards and airdrops at their fair value on receipt', () => {
+    const reward = tx('reward', 2, 50);
+    const airdrop = tx('airdrop', 1, 0);
+    const result = walkTransactions([reward, airdrop], 'FIFO');
+
+    assert.equal(result.totalQty, 3);
+    assert.deepEqual(
+      result.lots.map((lot) => lot.unitCost),
+      [50, 0]
+    );
+  });
+
+  it('moves lots out at cost on a transfer_out, the fee being the only loss', () => {
+    const out = tx('transfer_out', 0.5, 0, { fee: 1, timestamp: '2024-04-01 00:00:00' });
+    const result = walkTransactions([buy100, out], 'FIFO');
+
+    assert.deepEqual(summarize(result.disposals), [
+      {
+        lot: buy100.id,
+        kind: 'transfer',
+        quantity: 0.5,
+        costBasis: 50,
+        proceeds: 50,
+        fees: 1,
+        realizedPnl: -1,
+      },
+    ]);
+    assert.equal(result.totalQty, 0.5);
+  });
+
+  it('reopens carried lots on a linked transfer_in with their cost and date', () => {
+    const incoming = tx('transfer_in', 1, 0, { timestamp: '2024-05-01 00:00:00' });
+    const carried = new Map([
+      [
+        incoming.id,
+        [
+          { quantity: 2, cost_basis_usd: 200, acquired_at: '2023-01-01 00:00:00' },
+          { quantity: 2, cost_basis_usd: 600, acquired_at: '2023-06-01 00:00:00' },
+        ],
+      ],
+    ]);
+    const result = walkTransactions([incoming], 'FIFO', carried);
+
+    assert.deepEqual(
+      result.lots.map((lot) => [
+        lot.transactionId,
+        lot.lotIndex,
+        lot.quantity,
+        lot.unitCost,
+        lot.acquiredAt,
+      ]),
+      [
+        [incoming.id, 0, 0.5, 100, '2023-01-01 00:00:00'],
+        [incoming.id, 1, 0.5, 300, '2023-06-01 00:00:00'],
+      ]
+    );
+    assert.equal(result.avgBuyPrice, 200);
+  });
+
+  it('opens a single lot at price_usd on an unlinked transfer_in', () => {
+    const incoming = tx('transfer_in', 1, 250);
+    const result = walkTransactions([incoming], 'FIFO');
+
+    assert.equal(result.lots.length, 1);
+    assert.equal(result.lots[0].unitCost, 250);
+  });
+
+  it('flags a disposal larger than the quantity held and stops there', () => {
+    const result = walkTransactions([buy100, sell(2, 400), buy300], 'FIFO');
+
+    assert.equal(result.invalid, true);
+    assert.equal(result.disposals.length, 0);
+    assert.equal(result.totalQty, 1);
+  });
+
+  it('ignores legacy transfer rows', () => {
+    const result = walkTransactions([buy100, tx('transfer', 5, 0)], 'FIFO');
+
+    assert.equal(result.invalid, false);
+    assert.equal(result.totalQty, 1);
+    assert.equal(result.lots.length, 1);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  normalizeRecoveryCode,
+  verifyTotp,
+} from '../utils/totp.js';
+
+// RFC 6238 appendix B: ASCII "12345678901234567890", T = 59s -> 94287082 (8 digits)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_CODE = '287082';
+const RFC_STEP = 1;
+
+describe('verifyTotp', () => {
+  it('accepts the RFC 6238 test vector and returns its time step', (t) => {
+    t.mock.method(Date, 'now', () => 59 * 1000);
+
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), RFC_STEP);
+    assert.equal(verifyTotp(RFC_SECRET, '287 082'), RFC_STEP);
+  });
+
+  it('accepts one step of clock drift, not two', (t) => {
+    t.mock.method(Date, 'now', () => 89 * 1000);
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), RFC_STEP);
+
+    t.mock.method(Date, 'now', () => 119 * 1000);
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), null);
+  });
+
+  it('rejects a step that was already used', (t) => {
+    t.mock.method(Date, 'now', () => 59 * 1000);
+
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE, RFC_STEP), null);
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE, RFC_STEP - 1), RFC_STEP);
+  });
+
+  it('rejects malformed codes and a missing secret', (t) => {
+    t.mock.method(Date, 'now', () => 59 * 1000);
+
+    assert.equal(verifyTotp(RFC_SECRET, '28708'), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef'), null);
+    assert.equal(verifyTotp(RFC_SECRET, '000000'), null);
+    assert.equal(verifyTotp(null, RFC_CODE), null);
+  });
+});
+
+describe('TOTP enrollment', () => {
+  it('generates 160-bit base32 secrets', () => {
+    const secret = generateTotpSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateTotpSecret());
+  });
+
+  it('builds an otpauth URI with the authenticator defaults', () => {
+    const url = new URL(buildOtpauthUrl(RFC_SECRET, 'user@example.com'));
+
+    assert.equal(url.protocol, 'otpauth:');
+    assert.equal(url.host, 'totp');
+    assert.equal(decodeURIComponent(url.pathname), '/CoinRisqLab:user@example.com');
+    assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(url.searchParams.get('digits'), '6');
+    assert.equal(url.searchParams.get('period'), '30');
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates xxxxx-xxxxx hex codes', () => {
+    const codes = generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    for (const code of codes) assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  });
+
+  it('ignores case and separators when normalizing', () => {
+    assert.equal(normalizeRecoveryCode(' AB12C-3d4E5 '), 'ab12c3d4e5');
+    assert.equal(normalizeRecoveryCode(null), '');
+  });
+});
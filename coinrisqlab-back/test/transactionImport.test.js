@@ -0,0 +1,212 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { MAX_IMPORT_ROWS, parseCsv, readCsvImport } from '../utils/transactionImport.js';
+
+const csv = (...lines) => lines.join('\n');
+
+// The normalized fields of each row, without the import bookkeeping
+const transactions = (file) =>
+  file.rows.map(({ status, msg, symbol, fee, transaction }) => ({
+    status,
+    msg,
+    symbol,
+    fee,
+    ...transaction,
+  }));
+
+describe('parseCsv', () => {
+  it('reads quoted fields, escaped quotes and embedded separators', () => {
+    assert.deepEqual(parseCsv('a,"b,c","say ""hi""",\n1,"multi\nline",3,4'), [
+      ['a', 'b,c', 'say "hi"', ''],
+      ['1', 'multi\nline', '3', '4'],
+    ]);
+  });
+
+  it('accepts CRLF, drops blank lines and a leading BOM', () => {
+    assert.deepEqual(parseCsv('﻿a,b\r\n\r\n1,2\r\n , \r\n'), [
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+});
+
+describe('readCsvImport', () => {
+  it('normalizes Binance trades and keeps non-USD fees for valuation', () => {
+    const file = readCsvImport(
+      csv(
+        'Date(UTC),Pair,Side,Price,Executed,Amount,Fee',
+        '2024-03-01 10:00:00,BTCUSDT,BUY,60000,0.5BTC,30000USDT,0.0005BTC',
+        '2024-03-02 11:30:00,ETHFDUSD,SELL,3500,"1,000ETH",3500FDUSD,3.5FDUSD',
+        '2024-03-03 12:00:00,SOLUSDT,BUY,150,10SOL,1500USDT,0.01BNB'
+      )
+    );
+
+    assert.equal(file.source, 'binance');
+    assert.deepEqual(transactions(file), [
+      {
+        status: 'ok',
+        msg: null,
+        symbol: 'BTC',
+        fee: null,
+        type: 'buy',
+        quantity: 0.5,
+        price_usd: 60000,
+        fee_usd: 30,
+        timestamp: '2024-03-01 10:00:00',
+        notes: null,
+      },
+      {
+        status: 'ok',
+        msg: null,
+        symbol: 'ETH',
+        fee: null,
+        type: 'sell',
+        quantity: 1000,
+        price_usd: 3500,
+        fee_usd: 3.5,
+        timestamp: '2024-03-02 11:30:00',
+        notes: null,
+      },
+      {
+        status: 'ok',
+        msg: null,
+        symbol: 'SOL',
+        fee: { amount: 0.01, asset: 'BNB' },
+        type: 'buy',
+        quantity: 10,
+        price_usd: 150,
+        fee_usd: 0,
+        timestamp: '2024-03-03 12:00:00',
+        notes: null,
+      },
+    ]);
+  });
+
+  it('rejects Binance pairs not quoted in USD', () => {
+    const file = readCsvImport(
+      csv(
+        'Date(UTC),Pair,Side,Price,Executed,Amount,Fee',
+        '2024-03-01 10:00:00,ETHBTC,BUY,0.05,1ETH,0.05BTC,0.001ETH'
+      )
+    );
+
+    assert.equal(file.rows[0].status, 'error');
+    assert.match(file.rows[0].msg, /not quoted in USD/);
+  });
+
+  it('skips the Coinbase preamble and maps its transaction types', () => {
+    const file = readCsvImport(
+      csv(
+        'Transactions',
+        'User,someone@example.com,abc',
+        'Timestamp,Transaction Type,Asset,Quantity Transacted,Spot Price Currency,Spot Price at Transaction,Subtotal,Total (inclusive of fees and/or spread),Fees and/or Spread,Notes',
+        '2024-01-05T09:00:00Z,Buy,BTC,0.1,USD,42000,4200,4210,$10.00,Bought BTC',
+        '2024-01-06T09:00:00Z,Send,BTC,-0.05,USD,43000,,,,Sent to wallet',
+        '2024-01-07T09:00:00Z,Staking Income,ETH,0.01,USD,2500,25,25,0,',
+        '2024-01-08T09:00:00Z,Convert,ETH,1,USD,2500,2500,2500,0,',
+        '2024-01-09T09:00:00Z,Buy,ETH,1,EUR,2300,2300,2300,0,'
+      )
+    );
+
+    assert.equal(file.source, 'coinbase');
+    assert.deepEqual(
+      file.rows.map((r) => [
+        r.status,
+        r.transaction.type,
+        r.transaction.quantity,
+        r.transaction.fee_usd,
+      ]),
+      [
+        ['ok', 'buy', 0.1, 10],
+        ['ok', 'transfer_out', 0.05, 0],
+        ['ok', 'reward', 0.01, 0],
+        ['error', undefined, undefined, undefined],
+        ['error', undefined, undefined, undefined],
+      ]
+    );
+    assert.equal(file.rows[0].transaction.timestamp, '2024-01-05 09:00:00');
+    assert.match(file.rows[3].msg, /Convert rows are not supported/);
+    assert.match(file.rows[4].msg, /Prices in EUR are not supported/);
+  });
+
+  it('maps Kraken asset codes and keeps the trade id in the notes', () => {
+    const file = readCsvImport(
+      csv(
+        'txid,ordertxid,pair,time,type,ordertype,price,cost,fee,vol,margin,misc,ledgers',
+        'TX1,OX1,XXBTZUSD,2024-02-01 08:00:00.1234,buy,limit,50000,5000,8,0.1,0,,',
+        'TX2,OX2,XDGUSD,2024-02-02 08:00:00,sell,market,0.1,100,0.2,1000,0,,'
+      )
+    );
+
+    assert.equal(file.source, 'kraken');
+    assert.deepEqual(
+      file.rows.map((r) => [
+        r.symbol,
+        r.transaction.type,
+        r.transaction.fee_usd,
+        r.transaction.notes,
+      ]),
+      [
+        ['BTC', 'buy', 8, 'Kraken TX1'],
+        ['DOGE', 'sell', 0.2, 'Kraken TX2'],
+      ]
+    );
+    assert.equal(file.rows[0].transaction.timestamp, '2024-02-01 08:00:00');
+  });
+
+  it('reads the generic format and flags unreadable rows', () => {
+    const file = readCsvImport(
+      csv(
+        'date,symbol,type,quantity,price_usd,fee_usd,notes',
+        '2024-04-01,eth,Reward,0.2,3000,,staking',
+        '2024-04-02T10:00:00+02:00,BTC,buy,0.01,65000,1.5,',
+        'not a date,BTC,buy,0.01,65000,,',
+        '2024-04-03,BTC,buy,lots,65000,,'
+      )
+    );
+
+    assert.equal(file.source, 'generic');
+    assert.deepEqual(
+      file.rows.slice(0, 2).map((r) => [r.symbol, r.transaction.type, r.transaction.timestamp]),
+      [
+        ['ETH', 'reward', '2024-04-01 00:00:00'],
+        ['BTC', 'buy', '2024-04-02 08:00:00'],
+      ]
+    );
+    assert.deepEqual(
+      file.rows.slice(2).map((r) => [r.status, r.msg]),
+      [
+        ['error', 'Invalid date: "not a date"'],
+        ['error', 'Invalid quantity: "lots"'],
+      ]
+    );
+  });
+
+  it('numbers rows from 1 after the header', () => {
+    const file = readCsvImport(
+      csv('date,symbol,type,quantity,price_usd', '2024-04-01,BTC,buy,1,1')
+    );
+
+    assert.equal(file.rows[0].row, 1);
+  });
+
+  it('rejects unknown files, a mismatched source and oversized files', () => {
+    const invalidFile = { code: 'INVALID_IMPORT_FILE' };
+
+    assert.throws(() => readCsvImport('foo,bar\n1,2'), invalidFile);
+    assert.throws(
+      () => readCsvImport('date,symbol,type,quantity,price_usd\n2024-01-01,BTC,buy,1,1', 'kraken'),
+      { code: 'INVALID_IMPORT_FILE', message: /Not a kraken export/ }
+    );
+    assert.throws(
+      () =>
+        readCsvImport(
+          csv(
+            'date,symbol,type,quantity,price_usd',
+            ...Array(MAX_IMPORT_ROWS + 1).fill('2024-01-01,BTC,buy,1,1')
+          )
+        ),
+      { code: 'INVALID_IMPORT_FILE', message: /Too many rows/ }
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  ewmaVariances,
+  fitGarch,
+  forecastVolatility,
+  garchVariances,
+} from '../utils/volatilityModels.js';
+
+// Deterministic uniform PRNG (mulberry32)
+function random(seed) {
+  let state = seed;
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function simulateGarch({ omega, alpha, beta }, length, seed) {
+  const uniform = random(seed);
+  const gaussian = () =>
+    Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+  let sigma2 = omega / (1 - alpha - beta);
+
+  return Array.from({ length }, () => {
+    const r = Math.sqrt(sigma2) * gaussian();
+    sigma2 = omega + alpha * r * r + beta * sigma2;
+    return r;
+  });
+}
+
+const TRUE_PARAMS = { omega: 2e-5, alpha: 0.1, beta: 0.85 };
+
+describe('fitGarch', () => {
+  const returns = simulateGarch(TRUE_PARAMS, 3000, 42);
+  const fit = fitGarch(returns);
+
+  it('recovers the parameters of a simulated GARCH(1,1)', () => {
+    assert.ok(Math.abs(fit.alpha - TRUE_PARAMS.alpha) < 0.05, `alpha ${fit.alpha}`);
+    assert.ok(Math.abs(fit.beta - TRUE_PARAMS.beta) < 0.07, `beta ${fit.beta}`);
+    assert.ok(Math.abs(fit.alpha + fit.beta - 0.95) < 0.03, `persistence ${fit.alpha + fit.beta}`);
+  });
+
+  it('returns admissible parameters and a finite likelihood', () => {
+    assert.ok(fit.omega > 0 && fit.alpha > 0 && fit.beta > 0);
+    assert.ok(fit.alpha + fit.beta < 1);
+    assert.ok(Number.isFinite(fit.logLikelihood));
+  });
+});
+
+describe('variance filters', () => {
+  it('updates EWMA variances with the decay factor', () => {
+    const returns = [0.01, -0.02, 0.03];
+    const variances = ewmaVariances(returns, 0.9);
+    const seed = (0.01 ** 2 + 0.02 ** 2 + 0.03 ** 2) / 3;
+    const first = 0.9 * seed + 0.1 * 0.01 ** 2;
+
+    assert.equal(variances.length, 3);
+    assert.ok(Math.abs(variances[0] - first) < 1e-15);
+    assert.ok(Math.abs(variances[1] - (0.9 * first + 0.1 * 0.02 ** 2)) < 1e-15);
+  });
+
+  it('starts GARCH variances from the long-run variance', () => {
+    const params = { omega: 1e-5, alpha: 0.1, beta: 0.8, mu: 0 };
+    const [first] = garchVariances([0], params);
+
+    assert.ok(Math.abs(first - (1e-5 + 0.8 * 1e-4)) < 1e-15);
+  });
+});
+
+describe('forecastVolatility', () => {
+  it('scales a flat EWMA term structure with the square root of time', () => {
+    const forecast = forecastVolatility(1e-4);
+
+    assert.ok(Math.abs(forecast['1d'] - 0.01) < 1e-12);
+    assert.ok(Math.abs(forecast['10d'] - 0.01 * Math.sqrt(10)) < 1e-12);
+  });
+
+  it('mean-reverts GARCH forecasts towards the long-run variance', () => {
+    const garch = { omega: 1e-5, alpha: 0.1, beta: 0.8 };
+    const longRun = 1e-5 / (1 - 0.9);
+    const high = forecastVolatility(4 * longRun, garch, [1, 30]);
+
+    assert.ok(Math.abs(high['1d'] - Math.sqrt(4 * longRun)) < 1e-12);
+    assert.ok(high['30d'] < Math.sqrt(30 * 4 * longRun));
+    assert.ok(high['30d'] > Math.sqrt(30 * longRun));
+  });
+});
@@ -0,0 +1,87 @@
+import log from '../lib/log.js';
+import Config from './config.js';
+import { notifyUser } from './notifications.js';
+
+/**
+ * Dunning helpers shared by the Stripe webhook and commands/expireBillingGrace.js.
+ *
+ * users.billing_status:
+ *   active     payments are up to date (including free trials, see users.trial_ends_at)
+ *   past_due   a payment failed, Stripe is retrying it (Pro kept)
+ *   grace      Stripe gave up, Pro is kept until grace_ends_at
+ *   downgraded the grace period ended, the plan was set back to free
+ */
+
+const FRONT_URL = `http${Config.COINRISQLAB_FRONT_HTTPSECURE ? 's' : ''}://${Config.COINRISQLAB_FRONT_HOSTNAME}${Config.COINRISQLAB_FRONT_HTTPSECURE ? '' : `:${Config.COINRISQLAB_FRONT_PORT}`}`;
+
+/**
+ * End of the grace period starting now.
+ */
+export function getGraceEndDate() {
+  return new Date(Date.now() + Config.COINRISQLAB_BILLING_GRACE_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function buildBillingNotification(status, graceEndsAt) {
+  const settingsUrl = `${FRONT_URL}/dashboard/settings`;
+
+  switch (status) {
+    case 'past_due':
+      return {
+        title: 'Payment failed',
+        body: `We could not charge your payment method for CoinRisqLab Pro. We will retry automatically; update your payment method to keep Pro: ${settingsUrl}`,
+      };
+    case 'grace':
+      return {
+        title: 'Pro access ending soon',
+        body: `Your CoinRisqLab Pro payment could not be collected. Pro features stay available until ${new Date(graceEndsAt).toUTCString()}; update your payment method before then: ${settingsUrl}`,
+      };
+    case 'downgraded':
+      return {
+        title: 'Switched to the Free plan',
+        body: `Your CoinRisqLab Pro payment could not be collected and your account is now on the Free plan. Subscribe again at any time: ${FRONT_URL}/dashboard/pricing`,
+      };
+    case 'active':
+      return {
+        title: 'Payment received',
+        body: 'Your CoinRisqLab Pro payment went through. Thank you!',
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Notify a user that their billing status changed. Never throws: a
+ * notification failure must not roll back the state change.
+ */
+export async function notifyBillingStatus(userId, status, { graceEndsAt = null } = {}) {
+  const notification = buildBillingNotification(status, graceEndsAt);
+  if (!notification) return;
+
+  try {
+    await notifyUser(userId, {
+      type: `billing.${status}`,
+      ...notification,
+      data: { billingStatus: status, graceEndsAt },
+    });
+  } catch (error) {
+    log.warn(`Billing notification failed for user ${userId}: ${error.message}`);
+  }
+}
+
+/**
+ * Remind a user that their free trial ends soon (Stripe sends
+ * customer.subscription.trial_will_end three days before). Never throws.
+ */
+export async function notifyTrialEnding(userId, trialEndsAt) {
+  try {
+    await notifyUser(userId, {
+      type: 'billing.trial_will_end',
+      title: 'Your free trial ends soon',
+      body: `Your CoinRisqLab Pro trial ends on ${trialEndsAt.toUTCString()}. Your subscription starts automatically; manage it from ${FRONT_URL}/dashboard/settings`,
+      data: { trialEndsAt },
+    });
+  } catch (error) {
+    log.warn(`Trial notification failed for user ${userId}: ${error.message}`);
+  }
+}
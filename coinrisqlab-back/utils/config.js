@@ -15,6 +15,11 @@ const {
   COINRISQLAB_API_PORT,
   COINRISQLAB_API_HTTPSECURE,
   COINRISQLAB_API_JWT_SECRET,
+  COINRISQLAB_API_TRUST_PROXY,
+
+  COINRISQLAB_RATE_LIMIT_STORE,
+  COINRISQLAB_RATE_LIMIT_AUTH,
+  COINRISQLAB_RATE_LIMIT_ANALYTICS,
 
   COINRISQLAB_DB_HOST,
   COINRISQLAB_DB_PORT,
@@ -31,6 +36,17 @@ const {
   STRIPE_SECRET_KEY,
   STRIPE_WEBHOOK_SECRET,
   STRIPE_PRICE_ID,
+  STRIPE_PRICE_ID_ANNUAL,
+  STRIPE_TRIAL_DAYS,
+  STRIPE_API_URL,
+  COINRISQLAB_BILLING_GRACE_DAYS,
+
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASSWORD,
+  SMTP_FROM,
 
   // eslint-disable-next-line no-undef
 } = process.env;
@@ -52,6 +68,13 @@ const Config = {
     String(COINRISQLAB_API_HTTPSECURE) === '1' ||
     String(COINRISQLAB_API_HTTPSECURE).toLowerCase() === 'true',
   COINRISQLAB_API_JWT_SECRET: COINRISQLAB_API_JWT_SECRET,
+  COINRISQLAB_API_TRUST_PROXY:
+    String(COINRISQLAB_API_TRUST_PROXY) === '1' ||
+    String(COINRISQLAB_API_TRUST_PROXY).toLowerCase() === 'true',
+
+  COINRISQLAB_RATE_LIMIT_STORE: COINRISQLAB_RATE_LIMIT_STORE || 'memory',
+  COINRISQLAB_RATE_LIMIT_AUTH: COINRISQLAB_RATE_LIMIT_AUTH,
+  COINRISQLAB_RATE_LIMIT_ANALYTICS: COINRISQLAB_RATE_LIMIT_ANALYTICS,
 
   COINRISQLAB_DB_HOST: COINRISQLAB_DB_HOST,
   COINRISQLAB_DB_PORT: COINRISQLAB_DB_PORT,
@@ -68,6 +91,17 @@ const Config = {
   STRIPE_SECRET_KEY: STRIPE_SECRET_KEY,
   STRIPE_WEBHOOK_SECRET: STRIPE_WEBHOOK_SECRET,
   STRIPE_PRICE_ID: STRIPE_PRICE_ID,
+  STRIPE_PRICE_ID_ANNUAL: STRIPE_PRICE_ID_ANNUAL,
+  STRIPE_TRIAL_DAYS: parseInt(STRIPE_TRIAL_DAYS) || 0,
+  STRIPE_API_URL: STRIPE_API_URL,
+  COINRISQLAB_BILLING_GRACE_DAYS: parseInt(COINRISQLAB_BILLING_GRACE_DAYS) || 7,
+
+  SMTP_HOST: SMTP_HOST,
+  SMTP_PORT: SMTP_PORT,
+  SMTP_SECURE: String(SMTP_SECURE) === '1' || String(SMTP_SECURE).toLowerCase() === 'true',
+  SMTP_USER: SMTP_USER,
+  SMTP_PASSWORD: SMTP_PASSWORD,
+  SMTP_FROM: SMTP_FROM,
 };
 
 export default Config;
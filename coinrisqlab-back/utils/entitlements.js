@@ -0,0 +1,164 @@
+/**
+ * Plan entitlements: the limits and features of each plan.
+ *
+ * Every plan-dependent check goes through this module instead of comparing
+ * req.user.plan, so adding a tier (e.g. "team") only takes a new entry in
+ * PLAN_ENTITLEMENTS and the value in the users.plan ENUM.
+ *
+ * Limits are numbers, null meaning unlimited:
+ *   portfolios            portfolios per user
+ *   holdingsPerPortfolio  open positions per portfolio
+ *   alerts                alerts per user
+ *   transactionHistory    most recent transactions listed per portfolio
+ *   historyDays           depth of the evolution / performance charts
+ */
+
+export const ALERT_TYPES = ['price', 'volatility', 'drawdown', 'var_breach', 'rebalancing'];
+
+export const FEATURES = {
+  advancedAnalytics: 'Risk metrics, correlation and stress tests',
+  exports: 'CSV and PDF exports',
+  import: 'Transaction import',
+};
+
+export const PLAN_ENTITLEMENTS = {
+  free: {
+    label: 'Free',
+    limits: {
+      portfolios: 1,
+      holdingsPerPortfolio: 10,
+      alerts: 3,
+      transactionHistory: 30,
+      historyDays: 30,
+    },
+    alertTypes: ['price'],
+    features: { advancedAnalytics: false, exports: false, import: false },
+  },
+  pro: {
+    label: 'Pro',
+    limits: {
+      portfolios: null,
+      holdingsPerPortfolio: null,
+      alerts: null,
+      transactionHistory: null,
+      historyDays: null,
+    },
+    alertTypes: ALERT_TYPES,
+    features: { advancedAnalytics: true, exports: true, import: true },
+  },
+};
+
+const DEFAULT_PLAN = 'free';
+
+// Chart periods accepted by utils/queryHelpers.js getDateFilter(), shortest first
+const HISTORY_PERIOD_DAYS = { '24h': 1, '7d': 7, '30d': 30, '90d': 90, '365d': 365, all: Infinity };
+
+/**
+ * Whether a plan is a paid tier (subject to billing and dunning).
+ */
+export function isPaidPlan(plan) {
+  return plan !== DEFAULT_PLAN && !!PLAN_ENTITLEMENTS[plan];
+}
+
+/**
+ * Resolve the plan whose entitlements apply. A paid plan only counts while it
+ * is in good standing, following the dunning state (see utils/billing.js):
+ * past_due keeps it, grace keeps it until grace_ends_at, downgraded loses it.
+ *
+ * @param {{ plan: string, planExpiresAt?: string|Date|null, billingStatus?: string, graceEndsAt?: string|Date|null }} user
+ * @returns {{ plan: string, reason: string|null }} reason explains a fallback to the default plan
+ */
+export function resolveEffectivePlan(user) {
+  if (!isPaidPlan(user.plan)) return { plan: DEFAULT_PLAN, reason: null };
+
+  const plan = user.plan;
+
+  const now = new Date();
+  const label = PLAN_ENTITLEMENTS[plan].label;
+
+  switch (user.billingStatus) {
+    case 'past_due':
+      return { plan, reason: null };
+
+    case 'grace':
+      if (!user.graceEndsAt || new Date(user.graceEndsAt) < now) {
+        return {
+          plan: DEFAULT_PLAN,
+          reason: `${label} subscription suspended: payment grace period is over`,
+        };
+      }
+      return { plan, reason: null };
+
+    case 'downgraded':
+      return {
+        plan: DEFAULT_PLAN,
+        reason: `${label} subscription suspended after failed payments`,
+      };
+
+    default:
+      if (user.planExpiresAt && new Date(user.planExpiresAt) < now) {
+        return { plan: DEFAULT_PLAN, reason: `${label} subscription expired` };
+      }
+      return { plan, reason: null };
+  }
+}
+
+/**
+ * Entitlements of a user (req.user).
+ * @returns {{ plan: string, effectivePlan: string, label: string, reason: string|null, limits: object, alertTypes: string[], features: object }}
+ */
+export function getEntitlements(user) {
+  const { plan, reason } = resolveEffectivePlan(user);
+  const entitlements = PLAN_ENTITLEMENTS[plan];
+
+  return {
+    plan: user.plan,
+    effectivePlan: plan,
+    label: entitlements.label,
+    reason,
+    limits: { ...entitlements.limits },
+    alertTypes: [...entitlements.alertTypes],
+    features: { ...entitlements.features },
+  };
+}
+
+/**
+ * Whether one more item fits under a limit.
+ * @param {number|null} limit - null = unlimited
+ * @param {number} count - Items already used
+ */
+export function isWithinLimit(limit, count) {
+  return limit === null || count < limit;
+}
+
+/**
+ * 403 message for a reached limit, e.g. "Free plan allows max 3 alerts. Upgrade for more."
+ */
+export function limitReachedMessage(entitlements, limit, noun) {
+  return `${entitlements.label} plan allows max ${limit} ${noun}. Upgrade for more.`;
+}
+
+/**
+ * 403 message for a feature outside the plan.
+ */
+export function featureUnavailableMessage(entitlements, feature) {
+  return (
+    entitlements.reason || `Not included in the ${entitlements.label} plan: ${FEATURES[feature]}`
+  );
+}
+
+/**
+ * Shorten a chart period to the plan history depth: the longest allowed
+ * period is used instead (e.g. '365d' becomes '30d' with 30 days of history).
+ */
+export function clampHistoryPeriod(entitlements, period) {
+  const maxDays = entitlements.limits.historyDays;
+  // Unknown periods fall back to 90 days in getDateFilter()
+  const days = HISTORY_PERIOD_DAYS[period] ?? 90;
+
+  if (maxDays === null || days <= maxDays) return period;
+
+  const allowed = Object.keys(HISTORY_PERIOD_DAYS).filter((p) => HISTORY_PERIOD_DAYS[p] <= maxDays);
+
+  return allowed[allowed.length - 1] || '24h';
+}
@@ -0,0 +1,258 @@
+import Database from '../lib/database.js';
+import { DEFAULT_COST_BASIS_METHOD, walkTransactions } from './taxLots.js';
+
+/**
+ * Holdings and tax lots are a derived cache of user_transactions, rebuilt
+ * per (portfolio, crypto) after every write to the transaction history.
+ *
+ * Every function takes an optional db (default: the pool) so callers can
+ * run them on a connection inside their own DB transaction.
+ */
+
+const LOT_INSERT_CHUNK = 500;
+
+// Transfers back and forth between portfolios would otherwise recurse forever
+const MAX_TRANSFER_HOPS = 5;
+
+async function insertRows(db, table, columns, rows) {
+  for (let i = 0; i < rows.length; i += LOT_INSERT_CHUNK) {
+    const chunk = rows.slice(i, i + LOT_INSERT_CHUNK);
+    const placeholders = chunk.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+
+    await db.execute(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders}`,
+      chunk.flat()
+    );
+  }
+}
+
+/**
+ * Replace the lot-level state of a holding (user_tax_lots + disposals).
+ * Like holdings, lots are derived from user_transactions and rebuilt as a whole.
+ */
+async function saveTaxLots(db, portfolioId, cryptoId, method, state) {
+  // Disposals cascade with their lot
+  await db.execute('DELETE FROM user_tax_lots WHERE portfolio_id = ? AND crypto_id = ?', [
+    portfolioId,
+    cryptoId,
+  ]);
+
+  await insertRows(
+    db,
+    'user_tax_lots',
+    [
+      'transaction_id',
+      'lot_index',
+      'portfolio_id',
+      'crypto_id',
+      'acquired_at',
+      'quantity',
+      'remaining_quantity',
+      'unit_cost_usd',
+    ],
+    state.lots.map((lot) => [
+      lot.transactionId,
+      lot.lotIndex,
+      portfolioId,
+      cryptoId,
+      lot.acquiredAt,
+      lot.quantity,
+      lot.remaining,
+      lot.unitCost,
+    ])
+  );
+
+  await insertRows(
+    db,
+    'user_tax_lot_disposals',
+    [
+      'lot_transaction_id',
+      'lot_index',
+      'sell_transaction_id',
+      'portfolio_id',
+      'crypto_id',
+      'kind',
+      'method',
+      'quantity',
+      'cost_basis_usd',
+      'proceeds_usd',
+      'fee_usd',
+      'realized_pnl_usd',
+      'acquired_at',
+      'disposed_at',
+    ],
+    state.disposals.map((d) => [
+      d.lotTransactionId,
+      d.lotIndex,
+      d.sellTransactionId,
+      portfolioId,
+      cryptoId,
+      d.kind,
+      method,
+      d.quantity,
+      d.costBasis,
+      d.proceeds,
+      d.fees,
+      d.realizedPnl,
+      d.acquiredAt,
+      d.disposedAt,
+    ])
+  );
+}
+
+/**
+ * Lots consumed by the outgoing legs of internal transfers, grouped by the
+ * id of their incoming leg, so the destination can reopen them at cost.
+ */
+async function loadCarriedLots(db, txs) {
+  const linked = txs.filter((t) => t.type === 'transfer_in' && t.linked_transaction_id);
+  const carried = new Map();
+
+  if (linked.length === 0) return carried;
+
+  const [rows] = await db.execute(
+    `SELECT sell_transaction_id, quantity, cost_basis_usd, acquired_at
+     FROM user_tax_lot_disposals
+     WHERE kind = 'transfer' AND sell_transaction_id IN (${linked.map(() => '?').join(', ')})
+     ORDER BY id ASC`,
+    linked.map((t) => t.linked_transaction_id)
+  );
+
+  for (const t of linked) {
+    const slices = rows.filter((r) => r.sell_transaction_id === t.linked_transaction_id);
+    if (slices.length > 0) carried.set(t.id, slices);
+  }
+
+  return carried;
+}
+
+/**
+ * Recompute a holding from the full transaction history. Holdings are a
+ * derived cache; user_transactions is the single source of truth.
+ *
+ * Throws an error with code='INVALID_TX_HISTORY' if the existing tx
+ * sequence is impossible (e.g. a sell larger than what was held at that
+ * moment) — the caller should surface that as a 400 to the user instead
+ * of silently producing a corrupt state.
+ *
+ * Lines with qty=0 are KEPT (not deleted) so realised P&L stays visible.
+ * The user can manually delete the row when they want it gone.
+ *
+ * avg_buy_price and realized_pnl_usd follow the portfolio's cost-basis method
+ * (see utils/taxLots.js); the lots and disposals are rebuilt alongside.
+ * Internal transfers carry lots to another portfolio, whose holding is then
+ * recomputed too (up to MAX_TRANSFER_HOPS portfolios away).
+ */
+export async function recomputeHolding(portfolioId, cryptoId, { db = Database, hops = 0 } = {}) {
+  const [portfolios] = await db.execute(
+    'SELECT cost_basis_method FROM user_portfolios WHERE id = ?',
+    [portfolioId]
+  );
+  const method = portfolios[0]?.cost_basis_method || DEFAULT_COST_BASIS_METHOD;
+
+  const [txs] = await db.execute(
+    `SELECT id, type, linked_transaction_id, quantity, price_usd, fee_usd, timestamp
+     FROM user_transactions
+     WHERE portfolio_id = ? AND crypto_id = ?
+     ORDER BY timestamp ASC, id ASC`,
+    [portfolioId, cryptoId]
+  );
+
+  const state = walkTransactions(txs, method, await loadCarriedLots(db, txs));
+
+  if (state.invalid) {
+    const err = new Error('Transaction sequence would push quantity below zero');
+
+    err.code = 'INVALID_TX_HISTORY';
+    throw err;
+  }
+
+  const [existing] = await db.execute(
+    'SELECT id FROM user_portfolio_holdings WHERE portfolio_id = ? AND crypto_id = ?',
+    [portfolioId, cryptoId]
+  );
+
+  if (txs.length === 0) {
+    // Last transaction was deleted → no history → drop the holding row.
+    if (existing.length > 0) {
+      await db.execute('DELETE FROM user_portfolio_holdings WHERE id = ?', [existing[0].id]);
+    }
+    await saveTaxLots(db, portfolioId, cryptoId, method, state);
+    return;
+  }
+
+  await saveTaxLots(db, portfolioId, cryptoId, method, state);
+
+  if (existing.length > 0) {
+    await db.execute(
+      `UPDATE user_portfolio_holdings
+       SET quantity = ?, avg_buy_price = ?, realized_pnl_usd = ?
+       WHERE id = ?`,
+      [state.totalQty, state.avgBuyPrice, state.realizedPnl, existing[0].id]
+    );
+  } else {
+    const fbDate = state.firstBuyDate
+      ? new Date(state.firstBuyDate).toISOString().slice(0, 10)
+      : new Date().toISOString().slice(0, 10);
+
+    await db.execute(
+      `INSERT INTO user_portfolio_holdings
+         (portfolio_id, crypto_id, quantity, avg_buy_price, realized_pnl_usd, first_buy_date)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [portfolioId, cryptoId, state.totalQty, state.avgBuyPrice, state.realizedPnl, fbDate]
+    );
+  }
+
+  await propagateTransfers(db, txs, cryptoId, hops);
+}
+
+/**
+ * Recompute the destinations of this holding's outgoing internal transfers,
+ * whose carried lots may have changed.
+ */
+async function propagateTransfers(db, txs, cryptoId, hops) {
+  const outgoing = txs.filter((t) => t.type === 'transfer_out' && t.linked_transaction_id);
+
+  if (outgoing.length === 0 || hops >= MAX_TRANSFER_HOPS) return;
+
+  const [destinations] = await db.execute(
+    `SELECT DISTINCT portfolio_id FROM user_transactions
+     WHERE id IN (${outgoing.map(() => '?').join(', ')})`,
+    outgoing.map((t) => t.linked_transaction_id)
+  );
+
+  for (const { portfolio_id: destinationId } of destinations) {
+    await recomputeHolding(destinationId, cryptoId, { db, hops: hops + 1 });
+  }
+}
+
+/**
+ * Recompute every holding of a portfolio, e.g. after its cost-basis method changed.
+ */
+export async function recomputePortfolioHoldings(portfolioId) {
+  const [cryptos] = await Database.execute(
+    'SELECT DISTINCT crypto_id FROM user_transactions WHERE portfolio_id = ?',
+    [portfolioId]
+  );
+
+  for (const { crypto_id: cryptoId } of cryptos) {
+    await recomputeHolding(portfolioId, cryptoId);
+  }
+}
+
+/**
+ * Holdings on the other side of a portfolio's internal transfers (optionally
+ * for one crypto). Deleting those transfers unlinks the other leg, whose
+ * holding must then be recomputed.
+ */
+export async function findLinkedHoldings(portfolioId, cryptoId = null) {
+  const [rows] = await Database.execute(
+    `SELECT DISTINCT l.portfolio_id, l.crypto_id
+     FROM user_transactions t
+     JOIN user_transactions l ON l.id = t.linked_transaction_id
+     WHERE t.portfolio_id = ? AND l.portfolio_id <> ?${cryptoId !== null ? ' AND t.crypto_id = ?' : ''}`,
+    cryptoId !== null ? [portfolioId, portfolioId, cryptoId] : [portfolioId, portfolioId]
+  );
+
+  return rows.map((r) => ({ portfolioId: r.portfolio_id, cryptoId: r.crypto_id }));
+}
@@ -0,0 +1,301 @@
+/**
+ * Monte Carlo simulation of portfolio returns.
+ *
+ * Daily log returns are drawn from a multivariate Student-t with the assets'
+ * mean vector and covariance matrix:
+ *
+ *   r = μ + L·z · sqrt((ν - 2) / χ²_ν)
+ *
+ * where L is the Cholesky factor of Σ, z independent standard normals and
+ * χ²_ν one chi-square draw shared by all assets (common shock, so extreme
+ * days hit every asset together). The (ν - 2) factor keeps Cov(r) = Σ.
+ *
+ * Each path compounds daily returns per asset; the portfolio return at a
+ * horizon is Σ wᵢ·(exp(Σ rᵢ) - 1) — buy and hold, no rebalancing.
+ *
+ * A seeded PRNG makes every run reproducible for the same inputs.
+ */
+
+import { createHash } from 'crypto';
+import { Worker } from 'worker_threads';
+import {
+  calculateVaR,
+  calculateCVaR,
+  calculateKurtosis,
+  generateHistogramBins,
+} from './riskMetrics.js';
+import { mean } from './statistics.js';
+
+export const MONTE_CARLO_HORIZONS = [1, 7, 30];
+
+export const DEFAULT_SIMULATIONS = 10000;
+
+export const MAX_SIMULATIONS = 20000;
+
+export const DEFAULT_SEED = 42;
+
+// Identical runs (same inputs and seed) kept in memory, oldest evicted first
+const RESULT_CACHE_SIZE = 100;
+const resultCache = new Map();
+
+// Student-t degrees of freedom bounds; ν > 2 for a finite variance
+const MIN_DEGREES_OF_FREEDOM = 3;
+const MAX_DEGREES_OF_FREEDOM = 30;
+
+/**
+ * Mulberry32: small, fast 32-bit seeded PRNG returning floats in [0, 1).
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sampler (Box-Muller), caching the second draw.
+ */
+function createNormalSampler(rng) {
+  let spare = null;
+
+  return () => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+
+    let u = 0;
+    while (u === 0) u = rng();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * rng();
+    spare = radius * Math.sin(theta);
+    return radius * Math.cos(theta);
+  };
+}
+
+/**
+ * Gamma(shape, 1) sampler (Marsaglia-Tsang); shape < 1 is boosted.
+ */
+function sampleGamma(shape, rng, normal) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, rng, normal) * Math.pow(rng(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = normal();
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+/**
+ * Lower-triangular L such that L·Lᵀ = matrix. Sample covariance matrices
+ * can be slightly non positive definite (collinear or zero-filled series):
+ * a growing ridge is added to the diagonal until the factorization succeeds.
+ *
+ * @param {number[][]} matrix - Symmetric covariance matrix
+ * @returns {number[][]}
+ */
+export function choleskyDecomposition(matrix) {
+  const n = matrix.length;
+  const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])), 1e-12);
+
+  for (let ridge = 0; ; ridge = ridge === 0 ? scale * 1e-10 : ridge * 10) {
+    const L = Array.from({ length: n }, () => Array(n).fill(0));
+    let ok = true;
+
+    for (let i = 0; i < n && ok; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = matrix[i][j] + (i === j ? ridge : 0);
+        for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+
+        if (i === j) {
+          if (sum <= 0) {
+            ok = false;
+            break;
+          }
+          L[i][i] = Math.sqrt(sum);
+        } else {
+          L[i][j] = sum / L[j][j];
+        }
+      }
+    }
+
+    if (ok) return L;
+    if (ridge > scale) throw new Error('Covariance matrix is not positive semi-definite');
+  }
+}
+
+/**
+ * Student-t degrees of freedom matching an excess kurtosis K, from
+ * K = 6 / (ν - 4). Thin tails (K <= 0) get the upper bound.
+ */
+export function degreesOfFreedomFromKurtosis(excessKurtosis) {
+  if (!(excessKurtosis > 0)) return MAX_DEGREES_OF_FREEDOM;
+
+  const df = 4 + 6 / excessKurtosis;
+  return Math.min(Math.max(df, MIN_DEGREES_OF_FREEDOM), MAX_DEGREES_OF_FREEDOM);
+}
+
+/**
+ * Simulate a portfolio and summarize its return distribution per horizon.
+ *
+ * @param {{
+ *   weights: number[],
+ *   means: number[],
+ *   covMatrix: number[][],
+ *   totalValue: number,
+ *   portfolioReturns: number[],
+ *   simulations?: number,
+ *   seed?: number,
+ *   horizons?: number[],
+ *   bins?: number,
+ * }} params - means / covMatrix are daily log return moments; portfolioReturns
+ *   is the historical daily portfolio series used to fit the tail thickness
+ * @returns {{
+ *   simulations: number,
+ *   seed: number,
+ *   degreesOfFreedom: number,
+ *   horizons: Array<{
+ *     days: number,
+ *     expectedReturn: number,
+ *     var95: number, var99: number, cvar95: number, cvar99: number,
+ *     histogram: Array<{ binStart: number, binEnd: number, binCenter: number, count: number, percentage: number }>
+ *   }>
+ * }} Returns and VaR/CVaR in % of the portfolio, histogram bins in USD P&L
+ */
+export function simulatePortfolio({
+  weights,
+  means,
+  covMatrix,
+  totalValue,
+  portfolioReturns,
+  simulations = DEFAULT_SIMULATIONS,
+  seed = DEFAULT_SEED,
+  horizons = MONTE_CARLO_HORIZONS,
+  bins = 40,
+}) {
+  const n = weights.length;
+  const L = choleskyDecomposition(covMatrix);
+  const df = degreesOfFreedomFromKurtosis(calculateKurtosis(portfolioReturns));
+  const maxHorizon = Math.max(...horizons);
+
+  const rng = createRng(seed);
+  const normal = createNormalSampler(rng);
+
+  // returnsByHorizon[h][s] = portfolio simple return of path s at horizon h
+  const returnsByHorizon = horizons.map(() => new Float64Array(simulations));
+  const cumulative = new Float64Array(n);
+  const z = new Float64Array(n);
+
+  for (let s = 0; s < simulations; s++) {
+    cumulative.fill(0);
+
+    for (let day = 1; day <= maxHorizon; day++) {
+      const chiSquare = 2 * sampleGamma(df / 2, rng, normal);
+      const tScale = Math.sqrt((df - 2) / chiSquare);
+
+      for (let i = 0; i < n; i++) z[i] = normal();
+
+      for (let i = 0; i < n; i++) {
+        let shock = 0;
+        for (let k = 0; k <= i; k++) shock += L[i][k] * z[k];
+        cumulative[i] += means[i] + shock * tScale;
+      }
+
+      const h = horizons.indexOf(day);
+      if (h !== -1) {
+        let portfolioReturn = 0;
+        for (let i = 0; i < n; i++) portfolioReturn += weights[i] * (Math.exp(cumulative[i]) - 1);
+        returnsByHorizon[h][s] = portfolioReturn;
+      }
+    }
+  }
+
+  return {
+    simulations,
+    seed,
+    degreesOfFreedom: df,
+    horizons: horizons.map((days, h) => {
+      const returns = Array.from(returnsByHorizon[h]);
+      const pnl = returns.map((r) => r * totalValue);
+      const histogram = generateHistogramBins(pnl, bins);
+
+      return {
+        days,
+        expectedReturn: mean(returns) * 100,
+        var95: calculateVaR(returns, 95) * 100,
+        var99: calculateVaR(returns, 99) * 100,
+        cvar95: calculateCVaR(returns, 95) * 100,
+        cvar99: calculateCVaR(returns, 99) * 100,
+        histogram: histogram.counts.map((count, i) => ({
+          binStart: histogram.bins[i],
+          binEnd: histogram.bins[i + 1],
+          binCenter: (histogram.bins[i] + histogram.bins[i + 1]) / 2,
+          count,
+          percentage: (count / simulations) * 100,
+        })),
+      };
+    }),
+  };
+}
+
+/**
+ * Run simulatePortfolio() in a worker thread: the simulation is CPU-bound
+ * (simulations × days × n²) and would otherwise block every other API
+ * request. A seeded run is deterministic, so results are cached by their
+ * inputs; concurrent identical requests share the same run.
+ *
+ * @param {Object} params - Same as simulatePortfolio()
+ * @returns {Promise<Object>} Result of simulatePortfolio()
+ */
+export function simulatePortfolioInWorker(params) {
+  const key = createHash('sha256').update(JSON.stringify(params)).digest('hex');
+
+  if (resultCache.has(key)) {
+    const cached = resultCache.get(key);
+    // Refresh its position: most recently used entries are evicted last
+    resultCache.delete(key);
+    resultCache.set(key, cached);
+    return cached;
+  }
+
+  const run = new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./monteCarloWorker.js', import.meta.url), {
+      workerData: params,
+    });
+
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Monte Carlo worker exited with code ${code}`));
+    });
+  });
+
+  resultCache.set(key, run);
+  if (resultCache.size > RESULT_CACHE_SIZE) {
+    resultCache.delete(resultCache.keys().next().value);
+  }
+
+  // A failed run is not cached
+  run.catch(() => resultCache.delete(key));
+
+  return run;
+}
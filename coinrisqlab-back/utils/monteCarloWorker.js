@@ -0,0 +1,8 @@
+import { parentPort, workerData } from 'worker_threads';
+import { simulatePortfolio } from './monteCarlo.js';
+
+/**
+ * Worker thread entry of simulatePortfolioInWorker() (utils/monteCarlo.js):
+ * runs one simulation off the API event loop and posts the result back.
+ */
+parentPort.postMessage(simulatePortfolio(workerData));
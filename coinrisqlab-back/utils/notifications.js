@@ -0,0 +1,359 @@
+import { createHmac, randomBytes } from 'crypto';
+import dns from 'dns';
+import { BlockList, isIP } from 'net';
+import { Agent, fetch } from 'undici';
+import Database from '../lib/database.js';
+import log from '../lib/log.js';
+import { sendMail } from '../lib/mailer.js';
+
+/**
+ * Notification subsystem shared by the API routes and the cron commands.
+ *
+ * Every notification is stored in user_notifications (the in-app inbox,
+ * hidden when the user disabled the in-app channel). External channels
+ * (email, webhook) get one row each in user_notification_deliveries, which
+ * doubles as the queue processed by commands/processNotificationQueue.js.
+ * Emails are attempted right away; webhooks (slow or unreachable receivers)
+ * are only sent by the queue, so they never hold up the caller.
+ */
+
+export const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MINUTES = 5;
+const WEBHOOK_TIMEOUT_MS = 10000;
+// A claimed delivery is hidden from other queue runs for this long; a crash
+// mid-delivery only delays the retry instead of losing it
+const DELIVERY_LEASE_MINUTES = 5;
+
+// Webhook URLs are user-supplied: never let them reach the server's own
+// network (loopback, link-local incl. cloud metadata, private, unique-local)
+const BLOCKED_WEBHOOK_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const DEFAULT_PREFERENCES = {
+  email_enabled: 1,
+  in_app_enabled: 1,
+  webhook_enabled: 0,
+  webhook_url: null,
+  webhook_secret: null,
+};
+
+/**
+ * Get the channel preferences of a user (defaults when never saved).
+ */
+export async function getNotificationPreferences(userId) {
+  const [rows] = await Database.execute(
+    `SELECT email_enabled, in_app_enabled, webhook_enabled, webhook_url, webhook_secret
+     FROM user_notification_preferences
+     WHERE user_id = ?`,
+    [userId]
+  );
+
+  return rows[0] || { ...DEFAULT_PREFERENCES };
+}
+
+/**
+ * Generate a webhook signing secret (shown to the user, used for HMAC).
+ */
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a webhook body. Receivers recompute
+ *   HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * and compare it with the v1 value of the X-CoinRisqLab-Signature header.
+ *
+ * @param {string} secret - User webhook secret
+ * @param {number} timestamp - Unix timestamp (seconds) sent in the header
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value `t=<timestamp>,v1=<hex>`
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1)
+function isBlockedAddress(address) {
+  return BLOCKED_WEBHOOK_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that fails when the host resolves to a blocked address. Used by
+ * the webhook agent so the connection goes to the address that was checked:
+ * a DNS-rebinding host cannot pass a separate check and then resolve to a
+ * private address for the connection.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (addresses.length === 0 || addresses.some((a) => isBlockedAddress(a.address))) {
+      const blocked = new Error(`${hostname} does not resolve to a public address`);
+      blocked.code = 'EBLOCKEDADDRESS';
+      return callback(blocked);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Whether a webhook URL is https:// and every address its host resolves to
+ * is public. Checked when the URL is saved and again before each delivery
+ * (the only check for IP literals, which skip the agent's lookup).
+ *
+ * @param {string} value
+ * @returns {Promise<boolean>}
+ */
+export async function isAllowedWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+
+  if (url.protocol !== 'https:') return false;
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    return addresses.length > 0 && !addresses.some((a) => isBlockedAddress(a.address));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create a notification for a user and dispatch it on every enabled channel.
+ * Email is attempted right away; webhooks are left to the queue. Delivery
+ * failures never throw: they stay queued for the retry command.
+ *
+ * @param {number} userId
+ * @param {{ type: string, title: string, body: string, data?: object }} notification
+ * @returns {Promise<number>} Notification id
+ */
+export async function notifyUser(userId, { type, title, body, data = null }) {
+  const preferences = await getNotificationPreferences(userId);
+
+  const [result] = await Database.execute(
+    `INSERT INTO user_notifications (user_id, type, title, body, data, in_app)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      type,
+      title,
+      body,
+      data ? JSON.stringify(data) : null,
+      preferences.in_app_enabled ? 1 : 0,
+    ]
+  );
+  const notificationId = result.insertId;
+
+  const channels = [];
+  if (preferences.email_enabled) channels.push('email');
+  if (preferences.webhook_enabled && preferences.webhook_url) channels.push('webhook');
+
+  for (const channel of channels) {
+    const [delivery] = await Database.execute(
+      `INSERT INTO user_notification_deliveries (notification_id, user_id, channel)
+       VALUES (?, ?, ?)`,
+      [notificationId, userId, channel]
+    );
+
+    if (channel === 'email') await attemptDelivery(delivery.insertId);
+  }
+
+  return notificationId;
+}
+
+/**
+ * Send every pending delivery that is due: queued webhooks and retries whose
+ * backoff has elapsed.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export async function processPendingDeliveries(limit = 100) {
+  const [rows] = await Database.execute(
+    `SELECT id FROM user_notification_deliveries
+     WHERE status = 'pending' AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at
+     LIMIT ${Number(limit)}`
+  );
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const row of rows) {
+    if (await attemptDelivery(row.id)) {
+      sent++;
+    } else {
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+}
+
+/**
+ * Try one delivery and update its queue state.
+ * Backoff: 5, 10, 20, 40 min, then the delivery is marked failed.
+ * @returns {Promise<boolean>} true if delivered
+ */
+async function attemptDelivery(deliveryId) {
+  // Claim the row: of two overlapping runs, only the one whose UPDATE hits
+  // the still-due row delivers it
+  const [claim] = await Database.execute(
+    `UPDATE user_notification_deliveries
+     SET next_attempt_at = NOW() + INTERVAL ? MINUTE
+     WHERE id = ? AND status = 'pending' AND next_attempt_at <= NOW()`,
+    [DELIVERY_LEASE_MINUTES, deliveryId]
+  );
+
+  if (claim.affectedRows === 0) return false;
+
+  const [rows] = await Database.execute(
+    `SELECT
+      d.id, d.channel, d.attempts, d.user_id,
+      n.id AS notification_id, n.type, n.title, n.body, n.data, n.created_at,
+      u.email
+    FROM user_notification_deliveries d
+    JOIN user_notifications n ON n.id = d.notification_id
+    JOIN users u ON u.id = d.user_id
+    WHERE d.id = ? AND d.status = 'pending'`,
+    [deliveryId]
+  );
+
+  if (rows.length === 0) return false;
+
+  const delivery = rows[0];
+  const attempts = delivery.attempts + 1;
+
+  try {
+    const adapter = CHANNEL_ADAPTERS[delivery.channel];
+    if (!adapter) {
+      throw new Error(`Unknown channel ${delivery.channel}`);
+    }
+
+    await adapter(delivery);
+
+    await Database.execute(
+      `UPDATE user_notification_deliveries
+       SET status = 'sent', attempts = ?, sent_at = NOW(), last_error = NULL
+       WHERE id = ?`,
+      [attempts, deliveryId]
+    );
+
+    return true;
+  } catch (error) {
+    const exhausted = attempts >= MAX_DELIVERY_ATTEMPTS;
+    const delayMinutes = RETRY_BASE_DELAY_MINUTES * 2 ** (attempts - 1);
+
+    await Database.execute(
+      `UPDATE user_notification_deliveries
+       SET status = ?, attempts = ?, last_error = ?,
+           next_attempt_at = NOW() + INTERVAL ? MINUTE
+       WHERE id = ?`,
+      [
+        exhausted ? 'failed' : 'pending',
+        attempts,
+        String(error.message).slice(0, 500),
+        delayMinutes,
+        deliveryId,
+      ]
+    );
+
+    log.warn(
+      `Notification delivery ${deliveryId} (${delivery.channel}) attempt ${attempts} failed: ${error.message}`
+    );
+
+    return false;
+  }
+}
+
+// ─── Channel adapters ───────────────────────────────────────────────────────
+
+async function deliverEmail(delivery) {
+  await sendMail({
+    to: delivery.email,
+    subject: `[CoinRisqLab] ${delivery.title}`,
+    text: delivery.body,
+  });
+}
+
+async function deliverWebhook(delivery) {
+  // Preferences are re-read at delivery time so a retry follows URL/secret changes
+  const preferences = await getNotificationPreferences(delivery.user_id);
+
+  if (!preferences.webhook_enabled || !preferences.webhook_url || !preferences.webhook_secret) {
+    throw new Error('Webhook channel is not configured');
+  }
+
+  if (!(await isAllowedWebhookUrl(preferences.webhook_url))) {
+    throw new Error('Webhook URL does not resolve to a public address');
+  }
+
+  const body = JSON.stringify({
+    id: delivery.notification_id,
+    type: delivery.type,
+    title: delivery.title,
+    body: delivery.body,
+    data: typeof delivery.data === 'string' ? JSON.parse(delivery.data) : delivery.data,
+    created_at: delivery.created_at,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(preferences.webhook_url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'CoinRisqLab-Webhooks/1.0',
+      'X-CoinRisqLab-Event': delivery.type,
+      'X-CoinRisqLab-Signature': signWebhookPayload(preferences.webhook_secret, timestamp, body),
+    },
+    body,
+    // A redirect could point back into the private network
+    redirect: 'manual',
+    dispatcher: webhookAgent,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with HTTP ${response.status}`);
+  }
+}
+
+const CHANNEL_ADAPTERS = {
+  email: deliverEmail,
+  webhook: deliverWebhook,
+};
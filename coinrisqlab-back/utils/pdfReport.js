@@ -98,6 +98,14 @@ export function addTable(doc, headers, rows, colWidths) {
   doc.moveDown(0.5);
 }
 
+/**
+ * Add a small explanatory paragraph (methodology, disclaimers).
+ */
+export function addNote(doc, text) {
+  doc.fontSize(8).fillColor('#666').text(text, 50, doc.y, { width: 495 });
+  doc.moveDown(0.5);
+}
+
 /**
  * Add footer with generation date.
  */
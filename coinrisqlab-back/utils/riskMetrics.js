@@ -1,6 +1,8 @@
 /**
  * Risk metrics calculation utilities
- * Includes: Beta/Alpha, VaR, Skewness, Kurtosis, Stress Tests, SML
+ * Includes: Beta/Alpha, VaR (historical, parametric, Cornish-Fisher), Skewness,
+ * Kurtosis, Stress Tests, SML, Sharpe / Sortino / Calmar / Omega / Treynor /
+ * Information ratios, Drawdowns
  */
 
 import { mean, variance, standardDeviation, covariance } from './statistics.js';
@@ -172,6 +174,199 @@ export function calculateKurtosis(values) {
   return kurtosis;
 }
 
+// ============================================================================
+// PARAMETRIC / CORNISH-FISHER VAR
+// ============================================================================
+
+/**
+ * VaR estimation methods
+ *   historical      empirical lower-observation percentile (calculateVaR)
+ *   parametric      Gaussian: μ + σ·z
+ *   cornish_fisher  Gaussian quantile adjusted for skewness and excess kurtosis
+ */
+export const VAR_METHODS = ['historical', 'parametric', 'cornish_fisher'];
+
+export const DEFAULT_VAR_METHOD = 'historical';
+
+/**
+ * Standard normal probability density
+ *
+ * @param {number} z
+ * @returns {number}
+ */
+export function normalPDF(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation,
+ * relative error < 1.15e-9)
+ *
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that Φ(z) = p
+ */
+export function normalInverseCDF(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - pLow) {
+    return -normalInverseCDF(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Mean, volatility and tail quantile shared by the parametric estimators
+ */
+function gaussianTail(returns, confidenceLevel) {
+  const mu = mean(returns);
+  const sigma = standardDeviation(returns, mu);
+  const alpha = (100 - confidenceLevel) / 100;
+  const z = normalInverseCDF(alpha);
+
+  return { mu, sigma, alpha, z };
+}
+
+/**
+ * Calculate Gaussian parametric VaR
+ * VaR = -(μ + σ·z_α)
+ *
+ * @param {number[]} returns - Array of returns
+ * @param {number} confidenceLevel - Confidence level (e.g., 95 or 99)
+ * @returns {number} VaR as a positive number (loss)
+ */
+export function calculateParametricVaR(returns, confidenceLevel = 95) {
+  if (!returns || returns.length < 2) {
+    return 0;
+  }
+
+  const { mu, sigma, z } = gaussianTail(returns, confidenceLevel);
+
+  return -(mu + sigma * z);
+}
+
+/**
+ * Calculate Gaussian parametric CVaR / Expected Shortfall
+ * CVaR = -μ + σ·φ(z_α) / α
+ *
+ * @param {number[]} returns - Array of returns
+ * @param {number} confidenceLevel - Confidence level (e.g., 95 or 99)
+ * @returns {number} CVaR as a positive number
+ */
+export function calculateParametricCVaR(returns, confidenceLevel = 95) {
+  if (!returns || returns.length < 2) {
+    return 0;
+  }
+
+  const { mu, sigma, alpha, z } = gaussianTail(returns, confidenceLevel);
+
+  return -mu + (sigma * normalPDF(z)) / alpha;
+}
+
+/**
+ * Calculate Cornish-Fisher modified VaR
+ * The Gaussian quantile z is replaced by
+ *   z_cf = z + (z² - 1)·S/6 + (z³ - 3z)·K/24 - (2z³ - 5z)·S²/36
+ * with S the skewness and K the excess kurtosis of the returns.
+ * Falls back to the Gaussian quantile when there are too few points for K.
+ *
+ * @param {number[]} returns - Array of returns
+ * @param {number} confidenceLevel - Confidence level (e.g., 95 or 99)
+ * @returns {number} VaR as a positive number (loss)
+ */
+export function calculateCornishFisherVaR(returns, confidenceLevel = 95) {
+  if (!returns || returns.length < 2) {
+    return 0;
+  }
+
+  const { mu, sigma, z } = gaussianTail(returns, confidenceLevel);
+  const S = calculateSkewness(returns);
+  const K = calculateKurtosis(returns);
+
+  const zcf = z +
+    ((z * z - 1) * S) / 6 +
+    ((z * z * z - 3 * z) * K) / 24 -
+    ((2 * z * z * z - 5 * z) * S * S) / 36;
+
+  return -(mu + sigma * zcf);
+}
+
+/**
+ * Calculate Cornish-Fisher modified CVaR
+ * Average of z_cf over the α tail, in closed form from the truncated normal
+ * moments E[Z^k | Z < z]:
+ *   m1 = -φ(z)/α,  m2 = 1 - z·φ(z)/α,  m3 = -(z² + 2)·φ(z)/α
+ *
+ * @param {number[]} returns - Array of returns
+ * @param {number} confidenceLevel - Confidence level (e.g., 95 or 99)
+ * @returns {number} CVaR as a positive number
+ */
+export function calculateCornishFisherCVaR(returns, confidenceLevel = 95) {
+  if (!returns || returns.length < 2) {
+    return 0;
+  }
+
+  const { mu, sigma, alpha, z } = gaussianTail(returns, confidenceLevel);
+  const S = calculateSkewness(returns);
+  const K = calculateKurtosis(returns);
+  const tail = normalPDF(z) / alpha;
+
+  const m1 = -tail;
+  const m2 = 1 - z * tail;
+  const m3 = -(z * z + 2) * tail;
+
+  const expectedZcf = m1 +
+    ((m2 - 1) * S) / 6 +
+    ((m3 - 3 * m1) * K) / 24 -
+    ((2 * m3 - 5 * m1) * S * S) / 36;
+
+  return -(mu + sigma * expectedZcf);
+}
+
+/**
+ * Calculate VaR and CVaR with the given method
+ *
+ * @param {number[]} returns - Array of returns
+ * @param {number} confidenceLevel - Confidence level (e.g., 95 or 99)
+ * @param {string} method - One of VAR_METHODS
+ * @returns {{ var: number, cvar: number }} Both as positive numbers
+ */
+export function calculateVaRByMethod(returns, confidenceLevel = 95, method = DEFAULT_VAR_METHOD) {
+  switch (method) {
+    case 'parametric':
+      return {
+        var: calculateParametricVaR(returns, confidenceLevel),
+        cvar: calculateParametricCVaR(returns, confidenceLevel)
+      };
+    case 'cornish_fisher':
+      return {
+        var: calculateCornishFisherVaR(returns, confidenceLevel),
+        cvar: calculateCornishFisherCVaR(returns, confidenceLevel)
+      };
+    default:
+      return {
+        var: calculateVaR(returns, confidenceLevel),
+        cvar: calculateCVaR(returns, confidenceLevel)
+      };
+  }
+}
+
 /**
  * Generate histogram bins from an array of values
  *
@@ -413,6 +608,374 @@ export function calculateSharpeRatio(logReturns, riskFreeRate = 0) {
   return (((meanReturn - dailyRf) / stdReturn) * Math.sqrt(365));
 }
 
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / MS_PER_DAY);
+}
+
+/**
+ * Rebuild a value series (base 1) from daily log returns, so drawdowns can be
+ * computed on cryptos and the index the same way as on portfolio values.
+ * An anchor point the day before the first return carries the starting value.
+ *
+ * @param {Array<{date: Date|string, logReturn: number}>} returns - Chronological
+ * @returns {Array<{date: Date, value: number}>}
+ */
+export function valueSeriesFromLogReturns(returns) {
+  if (!returns || returns.length === 0) {
+    return [];
+  }
+
+  const anchor = new Date(new Date(returns[0].date).getTime() - MS_PER_DAY);
+  const series = [{ date: anchor, value: 1 }];
+  let cumulative = 0;
+
+  for (const r of returns) {
+    cumulative += r.logReturn;
+    series.push({ date: new Date(r.date), value: Math.exp(cumulative) });
+  }
+
+  return series;
+}
+
+/**
+ * Drawdown analysis of a value series (price, index level, portfolio value)
+ * DD_t = 1 - V_t / max(V_0..V_t)
+ *
+ * Drawdowns are positive fractions (0.25 = 25% below the running peak).
+ * An episode starts when the value leaves a peak and ends when it gets back
+ * to it; durations are in calendar days.
+ *
+ * @param {Array<{date: Date|string, value: number}>} points - Chronological values
+ * @returns {Object} {
+ *   maxDrawdown, peakDate, troughDate, recoveryDate (null if not recovered),
+ *   recoveryDays (trough → recovery of the max drawdown, null if not recovered),
+ *   currentDrawdown, currentDurationDays (days since the last peak),
+ *   longestDurationDays (longest peak → recovery episode, ongoing one included),
+ *   underwater: Array<{date, drawdown}>
+ * }
+ */
+export function calculateDrawdowns(points) {
+  const result = {
+    maxDrawdown: 0,
+    peakDate: null,
+    troughDate: null,
+    recoveryDate: null,
+    recoveryDays: null,
+    currentDrawdown: 0,
+    currentDurationDays: 0,
+    longestDurationDays: 0,
+    underwater: []
+  };
+
+  if (!points || points.length === 0) {
+    return result;
+  }
+
+  let peak = points[0].value;
+  let peakDate = points[0].date;
+  let maxEpisodePeakDate = null;
+  let inDrawdown = false;
+
+  for (const { date, value } of points) {
+    if (value >= peak) {
+      // Back to (or above) the running peak: close the open episode
+      if (inDrawdown) {
+        result.longestDurationDays = Math.max(result.longestDurationDays, daysBetween(peakDate, date));
+
+        if (peakDate === maxEpisodePeakDate) {
+          result.recoveryDate = date;
+          result.recoveryDays = daysBetween(result.troughDate, date);
+        }
+        inDrawdown = false;
+      }
+
+      peak = value;
+      peakDate = date;
+      result.underwater.push({ date, drawdown: 0 });
+      continue;
+    }
+
+    const drawdown = peak > 0 ? 1 - value / peak : 0;
+    result.underwater.push({ date, drawdown });
+    inDrawdown = true;
+
+    if (drawdown > result.maxDrawdown) {
+      // A deeper trough is never recovered yet
+      result.maxDrawdown = drawdown;
+      result.peakDate = peakDate;
+      result.troughDate = date;
+      result.recoveryDate = null;
+      result.recoveryDays = null;
+      maxEpisodePeakDate = peakDate;
+    }
+  }
+
+  const last = points[points.length - 1];
+  result.currentDrawdown = result.underwater[result.underwater.length - 1].drawdown;
+  result.currentDurationDays = inDrawdown ? daysBetween(peakDate, last.date) : 0;
+  result.longestDurationDays = Math.max(result.longestDurationDays, result.currentDurationDays);
+
+  return result;
+}
+
+/**
+ * Underwater curve against a rolling peak, i.e. the current drawdown each
+ * date would show when computed over a trailing window (matches the
+ * current_drawdown column historized by calculateDrawdownStats)
+ * DD_t = 1 - V_t / max(V_t-lookback..V_t)
+ *
+ * @param {Array<{date: Date|string, value: number}>} points - Chronological values
+ * @param {number} lookback - Trailing window in observations
+ * @returns {Array<{date, drawdown}>}
+ */
+export function rollingUnderwater(points, lookback) {
+  return points.map((point, i) => {
+    let peak = point.value;
+
+    for (let j = Math.max(0, i - lookback); j < i; j++) {
+      peak = Math.max(peak, points[j].value);
+    }
+
+    return { date: point.date, drawdown: peak > 0 ? 1 - point.value / peak : 0 };
+  });
+}
+
+/**
+ * Express a calculateDrawdowns() result in percent for API responses
+ *
+ * @param {Object} drawdowns - Result of calculateDrawdowns()
+ * @returns {Object} Same shape, drawdowns × 100
+ */
+export function drawdownsToPercent(drawdowns) {
+  return {
+    ...drawdowns,
+    maxDrawdown: drawdowns.maxDrawdown * 100,
+    currentDrawdown: drawdowns.currentDrawdown * 100,
+    underwater: drawdowns.underwater.map((u) => ({
+      date: u.date,
+      drawdown: u.drawdown * 100
+    }))
+  };
+}
+
+// Minimum acceptable return (annual) used by Sortino and Omega by default
+export const DEFAULT_MINIMUM_ACCEPTABLE_RETURN = 0;
+
+/**
+ * Parse a minimum acceptable return given in annual percent (`?mar=5` → 5%)
+ * Rounded to the precision of the historized `mar` column (6 decimals)
+ * @param {string|undefined} value - Raw value, default MAR when omitted
+ * @returns {number|null} Annual MAR as a fraction, null if invalid
+ */
+export function parseMinimumAcceptableReturn(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_MINIMUM_ACCEPTABLE_RETURN;
+  }
+
+  const percent = Number(value);
+
+  if (!Number.isFinite(percent) || percent <= -100 || percent > 1000) {
+    return null;
+  }
+
+  return Math.round(percent * 10000) / 1000000;
+}
+
+/**
+ * Calculate downside deviation (daily)
+ * DD = √(mean(min(r - MAR, 0)²)), over all observations
+ *
+ * @param {number[]} logReturns - Array of daily log returns
+ * @param {number} minimumAcceptableReturn - Annual MAR (default: 0)
+ * @returns {number} Daily downside deviation
+ */
+export function calculateDownsideDeviation(logReturns, minimumAcceptableReturn = DEFAULT_MINIMUM_ACCEPTABLE_RETURN) {
+  if (!logReturns || logReturns.length === 0) {
+    return 0;
+  }
+
+  const dailyMar = minimumAcceptableReturn / 365;
+  const sumSquares = logReturns.reduce((sum, r) => sum + Math.min(r - dailyMar, 0) ** 2, 0);
+
+  return Math.sqrt(sumSquares / logReturns.length);
+}
+
+/**
+ * Calculate Sortino Ratio
+ * S = (Rp - MAR) / DD
+ * Same convention as Sharpe: daily returns, annualized via √365
+ *
+ * @param {number[]} logReturns - Array of daily log returns
+ * @param {number} minimumAcceptableReturn - Annual MAR (default: 0)
+ * @returns {number|null} Sortino ratio (annualized), null without any return below MAR
+ */
+export function calculateSortinoRatio(logReturns, minimumAcceptableReturn = DEFAULT_MINIMUM_ACCEPTABLE_RETURN) {
+  if (!logReturns || logReturns.length < 2) {
+    return null;
+  }
+
+  const downsideDeviation = calculateDownsideDeviation(logReturns, minimumAcceptableReturn);
+
+  if (downsideDeviation === 0) {
+    return null;
+  }
+
+  const dailyMar = minimumAcceptableReturn / 365;
+
+  return ((mean(logReturns) - dailyMar) / downsideDeviation) * Math.sqrt(365);
+}
+
+/**
+ * Calculate Calmar Ratio
+ * C = annualized return / max drawdown
+ *
+ * @param {number[]} logReturns - Array of daily log returns
+ * @param {number} maxDrawdown - Max drawdown over the same window, positive fraction
+ * @returns {number|null} Calmar ratio, null without any drawdown
+ */
+export function calculateCalmarRatio(logReturns, maxDrawdown) {
+  if (!logReturns || logReturns.length < 2 || !maxDrawdown) {
+    return null;
+  }
+
+  return (mean(logReturns) * 365) / maxDrawdown;
+}
+
+/**
+ * Calculate Omega Ratio
+ * Ω = Σ max(r - τ, 0) / Σ max(τ - r, 0)
+ *
+ * @param {number[]} logReturns - Array of daily log returns
+ * @param {number} threshold - Annual threshold return (default: 0)
+ * @returns {number|null} Omega ratio, null without any return below the threshold
+ */
+export function calculateOmegaRatio(logReturns, threshold = DEFAULT_MINIMUM_ACCEPTABLE_RETURN) {
+  if (!logReturns || logReturns.length < 2) {
+    return null;
+  }
+
+  const dailyThreshold = threshold / 365;
+  let gains = 0;
+  let losses = 0;
+
+  for (const r of logReturns) {
+    if (r > dailyThreshold) {
+      gains += r - dailyThreshold;
+    } else {
+      losses += dailyThreshold - r;
+    }
+  }
+
+  return losses > 0 ? gains / losses : null;
+}
+
+/**
+ * Calculate Treynor Ratio
+ * T = (Rp - Rf) / β, annualized return
+ *
+ * @param {number[]} logReturns - Array of daily log returns
+ * @param {number} beta - Beta vs the CoinRisqLab 80 over the same window
+ * @param {number} riskFreeRate - Annual risk-free rate (default: 0)
+ * @returns {number|null} Treynor ratio, null if beta is 0
+ */
+export function calculateTreynorRatio(logReturns, beta, riskFreeRate = 0) {
+  if (!logReturns || logReturns.length < 2 || !beta) {
+    return null;
+  }
+
+  return (mean(logReturns) * 365 - riskFreeRate) / beta;
+}
+
+/**
+ * Calculate Information Ratio and Tracking Error vs a benchmark
+ * TE = σ(Rp - Rb) × √365
+ * IR = mean(Rp - Rb) × 365 / TE
+ *
+ * @param {number[]} assetReturns - Daily log returns
+ * @param {number[]} benchmarkReturns - Benchmark daily log returns, aligned by date
+ * @returns {{ informationRatio: number|null, trackingError: number|null }}
+ */
+export function calculateInformationRatio(assetReturns, benchmarkReturns) {
+  if (!assetReturns || !benchmarkReturns || assetReturns.length < 2 || benchmarkReturns.length < 2) {
+    return { informationRatio: null, trackingError: null };
+  }
+
+  const n = Math.min(assetReturns.length, benchmarkReturns.length);
+  const active = assetReturns.slice(0, n).map((r, i) => r - benchmarkReturns[i]);
+  const trackingError = standardDeviation(active) * Math.sqrt(365);
+
+  return {
+    informationRatio: trackingError > 0 ? (mean(active) * 365) / trackingError : null,
+    trackingError
+  };
+}
+
+/**
+ * All downside and benchmark-relative ratios of a return series
+ *
+ * @param {number[]} logReturns - Daily log returns of the window
+ * @param {Object} options
+ * @param {number} options.maxDrawdown - Max drawdown over the window (for Calmar)
+ * @param {number|null} options.beta - Beta vs the index over the window (for Treynor)
+ * @param {number[]} [options.alignedReturns] - Asset returns on the days the index has a return
+ * @param {number[]} [options.benchmarkReturns] - Index returns on the same days
+ * @param {number} [options.minimumAcceptableReturn] - Annual MAR for Sortino / Omega
+ * @returns {{ sortino, downsideDeviation, calmar, omega, treynor, informationRatio, trackingError, minimumAcceptableReturn }}
+ */
+export function calculatePerformanceRatios(logReturns, {
+  maxDrawdown,
+  beta,
+  alignedReturns = logReturns,
+  benchmarkReturns = null,
+  minimumAcceptableReturn = DEFAULT_MINIMUM_ACCEPTABLE_RETURN
+}) {
+  const { informationRatio, trackingError } = calculateInformationRatio(alignedReturns, benchmarkReturns);
+
+  return {
+    sortino: calculateSortinoRatio(logReturns, minimumAcceptableReturn),
+    downsideDeviation: calculateDownsideDeviation(logReturns, minimumAcceptableReturn),
+    calmar: calculateCalmarRatio(logReturns, maxDrawdown),
+    omega: calculateOmegaRatio(logReturns, minimumAcceptableReturn),
+    treynor: calculateTreynorRatio(logReturns, beta),
+    informationRatio,
+    trackingError,
+    minimumAcceptableReturn
+  };
+}
+
+/**
+ * Performance ratios of a dated daily log return series, Calmar using the
+ * max drawdown of that same series (portfolio analytics)
+ *
+ * @param {{ date: string, logReturn: number }[]} series - Daily log returns of the window
+ * @param {Object} options - beta, alignedReturns, benchmarkReturns and
+ *   minimumAcceptableReturn, as for calculatePerformanceRatios()
+ * @returns {Object} Result of calculatePerformanceRatios()
+ */
+export function calculateSeriesPerformanceRatios(series, options) {
+  const { maxDrawdown } = calculateDrawdowns(valueSeriesFromLogReturns(series));
+
+  return calculatePerformanceRatios(series.map((d) => d.logReturn), { ...options, maxDrawdown });
+}
+
+/**
+ * Express a calculatePerformanceRatios() result for API responses: ratios
+ * unchanged, tracking error / downside deviation / MAR in percent
+ *
+ * @param {Object} ratios - Result of calculatePerformanceRatios()
+ * @returns {Object}
+ */
+export function performanceRatiosToPercent(ratios) {
+  return {
+    ...ratios,
+    downsideDeviation: ratios.downsideDeviation * 100,
+    trackingError: ratios.trackingError !== null ? ratios.trackingError * 100 : null,
+    minimumAcceptableReturn: ratios.minimumAcceptableReturn * 100
+  };
+}
+
 /**
  * Percentile calculation helper
  *
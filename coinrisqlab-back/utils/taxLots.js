@@ -0,0 +1,233 @@
+/**
+ * Cost-basis engine for realized P&L and tax lots.
+ *
+ * Every acquisition opens a lot; every disposal consumes open lots and
+ * records one disposal per (lot, transaction) pair. The portfolio's method
+ * decides which lots a disposal consumes and at what cost:
+ *
+ *   AVG   running average cost of the open position. The average RESETS when
+ *         the position is fully sold (a new buy starts a fresh cost basis).
+ *         Lots are consumed oldest first, only to track holding periods.
+ *   FIFO  oldest lots first
+ *   LIFO  newest lots first
+ *   HIFO  highest unit cost first (oldest first on ties)
+ *
+ * Transaction types:
+ *
+ *   buy                      acquisition at the purchase price
+ *   reward, airdrop, income  acquisition at the fair value on receipt (price_usd)
+ *   transfer_in              acquisition at price_usd, or — for the incoming leg of
+ *                            an internal transfer — the lots carried over from the
+ *                            source portfolio, with their original cost and date
+ *   sell                     taxable disposal
+ *   transfer_out             non-taxable disposal: lots leave at cost, no gain
+ *   transfer                 legacy, direction unknown: ignored, as it always was
+ *                            (the TWR replay still counts it as +, see
+ *                            utils/userPortfolioPerformance.js)
+ *
+ * Fees: an acquisition's fee is part of its cost basis (lot unit cost
+ * included); a sell's fee reduces its proceeds and is split across the lots
+ * it consumes; a transfer_out's fee is a realized loss.
+ *
+ * Realized P&L is CRYSTALLISED: it is never erased when a closed position is
+ * re-opened.
+ *
+ * Floating-point safety: residuals below QTY_EPSILON are clamped to 0.
+ */
+
+// Types accepted on new transactions ('transfer' only exists in legacy rows)
+export const TRANSACTION_TYPES = [
+  'buy',
+  'sell',
+  'reward',
+  'airdrop',
+  'income',
+  'transfer_in',
+  'transfer_out',
+];
+
+export const ACQUISITION_TYPES = ['buy', 'reward', 'airdrop', 'income', 'transfer_in'];
+
+export const DISPOSAL_TYPES = ['sell', 'transfer_out'];
+
+export const INCOME_TYPES = ['reward', 'airdrop', 'income'];
+
+/**
+ * Signed quantity change of a transaction on its holding.
+ */
+export function quantityDelta(type, quantity) {
+  if (ACQUISITION_TYPES.includes(type)) return quantity;
+  if (DISPOSAL_TYPES.includes(type)) return -quantity;
+  return 0;
+}
+
+export const COST_BASIS_METHODS = ['AVG', 'FIFO', 'LIFO', 'HIFO'];
+
+export const DEFAULT_COST_BASIS_METHOD = 'AVG';
+
+const QTY_EPSILON = 1e-12;
+
+const clamp = (value) => (Math.abs(value) < QTY_EPSILON ? 0 : value);
+
+/**
+ * Open lots in the order a sell consumes them.
+ */
+function consumptionOrder(lots, method) {
+  const open = lots.filter((lot) => lot.remaining > 0);
+
+  switch (method) {
+    case 'LIFO':
+      return open.reverse();
+    case 'HIFO':
+      return open.sort((a, b) => b.unitCost - a.unitCost);
+    default:
+      return open;
+  }
+}
+
+/**
+ * Lots opened by an acquisition. The incoming leg of an internal transfer
+ * reopens the lots its outgoing leg consumed (scaled to its quantity);
+ * anything else opens a single lot at price_usd plus the fee.
+ */
+function acquisitionLots(t, q, p, fee, carried) {
+  const carriedQty = carried?.reduce((sum, c) => sum + parseFloat(c.quantity), 0) || 0;
+
+  if (t.type === 'transfer_in' && carriedQty > QTY_EPSILON) {
+    const scale = q / carriedQty;
+
+    return carried.map((c, lotIndex) => ({
+      transactionId: t.id,
+      lotIndex,
+      acquiredAt: c.acquired_at,
+      quantity: parseFloat(c.quantity) * scale,
+      remaining: parseFloat(c.quantity) * scale,
+      unitCost: parseFloat(c.cost_basis_usd) / parseFloat(c.quantity),
+    }));
+  }
+
+  return [
+    {
+      transactionId: t.id,
+      lotIndex: 0,
+      acquiredAt: t.timestamp,
+      quantity: q,
+      remaining: q,
+      unitCost: q > 0 ? (q * p + fee) / q : p,
+    },
+  ];
+}
+
+/**
+ * Walk a chronological transaction history.
+ *
+ * @param {Array<{ id?: number, type: string, quantity: number|string, price_usd: number|string, fee_usd?: number|string, timestamp: string|Date }>} txs
+ * @param {string} [method] - One of COST_BASIS_METHODS
+ * @param {Map<number, Array<{ quantity: number|string, cost_basis_usd: number|string, acquired_at: string|Date }>>} [carriedLots]
+ *   Lots carried by internal transfers, keyed by transfer_in id
+ * @returns {{
+ *   invalid: boolean,
+ *   totalQty: number,
+ *   avgBuyPrice: number,
+ *   realizedPnl: number,
+ *   firstBuyDate: string|Date|null,
+ *   lots: Array<{ transactionId: number, lotIndex: number, acquiredAt: string|Date, quantity: number, remaining: number, unitCost: number }>,
+ *   disposals: Array<{ lotTransactionId: number, lotIndex: number, sellTransactionId: number, kind: 'sale'|'transfer', quantity: number, costBasis: number, proceeds: number, fees: number, realizedPnl: number, acquiredAt: string|Date, disposedAt: string|Date }>
+ * }} invalid is true if a disposal exceeds the quantity held at that moment
+ */
+export function walkTransactions(txs, method = DEFAULT_COST_BASIS_METHOD, carriedLots = new Map()) {
+  const lots = [];
+  const disposals = [];
+  let totalQty = 0;
+  let avgLotQty = 0; // AVG: qty acquired since the last "qty=0" reset
+  let avgLotCost = 0; // AVG: cumulative USD cost of avgLotQty
+  let realizedPnl = 0;
+  let firstBuyDate = null;
+  let invalid = false;
+
+  for (const t of txs) {
+    const q = parseFloat(t.quantity);
+    const p = parseFloat(t.price_usd);
+    const fee = parseFloat(t.fee_usd) || 0;
+
+    if (ACQUISITION_TYPES.includes(t.type)) {
+      const acquired = acquisitionLots(t, q, p, fee, carriedLots.get(t.id));
+      const cost = acquired.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0);
+
+      if (totalQty <= QTY_EPSILON) {
+        avgLotQty = q;
+        avgLotCost = cost;
+      } else {
+        avgLotQty += q;
+        avgLotCost += cost;
+      }
+      totalQty += q;
+      lots.push(...acquired);
+      if (firstBuyDate === null) firstBuyDate = t.timestamp;
+    } else if (DISPOSAL_TYPES.includes(t.type)) {
+      if (q > totalQty + QTY_EPSILON) {
+        invalid = true;
+        break;
+      }
+
+      const isSale = t.type === 'sell';
+      const avgAtSell = avgLotQty > 0 ? avgLotCost / avgLotQty : 0;
+      let toSell = q;
+
+      for (const lot of consumptionOrder(lots, method)) {
+        if (toSell <= QTY_EPSILON) break;
+
+        const taken = Math.min(lot.remaining, toSell);
+        const unitCost = method === 'AVG' ? avgAtSell : lot.unitCost;
+        const costBasis = taken * unitCost;
+        // Transfers leave at cost: no gain, the fee is the only loss
+        const proceeds = isSale ? taken * p : costBasis;
+        const fees = q > 0 ? (fee * taken) / q : 0;
+
+        lot.remaining = clamp(lot.remaining - taken);
+        toSell -= taken;
+        realizedPnl += proceeds - fees - costBasis;
+        disposals.push({
+          lotTransactionId: lot.transactionId,
+          lotIndex: lot.lotIndex,
+          sellTransactionId: t.id,
+          kind: isSale ? 'sale' : 'transfer',
+          quantity: taken,
+          costBasis,
+          proceeds,
+          fees,
+          realizedPnl: proceeds - fees - costBasis,
+          acquiredAt: lot.acquiredAt,
+          disposedAt: t.timestamp,
+        });
+      }
+
+      totalQty = clamp(totalQty - q);
+
+      // AVG: the cost per unit stays the same so the avg doesn't drift on partial sells
+      const reduction = avgLotQty > 0 ? Math.min(q / avgLotQty, 1) : 0;
+      avgLotCost *= 1 - reduction;
+      avgLotQty = clamp(avgLotQty * (1 - reduction));
+      if (avgLotQty === 0) avgLotCost = 0;
+    }
+  }
+
+  let avgBuyPrice;
+  if (method === 'AVG') {
+    avgBuyPrice = avgLotQty > 0 ? avgLotCost / avgLotQty : 0;
+  } else {
+    const openQty = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+    const openCost = lots.reduce((sum, lot) => sum + lot.remaining * lot.unitCost, 0);
+    avgBuyPrice = openQty > QTY_EPSILON ? openCost / openQty : 0;
+  }
+
+  return {
+    invalid,
+    totalQty: clamp(totalQty),
+    avgBuyPrice,
+    realizedPnl,
+    firstBuyDate,
+    lots,
+    disposals,
+  };
+}
@@ -0,0 +1,283 @@
+import Database from '../lib/database.js';
+import { ACQUISITION_TYPES, INCOME_TYPES, quantityDelta } from './taxLots.js';
+
+/**
+ * Yearly realized capital gains, built from the tax lots of utils/taxLots.js.
+ *
+ *   us  every disposal (lot x sell) with its holding period, split into
+ *       short term (held one year or less) and long term. Transfers out
+ *       are not disposals; lots moved between portfolios keep their
+ *       original acquisition date
+ *   fr  "formulaire 2086" style: one line per sell across all the user's
+ *       portfolios, gain computed against the global portfolio value at the
+ *       time of the sale, taxed at the PFU flat rate
+ *
+ * Amounts are in USD; the 2086 expects EUR at the sale date.
+ */
+
+export const TAX_JURISDICTIONS = ['us', 'fr'];
+
+export const LONG_TERM_HOLDING_DAYS = 365;
+
+// Prélèvement forfaitaire unique: 12.8% income tax + 17.2% social contributions
+export const FR_PFU_RATE = 0.3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function yearBounds(year) {
+  return [new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year + 1, 0, 1))];
+}
+
+function emptyTotals() {
+  return { count: 0, proceeds: 0, costBasis: 0, fees: 0, gain: 0 };
+}
+
+function addToTotals(totals, row) {
+  totals.count++;
+  totals.proceeds += row.proceeds;
+  totals.costBasis += row.costBasis;
+  totals.fees += row.fees;
+  totals.gain += row.gain;
+}
+
+/**
+ * Disposals of a portfolio in a calendar year (UTC). Cost basis includes the
+ * buy fees; fees is the share of the sell fee allocated to the lot.
+ */
+export async function getCapitalGains(portfolioId, year) {
+  const [from, to] = yearBounds(year);
+
+  const [rows] = await Database.execute(
+    `SELECT d.lot_transaction_id, d.sell_transaction_id, d.method, d.quantity,
+       d.cost_basis_usd, d.proceeds_usd, d.fee_usd, d.realized_pnl_usd, d.acquired_at,
+       d.disposed_at, c.symbol, c.name
+     FROM user_tax_lot_disposals d
+     JOIN cryptocurrencies c ON c.id = d.crypto_id
+     WHERE d.portfolio_id = ? AND d.kind = 'sale' AND d.disposed_at >= ? AND d.disposed_at < ?
+     ORDER BY d.disposed_at ASC, d.id ASC`,
+    [portfolioId, from, to]
+  );
+
+  const summary = { shortTerm: emptyTotals(), longTerm: emptyTotals(), total: emptyTotals() };
+
+  const disposals = rows.map((r) => {
+    const holdingDays = Math.floor(
+      (new Date(r.disposed_at).getTime() - new Date(r.acquired_at).getTime()) / DAY_MS
+    );
+    const disposal = {
+      symbol: r.symbol,
+      name: r.name,
+      method: r.method,
+      quantity: r.quantity,
+      acquiredAt: r.acquired_at,
+      disposedAt: r.disposed_at,
+      holdingDays,
+      term: holdingDays > LONG_TERM_HOLDING_DAYS ? 'long' : 'short',
+      proceeds: r.proceeds_usd,
+      costBasis: r.cost_basis_usd,
+      fees: r.fee_usd,
+      gain: r.realized_pnl_usd,
+    };
+
+    addToTotals(disposal.term === 'long' ? summary.longTerm : summary.shortTerm, disposal);
+    addToTotals(summary.total, disposal);
+
+    return disposal;
+  });
+
+  return { year, disposals, summary };
+}
+
+/**
+ * Last known market price of a crypto at a given time, or null.
+ */
+export async function getMarketPrice(cryptoId, at) {
+  const [rows] = await Database.execute(
+    `SELECT price_usd FROM market_data
+     WHERE crypto_id = ? AND timestamp <= ?
+     ORDER BY timestamp DESC LIMIT 1`,
+    [cryptoId, at]
+  );
+
+  return rows[0]?.price_usd ?? null;
+}
+
+// Types whose price_usd is a market price (transfers carry a cost basis instead)
+const MARKET_PRICED_TYPES = ['buy', 'sell', ...INCOME_TYPES];
+
+// Closes are preloaded from a few days before the first transaction, so the
+// first valuations have a previous close to fall back on
+const CLOSE_LOOKBACK_MS = 7 * DAY_MS;
+
+/**
+ * Daily closes of several cryptos over [from, to), in one query.
+ * @returns {Promise<Map<number, { time: number, close: number }[]>>} Sorted by time
+ */
+async function getDailyCloses(cryptoIds, from, to) {
+  const closes = new Map(cryptoIds.map((id) => [id, []]));
+  if (cryptoIds.length === 0) return closes;
+
+  const [rows] = await Database.execute(
+    `SELECT crypto_id, timestamp, close FROM ohlc
+     WHERE crypto_id IN (${cryptoIds.map(() => '?').join(', ')}) AND timestamp >= ? AND timestamp < ?
+     ORDER BY crypto_id ASC, timestamp ASC`,
+    [...cryptoIds, from, to]
+  );
+
+  for (const r of rows) {
+    closes
+      .get(r.crypto_id)
+      .push({ time: new Date(r.timestamp).getTime(), close: parseFloat(r.close) });
+  }
+
+  return closes;
+}
+
+/**
+ * Last close at or before time in a sorted getDailyCloses() series, or null.
+ */
+function closeAt(series, time) {
+  let lo = 0;
+  let hi = series.length - 1;
+  let found = null;
+
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid].time <= time) {
+      found = series[mid].close;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * French 2086-style computation over every portfolio of a user. For each sell:
+ *   gain = (proceeds - fees) - netAcquisitionCost x proceeds / portfolioValue
+ * where portfolioValue is the global value of everything held just before
+ * the sale and netAcquisitionCost is every acquisition so far (fees
+ * included; rewards, airdrops and income at their fair value on receipt)
+ * minus the capital fractions already allocated to earlier sells.
+ * Transfers between the user's portfolios leave the global position
+ * unchanged and are ignored. A transfer out of an unlinked leg (to an
+ * outside wallet) is not a cession either: it takes its share of the net
+ * acquisition cost along. Earlier years are replayed to carry those
+ * fractions forward; only the requested year is returned.
+ *
+ * Positions are valued at the last daily close (ohlc) before the
+ * transaction, else at the asset's last transaction price.
+ */
+export async function getFrench2086(userId, year) {
+  const [from, to] = yearBounds(year);
+
+  const [txs] = await Database.execute(
+    `SELECT t.crypto_id, c.symbol, up.name AS portfolio_name, t.type, t.linked_transaction_id,
+       t.quantity, t.price_usd, t.fee_usd, t.timestamp
+     FROM user_transactions t
+     JOIN user_portfolios up ON up.id = t.portfolio_id
+     JOIN cryptocurrencies c ON c.id = t.crypto_id
+     WHERE up.user_id = ? AND t.timestamp < ?
+     ORDER BY t.timestamp ASC, t.id ASC`,
+    [userId, to]
+  );
+
+  const closes =
+    txs.length > 0
+      ? await getDailyCloses(
+          [...new Set(txs.map((t) => t.crypto_id))],
+          new Date(new Date(txs[0].timestamp).getTime() - CLOSE_LOOKBACK_MS),
+          to
+        )
+      : new Map();
+
+  const held = new Map(); // crypto_id -> { quantity, lastPrice }
+  let acquisitionCost = 0;
+  let allocatedFractions = 0;
+  const cessions = [];
+
+  const marketPrice = (cryptoId, time, fallback) => closeAt(closes.get(cryptoId), time) ?? fallback;
+
+  // Global value of the positions held just before t; t's asset is valued
+  // at ownPrice when given, else at its market price like the others
+  const portfolioValueBefore = (t, ownPrice = null) => {
+    const time = new Date(t.timestamp).getTime();
+    let value = 0;
+
+    for (const [cryptoId, p] of held) {
+      if (p.quantity <= 0) continue;
+
+      const price =
+        cryptoId === t.crypto_id && ownPrice !== null
+          ? ownPrice
+          : marketPrice(cryptoId, time, p.lastPrice);
+      value += p.quantity * price;
+    }
+
+    return value;
+  };
+
+  for (const t of txs) {
+    // Both legs of an internal transfer stay within the user's holdings
+    if (t.linked_transaction_id) continue;
+
+    const position = held.get(t.crypto_id) || { quantity: 0, lastPrice: t.price_usd };
+
+    if (ACQUISITION_TYPES.includes(t.type)) {
+      acquisitionCost += t.quantity * t.price_usd + t.fee_usd;
+    } else if (t.type === 'transfer_out') {
+      const portfolioValue = portfolioValueBefore(t);
+      const price = marketPrice(t.crypto_id, new Date(t.timestamp).getTime(), position.lastPrice);
+      const netAcquisitionCost = acquisitionCost - allocatedFractions;
+
+      if (portfolioValue > 0) {
+        acquisitionCost -= (netAcquisitionCost * t.quantity * price) / portfolioValue;
+      }
+    } else if (t.type === 'sell') {
+      // Global value just before the sale; the sold asset is valued at its sale price
+      const portfolioValue = portfolioValueBefore(t, t.price_usd);
+
+      const proceeds = t.quantity * t.price_usd;
+      const netAcquisitionCost = acquisitionCost - allocatedFractions;
+      const allocatedCost =
+        portfolioValue > 0 ? (netAcquisitionCost * proceeds) / portfolioValue : 0;
+      allocatedFractions += allocatedCost;
+
+      if (new Date(t.timestamp) >= from) {
+        cessions.push({
+          symbol: t.symbol,
+          portfolioName: t.portfolio_name,
+          disposedAt: t.timestamp,
+          portfolioValue,
+          proceeds,
+          fees: t.fee_usd,
+          netProceeds: proceeds - t.fee_usd,
+          netAcquisitionCost,
+          allocatedCost,
+          gain: proceeds - t.fee_usd - allocatedCost,
+        });
+      }
+    }
+
+    position.quantity += quantityDelta(t.type, t.quantity);
+    if (MARKET_PRICED_TYPES.includes(t.type)) position.lastPrice = t.price_usd;
+    held.set(t.crypto_id, position);
+  }
+
+  const totalGain = cessions.reduce((sum, c) => sum + c.gain, 0);
+  const totalProceeds = cessions.reduce((sum, c) => sum + c.proceeds, 0);
+
+  return {
+    year,
+    cessions,
+    summary: {
+      count: cessions.length,
+      totalProceeds,
+      totalGain,
+      pfuRate: FR_PFU_RATE,
+      estimatedTax: Math.max(totalGain, 0) * FR_PFU_RATE,
+    },
+  };
+}
@@ -0,0 +1,680 @@
+import Database from '../lib/database.js';
+import { recomputeHolding } from './holdings.js';
+import { getMarketPrice } from './taxReport.js';
+import { TRANSACTION_TYPES, quantityDelta } from './taxLots.js';
+
+/**
+ * Transaction import pipeline: raw exchange CSV -> normalized rows ->
+ * dry-run preview -> commit.
+ *
+ *   binance   Spot "Trade History" export (Date(UTC), Pair, Side, Price, Executed, Amount, Fee)
+ *   coinbase  "Transaction history" report (the preamble lines above the header are skipped)
+ *   kraken    "Trades" export (txid, pair, time, type, price, cost, fee, vol)
+ *   generic   GENERIC_CSV_HEADERS, one row per transaction of any TRANSACTION_TYPES
+ *
+ * Prices must be in USD or a USD stablecoin (counted 1:1). Every preview row
+ * is 'ok', 'duplicate' (already in the portfolio) or 'error'; only 'ok' rows are committed, all in a single DB transaction and
+ * tagged with their user_import_batches row so the import can be undone.
+ */
+
+export const IMPORT_SOURCES = ['binance', 'coinbase', 'kraken', 'generic'];
+
+export const GENERIC_CSV_HEADERS = [
+  'date',
+  'symbol',
+  'type',
+  'quantity',
+  'price_usd',
+  'fee_usd',
+  'notes',
+];
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Longest first: BTCFDUSD must not be read as BTCFD / USD
+const USD_QUOTES = ['FDUSD', 'ZUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'USD', 'DAI'];
+
+// Kraken asset codes that differ from the usual tickers (after the X/Z prefix)
+const KRAKEN_ASSETS = { XBT: 'BTC', XDG: 'DOGE' };
+
+const COINBASE_TYPES = {
+  buy: 'buy',
+  'advanced trade buy': 'buy',
+  sell: 'sell',
+  'advanced trade sell': 'sell',
+  receive: 'transfer_in',
+  deposit: 'transfer_in',
+  send: 'transfer_out',
+  withdrawal: 'transfer_out',
+  'rewards income': 'reward',
+  'staking income': 'reward',
+  'inflation reward': 'reward',
+  'learning reward': 'income',
+  'coinbase earn': 'income',
+};
+
+/**
+ * Validate the type, quantity and price of a transaction to record.
+ * Buys and sells need a price; rewards, airdrops and transfers may be
+ * recorded at zero cost. Returns an error message, or null if valid.
+ */
+export function validateTransaction({ crypto_id, type, quantity, price_usd }) {
+  if (!crypto_id || !type || !quantity || quantity <= 0) {
+    return 'crypto_id, type, quantity, and price_usd are required';
+  }
+
+  if (!TRANSACTION_TYPES.includes(type)) {
+    return `type must be one of: ${TRANSACTION_TYPES.join(', ')}`;
+  }
+
+  const needsPrice = type === 'buy' || type === 'sell';
+  if (needsPrice ? !price_usd : price_usd === undefined || price_usd === null || price_usd < 0) {
+    return 'crypto_id, type, quantity, and price_usd are required';
+  }
+
+  return null;
+}
+
+function importFileError(msg) {
+  const err = new Error(msg);
+
+  err.code = 'INVALID_IMPORT_FILE';
+  return err;
+}
+
+/**
+ * RFC 4180 CSV: quoted fields, "" escapes, CRLF or LF. Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some((f) => f.trim() !== '')) rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+// ─── Field parsing ──────────────────────────────────────────────────────────
+
+function parseNumber(value, label) {
+  const number = parseFloat(String(value ?? '').replace(/[$,\s]/g, ''));
+
+  if (!Number.isFinite(number)) throw new Error(`Invalid ${label}: "${value ?? ''}"`);
+  return number;
+}
+
+/**
+ * "0.5BTC" -> { amount: 0.5, asset: 'BTC' } (Binance suffixes amounts with their asset)
+ */
+function parseAmount(value, label) {
+  const match = String(value ?? '')
+    .replace(/,/g, '')
+    .trim()
+    .match(/^(-?[\d.]+(?:e-?\d+)?)\s*([A-Za-z0-9]*)$/i);
+
+  if (!match) throw new Error(`Invalid ${label}: "${value ?? ''}"`);
+  return { amount: parseFloat(match[1]), asset: match[2].toUpperCase() || null };
+}
+
+/**
+ * Exchange timestamps are UTC, with or without a zone designator.
+ * Returns 'YYYY-MM-DD HH:MM:SS' like the rest of user_transactions.
+ */
+function parseUtcDate(value) {
+  let text = String(value ?? '')
+    .trim()
+    .replace(/\s*UTC$/i, '')
+    .replace(' ', 'T');
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) text += 'T00:00:00';
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) text += 'Z';
+
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid date: "${value ?? ''}"`);
+
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Split a USD-quoted pair ("BTCUSDT", "BTC/USD", "XXBTZUSD") into its base asset.
+ */
+function splitUsdPair(pair) {
+  const compact = String(pair ?? '')
+    .toUpperCase()
+    .replace(/[/\-_]/g, '');
+  const quote = USD_QUOTES.find((q) => compact.endsWith(q) && compact.length > q.length);
+
+  if (!quote) throw new Error(`Pair ${pair} is not quoted in USD or a USD stablecoin`);
+  return { base: compact.slice(0, -quote.length), quote };
+}
+
+function field(record, ...names) {
+  for (const name of names) {
+    if (record[name] !== undefined && record[name] !== '') return record[name];
+  }
+  return undefined;
+}
+
+// ─── Exchange formats ───────────────────────────────────────────────────────
+
+/**
+ * Each format maps a header-keyed record (lowercased headers) to
+ * { symbol, type, quantity, price_usd, fee_usd, fee: { amount, asset }?, timestamp, notes }
+ * and throws on rows it cannot read. A fee in another asset is valued later.
+ */
+const FORMATS = {
+  binance: {
+    headers: ['date(utc)', 'pair', 'side', 'price', 'executed', 'fee'],
+    normalize(r) {
+      const { base, quote } = splitUsdPair(r.pair);
+      const side = String(r.side).toLowerCase();
+      if (side !== 'buy' && side !== 'sell') throw new Error(`Unsupported side: "${r.side}"`);
+
+      const price = parseNumber(r.price, 'price');
+      const fee = parseAmount(r.fee, 'fee');
+      const feeInUsd = !fee.asset || fee.asset === quote;
+
+      return {
+        symbol: base,
+        type: side,
+        quantity: parseAmount(r.executed, 'executed quantity').amount,
+        price_usd: price,
+        fee_usd: feeInUsd ? fee.amount : fee.asset === base ? fee.amount * price : 0,
+        fee: feeInUsd || fee.asset === base ? null : fee,
+        timestamp: parseUtcDate(r['date(utc)']),
+        notes: null,
+      };
+    },
+  },
+
+  coinbase: {
+    headers: ['timestamp', 'transaction type', 'asset', 'quantity transacted'],
+    normalize(r) {
+      const kind = String(r['transaction type']).trim().toLowerCase();
+      const type = COINBASE_TYPES[kind];
+      if (kind === 'convert') {
+        throw new Error('Convert rows are not supported: record them as a sell and a buy');
+      }
+      if (!type) throw new Error(`Unsupported transaction type: "${r['transaction type']}"`);
+
+      const currency = field(r, 'spot price currency', 'price currency') || 'USD';
+      if (currency.toUpperCase() !== 'USD') {
+        throw new Error(`Prices in ${currency} are not supported: export the report in USD`);
+      }
+
+      const fees = field(r, 'fees and/or spread', 'fees');
+
+      return {
+        symbol: String(r.asset).trim().toUpperCase(),
+        type,
+        // Recent reports sign the quantity of outflows
+        quantity: Math.abs(parseNumber(r['quantity transacted'], 'quantity')),
+        price_usd: parseNumber(
+          field(r, 'spot price at transaction', 'price at transaction') ?? 0,
+          'price'
+        ),
+        fee_usd: fees !== undefined ? Math.abs(parseNumber(fees, 'fee')) : 0,
+        fee: null,
+        timestamp: parseUtcDate(r.timestamp),
+        notes: field(r, 'notes') || null,
+      };
+    },
+  },
+
+  kraken: {
+    headers: ['txid', 'pair', 'time', 'type', 'price', 'fee', 'vol'],
+    normalize(r) {
+      const { base } = splitUsdPair(r.pair);
+      const code = base.length === 4 && /^[XZ]/.test(base) ? base.slice(1) : base;
+      const side = String(r.type).toLowerCase();
+      if (side !== 'buy' && side !== 'sell') throw new Error(`Unsupported type: "${r.type}"`);
+
+      return {
+        symbol: KRAKEN_ASSETS[code] || code,
+        type: side,
+        quantity: parseNumber(r.vol, 'volume'),
+        price_usd: parseNumber(r.price, 'price'),
+        fee_usd: parseNumber(r.fee || 0, 'fee'),
+        fee: null,
+        timestamp: parseUtcDate(r.time),
+        notes: `Kraken ${r.txid}`,
+      };
+    },
+  },
+
+  generic: {
+    headers: ['date', 'symbol', 'type', 'quantity', 'price_usd'],
+    normalize(r) {
+      return {
+        symbol: String(r.symbol).trim().toUpperCase(),
+        type: String(r.type).trim().toLowerCase(),
+        quantity: parseNumber(r.quantity, 'quantity'),
+        price_usd: parseNumber(r.price_usd || 0, 'price_usd'),
+        fee_usd: parseNumber(r.fee_usd || 0, 'fee_usd'),
+        fee: null,
+        timestamp: parseUtcDate(r.date),
+        notes: r.notes || null,
+      };
+    },
+  },
+};
+
+/**
+ * Locate the header row of a source (the first row holding all its
+ * required columns). Without a source, every format is tried in turn.
+ */
+function findHeader(rows, source) {
+  const sources = source ? [source] : IMPORT_SOURCES;
+
+  for (const candidate of sources) {
+    const required = FORMATS[candidate].headers;
+    const index = rows.findIndex((row) => {
+      const headers = row.map((h) => h.trim().toLowerCase());
+      return required.every((h) => headers.includes(h));
+    });
+
+    if (index !== -1) return { source: candidate, index };
+  }
+
+  return null;
+}
+
+// ─── Preview ────────────────────────────────────────────────────────────────
+
+const fingerprint = (t) =>
+  [t.crypto_id, t.type, Number(t.quantity).toPrecision(12), t.timestamp].join('|');
+
+// Read DATETIME columns as the stored 'YYYY-MM-DD HH:MM:SS' UTC text: mysql2 would
+// return them as Dates in the Node process time zone
+const DB_TIMESTAMP = "DATE_FORMAT(timestamp, '%Y-%m-%d %H:%i:%s') AS timestamp";
+
+function rowError(row, msg) {
+  row.status = 'error';
+  row.msg = msg;
+}
+
+/**
+ * Resolve symbols to cryptocurrencies rows and value fees paid in another asset.
+ */
+async function resolveSymbols(rows) {
+  const pending = rows.filter((r) => r.status === 'ok');
+  const symbols = [...new Set(pending.flatMap((r) => [r.symbol, r.fee?.asset].filter(Boolean)))];
+  if (symbols.length === 0) return;
+
+  const [cryptos] = await Database.execute(
+    `SELECT id, symbol FROM cryptocurrencies WHERE symbol IN (${symbols.map(() => '?').join(', ')})`,
+    symbols
+  );
+  const ids = new Map(cryptos.map((c) => [c.symbol.toUpperCase(), c.id]));
+
+  for (const row of pending) {
+    const cryptoId = ids.get(row.symbol);
+    if (!cryptoId) {
+      rowError(row, `Unknown symbol: ${row.symbol}`);
+      continue;
+    }
+    row.transaction.crypto_id = cryptoId;
+
+    if (row.fee) {
+      const feeCryptoId = ids.get(row.fee.asset);
+      const price = feeCryptoId
+        ? await getMarketPrice(feeCryptoId, row.transaction.timestamp)
+        : null;
+
+      if (price === null) {
+        rowError(row, `Cannot value the ${row.fee.asset} fee in USD`);
+        continue;
+      }
+      row.transaction.fee_usd = row.fee.amount * price;
+    }
+
+    const invalidMsg = validateTransaction(row.transaction);
+    if (invalidMsg) rowError(row, invalidMsg);
+  }
+}
+
+/**
+ * Flag rows already in the portfolio (same crypto, type, quantity and time).
+ * Each recorded transaction matches one row at most: identical rows within a
+ * file (partial fills of one order in the same second) are all imported, less
+ * as many as the portfolio already holds.
+ */
+async function flagDuplicates(portfolioId, rows) {
+  const pending = rows.filter((r) => r.status === 'ok');
+  const cryptoIds = [...new Set(pending.map((r) => r.transaction.crypto_id))];
+  if (cryptoIds.length === 0) return;
+
+  const [existing] = await Database.execute(
+    `SELECT crypto_id, type, quantity, ${DB_TIMESTAMP} FROM user_transactions
+     WHERE portfolio_id = ? AND crypto_id IN (${cryptoIds.map(() => '?').join(', ')})`,
+    [portfolioId, ...cryptoIds]
+  );
+  const recorded = new Map();
+  for (const t of existing) {
+    const key = fingerprint(t);
+    recorded.set(key, (recorded.get(key) || 0) + 1);
+  }
+
+  for (const row of pending) {
+    const key = fingerprint(row.transaction);
+    const count = recorded.get(key) || 0;
+
+    if (count > 0) {
+      row.status = 'duplicate';
+      row.msg = 'Already recorded';
+      recorded.set(key, count - 1);
+    }
+  }
+}
+
+/**
+ * Reject disposals that would push a holding below zero once merged with the
+ * existing history. Replays each crypto and flags the first new disposal at
+ * or before the point where the quantity goes negative, until none does.
+ */
+async function flagOverdrafts(portfolioId, rows) {
+  const byCrypto = new Map();
+  for (const row of rows.filter((r) => r.status === 'ok')) {
+    const list = byCrypto.get(row.transaction.crypto_id) || [];
+    byCrypto.set(row.transaction.crypto_id, [...list, row]);
+  }
+
+  for (const [cryptoId, cryptoRows] of byCrypto) {
+    const [existing] = await Database.execute(
+      `SELECT type, quantity, ${DB_TIMESTAMP} FROM user_transactions
+       WHERE portfolio_id = ? AND crypto_id = ?`,
+      [portfolioId, cryptoId]
+    );
+
+    for (;;) {
+      const merged = [
+        ...existing,
+        ...cryptoRows.filter((r) => r.status === 'ok').map((r) => ({ ...r.transaction, row: r })),
+      ].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+      let quantity = 0;
+      const overdraft = merged.findIndex((t) => {
+        quantity += quantityDelta(t.type, parseFloat(t.quantity));
+        return quantity < -1e-12;
+      });
+      if (overdraft === -1) break;
+
+      const culprit = merged
+        .slice(0, overdraft + 1)
+        .reverse()
+        .find((t) => t.row && quantityDelta(t.type, 1) < 0);
+      if (!culprit) break;
+
+      rowError(culprit.row, 'Exceeds the quantity held at that time');
+    }
+  }
+}
+
+function summarize(rows) {
+  return {
+    total: rows.length,
+    valid: rows.filter((r) => r.status === 'ok').length,
+    duplicates: rows.filter((r) => r.status === 'duplicate').length,
+    errors: rows.filter((r) => r.status === 'error').length,
+  };
+}
+
+function publicRow({ row, status, msg, symbol, transaction }) {
+  return { row, status, msg, symbol, ...transaction };
+}
+
+async function buildPreview(portfolioId, source, rows) {
+  await resolveSymbols(rows);
+  await flagDuplicates(portfolioId, rows);
+  await flagOverdrafts(portfolioId, rows);
+
+  return { source, rows: rows.map(publicRow), summary: summarize(rows) };
+}
+
+/**
+ * Parse a raw CSV export into normalized rows, before any symbol lookup or
+ * check against the portfolio. Throws INVALID_IMPORT_FILE when the file
+ * matches no format (or not the requested one) or is too large.
+ *
+ * @param {string} csv
+ * @param {string} [source] - One of IMPORT_SOURCES, detected from the headers when omitted
+ * @returns {{ source: string, rows: Array }}
+ */
+export function readCsvImport(csv, source) {
+  const table = parseCsv(csv);
+  const header = findHeader(table, source);
+
+  if (!header) {
+    throw importFileError(
+      source
+        ? `Not a ${source} export: expected columns ${FORMATS[source].headers.join(', ')}`
+        : 'Unrecognised CSV: expected a Binance, Coinbase, Kraken or generic export'
+    );
+  }
+
+  const headers = table[header.index].map((h) => h.trim().toLowerCase());
+  const records = table.slice(header.index + 1);
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw importFileError(`Too many rows: ${MAX_IMPORT_ROWS} at most per import`);
+  }
+
+  const rows = records.map((values, i) => {
+    const record = Object.fromEntries(headers.map((h, j) => [h, (values[j] ?? '').trim()]));
+    const row = { row: i + 1, status: 'ok', msg: null, symbol: null, fee: null, transaction: {} };
+
+    try {
+      const { symbol, fee, ...transaction } = FORMATS[header.source].normalize(record);
+      Object.assign(row, { symbol, fee, transaction });
+    } catch (err) {
+      rowError(row, err.message);
+    }
+
+    return row;
+  });
+
+  return { source: header.source, rows };
+}
+
+/**
+ * Dry-run preview of a raw CSV export (see readCsvImport for the errors thrown).
+ *
+ * @param {number} portfolioId
+ * @param {string} csv
+ * @param {string} [source] - One of IMPORT_SOURCES, detected from the headers when omitted
+ */
+export async function previewCsvImport(portfolioId, csv, source) {
+  const file = readCsvImport(csv, source);
+
+  return buildPreview(portfolioId, file.source, file.rows);
+}
+
+/**
+ * Dry-run preview of pre-shaped rows ({ crypto_id, type, quantity, price_usd, ... }).
+ */
+export async function previewRowsImport(portfolioId, transactions) {
+  if (transactions.length > MAX_IMPORT_ROWS) {
+    throw importFileError(`Too many rows: ${MAX_IMPORT_ROWS} at most per import`);
+  }
+
+  const cryptoIds = [...new Set(transactions.map((tx) => tx.crypto_id).filter(Boolean))];
+  const [cryptos] = cryptoIds.length
+    ? await Database.execute(
+        `SELECT id, symbol FROM cryptocurrencies WHERE id IN (${cryptoIds.map(() => '?').join(', ')})`,
+        cryptoIds
+      )
+    : [[]];
+  const symbols = new Map(cryptos.map((c) => [c.id, c.symbol]));
+
+  const rows = transactions.map((tx, i) => {
+    const row = { row: i + 1, status: 'ok', msg: null, symbol: null, fee: null, transaction: {} };
+
+    try {
+      row.transaction = {
+        crypto_id: tx.crypto_id,
+        type: tx.type,
+        quantity: parseFloat(tx.quantity),
+        price_usd: parseFloat(tx.price_usd ?? 0),
+        fee_usd: parseFloat(tx.fee_usd || 0),
+        timestamp: parseUtcDate(tx.timestamp || new Date().toISOString()),
+        notes: tx.notes || null,
+      };
+      row.symbol = symbols.get(tx.crypto_id) || null;
+
+      if (!row.symbol) rowError(row, 'Cryptocurrency not found');
+      else {
+        const invalidMsg = validateTransaction(row.transaction);
+        if (invalidMsg) rowError(row, invalidMsg);
+      }
+    } catch (err) {
+      rowError(row, err.message);
+    }
+
+    return row;
+  });
+
+  await flagDuplicates(portfolioId, rows);
+  await flagOverdrafts(portfolioId, rows);
+
+  return { source: null, rows: rows.map(publicRow), summary: summarize(rows) };
+}
+
+/**
+ * Insert the 'ok' rows of a preview under a new import batch and rebuild the
+ * touched holdings, all in one DB transaction: any failure leaves the
+ * portfolio untouched.
+ *
+ * @param {number} portfolioId
+ * @param {{ source: string|null, rows: Array, summary: object }} preview
+ * @param {string|null} [fileName]
+ * @returns {Promise<{ imported: number, batchId: number|null }>} batchId is null when nothing was imported
+ */
+export async function commitImport(portfolioId, preview, fileName = null) {
+  const rows = preview.rows.filter((r) => r.status === 'ok');
+  if (rows.length === 0) return { imported: 0, batchId: null };
+
+  const conn = await Database.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [batch] = await conn.execute(
+      `INSERT INTO user_import_batches
+         (portfolio_id, source, file_name, imported_count, duplicate_count, error_count)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        portfolioId,
+        preview.source,
+        fileName ? String(fileName).slice(0, 255) : null,
+        rows.length,
+        preview.summary.duplicates,
+        preview.summary.errors,
+      ]
+    );
+
+    for (const t of rows) {
+      await conn.execute(
+        `INSERT INTO user_transactions
+           (portfolio_id, crypto_id, type, quantity, price_usd, fee_usd, timestamp, notes, import_batch_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          portfolioId,
+          t.crypto_id,
+          t.type,
+          t.quantity,
+          t.price_usd,
+          t.fee_usd,
+          t.timestamp,
+          t.notes,
+          batch.insertId,
+        ]
+      );
+    }
+
+    for (const cryptoId of new Set(rows.map((t) => t.crypto_id))) {
+      await recomputeHolding(portfolioId, cryptoId, { db: conn });
+    }
+
+    await conn.commit();
+    return { imported: rows.length, batchId: batch.insertId };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Undo an import: delete its remaining transactions and the batch, then
+ * rebuild the touched holdings, in one DB transaction. Throws
+ * INVALID_TX_HISTORY (and deletes nothing) when later sells or transfers
+ * out rely on the imported quantities.
+ *
+ * @returns {Promise<number>} Number of transactions removed
+ */
+export async function undoImport(portfolioId, batchId) {
+  const conn = await Database.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [cryptos] = await conn.execute(
+      'SELECT DISTINCT crypto_id FROM user_transactions WHERE portfolio_id = ? AND import_batch_id = ?',
+      [portfolioId, batchId]
+    );
+
+    const [result] = await conn.execute(
+      'DELETE FROM user_transactions WHERE portfolio_id = ? AND import_batch_id = ?',
+      [portfolioId, batchId]
+    );
+    await conn.execute('DELETE FROM user_import_batches WHERE id = ? AND portfolio_id = ?', [
+      batchId,
+      portfolioId,
+    ]);
+
+    for (const { crypto_id: cryptoId } of cryptos) {
+      await recomputeHolding(portfolioId, cryptoId, { db: conn });
+    }
+
+    await conn.commit();
+    return result.affectedRows;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
@@ -33,6 +33,8 @@ import {
   calculateBetaAlpha,
   calculateSkewness,
   calculateKurtosis,
+  calculateSeriesPerformanceRatios,
+  performanceRatiosToPercent,
 } from './riskMetrics.js';
 import { getDateFilter } from './queryHelpers.js';
 
@@ -544,12 +546,20 @@ export function computeAnalyticsBundle({
       }
       const betaAlpha = calculateBetaAlpha(alignedP, alignedM);
 
+      // Sortino / Calmar / Omega / Treynor / Information ratio — 365-day log
+      // series (same window as Sharpe), default minimum acceptable return
+      const ratios = calculateSeriesPerformanceRatios(
+        alignedDates.map((date, i) => ({ date, logReturn: portfolioReturnsLog365[i] })),
+        { beta: betaAlpha.beta, alignedReturns: alignedP, benchmarkReturns: alignedM },
+      );
+
       bundle.riskMetrics = {
         var95: (var95 * 100),
         var99: (var99 * 100),
         cvar95: (cvar95 * 100),
         cvar99: (cvar99 * 100),
         sharpe: sharpe,
+        ratios: performanceRatiosToPercent(ratios),
         beta: betaAlpha.beta,
         alpha: (betaAlpha.alpha * 36500),
         skewness,
@@ -13,13 +13,22 @@
  *   r_t       = Σ (weights_i × ((close_i,t / close_i,t-1) - 1))
  *   value_t   = value_t-1 × (1 + r_t)                            ← rebased to 100 at start
  *
- * Holdings are reconstructed by replaying user_transactions (buy=+, sell=-,
- * transfer=+). A buy executed during day t affects weights only from day t+1
+ * Holdings are reconstructed by replaying user_transactions with the same
+ * signs as the holdings (see quantityDelta in utils/taxLots.js): acquisitions
+ * incl. rewards and transfers in are +, sells and transfers out are -. Legacy
+ * `transfer` rows (direction unknown) keep counting as + here, as they always
+ * did. A buy executed during day t affects weights only from day t+1
  * onwards, so capital flows never leak into a daily return — same convention
  * Ahmed used in the Excel example sheet `perf_Ptf_vs_Index`.
  */
 
 import Database from '../lib/database.js';
+import { quantityDelta } from './taxLots.js';
+
+// Legacy rows predate transfer_in / transfer_out and were always replayed as +
+function replayDelta(type, quantity) {
+  return type === 'transfer' ? quantity : quantityDelta(type, quantity);
+}
 
 function isoDate(d) {
   return d.toISOString().slice(0, 10);
@@ -71,9 +80,8 @@ function buildHoldingsTimeline(transactions, dates) {
 
       if (txDate > date) break;
       const qty = parseFloat(tx.quantity);
-      const sign = tx.type === 'sell' ? -1 : 1;
 
-      current[tx.crypto_id] = (current[tx.crypto_id] || 0) + sign * qty;
+      current[tx.crypto_id] = (current[tx.crypto_id] || 0) + replayDelta(tx.type, qty);
       txIdx++;
     }
     timeline[date] = { ...current };
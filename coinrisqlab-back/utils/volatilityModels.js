@@ -0,0 +1,197 @@
+/**
+ * Conditional volatility models on daily log returns.
+ *
+ *   ewma   RiskMetrics exponentially weighted moving average
+ *          σ²ₜ₊₁ = λ·σ²ₜ + (1 - λ)·rₜ²   (λ = 0.94, zero mean)
+ *   garch  GARCH(1,1) fitted by (Gaussian) maximum likelihood
+ *          σ²ₜ₊₁ = ω + α·εₜ² + β·σ²ₜ    (ω > 0, α, β ≥ 0, α + β < 1)
+ *          with εₜ = rₜ - μ
+ *
+ * The filtered σₜ₊₁ is the one-day-ahead volatility known at the close of
+ * day t — what gets stored for date t.
+ *
+ * Forecasts are horizon volatilities: the standard deviation of the
+ * cumulative log return over the next h days, √(Σₖ E[σ²ₜ₊ₖ]). EWMA variance
+ * is flat (σ·√h); GARCH variance mean-reverts to ω / (1 - α - β).
+ */
+
+import { mean, variance } from './statistics.js';
+
+export const VOLATILITY_MODELS = ['ewma', 'garch'];
+
+export const EWMA_LAMBDA = 0.94;
+
+export const FORECAST_HORIZONS = [1, 10, 30];
+
+// Returns used to seed the EWMA initial variance
+const SEED_OBSERVATIONS = 30;
+
+// Stationarity margin: α + β is kept strictly below 1
+const MAX_PERSISTENCE = 0.9999;
+
+/**
+ * One-day-ahead variances of the EWMA filter.
+ *
+ * @param {number[]} returns - Daily log returns, chronological
+ * @param {number} [lambda] - Decay factor
+ * @returns {number[]} variances[t] = σ²ₜ₊₁ (after observing returns[t])
+ */
+export function ewmaVariances(returns, lambda = EWMA_LAMBDA) {
+  const seed = returns.slice(0, SEED_OBSERVATIONS);
+  let sigma2 = seed.reduce((sum, r) => sum + r * r, 0) / seed.length;
+
+  return returns.map((r) => {
+    sigma2 = lambda * sigma2 + (1 - lambda) * r * r;
+    return sigma2;
+  });
+}
+
+/**
+ * One-day-ahead variances of a GARCH(1,1) filter.
+ *
+ * @param {number[]} returns - Daily log returns, chronological
+ * @param {{ omega: number, alpha: number, beta: number, mu: number }} params
+ * @returns {number[]} variances[t] = σ²ₜ₊₁ (after observing returns[t])
+ */
+export function garchVariances(returns, { omega, alpha, beta, mu }) {
+  let sigma2 = omega / (1 - alpha - beta);
+
+  return returns.map((r) => {
+    sigma2 = omega + alpha * (r - mu) ** 2 + beta * sigma2;
+    return sigma2;
+  });
+}
+
+/**
+ * Negative Gaussian log-likelihood of GARCH(1,1), constant terms dropped.
+ * σ²ₜ is the variance predicted before observing returns[t].
+ */
+function garchNegLogLikelihood(returns, { omega, alpha, beta, mu }) {
+  let sigma2 = variance(returns);
+  let nll = 0;
+
+  for (const r of returns) {
+    const e2 = (r - mu) ** 2;
+    nll += Math.log(sigma2) + e2 / sigma2;
+    sigma2 = omega + alpha * e2 + beta * sigma2;
+  }
+
+  return nll / 2;
+}
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const logit = (p) => Math.log(p / (1 - p));
+
+/**
+ * Unconstrained (x₀, x₁, x₂) → admissible (ω, α, β):
+ *   ω = e^x₀,  persistence = MAX_PERSISTENCE·sigmoid(x₁),  α = persistence·sigmoid(x₂)
+ */
+function toGarchParams([x0, x1, x2], mu) {
+  const persistence = MAX_PERSISTENCE * sigmoid(x1);
+  const alpha = persistence * sigmoid(x2);
+
+  return { omega: Math.exp(x0), alpha, beta: persistence - alpha, mu };
+}
+
+/**
+ * Nelder-Mead simplex minimization.
+ */
+function nelderMead(f, start, { step = 0.5, maxIterations = 500, tolerance = 1e-8 } = {}) {
+  const dim = start.length;
+  let simplex = [start, ...start.map((_, i) => start.map((x, j) => (i === j ? x + step : x)))].map(
+    (point) => ({ point, value: f(point) })
+  );
+
+  const combine = (a, b, t) => a.map((x, i) => x + t * (b[i] - x));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[dim];
+
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+    const centroid = Array(dim).fill(0);
+    for (const { point } of simplex.slice(0, dim)) {
+      for (let i = 0; i < dim; i++) centroid[i] += point[i] / dim;
+    }
+
+    const reflected = combine(centroid, worst.point, -1);
+    const reflectedValue = f(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.point, -2);
+      const expandedValue = f(expanded);
+      simplex[dim] =
+        expandedValue < reflectedValue
+          ? { point: expanded, value: expandedValue }
+          : { point: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[dim - 1].value) {
+      simplex[dim] = { point: reflected, value: reflectedValue };
+    } else {
+      const contracted = combine(centroid, worst.point, 0.5);
+      const contractedValue = f(contracted);
+
+      if (contractedValue < worst.value) {
+        simplex[dim] = { point: contracted, value: contractedValue };
+      } else {
+        simplex = simplex.map(({ point }, i) => {
+          if (i === 0) return simplex[0];
+          const shrunk = combine(best.point, point, 0.5);
+          return { point: shrunk, value: f(shrunk) };
+        });
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return simplex[0];
+}
+
+/**
+ * Fit GARCH(1,1) by maximum likelihood.
+ *
+ * @param {number[]} returns - Daily log returns, chronological
+ * @returns {{ omega: number, alpha: number, beta: number, mu: number, logLikelihood: number }}
+ */
+export function fitGarch(returns) {
+  const mu = mean(returns);
+  const sampleVariance = variance(returns);
+
+  // Typical daily crypto fit: α ≈ 0.1, β ≈ 0.85, ω from variance targeting
+  const start = [Math.log(sampleVariance * 0.05), logit(0.95 / MAX_PERSISTENCE), logit(0.1 / 0.95)];
+  const objective = (x) => {
+    const value = garchNegLogLikelihood(returns, toGarchParams(x, mu));
+    return Number.isFinite(value) ? value : Infinity;
+  };
+
+  const { point, value } = nelderMead(objective, start);
+
+  return {
+    ...toGarchParams(point, mu),
+    logLikelihood: -value - (returns.length / 2) * Math.log(2 * Math.PI),
+  };
+}
+
+/**
+ * Horizon volatilities from a one-day-ahead variance.
+ *
+ * @param {number} nextVariance - σ²ₜ₊₁
+ * @param {{ omega: number, alpha: number, beta: number }|null} garch - null for EWMA (flat term structure)
+ * @param {number[]} [horizons]
+ * @returns {Object<string, number>} e.g. { '1d': σ, '10d': ..., '30d': ... }
+ */
+export function forecastVolatility(nextVariance, garch = null, horizons = FORECAST_HORIZONS) {
+  const persistence = garch ? garch.alpha + garch.beta : 1;
+  const longRun = garch ? garch.omega / (1 - persistence) : nextVariance;
+
+  return Object.fromEntries(
+    horizons.map((h) => {
+      let total = 0;
+      for (let k = 1; k <= h; k++) {
+        total += longRun + persistence ** (k - 1) * (nextVariance - longRun);
+      }
+      return [`${h}d`, Math.sqrt(total)];
+    })
+  );
+}
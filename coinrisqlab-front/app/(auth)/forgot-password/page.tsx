@@ -0,0 +1,105 @@
+"use client";
+
+import { useState } from "react";
+import { Card, CardBody, CardHeader } from "@heroui/card";
+import { Input } from "@heroui/input";
+import { Button } from "@heroui/button";
+import { Link } from "@heroui/link";
+import NextLink from "next/link";
+
+import { API_BASE_URL } from "@/config/constants";
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/auth/password-reset/request`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ email }),
+        },
+      );
+
+      if (!res.ok) {
+        const json = await res.json();
+
+        setError(json.msg || "Request failed");
+
+        return;
+      }
+
+      setSent(true);
+    } catch {
+      setError("Connection error. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className="p-4">
+      <CardHeader className="flex-col gap-1">
+        <h1 className="text-2xl font-bold">Forgot Password</h1>
+        <p className="text-sm text-default-500">
+          We&apos;ll email you a link to choose a new password
+        </p>
+      </CardHeader>
+      <CardBody>
+        {sent ? (
+          <div className="flex flex-col gap-4">
+            <div className="rounded-lg bg-success-50 p-3 text-sm text-success">
+              If an account exists for {email}, a reset link has been sent. The
+              link is valid for 1 hour.
+            </div>
+            <p className="text-center text-sm text-default-500">
+              <Link as={NextLink} href="/login" size="sm">
+                Back to sign in
+              </Link>
+            </p>
+          </div>
+        ) : (
+          <form className="flex flex-col gap-4" onSubmit={handleSubmit}>
+            {error && (
+              <div className="rounded-lg bg-danger-50 p-3 text-sm text-danger">
+                {error}
+              </div>
+            )}
+            <Input
+              isRequired
+              label="Email"
+              placeholder="you@example.com"
+              type="email"
+              value={email}
+              onValueChange={setEmail}
+            />
+            <Button
+              className="mt-2"
+              color="primary"
+              isLoading={loading}
+              type="submit"
+            >
+              Send Reset Link
+            </Button>
+            <p className="text-center text-sm text-default-500">
+              Remembered it?{" "}
+              <Link as={NextLink} href="/login" size="sm">
+                Sign in
+              </Link>
+            </p>
+          </form>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
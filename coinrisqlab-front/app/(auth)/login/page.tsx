@@ -13,6 +13,8 @@ import { API_BASE_URL } from "@/config/constants";
 export default function LoginPage() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [code, setCode] = useState("");
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const router = useRouter();
@@ -23,12 +25,20 @@ export default function LoginPage() {
     setLoading(true);
 
     try {
-      const res = await fetch(`${API_BASE_URL}/user/auth/login`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        credentials: "include",
-        body: JSON.stringify({ email, password }),
-      });
+      // Second step: the password was accepted, exchange the challenge + code
+      const res = challengeToken
+        ? await fetch(`${API_BASE_URL}/user/auth/login/2fa`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({ challengeToken, code }),
+          })
+        : await fetch(`${API_BASE_URL}/user/auth/login`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            credentials: "include",
+            body: JSON.stringify({ email, password }),
+          });
 
       const json = await res.json();
 
@@ -38,6 +48,12 @@ export default function LoginPage() {
         return;
       }
 
+      if (json.data?.twoFactorRequired) {
+        setChallengeToken(json.data.challengeToken);
+
+        return;
+      }
+
       router.push("/dashboard");
     } catch {
       setError("Connection error. Please try again.");
@@ -61,30 +77,76 @@ export default function LoginPage() {
               {error}
             </div>
           )}
-          <Input
-            isRequired
-            label="Email"
-            placeholder="you@example.com"
-            type="email"
-            value={email}
-            onValueChange={setEmail}
-          />
-          <Input
-            isRequired
-            label="Password"
-            placeholder="Your password"
-            type="password"
-            value={password}
-            onValueChange={setPassword}
-          />
-          <Button
-            className="mt-2"
-            color="primary"
-            isLoading={loading}
-            type="submit"
-          >
-            Sign In
-          </Button>
+          {challengeToken ? (
+            <>
+              <p className="text-sm text-default-500">
+                Enter the 6-digit code from your authenticator app, or one of
+                your recovery codes.
+              </p>
+              <Input
+                isRequired
+                autoComplete="one-time-code"
+                label="Authentication Code"
+                placeholder="123456"
+                value={code}
+                onValueChange={setCode}
+              />
+              <Button
+                className="mt-2"
+                color="primary"
+                isLoading={loading}
+                type="submit"
+              >
+                Verify
+              </Button>
+              <Button
+                size="sm"
+                variant="light"
+                onPress={() => {
+                  setChallengeToken(null);
+                  setCode("");
+                  setError("");
+                }}
+              >
+                Back
+              </Button>
+            </>
+          ) : (
+            <>
+              <Input
+                isRequired
+                label="Email"
+                placeholder="you@example.com"
+                type="email"
+                value={email}
+                onValueChange={setEmail}
+              />
+              <Input
+                isRequired
+                label="Password"
+                placeholder="Your password"
+                type="password"
+                value={password}
+                onValueChange={setPassword}
+              />
+              <Link
+                as={NextLink}
+                className="self-end"
+                href="/forgot-password"
+                size="sm"
+              >
+                Forgot password?
+              </Link>
+              <Button
+                className="mt-2"
+                color="primary"
+                isLoading={loading}
+                type="submit"
+              >
+                Sign In
+              </Button>
+            </>
+          )}
           <p className="text-center text-sm text-default-500">
             Don&apos;t have an account?{" "}
             <Link as={NextLink} href="/register" size="sm">
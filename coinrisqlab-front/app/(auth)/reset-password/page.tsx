@@ -0,0 +1,138 @@
+"use client";
+
+import { Suspense, useState } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { Card, CardBody, CardHeader } from "@heroui/card";
+import { Input } from "@heroui/input";
+import { Button } from "@heroui/button";
+import { Link } from "@heroui/link";
+import NextLink from "next/link";
+
+import { API_BASE_URL } from "@/config/constants";
+
+function ResetPasswordForm() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get("token");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const router = useRouter();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError("");
+
+    if (newPassword !== confirmPassword) {
+      setError("Passwords do not match");
+
+      return;
+    }
+    if (newPassword.length < 8) {
+      setError("Password must be at least 8 characters");
+
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/auth/password-reset/confirm`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ token, newPassword }),
+        },
+      );
+
+      const json = await res.json();
+
+      if (!res.ok) {
+        setError(json.msg || "Password reset failed");
+
+        return;
+      }
+
+      router.push("/login");
+    } catch {
+      setError("Connection error. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="flex flex-col gap-4">
+        <div className="rounded-lg bg-danger-50 p-3 text-sm text-danger">
+          Missing reset token
+        </div>
+        <p className="text-center text-sm text-default-500">
+          <Link as={NextLink} href="/forgot-password" size="sm">
+            Request a new link
+          </Link>
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <form className="flex flex-col gap-4" onSubmit={handleSubmit}>
+      {error && (
+        <div className="rounded-lg bg-danger-50 p-3 text-sm text-danger">
+          {error}
+        </div>
+      )}
+      <Input
+        isRequired
+        description="At least 8 characters"
+        label="New Password"
+        placeholder="Choose a new password"
+        type="password"
+        value={newPassword}
+        onValueChange={setNewPassword}
+      />
+      <Input
+        isRequired
+        label="Confirm Password"
+        placeholder="Repeat your new password"
+        type="password"
+        value={confirmPassword}
+        onValueChange={setConfirmPassword}
+      />
+      <Button
+        className="mt-2"
+        color="primary"
+        isLoading={loading}
+        type="submit"
+      >
+        Reset Password
+      </Button>
+      <p className="text-center text-sm text-default-500">
+        <Link as={NextLink} href="/forgot-password" size="sm">
+          Request a new link
+        </Link>
+      </p>
+    </form>
+  );
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <Card className="p-4">
+      <CardHeader className="flex-col gap-1">
+        <h1 className="text-2xl font-bold">Reset Password</h1>
+        <p className="text-sm text-default-500">
+          All your signed-in devices will be logged out
+        </p>
+      </CardHeader>
+      <CardBody>
+        <Suspense>
+          <ResetPasswordForm />
+        </Suspense>
+      </CardBody>
+    </Card>
+  );
+}
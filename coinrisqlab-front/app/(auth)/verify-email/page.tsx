@@ -0,0 +1,101 @@
+"use client";
+
+import { Suspense, useEffect, useRef, useState } from "react";
+import { useSearchParams } from "next/navigation";
+import { Card, CardBody, CardHeader } from "@heroui/card";
+import { Spinner } from "@heroui/spinner";
+import { Link } from "@heroui/link";
+import NextLink from "next/link";
+
+import { API_BASE_URL } from "@/config/constants";
+
+function VerifyEmailContent() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get("token");
+  const [status, setStatus] = useState<"loading" | "success" | "error">(
+    "loading",
+  );
+  const [message, setMessage] = useState("");
+  // The token is single-use: never confirm twice (React strict mode re-runs effects)
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    if (!token) {
+      setStatus("error");
+      setMessage("Missing verification token");
+
+      return;
+    }
+
+    fetch(`${API_BASE_URL}/user/auth/verify-email/confirm`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ token }),
+    })
+      .then(async (res) => {
+        const json = await res.json();
+
+        setStatus(res.ok ? "success" : "error");
+        setMessage(json.msg || (res.ok ? "Email verified" : "Failed"));
+      })
+      .catch(() => {
+        setStatus("error");
+        setMessage("Connection error. Please try again.");
+      });
+  }, [token]);
+
+  if (status === "loading") {
+    return (
+      <div className="flex justify-center py-6">
+        <Spinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-4">
+      {status === "success" ? (
+        <div className="rounded-lg bg-success-50 p-3 text-sm text-success">
+          Your email address has been verified.
+        </div>
+      ) : (
+        <div className="rounded-lg bg-danger-50 p-3 text-sm text-danger">
+          {message}
+        </div>
+      )}
+      <p className="text-center text-sm text-default-500">
+        <Link as={NextLink} href="/dashboard" size="sm">
+          Go to dashboard
+        </Link>
+      </p>
+    </div>
+  );
+}
+
+export default function VerifyEmailPage() {
+  return (
+    <Card className="p-4">
+      <CardHeader className="flex-col gap-1">
+        <h1 className="text-2xl font-bold">Email Verification</h1>
+        <p className="text-sm text-default-500">
+          Confirming your email address
+        </p>
+      </CardHeader>
+      <CardBody>
+        <Suspense
+          fallback={
+            <div className="flex justify-center py-6">
+              <Spinner />
+            </div>
+          }
+        >
+          <VerifyEmailContent />
+        </Suspense>
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,324 @@
+"use client";
+
+import { useState, useEffect, useMemo } from "react";
+import { Card, CardBody } from "@heroui/card";
+import { Input } from "@heroui/input";
+import { Select, SelectItem } from "@heroui/select";
+import { Button } from "@heroui/button";
+import { Chip } from "@heroui/chip";
+import {
+  Table,
+  TableHeader,
+  TableColumn,
+  TableBody,
+  TableRow,
+  TableCell,
+} from "@heroui/table";
+import { Pagination } from "@heroui/pagination";
+import { Skeleton } from "@heroui/skeleton";
+import { Modal, ModalContent, ModalHeader, ModalBody } from "@heroui/modal";
+import { Search, X } from "lucide-react";
+
+type StripeEventStatus = "processing" | "processed" | "skipped" | "failed";
+
+interface StripeEvent {
+  id: string;
+  type: string;
+  stripe_created_at: string;
+  customer_id: string | null;
+  user_id: number | null;
+  user_email: string | null;
+  status: StripeEventStatus;
+  skip_reason: string | null;
+  error: string | null;
+  attempts: number;
+  received_at: string;
+  last_attempt_at: string;
+  processed_at: string | null;
+}
+
+const PAGE_SIZE = 50;
+
+const STATUS_COLORS: Record<
+  StripeEventStatus,
+  "success" | "warning" | "danger" | "default"
+> = {
+  processed: "success",
+  processing: "warning",
+  skipped: "default",
+  failed: "danger",
+};
+
+const fmtDate = (d: string | null) =>
+  d
+    ? new Date(d).toLocaleString("en-US", {
+        dateStyle: "short",
+        timeStyle: "medium",
+      })
+    : "—";
+
+const initialFilters = {
+  status: "",
+  type: "",
+  search: "",
+};
+
+export default function AdminStripeEventsPage() {
+  const [filters, setFilters] = useState(initialFilters);
+  const [appliedFilters, setAppliedFilters] = useState(initialFilters);
+  const [rows, setRows] = useState<StripeEvent[]>([]);
+  const [total, setTotal] = useState(0);
+  const [statusCounts, setStatusCounts] = useState<Record<string, number>>({});
+  const [types, setTypes] = useState<string[]>([]);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState<StripeEvent | null>(null);
+  const [payload, setPayload] = useState<unknown>(null);
+
+  const queryParams = useMemo(() => {
+    const p: Record<string, string> = {};
+
+    for (const [k, v] of Object.entries(appliedFilters)) {
+      if (v) p[k] = v;
+    }
+
+    return p;
+  }, [appliedFilters]);
+
+  const fetchEvents = async (pageNum: number) => {
+    setLoading(true);
+    try {
+      const query = new URLSearchParams({
+        ...queryParams,
+        limit: String(PAGE_SIZE),
+        offset: String((pageNum - 1) * PAGE_SIZE),
+      });
+      const res = await fetch(`/api/admin/stripe-events?${query.toString()}`);
+      const d = await res.json();
+
+      setRows(d.rows || []);
+      setTotal(d.total || 0);
+      setStatusCounts(d.statusCounts || {});
+      setTypes(d.types || []);
+    } catch {
+      setRows([]);
+      setTotal(0);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Auto-load on mount + whenever applied filters change
+  useEffect(() => {
+    setPage(1);
+    fetchEvents(1);
+  }, [appliedFilters]);
+
+  const openEvent = async (event: StripeEvent) => {
+    setSelected(event);
+    setPayload(null);
+    try {
+      const res = await fetch(
+        `/api/admin/stripe-events/${encodeURIComponent(event.id)}`,
+      );
+      const d = await res.json();
+
+      setPayload(d.payload ?? null);
+    } catch {
+      setPayload(null);
+    }
+  };
+
+  const handleSearch = () => setAppliedFilters({ ...filters });
+  const handleReset = () => {
+    setFilters(initialFilters);
+    setAppliedFilters(initialFilters);
+  };
+
+  const updateFilter = (key: keyof typeof filters, value: string) =>
+    setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-xl font-bold">Stripe Events</h1>
+        <div className="flex gap-2">
+          {(Object.keys(STATUS_COLORS) as StripeEventStatus[]).map((s) => (
+            <Chip key={s} color={STATUS_COLORS[s]} size="sm" variant="flat">
+              {s}: {(statusCounts[s] || 0).toLocaleString("en-US")}
+            </Chip>
+          ))}
+        </div>
+      </div>
+
+      <Card>
+        <CardBody className="p-4 space-y-3">
+          <div className="flex flex-wrap gap-3 items-end">
+            <Input
+              className="w-72"
+              endContent={
+                filters.search ? (
+                  <button
+                    aria-label="Clear search"
+                    type="button"
+                    onClick={() => updateFilter("search", "")}
+                  >
+                    <X className="text-default-400" size={14} />
+                  </button>
+                ) : null
+              }
+              label="Event id, customer id or email"
+              placeholder="evt_…"
+              size="sm"
+              startContent={<Search className="text-default-400" size={14} />}
+              value={filters.search}
+              onValueChange={(v) => updateFilter("search", v)}
+            />
+            <Select
+              className="w-40"
+              label="Status"
+              selectedKeys={filters.status ? [filters.status] : []}
+              size="sm"
+              onSelectionChange={(keys) =>
+                updateFilter("status", String(Array.from(keys)[0] || ""))
+              }
+            >
+              <SelectItem key="">All</SelectItem>
+              <SelectItem key="processed">Processed</SelectItem>
+              <SelectItem key="failed">Failed</SelectItem>
+              <SelectItem key="skipped">Skipped</SelectItem>
+              <SelectItem key="processing">Processing</SelectItem>
+            </Select>
+            <Select
+              className="w-72"
+              items={[{ key: "" }, ...types.map((t) => ({ key: t }))]}
+              label="Type"
+              selectedKeys={filters.type ? [filters.type] : []}
+              size="sm"
+              onSelectionChange={(keys) =>
+                updateFilter("type", String(Array.from(keys)[0] || ""))
+              }
+            >
+              {(item) => (
+                <SelectItem key={item.key}>{item.key || "All"}</SelectItem>
+              )}
+            </Select>
+            <Button
+              color="primary"
+              isLoading={loading}
+              size="sm"
+              startContent={<Search size={16} />}
+              onPress={handleSearch}
+            >
+              Search
+            </Button>
+            <Button size="sm" variant="flat" onPress={handleReset}>
+              Reset
+            </Button>
+          </div>
+        </CardBody>
+      </Card>
+
+      {loading && rows.length === 0 ? (
+        <Skeleton className="h-64 rounded-xl" />
+      ) : (
+        <Card>
+          <CardBody className="p-0">
+            <Table removeWrapper aria-label="Stripe events table">
+              <TableHeader>
+                <TableColumn>Event</TableColumn>
+                <TableColumn>Type</TableColumn>
+                <TableColumn>Status</TableColumn>
+                <TableColumn>User</TableColumn>
+                <TableColumn>Attempts</TableColumn>
+                <TableColumn>Created (Stripe)</TableColumn>
+                <TableColumn>Received</TableColumn>
+                <TableColumn>Detail</TableColumn>
+              </TableHeader>
+              <TableBody emptyContent="No events match your filters.">
+                {rows.map((e) => (
+                  <TableRow key={e.id}>
+                    <TableCell>
+                      <button
+                        className="font-mono text-xs text-primary hover:underline"
+                        type="button"
+                        onClick={() => openEvent(e)}
+                      >
+                        {e.id}
+                      </button>
+                    </TableCell>
+                    <TableCell>{e.type}</TableCell>
+                    <TableCell>
+                      <Chip
+                        color={STATUS_COLORS[e.status]}
+                        size="sm"
+                        variant="flat"
+                      >
+                        {e.status}
+                      </Chip>
+                    </TableCell>
+                    <TableCell>
+                      {e.user_email || e.customer_id || "—"}
+                    </TableCell>
+                    <TableCell>{e.attempts}</TableCell>
+                    <TableCell>{fmtDate(e.stripe_created_at)}</TableCell>
+                    <TableCell>{fmtDate(e.received_at)}</TableCell>
+                    <TableCell>
+                      <span
+                        className={`text-xs ${e.error ? "text-danger" : "text-default-500"}`}
+                      >
+                        {e.error || e.skip_reason || "—"}
+                      </span>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardBody>
+        </Card>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center">
+          <Pagination
+            page={page}
+            total={totalPages}
+            onChange={(p) => {
+              setPage(p);
+              fetchEvents(p);
+            }}
+          />
+        </div>
+      )}
+
+      <Modal
+        isOpen={selected !== null}
+        scrollBehavior="inside"
+        size="3xl"
+        onClose={() => setSelected(null)}
+      >
+        <ModalContent>
+          <ModalHeader className="font-mono text-sm">
+            {selected?.id}
+          </ModalHeader>
+          <ModalBody className="pb-6">
+            {selected?.error && (
+              <div className="rounded-lg bg-danger-50 p-3 text-sm text-danger">
+                {selected.error}
+              </div>
+            )}
+            {payload ? (
+              <pre className="text-xs bg-default-100 rounded-lg p-3 overflow-x-auto">
+                {JSON.stringify(payload, null, 2)}
+              </pre>
+            ) : (
+              <Skeleton className="h-48 rounded-lg" />
+            )}
+          </ModalBody>
+        </ModalContent>
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { NextRequest, NextResponse } from "next/server";
+
+import { verifyAdminSession } from "@/lib/admin-auth";
+import { getStripeEventPayload } from "@/lib/queries/admin-stripe-events";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(
+  _request: NextRequest,
+  { params }: { params: Promise<{ id: string }> },
+) {
+  const session = await verifyAdminSession();
+
+  if (!session)
+    return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+
+  const { id } = await params;
+  const payload = await getStripeEventPayload(id);
+
+  if (!payload) {
+    return NextResponse.json({ error: "notFound" }, { status: 404 });
+  }
+
+  return NextResponse.json({ payload });
+}
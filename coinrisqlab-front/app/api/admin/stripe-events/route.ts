@@ -0,0 +1,51 @@
+import { NextRequest, NextResponse } from "next/server";
+
+import { verifyAdminSession } from "@/lib/admin-auth";
+import {
+  searchStripeEvents,
+  countStripeEvents,
+  countStripeEventsByStatus,
+  getStripeEventTypes,
+  type StripeEventFilters,
+} from "@/lib/queries/admin-stripe-events";
+
+export const dynamic = "force-dynamic";
+
+const STATUSES = ["processing", "processed", "skipped", "failed"] as const;
+
+function parseFilters(sp: URLSearchParams): StripeEventFilters {
+  const statusParam = sp.get("status") as StripeEventFilters["status"];
+
+  return {
+    status:
+      statusParam && STATUSES.includes(statusParam as (typeof STATUSES)[number])
+        ? statusParam
+        : "",
+    type: sp.get("type") || "",
+    search: sp.get("search") || "",
+  };
+}
+
+export async function GET(request: NextRequest) {
+  const session = await verifyAdminSession();
+
+  if (!session)
+    return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+
+  const sp = request.nextUrl.searchParams;
+  const filters = parseFilters(sp);
+  const limit = Math.min(
+    Math.max(parseInt(sp.get("limit") || "50") || 50, 1),
+    200,
+  );
+  const offset = Math.max(parseInt(sp.get("offset") || "0") || 0, 0);
+
+  const [rows, total, statusCounts, types] = await Promise.all([
+    searchStripeEvents(filters, limit, offset),
+    countStripeEvents(filters),
+    countStripeEventsByStatus(),
+    getStripeEventTypes(),
+  ]);
+
+  return NextResponse.json({ rows, total, limit, offset, statusCounts, types });
+}
@@ -28,6 +28,7 @@ import {
   VolatilityPanel,
   StressTestPanel,
   VaRPanel,
+  DrawdownPanel,
   BetaPanel,
   SkewPanel,
   KurtosisPanel,
@@ -39,6 +40,7 @@ import {
   useVaR,
   useBeta,
   useDistribution,
+  useDrawdown,
   useSML,
   useStressTest,
 } from "@/hooks/useRiskMetrics";
@@ -47,6 +49,7 @@ const VALID_PANELS: RiskPanel[] = [
   "price",
   "volatility",
   "stress-test",
+  "drawdown",
   "var",
   "beta",
   "skew",
@@ -131,6 +134,7 @@ export default function CryptoDetailContent() {
   const { data: dist90Data } = useDistribution(id, "90d");
   const { data: sml90Data } = useSML(id, "90d");
   const { data: stressTestData } = useStressTest(id);
+  const { data: drawdown365Data } = useDrawdown(id, "365d");
 
   // Update URL when panel changes
   const handlePanelChange = useCallback(
@@ -255,10 +259,18 @@ export default function CryptoDetailContent() {
         );
       case "stress-test":
         return <StressTestPanel cryptoId={id} symbol={basic.symbol} />;
+      case "drawdown":
+        return <DrawdownPanel cryptoId={id} symbol={basic.symbol} />;
       case "var":
         return <VaRPanel cryptoId={id} />;
       case "beta":
-        return <BetaPanel cryptoId={id} symbol={basic.symbol} />;
+        return (
+          <BetaPanel
+            cryptoId={id}
+            ratios={riskSummary?.ratios}
+            symbol={basic.symbol}
+          />
+        );
       case "skew":
         return <SkewPanel cryptoId={id} />;
       case "kurtosis":
@@ -408,6 +420,7 @@ export default function CryptoDetailContent() {
             currentPrice={priceData?.current?.price}
             isLoading={isRiskSummaryLoading}
             kurtosisOverride={dist90Data?.kurtosis}
+            maxDrawdownOverride={drawdown365Data?.maxDrawdown}
             riskSummary={riskSummary}
             skewnessOverride={dist90Data?.skewness}
             smlAlphaOverride={sml90Data?.alpha}
@@ -1,9 +1,9 @@
 "use client";
 
-import type { Alert } from "@/types/user";
+import type { Alert, AlertEvent, Portfolio } from "@/types/user";
 
 import { useEffect, useState, useMemo, memo } from "react";
-import { Card, CardBody } from "@heroui/card";
+import { Card, CardBody, CardHeader } from "@heroui/card";
 import { Button } from "@heroui/button";
 import { Input } from "@heroui/input";
 import { Select, SelectItem } from "@heroui/select";
@@ -19,17 +19,29 @@ import {
   useDisclosure,
 } from "@heroui/modal";
 import { Autocomplete, AutocompleteItem } from "@heroui/autocomplete";
-import { Bell, Plus, Trash2 } from "lucide-react";
+import { Bell, Briefcase, History, Plus, Trash2 } from "lucide-react";
 
 import { API_BASE_URL } from "@/config/constants";
 import { useUserAuth } from "@/lib/user-auth-context";
 import { formatCryptoPrice } from "@/lib/formatters";
+import {
+  AlertEventsList,
+  formatAlertValue,
+} from "@/components/dashboard/alert-events-list";
 import {
   BinancePricesProvider,
   useBinancePriceFromContext,
 } from "@/contexts/BinancePricesContext";
 
 // Inline live price component (renders as <span>, not <div>)
+const ALERT_TYPE_LABELS: Record<string, string> = {
+  price: "Price",
+  volatility: "Volatility",
+  drawdown: "Drawdown",
+  var_breach: "VaR Breach",
+  rebalancing: "Rebalancing",
+};
+
 const LivePrice = memo(function LivePrice({
   symbol,
   fallbackPrice,
@@ -44,13 +56,30 @@ const LivePrice = memo(function LivePrice({
 });
 
 export default function AlertsPage() {
-  const { user } = useUserAuth();
-  const isPro = user?.plan === "pro";
+  const { entitlements } = useUserAuth();
+  const alertLimit = entitlements?.limits.alerts ?? null;
+  const alertTypes = entitlements?.alertTypes ?? ["price"];
   const [alerts, setAlerts] = useState<Alert[]>([]);
   const [loading, setLoading] = useState(true);
   const { isOpen, onOpen, onClose } = useDisclosure();
+  const [events, setEvents] = useState<AlertEvent[]>([]);
+
+  // Per-alert trigger history
+  const {
+    isOpen: isHistoryOpen,
+    onOpen: onHistoryOpen,
+    onClose: onHistoryClose,
+  } = useDisclosure();
+  const [historyAlert, setHistoryAlert] = useState<Alert | null>(null);
+  const [historyEvents, setHistoryEvents] = useState<AlertEvent[]>([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
 
   // Create alert form
+  const [target, setTarget] = useState<"crypto" | "portfolio">("crypto");
+  const [portfolios, setPortfolios] = useState<Portfolio[]>([]);
+  const [selectedPortfolioId, setSelectedPortfolioId] = useState<number | null>(
+    null,
+  );
   const [search, setSearch] = useState("");
   const [cryptos, setCryptos] = useState<any[]>([]);
   const [selectedCryptoId, setSelectedCryptoId] = useState<number | null>(null);
@@ -75,10 +104,48 @@ export default function AlertsPage() {
     }
   };
 
+  const fetchEvents = async () => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/alerts/events?limit=20`, {
+        credentials: "include",
+      });
+      const data = await res.json();
+
+      setEvents(data.data || []);
+    } catch {
+      // ignore
+    }
+  };
+
   useEffect(() => {
     fetchAlerts();
+    fetchEvents();
+    fetch(`${API_BASE_URL}/user/portfolios`, { credentials: "include" })
+      .then((res) => res.json())
+      .then((data) => setPortfolios(data.data || []))
+      .catch(() => {});
   }, []);
 
+  const handleOpenHistory = async (alert: Alert) => {
+    setHistoryAlert(alert);
+    setHistoryEvents([]);
+    setHistoryLoading(true);
+    onHistoryOpen();
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/alerts/${alert.id}/events`,
+        { credentials: "include" },
+      );
+      const data = await res.json();
+
+      setHistoryEvents(data.data || []);
+    } catch {
+      // ignore
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
   useEffect(() => {
     if (search.length < 1) return;
     const timeout = setTimeout(async () => {
@@ -98,7 +165,10 @@ export default function AlertsPage() {
   }, [search]);
 
   const handleCreate = async () => {
-    if (!selectedCryptoId || !threshold) {
+    const targetId =
+      target === "crypto" ? selectedCryptoId : selectedPortfolioId;
+
+    if (!targetId || !threshold) {
       setError("All fields are required");
 
       return;
@@ -111,7 +181,9 @@ export default function AlertsPage() {
         headers: { "Content-Type": "application/json" },
         credentials: "include",
         body: JSON.stringify({
-          crypto_id: selectedCryptoId,
+          crypto_id: target === "crypto" ? selectedCryptoId : undefined,
+          portfolio_id:
+            target === "portfolio" ? selectedPortfolioId : undefined,
           alert_type: alertType,
           threshold_value: parseFloat(threshold),
           direction,
@@ -126,6 +198,7 @@ export default function AlertsPage() {
       }
       setSearch("");
       setSelectedCryptoId(null);
+      setSelectedPortfolioId(null);
       setThreshold("");
       onClose();
       fetchAlerts();
@@ -152,12 +225,17 @@ export default function AlertsPage() {
       credentials: "include",
     });
     fetchAlerts();
+    fetchEvents();
   };
 
-  const canCreate = isPro || alerts.length < 3;
+  const canCreate =
+    entitlements !== null &&
+    (alertLimit === null || alerts.length < alertLimit);
 
   const binanceSymbols = useMemo(() => {
-    const syms = alerts.map((a) => a.symbol.toUpperCase());
+    const syms = alerts
+      .filter((a) => a.symbol)
+      .map((a) => (a.symbol as string).toUpperCase());
 
     return syms.filter((s, i) => syms.indexOf(s) === i); // unique
   }, [alerts]);
@@ -186,9 +264,10 @@ export default function AlertsPage() {
           </Button>
         </div>
 
-        {!isPro && (
+        {entitlements && alertLimit !== null && (
           <p className="text-sm text-default-500">
-            Free plan: {alerts.length}/3 alerts (price only).
+            {entitlements.label} plan: {alerts.length}/{alertLimit} alerts (
+            {alertTypes.map((t) => ALERT_TYPE_LABELS[t] ?? t).join(", ")} only).
           </p>
         )}
 
@@ -208,35 +287,60 @@ export default function AlertsPage() {
               <Card key={a.id}>
                 <CardBody className="flex flex-row items-center justify-between gap-4">
                   <div className="flex items-center gap-3">
-                    {a.image_url && (
-                      <img
-                        alt={a.symbol}
-                        className="w-8 h-8 rounded-full"
-                        src={a.image_url}
-                      />
+                    {a.portfolio_id ? (
+                      <Briefcase className="text-default-400" size={32} />
+                    ) : (
+                      a.image_url && (
+                        <img
+                          alt={a.symbol ?? ""}
+                          className="w-8 h-8 rounded-full"
+                          src={a.image_url}
+                        />
+                      )
                     )}
                     <div>
                       <p className="font-medium">
-                        {a.symbol}{" "}
+                        {a.symbol ?? a.portfolio_name}{" "}
                         <Chip size="sm" variant="flat">
-                          {a.alert_type}
+                          {a.portfolio_id && a.alert_type === "price"
+                            ? "value"
+                            : a.alert_type}
                         </Chip>
                       </p>
                       <p className="text-sm text-default-500">
-                        {a.direction === "above" ? "Above" : "Below"} $
-                        {Number(a.threshold_value).toLocaleString()}
-                        <span className="ml-2 text-default-400">
-                          (now:{" "}
-                          <LivePrice
-                            fallbackPrice={a.current_price || 0}
-                            symbol={a.symbol}
-                          />
-                          )
-                        </span>
+                        {a.direction === "above" ? "Above" : "Below"}{" "}
+                        {formatAlertValue(a.alert_type, a.threshold_value)}
+                        {a.symbol && a.alert_type === "price" && (
+                          <span className="ml-2 text-default-400">
+                            (now:{" "}
+                            <LivePrice
+                              fallbackPrice={a.current_price || 0}
+                              symbol={a.symbol}
+                            />
+                            )
+                          </span>
+                        )}
                       </p>
+                      {a.last_triggered_at && (
+                        <p className="text-xs text-default-400">
+                          Last triggered{" "}
+                          {new Date(a.last_triggered_at).toLocaleString(
+                            "en-US",
+                          )}
+                        </p>
+                      )}
                     </div>
                   </div>
                   <div className="flex items-center gap-3">
+                    <Button
+                      isIconOnly
+                      aria-label="Trigger history"
+                      size="sm"
+                      variant="light"
+                      onPress={() => handleOpenHistory(a)}
+                    >
+                      <History size={14} />
+                    </Button>
                     <Switch
                       isSelected={!!a.is_active}
                       size="sm"
@@ -258,6 +362,38 @@ export default function AlertsPage() {
           </div>
         )}
 
+        {/* Recent triggers across all alerts */}
+        {alerts.length > 0 && (
+          <Card>
+            <CardHeader>
+              <h3 className="font-semibold">Recent Triggers</h3>
+            </CardHeader>
+            <CardBody className="pt-0">
+              <AlertEventsList events={events} />
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Trigger History Modal */}
+        <Modal isOpen={isHistoryOpen} size="lg" onClose={onHistoryClose}>
+          <ModalContent>
+            <ModalHeader>
+              {historyAlert
+                ? `${historyAlert.symbol ?? historyAlert.portfolio_name} ${historyAlert.alert_type} alert history`
+                : "Alert history"}
+            </ModalHeader>
+            <ModalBody className="pb-6">
+              {historyLoading ? (
+                <div className="flex justify-center py-6">
+                  <Spinner size="sm" />
+                </div>
+              ) : (
+                <AlertEventsList events={historyEvents} showCrypto={false} />
+              )}
+            </ModalBody>
+          </ModalContent>
+        </Modal>
+
         {/* Create Alert Modal */}
         <Modal isOpen={isOpen} onClose={onClose}>
           <ModalContent>
@@ -268,49 +404,82 @@ export default function AlertsPage() {
                   {error}
                 </div>
               )}
-              <Autocomplete
-                inputValue={search}
-                label="Cryptocurrency"
-                placeholder="Search..."
-                onInputChange={(value) => {
-                  setSearch(value);
-                  if (!value) setSelectedCryptoId(null);
-                }}
-                onSelectionChange={(key) => {
-                  if (key) {
-                    setSelectedCryptoId(Number(key));
-                    const selected = cryptos.find(
-                      (c: any) => c.id === Number(key),
-                    );
-
-                    if (selected) {
-                      setSearch(`${selected.symbol} - ${selected.name}`);
-                    }
-                  }
+              <Select
+                label="Target"
+                selectedKeys={[target]}
+                onSelectionChange={(keys) => {
+                  const k = Array.from(keys)[0];
+
+                  if (k) setTarget(k as "crypto" | "portfolio");
                 }}
               >
-                {cryptos.map((c: any) => (
-                  <AutocompleteItem
-                    key={c.id}
-                    textValue={`${c.symbol} - ${c.name}`}
-                  >
-                    <div className="flex items-center gap-2">
-                      {c.image_url && (
-                        // eslint-disable-next-line @next/next/no-img-element
-                        <img
-                          alt={c.symbol}
-                          className="w-5 h-5 rounded-full"
-                          src={c.image_url}
-                        />
-                      )}
-                      <span className="font-medium">{c.symbol}</span>
-                      <span className="text-default-400 text-sm">{c.name}</span>
-                    </div>
-                  </AutocompleteItem>
-                ))}
-              </Autocomplete>
-              {isPro && (
+                <SelectItem key="crypto">Cryptocurrency</SelectItem>
+                <SelectItem key="portfolio">Portfolio</SelectItem>
+              </Select>
+              {target === "portfolio" ? (
+                <Select
+                  label="Portfolio"
+                  selectedKeys={
+                    selectedPortfolioId ? [String(selectedPortfolioId)] : []
+                  }
+                  onSelectionChange={(keys) => {
+                    const k = Array.from(keys)[0];
+
+                    setSelectedPortfolioId(k ? Number(k) : null);
+                  }}
+                >
+                  {portfolios.map((p) => (
+                    <SelectItem key={String(p.id)}>{p.name}</SelectItem>
+                  ))}
+                </Select>
+              ) : (
+                <Autocomplete
+                  inputValue={search}
+                  label="Cryptocurrency"
+                  placeholder="Search..."
+                  onInputChange={(value) => {
+                    setSearch(value);
+                    if (!value) setSelectedCryptoId(null);
+                  }}
+                  onSelectionChange={(key) => {
+                    if (key) {
+                      setSelectedCryptoId(Number(key));
+                      const selected = cryptos.find(
+                        (c: any) => c.id === Number(key),
+                      );
+
+                      if (selected) {
+                        setSearch(`${selected.symbol} - ${selected.name}`);
+                      }
+                    }
+                  }}
+                >
+                  {cryptos.map((c: any) => (
+                    <AutocompleteItem
+                      key={c.id}
+                      textValue={`${c.symbol} - ${c.name}`}
+                    >
+                      <div className="flex items-center gap-2">
+                        {c.image_url && (
+                          // eslint-disable-next-line @next/next/no-img-element
+                          <img
+                            alt={c.symbol}
+                            className="w-5 h-5 rounded-full"
+                            src={c.image_url}
+                          />
+                        )}
+                        <span className="font-medium">{c.symbol}</span>
+                        <span className="text-default-400 text-sm">
+                          {c.name}
+                        </span>
+                      </div>
+                    </AutocompleteItem>
+                  ))}
+                </Autocomplete>
+              )}
+              {alertTypes.length > 1 && (
                 <Select
+                  items={alertTypes.map((key) => ({ key }))}
                   label="Alert Type"
                   selectedKeys={[alertType]}
                   onSelectionChange={(keys) => {
@@ -319,11 +488,13 @@ export default function AlertsPage() {
                     if (k) setAlertType(String(k));
                   }}
                 >
-                  <SelectItem key="price">Price</SelectItem>
-                  <SelectItem key="volatility">Volatility</SelectItem>
-                  <SelectItem key="drawdown">Drawdown</SelectItem>
-                  <SelectItem key="var_breach">VaR Breach</SelectItem>
-                  <SelectItem key="rebalancing">Rebalancing</SelectItem>
+                  {(item) => (
+                    <SelectItem key={item.key}>
+                      {item.key === "price" && target === "portfolio"
+                        ? "Portfolio Value"
+                        : (ALERT_TYPE_LABELS[item.key] ?? item.key)}
+                    </SelectItem>
+                  )}
                 </Select>
               )}
               <div className="grid grid-cols-2 gap-4">
@@ -7,6 +7,7 @@ import { Spinner } from "@heroui/spinner";
 import { UserAuthProvider, useUserAuth } from "@/lib/user-auth-context";
 import { DashboardSidebar } from "@/components/dashboard/dashboard-sidebar";
 import { DashboardHeader } from "@/components/dashboard/dashboard-header";
+import { BillingBanner } from "@/components/dashboard/billing-banner";
 
 function DashboardLayoutInner({ children }: { children: React.ReactNode }) {
   const { user, loading } = useUserAuth();
@@ -36,6 +37,7 @@ function DashboardLayoutInner({ children }: { children: React.ReactNode }) {
       </div>
       <div className="flex-1 flex flex-col overflow-hidden">
         <DashboardHeader />
+        <BillingBanner />
         <main className="flex-1 overflow-y-auto p-4 md:p-6 bg-content1">
           {children}
         </main>
@@ -23,7 +23,9 @@ import { useLivePortfolioMetrics } from "@/hooks/useLivePortfolioMetrics";
 import { MetricHelp } from "@/components/dashboard/metric-help";
 
 export default function DashboardPage() {
-  const { user } = useUserAuth();
+  const { user, entitlements } = useUserAuth();
+  const canViewAnalytics = entitlements?.features.advancedAnalytics ?? false;
+  const canExport = entitlements?.features.exports ?? false;
   const [holdings, setHoldings] = useState<HoldingWithPortfolio[]>([]);
   const [portfoliosCount, setPortfoliosCount] = useState(0);
   const [fearGreed, setFearGreed] = useState<number | null>(null);
@@ -328,30 +330,24 @@ export default function DashboardPage() {
           <Button
             as={NextLink}
             href={
-              user?.plan === "pro"
-                ? "/dashboard/portfolios"
-                : "/dashboard/pricing"
+              canViewAnalytics ? "/dashboard/portfolios" : "/dashboard/pricing"
             }
             size="sm"
             startContent={<BarChart3 size={16} />}
             variant="flat"
           >
             View Analytics
-            {user?.plan !== "pro" && <Lock className="ml-1" size={12} />}
+            {!canViewAnalytics && <Lock className="ml-1" size={12} />}
           </Button>
           <Button
             as={NextLink}
-            href={
-              user?.plan === "pro"
-                ? "/dashboard/portfolios"
-                : "/dashboard/pricing"
-            }
+            href={canExport ? "/dashboard/portfolios" : "/dashboard/pricing"}
             size="sm"
             startContent={<Download size={16} />}
             variant="flat"
           >
             Export Report
-            {user?.plan !== "pro" && <Lock className="ml-1" size={12} />}
+            {!canExport && <Lock className="ml-1" size={12} />}
           </Button>
         </CardBody>
       </Card>
@@ -43,6 +43,9 @@ import { formatCryptoPrice } from "@/lib/formatters";
 import { API_BASE_URL } from "@/config/constants";
 import { useUserAuth } from "@/lib/user-auth-context";
 import { ProUpgradeCta } from "@/components/dashboard/analytics/pro-upgrade-cta";
+import { MonteCarloCard } from "@/components/dashboard/analytics/monte-carlo-card";
+import { DrawdownCard } from "@/components/dashboard/analytics/drawdown-card";
+import { PerformanceRatiosCard } from "@/components/dashboard/analytics/performance-ratios-card";
 import { MetricHelp } from "@/components/dashboard/metric-help";
 import {
   useLivePortfolioValue,
@@ -84,9 +87,7 @@ const LiveLossAmount = memo(function LiveLossAmount({
 
   if (value <= 0) return null;
 
-  return (
-    <p className={className}>{`−${formatCryptoPrice(loss)}`}</p>
-  );
+  return <p className={className}>{`−${formatCryptoPrice(loss)}`}</p>;
 });
 
 const LiveStressedValue = memo(function LiveStressedValue({
@@ -175,8 +176,8 @@ export default function PortfolioAnalyticsPage() {
   const params = useParams();
   const router = useRouter();
   const portfolioId = parseInt(params.id as string);
-  const { user } = useUserAuth();
-  const isPro = user?.plan === "pro";
+  const { entitlements } = useUserAuth();
+  const isPro = entitlements?.features.advancedAnalytics ?? false;
   const [selectedScenario, setSelectedScenario] = useState<string>("covid-19");
   const [volatilityMode, setVolatilityMode] = useState<"annualized" | "daily">(
     "annualized",
@@ -450,8 +451,10 @@ export default function PortfolioAnalyticsPage() {
 
                       return {
                         date,
-                        portfolio: pVal != null ? (pVal / pBase - 1) * 100 : null,
-                        benchmark: bVal != null ? (bVal / bBase - 1) * 100 : null,
+                        portfolio:
+                          pVal != null ? (pVal / pBase - 1) * 100 : null,
+                        benchmark:
+                          bVal != null ? (bVal / bBase - 1) * 100 : null,
                       };
                     });
                   })()}
@@ -563,6 +566,9 @@ export default function PortfolioAnalyticsPage() {
         </Card>
       )}
 
+      {/* Drawdown — underwater curve vs CoinRisqLab 80 */}
+      {performance && <DrawdownCard portfolioId={portfolioId} />}
+
       {/* Volatility Section — Market Volatility style */}
       {volatility && (
         <>
@@ -820,7 +826,7 @@ export default function PortfolioAnalyticsPage() {
       {/* Pro section */}
       {!isPro ? (
         <ProUpgradeCta
-          description="Unlock VaR/CVaR, correlation matrix, stress tests, Sharpe ratio, and diversification analysis."
+          description="Unlock VaR/CVaR, Monte Carlo simulation, correlation matrix, stress tests, Sharpe ratio, and diversification analysis."
           feature="Advanced Risk Metrics"
         />
       ) : (
@@ -918,6 +924,9 @@ export default function PortfolioAnalyticsPage() {
                 </CardBody>
               </Card>
 
+              {/* Monte Carlo VaR — simulated multi-day P&L */}
+              <MonteCarloCard portfolioId={portfolioId} />
+
               {/* Performance Summary — 3 key metrics */}
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                 <Card>
@@ -1016,6 +1025,14 @@ export default function PortfolioAnalyticsPage() {
                 </Card>
               </div>
 
+              {/* Sortino / Calmar / Omega / Treynor / Information ratio */}
+              {riskMetrics.ratios && (
+                <PerformanceRatiosCard
+                  portfolioId={portfolioId}
+                  ratios={riskMetrics.ratios}
+                />
+              )}
+
               {/* Return Statistics + Distribution — side by side */}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 {/* Return Stats */}
@@ -1246,6 +1263,7 @@ export default function PortfolioAnalyticsPage() {
                 "china-mining-ban",
                 "ust-crash",
               ];
+
               return (
                 <div className="flex flex-col gap-4">
                   <Card>
@@ -1,6 +1,6 @@
 "use client";
 
-import type { Holding, Transaction } from "@/types/user";
+import type { Holding, Transaction, TransactionType } from "@/types/user";
 
 import { useEffect, useState, useCallback, useMemo, memo } from "react";
 import { useParams } from "next/navigation";
@@ -27,7 +27,15 @@ import {
 } from "@heroui/modal";
 import { Input } from "@heroui/input";
 import NextLink from "next/link";
-import { Plus, BarChart3, Download, Trash2, Lock, Pencil } from "lucide-react";
+import {
+  Plus,
+  BarChart3,
+  Download,
+  Trash2,
+  Lock,
+  Pencil,
+  Upload,
+} from "lucide-react";
 import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer } from "recharts";
 
 import { API_BASE_URL } from "@/config/constants";
@@ -40,6 +48,8 @@ import {
 import { PriceCell } from "@/components/PriceCell";
 import { AddHoldingModal } from "@/components/dashboard/portfolio/add-holding-modal";
 import { RecordTransactionModal } from "@/components/dashboard/portfolio/record-transaction-modal";
+import { ImportTransactionsModal } from "@/components/dashboard/portfolio/import-transactions-modal";
+import { CostBasisMethodSelect } from "@/components/dashboard/portfolio/cost-basis-method-select";
 
 // Memoized allocation chart — prevents re-render when Binance prices update
 const AllocationChart = memo(function AllocationChart({
@@ -202,10 +212,21 @@ const ALLOC_COLORS = [
   "#94A3B8", // Slate gray for "Others"
 ];
 
+// Transaction type chip colours; transfers stay "default"
+const TX_TYPE_COLORS: Partial<
+  Record<TransactionType, "success" | "danger" | "secondary">
+> = {
+  buy: "success",
+  sell: "danger",
+  reward: "secondary",
+  airdrop: "secondary",
+  income: "secondary",
+};
+
 export default function PortfolioDetailPage() {
   const params = useParams();
   const portfolioId = parseInt(params.id as string);
-  const { user } = useUserAuth();
+  const { entitlements } = useUserAuth();
 
   const [holdings, setHoldings] = useState<Holding[]>([]);
   const [transactions, setTransactions] = useState<Transaction[]>([]);
@@ -265,13 +286,14 @@ export default function PortfolioDetailPage() {
     <BinancePricesProvider symbols={binanceSymbols}>
       <PortfolioDetailContent
         addModal={addModal}
+        canImport={entitlements?.features.import ?? false}
+        canViewAnalytics={entitlements?.features.advancedAnalytics ?? false}
         fetchHoldings={fetchHoldings}
         fetchTransactions={fetchTransactions}
         holdings={holdings}
         portfolioId={portfolioId}
         transactions={transactions}
         txModal={txModal}
-        user={user}
       />
     </BinancePricesProvider>
   );
@@ -281,7 +303,8 @@ interface PortfolioDetailContentProps {
   holdings: Holding[];
   transactions: Transaction[];
   portfolioId: number;
-  user: any;
+  canViewAnalytics: boolean;
+  canImport: boolean;
   addModal: ReturnType<typeof useDisclosure>;
   txModal: ReturnType<typeof useDisclosure>;
   fetchHoldings: () => Promise<void>;
@@ -292,7 +315,8 @@ function PortfolioDetailContent({
   holdings,
   transactions,
   portfolioId,
-  user,
+  canViewAnalytics,
+  canImport,
   addModal,
   txModal,
   fetchHoldings,
@@ -309,6 +333,8 @@ function PortfolioDetailContent({
   const [editAvgPrice, setEditAvgPrice] = useState("");
   const [editLoading, setEditLoading] = useState(false);
 
+  const importModal = useDisclosure();
+
   // Edit transaction modal state
   const editTxModal = useDisclosure();
   const [editingTx, setEditingTx] = useState<Transaction | null>(null);
@@ -381,7 +407,10 @@ function PortfolioDetailContent({
   const totalPnl = totalUnrealizedPnl + totalRealizedPnl;
   const totalCost = dynamicHoldingsWithAlloc.reduce(
     (s, h) =>
-      s + (Number(h.quantity) > 0 ? Number(h.quantity) * Number(h.avg_buy_price) : 0),
+      s +
+      (Number(h.quantity) > 0
+        ? Number(h.quantity) * Number(h.avg_buy_price)
+        : 0),
     0,
   );
 
@@ -539,6 +568,13 @@ function PortfolioDetailContent({
           </div>
         </div>
         <div className="flex gap-2 flex-wrap">
+          <CostBasisMethodSelect
+            portfolioId={portfolioId}
+            onChanged={() => {
+              fetchHoldings();
+              fetchTransactions();
+            }}
+          />
           <Button
             size="sm"
             startContent={<Plus size={16} />}
@@ -550,7 +586,7 @@ function PortfolioDetailContent({
           <Button
             as={NextLink}
             href={
-              user?.plan === "pro"
+              canViewAnalytics
                 ? `/dashboard/portfolios/${portfolioId}/analytics`
                 : "/dashboard/pricing"
             }
@@ -559,8 +595,29 @@ function PortfolioDetailContent({
             variant="flat"
           >
             Analytics
-            {user?.plan !== "pro" && <Lock className="ml-1" size={12} />}
+            {!canViewAnalytics && <Lock className="ml-1" size={12} />}
           </Button>
+          {canImport ? (
+            <Button
+              size="sm"
+              startContent={<Upload size={16} />}
+              variant="flat"
+              onPress={importModal.onOpen}
+            >
+              Import
+            </Button>
+          ) : (
+            <Button
+              as={NextLink}
+              href="/dashboard/pricing"
+              size="sm"
+              startContent={<Upload size={16} />}
+              variant="flat"
+            >
+              Import
+              <Lock className="ml-1" size={12} />
+            </Button>
+          )}
           <Button
             size="sm"
             startContent={<Download size={16} />}
@@ -601,121 +658,125 @@ function PortfolioDetailContent({
                 const hasRealTxs = Number(h.real_tx_count || 0) > 0;
 
                 return (
-                <TableRow key={h.id} className={isClosed ? "opacity-60" : ""}>
-                  <TableCell>
-                    <div className="flex items-center gap-2">
-                      {h.image_url && (
-                        <img
-                          alt={h.symbol}
-                          className="w-6 h-6 rounded-full"
-                          src={h.image_url}
-                        />
-                      )}
-                      <div>
-                        <div className="flex items-center gap-2">
-                          <p className="font-medium">{h.symbol}</p>
-                          {isClosed && (
-                            <Chip color="default" size="sm" variant="flat">
-                              Closed
-                            </Chip>
-                          )}
+                  <TableRow key={h.id} className={isClosed ? "opacity-60" : ""}>
+                    <TableCell>
+                      <div className="flex items-center gap-2">
+                        {h.image_url && (
+                          <img
+                            alt={h.symbol}
+                            className="w-6 h-6 rounded-full"
+                            src={h.image_url}
+                          />
+                        )}
+                        <div>
+                          <div className="flex items-center gap-2">
+                            <p className="font-medium">{h.symbol}</p>
+                            {isClosed && (
+                              <Chip color="default" size="sm" variant="flat">
+                                Closed
+                              </Chip>
+                            )}
+                          </div>
+                          <p className="text-xs text-default-400">
+                            {h.crypto_name}
+                          </p>
                         </div>
-                        <p className="text-xs text-default-400">
-                          {h.crypto_name}
-                        </p>
                       </div>
-                    </div>
-                  </TableCell>
-                  <TableCell>{Number(h.quantity).toFixed(4)}</TableCell>
-                  <TableCell>
-                    <span className="font-mono">
-                      {isClosed ? "—" : formatCryptoPrice(h.avg_buy_price)}
-                    </span>
-                  </TableCell>
-                  <TableCell>
-                    <PriceCell
-                      fallbackPrice={String(h.current_price)}
-                      symbol={h.symbol}
-                    />
-                  </TableCell>
-                  <TableCell>
-                    <span className="font-mono">
-                      {isClosed ? "$0.00" : formatCryptoPrice(h.current_value)}
-                    </span>
-                  </TableCell>
-                  <TableCell>
-                    {isClosed ? (
-                      <span className="text-default-400">—</span>
-                    ) : (
-                      <span
-                        className={
-                          h.unrealized_pnl >= 0 ? "text-success" : "text-danger"
-                        }
-                      >
-                        {h.unrealized_pnl >= 0 ? "+" : ""}$
-                        {Math.abs(h.unrealized_pnl).toFixed(2)}
-                        <span className="text-xs ml-1">
-                          ({h.pnl_percent >= 0 ? "+" : ""}
-                          {h.pnl_percent.toFixed(1)}%)
-                        </span>
+                    </TableCell>
+                    <TableCell>{Number(h.quantity).toFixed(4)}</TableCell>
+                    <TableCell>
+                      <span className="font-mono">
+                        {isClosed ? "—" : formatCryptoPrice(h.avg_buy_price)}
                       </span>
-                    )}
-                  </TableCell>
-                  <TableCell>
-                    {Math.abs(realizedPnl) < 0.005 ? (
-                      <span className="text-default-400">—</span>
-                    ) : (
-                      <span
-                        className={
-                          realizedPnl >= 0 ? "text-success" : "text-danger"
-                        }
-                      >
-                        {realizedPnl >= 0 ? "+" : ""}$
-                        {Math.abs(realizedPnl).toFixed(2)}
+                    </TableCell>
+                    <TableCell>
+                      <PriceCell
+                        fallbackPrice={String(h.current_price)}
+                        symbol={h.symbol}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <span className="font-mono">
+                        {isClosed
+                          ? "$0.00"
+                          : formatCryptoPrice(h.current_value)}
                       </span>
-                    )}
-                  </TableCell>
-                  <TableCell>{h.allocation_pct}%</TableCell>
-                  <TableCell>
-                    <div className="flex items-center gap-1">
-                      <Button
-                        isIconOnly
-                        size="sm"
-                        variant="light"
-                        onPress={() => {
-                          txModal.onOpen();
-                        }}
-                      >
-                        <Plus size={14} />
-                      </Button>
-                      {!hasRealTxs && !isClosed && (
+                    </TableCell>
+                    <TableCell>
+                      {isClosed ? (
+                        <span className="text-default-400">—</span>
+                      ) : (
+                        <span
+                          className={
+                            h.unrealized_pnl >= 0
+                              ? "text-success"
+                              : "text-danger"
+                          }
+                        >
+                          {h.unrealized_pnl >= 0 ? "+" : ""}$
+                          {Math.abs(h.unrealized_pnl).toFixed(2)}
+                          <span className="text-xs ml-1">
+                            ({h.pnl_percent >= 0 ? "+" : ""}
+                            {h.pnl_percent.toFixed(1)}%)
+                          </span>
+                        </span>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {Math.abs(realizedPnl) < 0.005 ? (
+                        <span className="text-default-400">—</span>
+                      ) : (
+                        <span
+                          className={
+                            realizedPnl >= 0 ? "text-success" : "text-danger"
+                          }
+                        >
+                          {realizedPnl >= 0 ? "+" : ""}$
+                          {Math.abs(realizedPnl).toFixed(2)}
+                        </span>
+                      )}
+                    </TableCell>
+                    <TableCell>{h.allocation_pct}%</TableCell>
+                    <TableCell>
+                      <div className="flex items-center gap-1">
                         <Button
                           isIconOnly
                           size="sm"
                           variant="light"
                           onPress={() => {
-                            setEditingHolding(h);
-                            setEditQty(String(h.quantity));
-                            setEditAvgPrice(String(h.avg_buy_price));
-                            editHoldingModal.onOpen();
+                            txModal.onOpen();
                           }}
                         >
-                          <Pencil size={14} />
+                          <Plus size={14} />
                         </Button>
-                      )}
-                      <Button
-                        isIconOnly
-                        color="danger"
-                        size="sm"
-                        variant="light"
-                        onPress={() => handleDeleteHolding(h.id)}
-                      >
-                        <Trash2 size={14} />
-                      </Button>
-                    </div>
-                  </TableCell>
-                </TableRow>
-              );
+                        {!hasRealTxs && !isClosed && (
+                          <Button
+                            isIconOnly
+                            size="sm"
+                            variant="light"
+                            onPress={() => {
+                              setEditingHolding(h);
+                              setEditQty(String(h.quantity));
+                              setEditAvgPrice(String(h.avg_buy_price));
+                              editHoldingModal.onOpen();
+                            }}
+                          >
+                            <Pencil size={14} />
+                          </Button>
+                        )}
+                        <Button
+                          isIconOnly
+                          color="danger"
+                          size="sm"
+                          variant="light"
+                          onPress={() => handleDeleteHolding(h.id)}
+                        >
+                          <Trash2 size={14} />
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                );
               })}
             </TableBody>
           </Table>
@@ -752,18 +813,18 @@ function PortfolioDetailContent({
                   </TableCell>
                   <TableCell>
                     <Chip
-                      color={
-                        t.type === "buy"
-                          ? "success"
-                          : t.type === "sell"
-                            ? "danger"
-                            : "default"
-                      }
+                      color={TX_TYPE_COLORS[t.type] ?? "default"}
                       size="sm"
                       variant="flat"
                     >
-                      {t.type}
+                      {t.type.replace("_", " ")}
                     </Chip>
+                    {t.linked_portfolio_name && (
+                      <p className="text-xs text-default-400 mt-1">
+                        {t.type === "transfer_out" ? "to" : "from"}{" "}
+                        {t.linked_portfolio_name}
+                      </p>
+                    )}
                   </TableCell>
                   <TableCell>{Number(t.quantity).toFixed(4)}</TableCell>
                   <TableCell>${Number(t.price_usd).toFixed(2)}</TableCell>
@@ -826,6 +887,15 @@ function PortfolioDetailContent({
           fetchTransactions();
         }}
       />
+      <ImportTransactionsModal
+        isOpen={importModal.isOpen}
+        portfolioId={portfolioId}
+        onClose={importModal.onClose}
+        onImported={() => {
+          fetchHoldings();
+          fetchTransactions();
+        }}
+      />
 
       {/* Edit Holding Modal */}
       <Modal
@@ -873,6 +943,12 @@ function PortfolioDetailContent({
           <ModalBody className="gap-4">
             <div className="grid grid-cols-2 gap-4">
               <Input
+                description={
+                  editingTx?.linked_transaction_id
+                    ? "Delete and record the transfer again to change it"
+                    : undefined
+                }
+                isDisabled={!!editingTx?.linked_transaction_id}
                 label="Quantity"
                 placeholder="0.00"
                 type="number"
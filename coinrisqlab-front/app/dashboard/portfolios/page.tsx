@@ -31,7 +31,7 @@ import { useUserAuth } from "@/lib/user-auth-context";
 import { useLivePortfolioMetrics } from "@/hooks/useLivePortfolioMetrics";
 
 export default function PortfoliosPage() {
-  const { user } = useUserAuth();
+  const { entitlements } = useUserAuth();
   const [portfolios, setPortfolios] = useState<Portfolio[]>([]);
   const [holdings, setHoldings] = useState<HoldingWithPortfolio[]>([]);
   const [loading, setLoading] = useState(true);
@@ -158,7 +158,10 @@ export default function PortfoliosPage() {
     }
   };
 
-  const canCreate = user?.plan === "pro" || portfolios.length < 1;
+  const portfolioLimit = entitlements?.limits.portfolios ?? null;
+  const canCreate =
+    entitlements !== null &&
+    (portfolioLimit === null || portfolios.length < portfolioLimit);
 
   if (loading) {
     return (
@@ -199,13 +202,14 @@ export default function PortfoliosPage() {
         </Button>
       </div>
 
-      {!canCreate && (
+      {entitlements && !canCreate && (
         <p className="text-sm text-default-500">
-          Free plan allows 1 portfolio.{" "}
+          {entitlements.label} plan allows {portfolioLimit} portfolio
+          {portfolioLimit === 1 ? "" : "s"}.{" "}
           <NextLink className="text-primary" href="/dashboard/pricing">
-            Upgrade to Pro
+            Upgrade
           </NextLink>{" "}
-          for unlimited.
+          for more.
         </p>
       )}
 
@@ -1,12 +1,17 @@
 "use client";
 
-import { useState } from "react";
+import type { BillingInterval, StripePlans } from "@/types/user";
+
+import { useEffect, useState } from "react";
 import { Card, CardBody, CardHeader, CardFooter } from "@heroui/card";
 import { Button } from "@heroui/button";
 import { Chip } from "@heroui/chip";
+import { Input } from "@heroui/input";
+import { Tab, Tabs } from "@heroui/tabs";
 import { Check, X } from "lucide-react";
 
 import { API_BASE_URL } from "@/config/constants";
+import { formatStripeAmount } from "@/lib/formatters";
 import { useUserAuth } from "@/lib/user-auth-context";
 
 const freeFeatures = [
@@ -38,23 +43,57 @@ const proFeatures = [
 ];
 
 export default function PricingPage() {
-  const { user } = useUserAuth();
+  const { user, entitlements } = useUserAuth();
   const [loading, setLoading] = useState(false);
+  const [plans, setPlans] = useState<StripePlans | null>(null);
+  const [billingInterval, setBillingInterval] =
+    useState<BillingInterval>("month");
+  const [promotionCode, setPromotionCode] = useState("");
+  const [checkoutMsg, setCheckoutMsg] = useState("");
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/user/stripe/plans`, { credentials: "include" })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.data) setPlans(data.data);
+      })
+      .catch(() => {});
+  }, []);
+
+  const price = plans?.prices.find((p) => p.interval === billingInterval);
+  const hasAnnual = !!plans?.prices.some((p) => p.interval === "year");
+  const trialDays = plans?.trialDays ?? 0;
+  const isPro = entitlements?.effectivePlan === "pro";
+  const trialEndsAt =
+    user?.trialEndsAt && new Date(user.trialEndsAt) > new Date()
+      ? new Date(user.trialEndsAt)
+      : null;
 
   const handleUpgrade = async () => {
     setLoading(true);
+    setCheckoutMsg("");
     try {
       const res = await fetch(
         `${API_BASE_URL}/user/stripe/create-checkout-session`,
-        { method: "POST", credentials: "include" },
+        {
+          method: "POST",
+          credentials: "include",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            interval: billingInterval,
+            promotionCode: promotionCode.trim() || undefined,
+          }),
+        },
       );
       const data = await res.json();
 
       if (data.data?.url) {
         window.location.href = data.data.url;
+      } else {
+        setCheckoutMsg(data.msg || "Failed to start checkout");
       }
     } catch {
-      // ignore
+      setCheckoutMsg("Connection error");
     } finally {
       setLoading(false);
     }
@@ -69,10 +108,23 @@ export default function PricingPage() {
         </p>
       </div>
 
+      {hasAnnual && (
+        <div className="flex justify-center">
+          <Tabs
+            aria-label="Billing interval"
+            selectedKey={billingInterval}
+            onSelectionChange={(k) => setBillingInterval(k as BillingInterval)}
+          >
+            <Tab key="month" title="Monthly" />
+            <Tab key="year" title="Annual" />
+          </Tabs>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 max-w-3xl mx-auto">
         {/* Free */}
         <Card
-          className={user?.plan === "free" ? "border-2 border-primary" : ""}
+          className={entitlements && !isPro ? "border-2 border-primary" : ""}
         >
           <CardHeader className="flex-col gap-1 pb-0">
             <h2 className="text-xl font-bold">Free</h2>
@@ -96,7 +148,7 @@ export default function PricingPage() {
             ))}
           </CardBody>
           <CardFooter>
-            {user?.plan === "free" ? (
+            {entitlements && !isPro ? (
               <Chip
                 className="w-full justify-center"
                 color="primary"
@@ -115,9 +167,7 @@ export default function PricingPage() {
         {/* Pro */}
         <Card
           className={
-            user?.plan === "pro"
-              ? "border-2 border-warning"
-              : "border-2 border-warning/30"
+            isPro ? "border-2 border-warning" : "border-2 border-warning/30"
           }
         >
           <CardHeader className="flex-col gap-1 pb-0">
@@ -126,9 +176,18 @@ export default function PricingPage() {
             </Chip>
             <h2 className="text-xl font-bold">Pro</h2>
             <p className="text-3xl font-bold">
-              $9.99
-              <span className="text-sm font-normal text-default-500">/mo</span>
+              {price
+                ? formatStripeAmount(price.amount, price.currency)
+                : "$9.99"}
+              <span className="text-sm font-normal text-default-500">
+                {billingInterval === "year" ? "/yr" : "/mo"}
+              </span>
             </p>
+            {!isPro && !entitlements?.reason && trialDays > 0 && (
+              <p className="text-sm text-success">
+                {trialDays}-day free trial included
+              </p>
+            )}
           </CardHeader>
           <CardBody className="gap-2">
             {proFeatures.map((f, i) => (
@@ -138,25 +197,63 @@ export default function PricingPage() {
               </div>
             ))}
           </CardBody>
-          <CardFooter>
-            {user?.plan === "pro" ? (
-              <Chip
-                className="w-full justify-center"
-                color="warning"
-                variant="flat"
-              >
-                Current Plan
-              </Chip>
+          <CardFooter className="flex-col gap-2">
+            {isPro ? (
+              <>
+                <Chip
+                  className="w-full justify-center"
+                  color="warning"
+                  variant="flat"
+                >
+                  {trialEndsAt ? "Free Trial" : "Current Plan"}
+                </Chip>
+                {trialEndsAt && (
+                  <p className="text-xs text-default-500">
+                    Trial ends on{" "}
+                    {trialEndsAt.toLocaleDateString("en-US", {
+                      year: "numeric",
+                      month: "long",
+                      day: "numeric",
+                    })}
+                  </p>
+                )}
+              </>
+            ) : entitlements?.reason ? (
+              <>
+                <p className="text-xs text-danger">{entitlements.reason}</p>
+                <Button
+                  fullWidth
+                  as="a"
+                  color="warning"
+                  href="/dashboard/settings"
+                  variant="flat"
+                >
+                  Manage Subscription
+                </Button>
+              </>
             ) : (
-              <Button
-                fullWidth
-                color="warning"
-                isLoading={loading}
-                variant="solid"
-                onPress={handleUpgrade}
-              >
-                Upgrade to Pro
-              </Button>
+              <>
+                <Input
+                  label="Promotion code"
+                  size="sm"
+                  value={promotionCode}
+                  onValueChange={setPromotionCode}
+                />
+                <Button
+                  fullWidth
+                  color="warning"
+                  isLoading={loading}
+                  variant="solid"
+                  onPress={handleUpgrade}
+                >
+                  {trialDays > 0
+                    ? `Start ${trialDays}-day free trial`
+                    : "Upgrade to Pro"}
+                </Button>
+                {checkoutMsg && (
+                  <p className="text-xs text-danger">{checkoutMsg}</p>
+                )}
+              </>
             )}
           </CardFooter>
         </Card>
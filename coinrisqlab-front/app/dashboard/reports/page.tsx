@@ -8,17 +8,33 @@ import { Button } from "@heroui/button";
 import { Chip } from "@heroui/chip";
 import { Spinner } from "@heroui/spinner";
 import { Select, SelectItem } from "@heroui/select";
-import { FileText, FileSpreadsheet, Download, ShieldAlert } from "lucide-react";
+import {
+  FileText,
+  FileSpreadsheet,
+  Download,
+  ShieldAlert,
+  Landmark,
+} from "lucide-react";
 
 import { API_BASE_URL } from "@/config/constants";
 import { useUserAuth } from "@/lib/user-auth-context";
 
+const TAX_JURISDICTIONS = [
+  { key: "us", label: "Short / long term (US style)" },
+  { key: "fr", label: "France — PFU / formulaire 2086" },
+];
+
+const CURRENT_YEAR = new Date().getFullYear();
+const TAX_YEARS = Array.from({ length: 6 }, (_, i) => String(CURRENT_YEAR - i));
+
 export default function ReportsPage() {
-  const { user } = useUserAuth();
-  const isPro = user?.plan === "pro";
+  const { entitlements } = useUserAuth();
+  const isPro = entitlements?.features.exports ?? false;
   const [portfolios, setPortfolios] = useState<Portfolio[]>([]);
   const [selectedPortfolioId, setSelectedPortfolioId] = useState<string>("");
   const [loading, setLoading] = useState(true);
+  const [taxYear, setTaxYear] = useState(String(CURRENT_YEAR - 1));
+  const [jurisdiction, setJurisdiction] = useState("us");
 
   useEffect(() => {
     async function fetchPortfolios() {
@@ -97,6 +113,8 @@ export default function ReportsPage() {
     },
   ];
 
+  const taxQuery = `year=${taxYear}&jurisdiction=${jurisdiction}`;
+
   return (
     <div className="space-y-6 max-w-3xl">
       <h1 className="text-2xl font-bold">Reports & Exports</h1>
@@ -199,6 +217,87 @@ export default function ReportsPage() {
           })}
         </div>
       </div>
+
+      {/* Tax reports */}
+      <div>
+        <h2 className="text-sm font-semibold text-default-500 mb-3 flex items-center gap-2">
+          Tax Reports
+          {!isPro && (
+            <Chip color="warning" size="sm" variant="flat">
+              Pro
+            </Chip>
+          )}
+        </h2>
+        <Card className={!isPro ? "opacity-60" : ""}>
+          <CardBody className="gap-4">
+            <div className="flex items-center gap-3">
+              <div className="p-2 rounded-lg bg-default-100">
+                <Landmark className="text-default-600" size={20} />
+              </div>
+              <div>
+                <p className="font-medium text-sm">Capital Gains</p>
+                <p className="text-xs text-default-500">
+                  Realized gains for the year: each disposal with acquisition
+                  date, cost basis, proceeds, fees and holding period.
+                </p>
+              </div>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-3">
+              <Select
+                className="sm:w-32"
+                isDisabled={!isPro}
+                label="Year"
+                selectedKeys={[taxYear]}
+                size="sm"
+                onSelectionChange={(keys) => {
+                  const k = Array.from(keys)[0];
+
+                  if (k) setTaxYear(String(k));
+                }}
+              >
+                {TAX_YEARS.map((y) => (
+                  <SelectItem key={y}>{y}</SelectItem>
+                ))}
+              </Select>
+              <Select
+                isDisabled={!isPro}
+                label="Jurisdiction"
+                selectedKeys={[jurisdiction]}
+                size="sm"
+                onSelectionChange={(keys) => {
+                  const k = Array.from(keys)[0];
+
+                  if (k) setJurisdiction(String(k));
+                }}
+              >
+                {TAX_JURISDICTIONS.map((j) => (
+                  <SelectItem key={j.key}>{j.label}</SelectItem>
+                ))}
+              </Select>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                isDisabled={!isPro || !selectedPortfolioId}
+                size="sm"
+                startContent={<FileSpreadsheet size={14} />}
+                variant="flat"
+                onPress={() => handleDownload(`capital-gains-csv?${taxQuery}`)}
+              >
+                CSV
+              </Button>
+              <Button
+                isDisabled={!isPro || !selectedPortfolioId}
+                size="sm"
+                startContent={<FileText size={14} />}
+                variant="flat"
+                onPress={() => handleDownload(`capital-gains-pdf?${taxQuery}`)}
+              >
+                PDF
+              </Button>
+            </div>
+          </CardBody>
+        </Card>
+      </div>
     </div>
   );
 }
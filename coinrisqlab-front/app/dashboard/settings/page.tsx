@@ -1,20 +1,37 @@
 "use client";
 
-import { useState } from "react";
+import type {
+  Invoice,
+  NotificationPreferences,
+  UserApiKey,
+  UserSession,
+} from "@/types/user";
+
+import { useCallback, useEffect, useState } from "react";
 import { Card, CardBody, CardHeader } from "@heroui/card";
 import { Input } from "@heroui/input";
 import { Button } from "@heroui/button";
 import { Chip } from "@heroui/chip";
+import { Switch } from "@heroui/switch";
+import { Select, SelectItem } from "@heroui/select";
+import { Snippet } from "@heroui/snippet";
+import { QRCodeSVG } from "qrcode.react";
 
 import { API_BASE_URL } from "@/config/constants";
+import { formatStripeAmount } from "@/lib/formatters";
 import { useUserAuth } from "@/lib/user-auth-context";
 
 export default function SettingsPage() {
-  const { user, refresh } = useUserAuth();
+  const { user, entitlements, refresh } = useUserAuth();
+  const isPro = entitlements?.effectivePlan === "pro";
+  // A suspended paid plan still has a Stripe subscription to fix in the portal
+  const hasSubscription = isPro || !!entitlements?.reason;
 
   const [displayName, setDisplayName] = useState(user?.displayName || "");
   const [profileLoading, setProfileLoading] = useState(false);
   const [profileMsg, setProfileMsg] = useState("");
+  const [verificationLoading, setVerificationLoading] = useState(false);
+  const [verificationMsg, setVerificationMsg] = useState("");
 
   const [currentPassword, setCurrentPassword] = useState("");
   const [newPassword, setNewPassword] = useState("");
@@ -22,7 +39,261 @@ export default function SettingsPage() {
   const [passwordLoading, setPasswordLoading] = useState(false);
   const [passwordMsg, setPasswordMsg] = useState("");
 
+  const [totpSetup, setTotpSetup] = useState<{
+    secret: string;
+    otpauthUrl: string;
+  } | null>(null);
+  const [totpCode, setTotpCode] = useState("");
+  const [totpPassword, setTotpPassword] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [totpLoading, setTotpLoading] = useState(false);
+  const [totpMsg, setTotpMsg] = useState("");
+
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [sessionsMsg, setSessionsMsg] = useState("");
+
+  const [apiKeys, setApiKeys] = useState<UserApiKey[]>([]);
+  const [apiKeyScopes, setApiKeyScopes] = useState<string[]>([]);
+  const [newKeyName, setNewKeyName] = useState("");
+  const [newKeyScopes, setNewKeyScopes] = useState<string[]>([]);
+  const [newKeyExpiry, setNewKeyExpiry] = useState("");
+  const [createdKey, setCreatedKey] = useState("");
+  const [apiKeyLoading, setApiKeyLoading] = useState(false);
+  const [apiKeyMsg, setApiKeyMsg] = useState("");
+
   const [portalLoading, setPortalLoading] = useState(false);
+  const [invoices, setInvoices] = useState<Invoice[]>([]);
+
+  const [deletePassword, setDeletePassword] = useState("");
+  const [deleteCode, setDeleteCode] = useState("");
+  const [deleteLoading, setDeleteLoading] = useState(false);
+  const [deleteMsg, setDeleteMsg] = useState("");
+
+  const [notifPrefs, setNotifPrefs] = useState<NotificationPreferences | null>(
+    null,
+  );
+  const [webhookUrl, setWebhookUrl] = useState("");
+  const [notifLoading, setNotifLoading] = useState(false);
+  const [notifMsg, setNotifMsg] = useState("");
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/user/notifications/preferences`, {
+      credentials: "include",
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.data) {
+          setNotifPrefs(data.data);
+          setWebhookUrl(data.data.webhook_url || "");
+        }
+      })
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/user/stripe/invoices`, { credentials: "include" })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.data) setInvoices(data.data);
+      })
+      .catch(() => {});
+  }, []);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/auth/sessions`, {
+        credentials: "include",
+      });
+
+      if (res.ok) {
+        const data = await res.json();
+
+        setSessions(data.data || []);
+      }
+    } catch {
+      // ignore
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevokeSession = async (id: number) => {
+    setSessionsMsg("");
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/auth/sessions/${id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+
+      if (!res.ok) setSessionsMsg("Failed to revoke session");
+      fetchSessions();
+    } catch {
+      setSessionsMsg("Connection error");
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    setSessionsMsg("");
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/auth/sessions/revoke-others`,
+        { method: "POST", credentials: "include" },
+      );
+      const data = await res.json();
+
+      setSessionsMsg(
+        res.ok
+          ? `${data.data.revoked} other session(s) signed out`
+          : data.msg || "Failed",
+      );
+      fetchSessions();
+    } catch {
+      setSessionsMsg("Connection error");
+    }
+  };
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/api-keys`, {
+        credentials: "include",
+      });
+
+      if (res.ok) {
+        const data = await res.json();
+
+        setApiKeys(data.data || []);
+        setApiKeyScopes(data.scopes || []);
+      }
+    } catch {
+      // ignore
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, [fetchApiKeys]);
+
+  const handleCreateApiKey = async () => {
+    setApiKeyLoading(true);
+    setApiKeyMsg("");
+    setCreatedKey("");
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/api-keys`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          name: newKeyName,
+          scopes: newKeyScopes,
+          expiresInDays: newKeyExpiry || null,
+        }),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setCreatedKey(data.data.key);
+        setNewKeyName("");
+        setNewKeyScopes([]);
+        setNewKeyExpiry("");
+        fetchApiKeys();
+      } else {
+        setApiKeyMsg(data.msg || "Failed to create API key");
+      }
+    } catch {
+      setApiKeyMsg("Connection error");
+    } finally {
+      setApiKeyLoading(false);
+    }
+  };
+
+  const handleRevokeApiKey = async (id: number) => {
+    setApiKeyMsg("");
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/api-keys/${id}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+
+      if (!res.ok) setApiKeyMsg("Failed to revoke API key");
+      fetchApiKeys();
+    } catch {
+      setApiKeyMsg("Connection error");
+    }
+  };
+
+  const handleNotifSave = async () => {
+    if (!notifPrefs) return;
+
+    setNotifLoading(true);
+    setNotifMsg("");
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/notifications/preferences`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({
+            email_enabled: !!notifPrefs.email_enabled,
+            in_app_enabled: !!notifPrefs.in_app_enabled,
+            webhook_enabled: !!notifPrefs.webhook_enabled,
+            webhook_url: webhookUrl,
+          }),
+        },
+      );
+      const data = await res.json();
+
+      if (res.ok) {
+        setNotifPrefs(data.data);
+        setNotifMsg("Notification preferences saved");
+      } else {
+        setNotifMsg(data.msg || "Update failed");
+      }
+    } catch {
+      setNotifMsg("Connection error");
+    } finally {
+      setNotifLoading(false);
+    }
+  };
+
+  const handleRotateSecret = async () => {
+    setNotifMsg("");
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/notifications/preferences/webhook-secret`,
+        { method: "POST", credentials: "include" },
+      );
+      const data = await res.json();
+
+      if (res.ok && notifPrefs) {
+        setNotifPrefs({
+          ...notifPrefs,
+          webhook_secret: data.data.webhook_secret,
+        });
+        setNotifMsg("Webhook secret rotated");
+      } else {
+        setNotifMsg(data.msg || "Rotation failed");
+      }
+    } catch {
+      setNotifMsg("Connection error");
+    }
+  };
+
+  const handleTestNotification = async () => {
+    setNotifMsg("");
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/notifications/test`, {
+        method: "POST",
+        credentials: "include",
+      });
+
+      setNotifMsg(res.ok ? "Test notification sent" : "Test failed");
+    } catch {
+      setNotifMsg("Connection error");
+    }
+  };
 
   const handleProfileUpdate = async () => {
     setProfileLoading(true);
@@ -50,6 +321,26 @@ export default function SettingsPage() {
     }
   };
 
+  const handleResendVerification = async () => {
+    setVerificationLoading(true);
+    setVerificationMsg("");
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/auth/verify-email/request`,
+        { method: "POST", credentials: "include" },
+      );
+      const data = await res.json();
+
+      setVerificationMsg(
+        data.msg || (res.ok ? "Verification email sent" : "Failed"),
+      );
+    } catch {
+      setVerificationMsg("Connection error");
+    } finally {
+      setVerificationLoading(false);
+    }
+  };
+
   const handlePasswordChange = async () => {
     if (newPassword !== confirmPassword) {
       setPasswordMsg("Passwords do not match");
@@ -78,6 +369,7 @@ export default function SettingsPage() {
         setCurrentPassword("");
         setNewPassword("");
         setConfirmPassword("");
+        fetchSessions();
       }
     } catch {
       setPasswordMsg("Connection error");
@@ -86,6 +378,142 @@ export default function SettingsPage() {
     }
   };
 
+  const handleTotpSetup = async () => {
+    setTotpLoading(true);
+    setTotpMsg("");
+    setRecoveryCodes([]);
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/auth/2fa/setup`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setTotpSetup(data.data);
+      } else {
+        setTotpMsg(data.msg || "Setup failed");
+      }
+    } catch {
+      setTotpMsg("Connection error");
+    } finally {
+      setTotpLoading(false);
+    }
+  };
+
+  const handleTotpEnable = async () => {
+    setTotpLoading(true);
+    setTotpMsg("");
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/auth/2fa/enable`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ code: totpCode }),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setRecoveryCodes(data.data.recoveryCodes);
+        setTotpSetup(null);
+        setTotpCode("");
+        refresh();
+      } else {
+        setTotpMsg(data.msg || "Invalid code");
+      }
+    } catch {
+      setTotpMsg("Connection error");
+    } finally {
+      setTotpLoading(false);
+    }
+  };
+
+  // Disabling and regenerating codes both re-authenticate (password + code)
+  const handleTotpReauthAction = async (
+    action: "disable" | "recovery-codes",
+  ) => {
+    setTotpLoading(true);
+    setTotpMsg("");
+    setRecoveryCodes([]);
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/auth/2fa/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ password: totpPassword, code: totpCode }),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setTotpPassword("");
+        setTotpCode("");
+        if (action === "disable") {
+          setTotpMsg(data.msg || "Two-factor authentication disabled");
+          refresh();
+        } else {
+          setRecoveryCodes(data.data.recoveryCodes);
+        }
+      } else {
+        setTotpMsg(data.msg || "Failed");
+      }
+    } catch {
+      setTotpMsg("Connection error");
+    } finally {
+      setTotpLoading(false);
+    }
+  };
+
+  const handleExportData = () => {
+    window.open(`${API_BASE_URL}/user/auth/export`, "_blank");
+  };
+
+  const handleDeleteAccount = async () => {
+    setDeleteLoading(true);
+    setDeleteMsg("");
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/auth/account`, {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ password: deletePassword, code: deleteCode }),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setDeletePassword("");
+        setDeleteCode("");
+        refresh();
+      } else {
+        setDeleteMsg(data.msg || "Account deletion failed");
+      }
+    } catch {
+      setDeleteMsg("Connection error");
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  const handleRestoreAccount = async () => {
+    setDeleteLoading(true);
+    setDeleteMsg("");
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/auth/account/restore`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const data = await res.json();
+
+      setDeleteMsg(
+        data.msg || (res.ok ? "Account deletion cancelled" : "Failed"),
+      );
+      refresh();
+    } catch {
+      setDeleteMsg("Connection error");
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
   const handleManageSubscription = async () => {
     setPortalLoading(true);
     try {
@@ -116,6 +544,25 @@ export default function SettingsPage() {
         </CardHeader>
         <CardBody className="gap-4">
           <Input isReadOnly label="Email" value={user?.email || ""} />
+          {user && !user.emailVerified && (
+            <div className="flex flex-col gap-2 rounded-lg bg-warning-50 p-3 text-sm text-warning-700">
+              <p>
+                Your email address is not verified yet. Check your inbox for the
+                verification link.
+              </p>
+              {verificationMsg && <p>{verificationMsg}</p>}
+              <Button
+                className="self-start"
+                color="warning"
+                isLoading={verificationLoading}
+                size="sm"
+                variant="flat"
+                onPress={handleResendVerification}
+              >
+                Resend verification email
+              </Button>
+            </div>
+          )}
           <Input
             label="Display Name"
             value={displayName}
@@ -173,6 +620,360 @@ export default function SettingsPage() {
         </CardBody>
       </Card>
 
+      {/* Active Sessions */}
+      <Card>
+        <CardHeader className="flex items-center justify-between">
+          <h3 className="font-semibold">Active Sessions</h3>
+          {sessions.length > 1 && (
+            <Button
+              color="danger"
+              size="sm"
+              variant="flat"
+              onPress={handleRevokeOtherSessions}
+            >
+              Sign Out Other Devices
+            </Button>
+          )}
+        </CardHeader>
+        <CardBody className="gap-2">
+          {sessionsMsg && (
+            <p className="text-sm text-default-500">{sessionsMsg}</p>
+          )}
+          <div className="divide-y divide-default-100">
+            {sessions.map((s) => (
+              <div
+                key={s.id}
+                className="flex items-center justify-between gap-4 py-2"
+              >
+                <div className="min-w-0">
+                  <p
+                    className="text-sm font-medium truncate"
+                    title={s.user_agent || undefined}
+                  >
+                    {s.user_agent || "Unknown device"}
+                  </p>
+                  <p className="text-xs text-default-400">
+                    {s.ip_address || "Unknown IP"} · Signed in{" "}
+                    {new Date(s.created_at).toLocaleDateString("en-US")} · Last
+                    seen{" "}
+                    {new Date(s.last_seen_at || s.created_at).toLocaleString(
+                      "en-US",
+                    )}
+                  </p>
+                </div>
+                {s.current ? (
+                  <Chip color="success" size="sm" variant="flat">
+                    This device
+                  </Chip>
+                ) : (
+                  <Button
+                    size="sm"
+                    variant="light"
+                    onPress={() => handleRevokeSession(s.id)}
+                  >
+                    Revoke
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        </CardBody>
+      </Card>
+
+      {/* Two-Factor Authentication */}
+      <Card>
+        <CardHeader className="flex items-center justify-between">
+          <h3 className="font-semibold">Two-Factor Authentication</h3>
+          <Chip
+            color={user?.twoFactorEnabled ? "success" : "default"}
+            size="sm"
+            variant="flat"
+          >
+            {user?.twoFactorEnabled ? "Enabled" : "Disabled"}
+          </Chip>
+        </CardHeader>
+        <CardBody className="gap-4">
+          {recoveryCodes.length > 0 && (
+            <div className="rounded-lg bg-warning-50 p-3 text-sm text-warning-700">
+              <p className="mb-2">
+                Save these recovery codes somewhere safe. Each one can be used
+                once to sign in if you lose your authenticator. They will not be
+                shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-1 font-mono">
+                {recoveryCodes.map((code) => (
+                  <span key={code}>{code}</span>
+                ))}
+              </div>
+            </div>
+          )}
+          {user?.twoFactorEnabled ? (
+            <>
+              <p className="text-sm text-default-500">
+                Confirm your password and a current code to disable two-factor
+                authentication or get new recovery codes.
+              </p>
+              <Input
+                label="Password"
+                type="password"
+                value={totpPassword}
+                onValueChange={setTotpPassword}
+              />
+              <Input
+                label="Authentication or recovery code"
+                value={totpCode}
+                onValueChange={setTotpCode}
+              />
+              {totpMsg && <p className="text-sm text-default-500">{totpMsg}</p>}
+              <div className="flex gap-2">
+                <Button
+                  color="danger"
+                  isLoading={totpLoading}
+                  size="sm"
+                  variant="flat"
+                  onPress={() => handleTotpReauthAction("disable")}
+                >
+                  Disable 2FA
+                </Button>
+                <Button
+                  isDisabled={totpLoading}
+                  size="sm"
+                  variant="flat"
+                  onPress={() => handleTotpReauthAction("recovery-codes")}
+                >
+                  New Recovery Codes
+                </Button>
+              </div>
+            </>
+          ) : totpSetup ? (
+            <>
+              <p className="text-sm text-default-500">
+                Scan this QR code with your authenticator app, then enter the
+                6-digit code it shows.
+              </p>
+              <div className="self-center rounded-lg bg-white p-3">
+                <QRCodeSVG size={160} value={totpSetup.otpauthUrl} />
+              </div>
+              <Input
+                isReadOnly
+                description="Or enter this key manually"
+                label="Secret Key"
+                value={totpSetup.secret}
+              />
+              <Input
+                inputMode="numeric"
+                label="Authentication Code"
+                maxLength={6}
+                placeholder="123456"
+                value={totpCode}
+                onValueChange={setTotpCode}
+              />
+              {totpMsg && <p className="text-sm text-default-500">{totpMsg}</p>}
+              <div className="flex gap-2">
+                <Button
+                  color="primary"
+                  isLoading={totpLoading}
+                  size="sm"
+                  onPress={handleTotpEnable}
+                >
+                  Verify &amp; Enable
+                </Button>
+                <Button
+                  size="sm"
+                  variant="flat"
+                  onPress={() => setTotpSetup(null)}
+                >
+                  Cancel
+                </Button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-sm text-default-500">
+                Require a code from an authenticator app in addition to your
+                password when signing in.
+              </p>
+              {totpMsg && <p className="text-sm text-default-500">{totpMsg}</p>}
+              <Button
+                className="self-start"
+                color="primary"
+                isLoading={totpLoading}
+                size="sm"
+                onPress={handleTotpSetup}
+              >
+                Enable 2FA
+              </Button>
+            </>
+          )}
+        </CardBody>
+      </Card>
+
+      {/* API Keys */}
+      <Card>
+        <CardHeader>
+          <h3 className="font-semibold">API Keys</h3>
+        </CardHeader>
+        <CardBody className="gap-4">
+          <p className="text-sm text-default-500">
+            Personal keys for scripts. Send them as{" "}
+            <code>Authorization: Bearer &lt;key&gt;</code>. A key can only
+            access what its scopes allow.
+          </p>
+          {createdKey && (
+            <div className="flex flex-col gap-2 rounded-lg bg-warning-50 p-3 text-sm text-warning-700">
+              <p>Copy your new key now. It will not be shown again.</p>
+              <Snippet hideSymbol size="sm" variant="flat">
+                {createdKey}
+              </Snippet>
+            </div>
+          )}
+          {apiKeys.length > 0 && (
+            <div className="divide-y divide-default-100">
+              {apiKeys.map((k) => (
+                <div
+                  key={k.id}
+                  className="flex items-center justify-between gap-4 py-2"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium">
+                      {k.name}{" "}
+                      <span className="font-mono text-default-400">
+                        {k.key_prefix}…
+                      </span>
+                    </p>
+                    <p className="text-xs text-default-400">
+                      {k.scopes.join(", ")} · Last used{" "}
+                      {k.last_used_at
+                        ? new Date(k.last_used_at).toLocaleString("en-US")
+                        : "never"}
+                      {k.expires_at &&
+                        ` · Expires ${new Date(k.expires_at).toLocaleDateString("en-US")}`}
+                    </p>
+                  </div>
+                  <Button
+                    color="danger"
+                    size="sm"
+                    variant="light"
+                    onPress={() => handleRevokeApiKey(k.id)}
+                  >
+                    Revoke
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+          <Input
+            label="Key Name"
+            placeholder="Quant notebook"
+            value={newKeyName}
+            onValueChange={setNewKeyName}
+          />
+          <Select
+            label="Scopes"
+            selectedKeys={newKeyScopes}
+            selectionMode="multiple"
+            onSelectionChange={(keys) =>
+              setNewKeyScopes(Array.from(keys) as string[])
+            }
+          >
+            {apiKeyScopes.map((scope) => (
+              <SelectItem key={scope}>{scope}</SelectItem>
+            ))}
+          </Select>
+          <Input
+            description="Leave empty for a key that never expires"
+            label="Expires in (days)"
+            type="number"
+            value={newKeyExpiry}
+            onValueChange={setNewKeyExpiry}
+          />
+          {apiKeyMsg && <p className="text-sm text-default-500">{apiKeyMsg}</p>}
+          <Button
+            className="self-start"
+            color="primary"
+            isDisabled={!newKeyName || newKeyScopes.length === 0}
+            isLoading={apiKeyLoading}
+            size="sm"
+            onPress={handleCreateApiKey}
+          >
+            Create Key
+          </Button>
+        </CardBody>
+      </Card>
+
+      {/* Notifications */}
+      <Card>
+        <CardHeader>
+          <h3 className="font-semibold">Notifications</h3>
+        </CardHeader>
+        <CardBody className="gap-4">
+          {notifPrefs && (
+            <>
+              <Switch
+                isSelected={!!notifPrefs.in_app_enabled}
+                size="sm"
+                onValueChange={(v) =>
+                  setNotifPrefs({ ...notifPrefs, in_app_enabled: v ? 1 : 0 })
+                }
+              >
+                In-app inbox
+              </Switch>
+              <Switch
+                isSelected={!!notifPrefs.email_enabled}
+                size="sm"
+                onValueChange={(v) =>
+                  setNotifPrefs({ ...notifPrefs, email_enabled: v ? 1 : 0 })
+                }
+              >
+                Email
+              </Switch>
+              <Switch
+                isSelected={!!notifPrefs.webhook_enabled}
+                size="sm"
+                onValueChange={(v) =>
+                  setNotifPrefs({ ...notifPrefs, webhook_enabled: v ? 1 : 0 })
+                }
+              >
+                Webhook
+              </Switch>
+              <Input
+                label="Webhook URL"
+                placeholder="https://example.com/hooks/coinrisqlab"
+                value={webhookUrl}
+                onValueChange={setWebhookUrl}
+              />
+              {notifPrefs.webhook_secret && (
+                <div className="flex items-end gap-2">
+                  <Input
+                    isReadOnly
+                    description="Requests are signed with HMAC-SHA256 in the X-CoinRisqLab-Signature header"
+                    label="Signing Secret"
+                    value={notifPrefs.webhook_secret}
+                  />
+                  <Button size="sm" variant="flat" onPress={handleRotateSecret}>
+                    Rotate
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+          {notifMsg && <p className="text-sm text-default-500">{notifMsg}</p>}
+          <div className="flex gap-2">
+            <Button
+              color="primary"
+              isLoading={notifLoading}
+              size="sm"
+              onPress={handleNotifSave}
+            >
+              Save
+            </Button>
+            <Button size="sm" variant="flat" onPress={handleTestNotification}>
+              Send Test
+            </Button>
+          </div>
+        </CardBody>
+      </Card>
+
       {/* Subscription */}
       <Card>
         <CardHeader>
@@ -181,13 +982,23 @@ export default function SettingsPage() {
         <CardBody className="gap-4">
           <div className="flex items-center gap-3">
             <span className="text-sm">Current plan:</span>
-            <Chip
-              color={user?.plan === "pro" ? "warning" : "default"}
-              variant="flat"
-            >
-              {user?.plan === "pro" ? "Pro" : "Free"}
+            <Chip color={isPro ? "warning" : "default"} variant="flat">
+              {entitlements?.label ?? "Free"}
             </Chip>
           </div>
+          {entitlements?.reason && (
+            <p className="text-sm text-danger">{entitlements.reason}</p>
+          )}
+          {user?.trialEndsAt && new Date(user.trialEndsAt) > new Date() && (
+            <p className="text-sm text-success">
+              Free trial ends on{" "}
+              {new Date(user.trialEndsAt).toLocaleDateString("en-US", {
+                year: "numeric",
+                month: "long",
+                day: "numeric",
+              })}
+            </p>
+          )}
           {user?.planExpiresAt && (
             <p className="text-sm text-default-500">
               Renews on{" "}
@@ -198,7 +1009,7 @@ export default function SettingsPage() {
               })}
             </p>
           )}
-          {user?.plan === "pro" ? (
+          {hasSubscription ? (
             <Button
               isLoading={portalLoading}
               size="sm"
@@ -218,6 +1029,124 @@ export default function SettingsPage() {
               Upgrade to Pro
             </Button>
           )}
+          {invoices.length > 0 && (
+            <div className="space-y-2">
+              <p className="text-sm font-medium">Invoice history</p>
+              <div className="divide-y divide-default-100">
+                {invoices.map((invoice) => (
+                  <div
+                    key={invoice.id}
+                    className="flex items-center justify-between gap-4 py-2"
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium">
+                        {formatStripeAmount(invoice.total, invoice.currency)}
+                      </p>
+                      <p className="text-xs text-default-400">
+                        {invoice.number ?? invoice.id} ·{" "}
+                        {new Date(invoice.created).toLocaleDateString("en-US")}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Chip
+                        color={
+                          invoice.status === "paid" ? "success" : "default"
+                        }
+                        size="sm"
+                        variant="flat"
+                      >
+                        {invoice.status}
+                      </Chip>
+                      {invoice.hostedInvoiceUrl && (
+                        <Button
+                          as="a"
+                          href={invoice.hostedInvoiceUrl}
+                          rel="noopener noreferrer"
+                          size="sm"
+                          target="_blank"
+                          variant="light"
+                        >
+                          View
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </CardBody>
+      </Card>
+
+      {/* Privacy & Data */}
+      <Card>
+        <CardHeader>
+          <h3 className="font-semibold">Privacy &amp; Data</h3>
+        </CardHeader>
+        <CardBody className="gap-4">
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-default-500">
+              Download your profile, portfolios, transactions, alerts and
+              analytics history as JSON.
+            </p>
+            <Button size="sm" variant="flat" onPress={handleExportData}>
+              Download My Data
+            </Button>
+          </div>
+          {user?.deletionScheduledAt ? (
+            <div className="flex flex-col gap-2 rounded-lg bg-danger-50 p-3 text-sm text-danger">
+              <p>
+                Your account and all its data will be permanently deleted on{" "}
+                {new Date(user.deletionScheduledAt).toLocaleDateString(
+                  "en-US",
+                  { year: "numeric", month: "long", day: "numeric" },
+                )}
+                .
+              </p>
+              <Button
+                className="self-start"
+                color="danger"
+                isLoading={deleteLoading}
+                size="sm"
+                variant="flat"
+                onPress={handleRestoreAccount}
+              >
+                Cancel Deletion
+              </Button>
+            </div>
+          ) : (
+            <>
+              <p className="text-sm text-default-500">
+                Deleting your account cancels your subscription and signs out
+                all devices. Your data is permanently erased after 30 days; you
+                can cancel until then by signing in again.
+              </p>
+              <Input
+                label="Password"
+                type="password"
+                value={deletePassword}
+                onValueChange={setDeletePassword}
+              />
+              {user?.twoFactorEnabled && (
+                <Input
+                  label="Authentication or recovery code"
+                  value={deleteCode}
+                  onValueChange={setDeleteCode}
+                />
+              )}
+              <Button
+                className="self-start"
+                color="danger"
+                isDisabled={!deletePassword}
+                isLoading={deleteLoading}
+                size="sm"
+                onPress={handleDeleteAccount}
+              >
+                Delete Account
+              </Button>
+            </>
+          )}
+          {deleteMsg && <p className="text-sm text-default-500">{deleteMsg}</p>}
         </CardBody>
       </Card>
     </div>
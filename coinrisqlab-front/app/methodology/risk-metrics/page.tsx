@@ -18,6 +18,7 @@ import {
   Target,
   Activity,
   Gauge,
+  Scale,
 } from "lucide-react";
 
 import { Math } from "@/components/math";
@@ -34,10 +35,12 @@ const RISK_METRICS_SECTIONS = [
   "alpha",
   "correlation",
   "sharpe",
+  "performance-ratios",
   "sml",
   "skewness",
   "kurtosis",
   "stress-test",
+  "drawdown",
   "moving-average",
   "rsi",
   "parameters",
@@ -167,6 +170,16 @@ export default function RiskMetricsMethodologyPage() {
                 >
                   Sharpe Ratio
                 </Button>
+                <Button
+                  className="justify-start pl-6"
+                  size="sm"
+                  variant={
+                    activeSection === "performance-ratios" ? "flat" : "light"
+                  }
+                  onPress={() => scrollToSection("performance-ratios")}
+                >
+                  Performance Ratios
+                </Button>
                 <Button
                   className="justify-start"
                   size="sm"
@@ -199,6 +212,14 @@ export default function RiskMetricsMethodologyPage() {
                 >
                   Stress Test
                 </Button>
+                <Button
+                  className="justify-start"
+                  size="sm"
+                  variant={activeSection === "drawdown" ? "flat" : "light"}
+                  onPress={() => scrollToSection("drawdown")}
+                >
+                  Drawdown
+                </Button>
                 <Button
                   className="justify-start"
                   size="sm"
@@ -259,11 +280,11 @@ export default function RiskMetricsMethodologyPage() {
               </p>
               <p className="text-default-600 mb-4">
                 <strong>Beta is computed in two flavours</strong> persisted
-                side-by-side: a <em>statistical</em> beta on log returns over
-                a 365-day window (used everywhere a market-sensitivity number
-                is displayed), and an <em>economic</em> beta on simple
-                returns over a 90-day window (consumed by the SML formula
-                so β and the market return live in the same return space).
+                side-by-side: a <em>statistical</em> beta on log returns over a
+                365-day window (used everywhere a market-sensitivity number is
+                displayed), and an <em>economic</em> beta on simple returns over
+                a 90-day window (consumed by the SML formula so β and the market
+                return live in the same return space).
               </p>
               <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-6">
                 <div className="text-center p-4 bg-success/10 rounded-lg">
@@ -308,11 +329,11 @@ export default function RiskMetricsMethodologyPage() {
               </div>
               <p className="text-default-600 mb-6">
                 Descriptive distribution metrics (volatility, skewness,
-                kurtosis, statistical beta) are estimated on logarithmic
-                returns for statistical stability. Economic-interpretation
-                and portfolio-risk metrics (performance, VaR, CVaR, stress
-                tests, SML) are computed on simple returns or PnL so the
-                output reads as an actual gain or loss.
+                kurtosis, statistical beta) are estimated on logarithmic returns
+                for statistical stability. Economic-interpretation and
+                portfolio-risk metrics (performance, VaR, CVaR, stress tests,
+                SML) are computed on simple returns or PnL so the output reads
+                as an actual gain or loss.
               </p>
 
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -1209,6 +1230,111 @@ export default function RiskMetricsMethodologyPage() {
             </CardBody>
           </Card>
 
+          {/* Performance Ratios Section */}
+          <Card id="performance-ratios">
+            <CardBody className="p-8">
+              <div className="flex items-center justify-center sm:justify-start gap-3 mb-4">
+                <Scale className="w-6 h-6 text-primary" />
+                <h2 className="text-2xl font-bold text-center sm:text-left">
+                  Performance Ratios
+                </h2>
+              </div>
+              <p className="text-default-600 mb-6">
+                Sharpe treats every deviation from the mean as risk. These
+                ratios look at risk from other angles: losses only, the worst
+                drawdown, market exposure, or the distance to the CoinRisqLab
+                80.
+              </p>
+
+              <div className="space-y-6">
+                <div className="bg-default-50 p-6 rounded-lg">
+                  <h3 className="text-xl font-bold mb-3">Downside Ratios</h3>
+                  <div className="bg-default-100 p-4 rounded-lg text-center mb-4">
+                    <Math display>
+                      {
+                        "\\text{Sortino} = \\frac{\\bar{r} - \\text{MAR}}{\\sqrt{\\frac{1}{n}\\sum \\min(r_t - \\text{MAR}, 0)^2}} \\sqrt{365}"
+                      }
+                    </Math>
+                  </div>
+                  <div className="bg-default-100 p-4 rounded-lg text-center mb-4">
+                    <Math display>
+                      {
+                        "\\text{Calmar} = \\frac{365\\,\\bar{r}}{\\text{MDD}} \\qquad \\Omega = \\frac{\\sum \\max(r_t - \\text{MAR}, 0)}{\\sum \\max(\\text{MAR} - r_t, 0)}"
+                      }
+                    </Math>
+                  </div>
+                  <div className="text-default-600 space-y-2">
+                    <p>
+                      <Math>{"\\text{MAR}"}</Math> = Minimum acceptable return,
+                      annual (0% by default), converted to a daily rate
+                    </p>
+                    <p>
+                      <Math>{"\\text{MDD}"}</Math> = Max drawdown over the same
+                      window (see Drawdown)
+                    </p>
+                    <p className="text-sm text-default-500 mt-3">
+                      Sortino only counts returns below the MAR as risk, so
+                      large up moves do not lower the score. Omega above 1 means
+                      the gains above the MAR outweigh the shortfalls below it.
+                    </p>
+                  </div>
+                </div>
+
+                <div className="bg-default-50 p-6 rounded-lg">
+                  <h3 className="text-xl font-bold mb-3">
+                    Market-Relative Ratios
+                  </h3>
+                  <div className="bg-default-100 p-4 rounded-lg text-center mb-4">
+                    <Math display>
+                      {
+                        "\\text{Treynor} = \\frac{365\\,\\bar{r} - R_f}{\\beta} \\qquad \\text{IR} = \\frac{365\\,\\overline{(r - r_m)}}{\\text{TE}}, \\quad \\text{TE} = \\sigma(r - r_m)\\sqrt{365}"
+                      }
+                    </Math>
+                  </div>
+                  <div className="text-default-600 space-y-2">
+                    <p>
+                      <Math>{"\\beta"}</Math> = Beta vs the CoinRisqLab 80 over
+                      the same window
+                    </p>
+                    <p>
+                      <Math>{"r_m"}</Math> = Daily log return of the CoinRisqLab
+                      80
+                    </p>
+                    <p className="text-sm text-default-500 mt-3">
+                      Treynor rewards return per unit of market risk only; the
+                      tracking error (TE) measures how far the asset strays from
+                      the index and the Information Ratio (IR) how much excess
+                      return each unit of that deviation brings.
+                    </p>
+                  </div>
+                </div>
+
+                <div className="bg-default-50 p-6 rounded-lg">
+                  <h3 className="text-xl font-bold mb-3">Our Implementation</h3>
+                  <ul className="list-disc list-inside text-default-600 space-y-2">
+                    <li>
+                      Same <strong>365 days</strong> of daily log returns as the
+                      Sharpe Ratio, risk-free rate <strong>0%</strong>
+                    </li>
+                    <li>
+                      Treynor, tracking error and Information Ratio use the days
+                      for which the index has a return
+                    </li>
+                    <li>
+                      A ratio is shown as N/A when undefined: no return below
+                      the MAR (Sortino, Omega), no drawdown (Calmar) or a zero
+                      beta (Treynor)
+                    </li>
+                    <li>
+                      Historized daily per crypto; portfolio ratios are computed
+                      live and let you pick the MAR
+                    </li>
+                  </ul>
+                </div>
+              </div>
+            </CardBody>
+          </Card>
+
           {/* SML Section */}
           <Card id="sml">
             <CardBody className="p-8">
@@ -1717,6 +1843,75 @@ export default function RiskMetricsMethodologyPage() {
             </CardBody>
           </Card>
 
+          {/* Drawdown Section */}
+          <Card id="drawdown">
+            <CardBody className="p-8">
+              <div className="flex items-center justify-center sm:justify-start gap-3 mb-4">
+                <TrendingDown className="w-6 h-6 text-danger" />
+                <h2 className="text-2xl font-bold text-center sm:text-left">
+                  Drawdown
+                </h2>
+              </div>
+              <p className="text-default-600 mb-6">
+                A drawdown is the decline from the highest value reached so far.
+                Unlike volatility, it depends on the order of returns: it
+                measures the loss an investor who bought at the top actually
+                sits on, and how long it takes to get back to that top.
+              </p>
+
+              <div className="space-y-6">
+                <div className="bg-danger/5 p-6 rounded-lg border-l-4 border-danger">
+                  <h3 className="text-xl font-bold mb-3">Formula</h3>
+                  <p className="text-default-600 mb-3 text-sm">
+                    The price path is rebuilt from cumulated daily log returns,
+                    then compared to its running peak:
+                  </p>
+                  <div className="bg-content1 p-4 rounded-lg mb-3">
+                    <Math display>
+                      {
+                        "V_t = \\exp\\left(\\sum_{s \\le t} r_s\\right), \\quad \\text{DD}_t = 1 - \\frac{V_t}{\\max_{s \\le t} V_s}"
+                      }
+                    </Math>
+                  </div>
+                  <div className="bg-content1 p-4 rounded-lg">
+                    <Math display>{"\\text{MDD} = \\max_t \\text{DD}_t"}</Math>
+                    <div className="text-xs text-default-500 mt-2">
+                      The series of <Math>{"\\text{DD}_t"}</Math> is the{" "}
+                      <strong>underwater curve</strong>. Crypto drawdowns are
+                      computed over a trailing <strong>365-day</strong> window,
+                      like the VaR; portfolio drawdowns use the time-weighted
+                      return series, so deposits and withdrawals are neither
+                      losses nor recoveries.
+                    </div>
+                  </div>
+                </div>
+
+                <div className="bg-default-50 p-6 rounded-lg">
+                  <h3 className="text-xl font-bold mb-3">Reported Figures</h3>
+                  <ul className="list-disc pl-5 space-y-2 text-sm text-default-600">
+                    <li>
+                      <strong>Max drawdown</strong>: deepest peak-to-trough
+                      decline of the window, with its peak and trough dates
+                    </li>
+                    <li>
+                      <strong>Current drawdown</strong>: distance from the
+                      running peak today, and the days spent below it
+                    </li>
+                    <li>
+                      <strong>Time to recovery</strong>: days from the trough of
+                      the max drawdown back to its previous peak (none while it
+                      has not recovered)
+                    </li>
+                    <li>
+                      <strong>Longest duration</strong>: longest
+                      peak-to-recovery episode, the ongoing one included
+                    </li>
+                  </ul>
+                </div>
+              </div>
+            </CardBody>
+          </Card>
+
           {/* Moving Average Section */}
           <Card id="moving-average">
             <CardBody className="p-8">
@@ -1728,9 +1923,9 @@ export default function RiskMetricsMethodologyPage() {
               </div>
               <p className="text-default-600 mb-6">
                 The 90-day Simple Moving Average (SMA) smooths daily close
-                prices into a single trend line. It is used as a long-term
-                trend filter: a price trading above its 90d MA signals a
-                bullish regime, below it a bearish regime.
+                prices into a single trend line. It is used as a long-term trend
+                filter: a price trading above its 90d MA signals a bullish
+                regime, below it a bearish regime.
               </p>
 
               <div className="space-y-6">
@@ -1750,12 +1945,12 @@ export default function RiskMetricsMethodologyPage() {
                   <p className="text-default-600 mt-4 text-sm">
                     The first MA is computed once a crypto has at least
                     <strong> 7 daily closes</strong>, with the window growing
-                    from 7 up to 90 days as history accumulates and then
-                    staying capped at 90. The actual window used for each
-                    point is persisted alongside the value in{" "}
-                    <code>crypto_moving_averages.window_days</code>, so a
-                    young crypto&apos;s early MA can be told apart from a
-                    fully-seeded one.
+                    from 7 up to 90 days as history accumulates and then staying
+                    capped at 90. The actual window used for each point is
+                    persisted alongside the value in{" "}
+                    <code>crypto_moving_averages.window_days</code>, so a young
+                    crypto&apos;s early MA can be told apart from a fully-seeded
+                    one.
                   </p>
                 </div>
 
@@ -1810,10 +2005,10 @@ export default function RiskMetricsMethodologyPage() {
                 <div className="bg-warning/5 p-6 rounded-lg border-l-4 border-warning">
                   <h3 className="text-xl font-bold mb-3">Caveats</h3>
                   <p className="text-default-600 text-sm">
-                    The SMA is a <strong>lagging</strong> indicator: it
-                    reacts to past prices, not future ones, and never spots a
-                    turning point in real time. It also gives equal weight to
-                    each of the 90 days, so a single old day still influences
+                    The SMA is a <strong>lagging</strong> indicator: it reacts
+                    to past prices, not future ones, and never spots a turning
+                    point in real time. It also gives equal weight to each of
+                    the 90 days, so a single old day still influences
                     today&apos;s value as much as yesterday&apos;s.
                   </p>
                 </div>
@@ -1832,18 +2027,17 @@ export default function RiskMetricsMethodologyPage() {
               </div>
               <p className="text-default-600 mb-6">
                 The Relative Strength Index (Wilder, 1978) is a momentum
-                oscillator bounded between 0 and 100. It compares the
-                magnitude of recent gains to recent losses over a 14-day
-                window and is the standard short-term overbought / oversold
-                indicator.
+                oscillator bounded between 0 and 100. It compares the magnitude
+                of recent gains to recent losses over a 14-day window and is the
+                standard short-term overbought / oversold indicator.
               </p>
 
               <div className="space-y-6">
                 <div className="bg-warning/5 p-6 rounded-lg border-l-4 border-warning">
                   <h3 className="text-xl font-bold mb-3">Formula</h3>
                   <p className="text-default-600 mb-3 text-sm">
-                    For each day, split the daily price change into a gain
-                    and a loss component:
+                    For each day, split the daily price change into a gain and a
+                    loss component:
                   </p>
                   <div className="bg-content1 p-4 rounded-lg mb-3">
                     <Math display>
@@ -1853,9 +2047,9 @@ export default function RiskMetricsMethodologyPage() {
                     </Math>
                   </div>
                   <p className="text-default-600 mb-3 text-sm">
-                    Seed the average gain and loss with a 14-day simple
-                    average, then apply Wilder&apos;s smoothing
-                    (exponential, recursion of order 14):
+                    Seed the average gain and loss with a 14-day simple average,
+                    then apply Wilder&apos;s smoothing (exponential, recursion
+                    of order 14):
                   </p>
                   <div className="bg-content1 p-4 rounded-lg mb-3">
                     <Math display>
@@ -1874,13 +2068,13 @@ export default function RiskMetricsMethodologyPage() {
                       }
                     </Math>
                     <div className="text-xs text-default-500 mt-2">
-                      Where <Math>{"n = 14"}</Math> trading days. The first
-                      RSI requires <strong>15 daily closes</strong> (14 daily
-                      changes for the seed + 1 prior price). Edge cases:
-                      when both averages are zero (flat price across the
-                      window) the RSI defaults to <strong>50</strong>; when
-                      only <Math>{"\\overline{l}_t = 0"}</Math> it saturates
-                      at <strong>100</strong>; when only{" "}
+                      Where <Math>{"n = 14"}</Math> trading days. The first RSI
+                      requires <strong>15 daily closes</strong> (14 daily
+                      changes for the seed + 1 prior price). Edge cases: when
+                      both averages are zero (flat price across the window) the
+                      RSI defaults to <strong>50</strong>; when only{" "}
+                      <Math>{"\\overline{l}_t = 0"}</Math> it saturates at{" "}
+                      <strong>100</strong>; when only{" "}
                       <Math>{"\\overline{g}_t = 0"}</Math> it saturates at{" "}
                       <strong>0</strong>.
                     </div>
@@ -1907,8 +2101,8 @@ export default function RiskMetricsMethodologyPage() {
                             </Chip>
                           </td>
                           <td className="py-2 px-3 text-default-600">
-                            Recent losses dominate — possible buying
-                            opportunity (mean reversion)
+                            Recent losses dominate — possible buying opportunity
+                            (mean reversion)
                           </td>
                         </tr>
                         <tr className="border-b border-default-100">
@@ -1943,8 +2137,8 @@ export default function RiskMetricsMethodologyPage() {
                   <p className="text-default-600 text-sm">
                     In a strong trend the RSI can stay above 70 (or below 30)
                     for weeks without a reversal — the &quot;overbought&quot;
-                    label does not mean &quot;sell now.&quot; The RSI works
-                    best in range-bound markets and as a confirmation signal
+                    label does not mean &quot;sell now.&quot; The RSI works best
+                    in range-bound markets and as a confirmation signal
                     alongside trend-following indicators (e.g. the 90d MA).
                   </p>
                 </div>
@@ -1973,7 +2167,7 @@ export default function RiskMetricsMethodologyPage() {
                   <tbody>
                     <tr className="border-b border-default-200">
                       <td className="py-3 px-4 font-semibold">
-                        VaR / Beta / Sharpe Window
+                        VaR / Beta / Sharpe / Ratios / Drawdown Window
                       </td>
                       <td className="py-3 px-4">
                         <Chip color="primary" size="sm">
@@ -2031,7 +2225,8 @@ export default function RiskMetricsMethodologyPage() {
                         </Chip>
                       </td>
                       <td className="py-3 px-4 text-default-600">
-                        Volatility, skewness, kurtosis, beta (statistical, 365d), correlation, Sharpe
+                        Volatility, skewness, kurtosis, beta (statistical,
+                        365d), correlation, Sharpe
                       </td>
                     </tr>
                     <tr className="border-b border-default-200">
@@ -2044,7 +2239,8 @@ export default function RiskMetricsMethodologyPage() {
                         </Chip>
                       </td>
                       <td className="py-3 px-4 text-default-600">
-                        VaR, CVaR, SML (uses beta simple, 90d), min/max/mean return
+                        VaR, CVaR, SML (uses beta simple, 90d), min/max/mean
+                        return
                       </td>
                     </tr>
                     <tr className="border-b border-default-200">
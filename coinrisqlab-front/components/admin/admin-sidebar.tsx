@@ -23,12 +23,14 @@ import {
   PieChart,
   Users,
   Coins,
+  CreditCard,
 } from "lucide-react";
 
 const NAV_ITEMS = [
   { key: "Dashboard", href: "", icon: LayoutDashboard },
   { key: "News", href: "/news", icon: Newspaper },
   { key: "Users", href: "/users", icon: Users },
+  { key: "Stripe Events", href: "/stripe-events", icon: CreditCard },
 ];
 
 const METRICS_NAV_ITEMS = [
@@ -0,0 +1,95 @@
+"use client";
+
+import type { AlertEvent, AlertDeliveryStatus } from "@/types/user";
+
+import { Chip } from "@heroui/chip";
+
+import { formatCryptoPrice } from "@/lib/formatters";
+
+const DELIVERY_COLORS: Record<
+  AlertDeliveryStatus,
+  "success" | "warning" | "danger" | "default"
+> = {
+  sent: "success",
+  pending: "warning",
+  failed: "danger",
+  not_sent: "default",
+};
+
+const DELIVERY_LABELS: Record<AlertDeliveryStatus, string> = {
+  sent: "Delivered",
+  pending: "Retrying",
+  failed: "Failed",
+  not_sent: "Not sent",
+};
+
+/** Price alerts are in USD, every other alert type is a percentage. */
+export function formatAlertValue(
+  alertType: AlertEvent["alert_type"],
+  value: number,
+): string {
+  if (alertType === "price") return formatCryptoPrice(value);
+
+  return `${Number(value).toFixed(2)}%`;
+}
+
+export function AlertEventsList({
+  events,
+  showCrypto = true,
+}: {
+  events: AlertEvent[];
+  showCrypto?: boolean;
+}) {
+  if (events.length === 0) {
+    return (
+      <p className="text-sm text-default-400 text-center py-6">
+        No triggers yet
+      </p>
+    );
+  }
+
+  return (
+    <div className="divide-y divide-default-100">
+      {events.map((e) => {
+        const channels = Object.entries(e.delivery_channels)
+          .map(([channel, status]) => `${channel}: ${status}`)
+          .join(", ");
+
+        return (
+          <div
+            key={e.id}
+            className="flex items-center justify-between gap-4 py-2"
+          >
+            <div className="min-w-0">
+              <p className="text-sm font-medium">
+                {showCrypto && (
+                  <span className="mr-2">{e.symbol ?? e.portfolio_name}</span>
+                )}
+                <span className="font-mono">
+                  {formatAlertValue(e.alert_type, e.observed_value)}
+                </span>
+                <span className="text-default-400">
+                  {" "}
+                  {e.direction}{" "}
+                  {formatAlertValue(e.alert_type, e.threshold_value)}
+                </span>
+              </p>
+              <p className="text-xs text-default-400">
+                {e.alert_type} ·{" "}
+                {new Date(e.triggered_at).toLocaleString("en-US")}
+              </p>
+            </div>
+            <Chip
+              color={DELIVERY_COLORS[e.delivery_status]}
+              size="sm"
+              title={channels || "In-app only"}
+              variant="flat"
+            >
+              {DELIVERY_LABELS[e.delivery_status]}
+            </Chip>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
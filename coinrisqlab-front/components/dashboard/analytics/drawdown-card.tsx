@@ -0,0 +1,227 @@
+"use client";
+
+import type { PortfolioDrawdown } from "@/types/user";
+
+import { useEffect, useState } from "react";
+import { Card, CardBody } from "@heroui/card";
+import { Skeleton } from "@heroui/skeleton";
+import { Tabs, Tab } from "@heroui/tabs";
+import { TrendingDown } from "lucide-react";
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+
+import { API_BASE_URL } from "@/config/constants";
+import { MetricHelp } from "@/components/dashboard/metric-help";
+
+const PERIODS = ["30d", "90d", "365d", "all"];
+
+const formatDate = (date: string | null) =>
+  date
+    ? new Date(date).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      })
+    : "—";
+
+interface DrawdownCardProps {
+  portfolioId: number;
+}
+
+export function DrawdownCard({ portfolioId }: DrawdownCardProps) {
+  const [result, setResult] = useState<PortfolioDrawdown | null>(null);
+  const [period, setPeriod] = useState("365d");
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchDrawdown() {
+      setLoading(true);
+      try {
+        const res = await fetch(
+          `${API_BASE_URL}/user/portfolios/${portfolioId}/drawdown?period=${period}`,
+          { credentials: "include" },
+        );
+        const json = await res.json();
+
+        setResult(json.data);
+      } catch {
+        // ignore
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchDrawdown();
+  }, [portfolioId, period]);
+
+  if (loading && !result) {
+    return <Skeleton className="h-96 rounded-xl" />;
+  }
+
+  if (!result) return null;
+
+  const indexByDate = new Map(
+    result.index.underwater.map((u) => [u.date, -u.drawdown]),
+  );
+  const chartData = result.underwater.map((u) => ({
+    date: u.date,
+    portfolio: -u.drawdown,
+    index: indexByDate.get(u.date) ?? null,
+  }));
+
+  return (
+    <Card>
+      <CardBody className="p-6">
+        <div className="flex flex-wrap items-center gap-2 mb-5">
+          <TrendingDown className="text-danger" size={20} />
+          <h3 className="font-semibold">Drawdown</h3>
+          <MetricHelp
+            description="Decline of the portfolio from its highest value, on the time-weighted return series: deposits and withdrawals are neither losses nor recoveries. Time to recovery counts the days from the deepest trough back to the previous peak."
+            formula={"DD_t = 1 - \\frac{V_t}{\\max_{s \\le t} V_s}"}
+            title="Drawdown"
+          />
+          {/* The server clamps the period to the plan's history depth */}
+          <Tabs
+            aria-label="Period"
+            className="ml-auto"
+            selectedKey={result.period}
+            size="sm"
+            onSelectionChange={(k) => setPeriod(String(k))}
+          >
+            {PERIODS.map((p) => (
+              <Tab key={p} title={p === "all" ? "All" : p} />
+            ))}
+          </Tabs>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="text-center p-4 rounded-xl border bg-danger/5 border-danger/10">
+            <p className="text-xs text-default-500 mb-1">Max Drawdown</p>
+            <p className="text-2xl font-bold text-danger">
+              -{result.maxDrawdown.toFixed(2)}%
+            </p>
+            <p className="text-xs text-default-400 mt-1">
+              Index: -{result.index.maxDrawdown.toFixed(2)}%
+            </p>
+          </div>
+          <div className="text-center p-4 rounded-xl border bg-warning/5 border-warning/10">
+            <p className="text-xs text-default-500 mb-1">Current Drawdown</p>
+            <p className="text-2xl font-bold text-warning">
+              -{result.currentDrawdown.toFixed(2)}%
+            </p>
+            <p className="text-xs text-default-400 mt-1">
+              {result.currentDurationDays > 0
+                ? `${result.currentDurationDays} days below peak`
+                : "At its peak"}
+            </p>
+          </div>
+          <div className="text-center p-4 rounded-xl border border-default-200">
+            <p className="text-xs text-default-500 mb-1">Time to Recovery</p>
+            <p className="text-2xl font-bold">
+              {result.maxDrawdown === 0
+                ? "—"
+                : result.recoveryDays != null
+                  ? `${result.recoveryDays}d`
+                  : "Not recovered"}
+            </p>
+            <p className="text-xs text-default-400 mt-1">
+              {result.maxDrawdown > 0
+                ? `${formatDate(result.peakDate)} → ${formatDate(result.troughDate)}`
+                : "No drawdown"}
+            </p>
+          </div>
+          <div className="text-center p-4 rounded-xl border border-default-200">
+            <p className="text-xs text-default-500 mb-1">Longest Drawdown</p>
+            <p className="text-2xl font-bold">{result.longestDurationDays}d</p>
+            <p className="text-xs text-default-400 mt-1">Peak to recovery</p>
+          </div>
+        </div>
+
+        <p className="text-sm text-default-500 mb-2">Underwater curve</p>
+        <div
+          className="transition-opacity"
+          style={{ opacity: loading ? 0.5 : 1 }}
+        >
+          <ResponsiveContainer height={240} width="100%">
+            <ComposedChart data={chartData}>
+              <CartesianGrid opacity={0.1} strokeDasharray="3 3" />
+              <XAxis
+                dataKey="date"
+                fontSize={11}
+                stroke="#888"
+                tickFormatter={(d) =>
+                  new Date(d).toLocaleDateString("en-US", {
+                    month: "short",
+                    day: "numeric",
+                  })
+                }
+                tickLine={false}
+              />
+              <YAxis
+                domain={["dataMin", 0]}
+                fontSize={11}
+                stroke="#888"
+                tickFormatter={(v) => `${Number(v).toFixed(0)}%`}
+                tickLine={false}
+                width={45}
+              />
+              <Tooltip
+                content={({ active, payload }) => {
+                  if (!active || !payload?.length) return null;
+                  const d = payload[0].payload;
+
+                  return (
+                    <div className="bg-content1 border border-default-200 rounded-lg p-3 shadow-lg">
+                      <p className="text-sm text-default-500">
+                        {formatDate(d.date)}
+                      </p>
+                      <p className="text-sm">
+                        <span className="text-danger">Portfolio:</span>{" "}
+                        {d.portfolio.toFixed(2)}%
+                      </p>
+                      {d.index !== null && (
+                        <p className="text-sm">
+                          <span className="text-warning">CoinRisqLab 80:</span>{" "}
+                          {d.index.toFixed(2)}%
+                        </p>
+                      )}
+                    </div>
+                  );
+                }}
+              />
+              <Area
+                dataKey="portfolio"
+                fill="#ef4444"
+                fillOpacity={0.2}
+                isAnimationActive={false}
+                stroke="#ef4444"
+                strokeWidth={2}
+                type="linear"
+              />
+              <Line
+                connectNulls={true}
+                dataKey="index"
+                dot={false}
+                isAnimationActive={false}
+                stroke="#f97316"
+                strokeWidth={1.5}
+                type="linear"
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+        <p className="text-xs text-default-400 mt-2 text-right">
+          {result.dataPoints} days · red: portfolio, orange: CoinRisqLab 80
+        </p>
+      </CardBody>
+    </Card>
+  );
+}
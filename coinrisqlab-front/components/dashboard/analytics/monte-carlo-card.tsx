@@ -0,0 +1,236 @@
+"use client";
+
+import type { MonteCarloResult } from "@/types/user";
+
+import { useEffect, useState } from "react";
+import { Card, CardBody } from "@heroui/card";
+import { Skeleton } from "@heroui/skeleton";
+import { Tabs, Tab } from "@heroui/tabs";
+import { Dices } from "lucide-react";
+import clsx from "clsx";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine,
+  Cell,
+} from "recharts";
+
+import { formatCryptoPrice } from "@/lib/formatters";
+import { API_BASE_URL } from "@/config/constants";
+import { MetricHelp } from "@/components/dashboard/metric-help";
+
+// Signed, compact USD for the P&L axis (e.g. -$1.2K)
+const pnlFormatter = new Intl.NumberFormat("en-US", {
+  style: "currency",
+  currency: "USD",
+  notation: "compact",
+  maximumFractionDigits: 1,
+});
+
+interface MonteCarloCardProps {
+  portfolioId: number;
+}
+
+export function MonteCarloCard({ portfolioId }: MonteCarloCardProps) {
+  const [result, setResult] = useState<MonteCarloResult | null>(null);
+  const [horizon, setHorizon] = useState("1");
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchSimulation() {
+      setLoading(true);
+      try {
+        const res = await fetch(
+          `${API_BASE_URL}/user/portfolios/${portfolioId}/monte-carlo`,
+          { credentials: "include" },
+        );
+        const json = await res.json();
+
+        setResult(json.data);
+      } catch {
+        // ignore
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchSimulation();
+  }, [portfolioId]);
+
+  if (loading) {
+    return <Skeleton className="h-96 rounded-xl" />;
+  }
+
+  if (!result) return null;
+
+  const selected =
+    result.horizons.find((h) => String(h.days) === horizon) ??
+    result.horizons[0];
+  const var95Usd = -(selected.var95 / 100) * result.totalValue;
+  const var99Usd = -(selected.var99 / 100) * result.totalValue;
+
+  return (
+    <Card>
+      <CardBody className="p-6">
+        <div className="flex flex-wrap items-center gap-2 mb-5">
+          <Dices className="text-primary" size={20} />
+          <h3 className="font-semibold">Monte Carlo VaR</h3>
+          <MetricHelp
+            description="Simulated portfolio P&L: correlated daily returns drawn from the holdings' covariance matrix (Cholesky) with fat-tailed Student-t shocks, compounded over each horizon. Seeded, so the same portfolio gives the same result."
+            formula={
+              "r = \\mu + L z \\sqrt{\\tfrac{\\nu - 2}{\\chi^2_\\nu}}\\;;\\; LL^\\top = \\Sigma"
+            }
+            title="Monte Carlo VaR"
+            window="365 days"
+          />
+          <span className="text-xs text-default-400 ml-auto">
+            {result.simulations.toLocaleString()} paths · ν ={" "}
+            {result.degreesOfFreedom.toFixed(1)} · {result.dataPoints}{" "}
+            observations
+          </span>
+        </div>
+
+        <Tabs
+          aria-label="Horizon"
+          className="mb-4"
+          selectedKey={horizon}
+          size="sm"
+          onSelectionChange={(k) => setHorizon(String(k))}
+        >
+          {result.horizons.map((h) => (
+            <Tab key={String(h.days)} title={`${h.days}d`} />
+          ))}
+        </Tabs>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          {[
+            { label: "VaR 95%", value: selected.var95, tone: "danger" },
+            { label: "VaR 99%", value: selected.var99, tone: "danger" },
+            { label: "CVaR 95%", value: selected.cvar95, tone: "warning" },
+            { label: "CVaR 99%", value: selected.cvar99, tone: "warning" },
+          ].map((item) => (
+            <div
+              key={item.label}
+              className={clsx(
+                "text-center p-4 rounded-xl border",
+                item.tone === "warning"
+                  ? "bg-warning/5 border-warning/10"
+                  : "bg-danger/5 border-danger/10",
+              )}
+            >
+              <p className="text-xs text-default-500 mb-1">{item.label}</p>
+              <p
+                className={clsx(
+                  "text-2xl font-bold",
+                  item.tone === "warning" ? "text-warning" : "text-danger",
+                )}
+              >
+                -{item.value.toFixed(2)}%
+              </p>
+              <p
+                className={clsx(
+                  "text-sm font-semibold mt-1",
+                  item.tone === "warning" ? "text-warning" : "text-danger",
+                )}
+              >
+                {`−${formatCryptoPrice((item.value / 100) * result.totalValue)}`}
+              </p>
+            </div>
+          ))}
+        </div>
+
+        <p className="text-sm text-default-500 mb-2">
+          Simulated P&amp;L over {selected.days} day
+          {selected.days > 1 ? "s" : ""} · expected{" "}
+          <span
+            className={
+              selected.expectedReturn >= 0 ? "text-success" : "text-danger"
+            }
+          >
+            {selected.expectedReturn >= 0 ? "+" : ""}
+            {selected.expectedReturn.toFixed(2)}%
+          </span>
+        </p>
+        <ResponsiveContainer height={260} width="100%">
+          <BarChart
+            barCategoryGap={1}
+            data={selected.histogram}
+            margin={{ top: 20, right: 10, left: 0, bottom: 0 }}
+          >
+            <CartesianGrid opacity={0.1} strokeDasharray="3 3" />
+            <XAxis
+              dataKey="binCenter"
+              domain={["dataMin", "dataMax"]}
+              fontSize={11}
+              stroke="#888"
+              tickFormatter={(v) => pnlFormatter.format(v)}
+              tickLine={false}
+              type="number"
+            />
+            <YAxis
+              fontSize={11}
+              stroke="#888"
+              tickFormatter={(v) => `${v}%`}
+              tickLine={false}
+              width={40}
+            />
+            <Tooltip
+              content={({ active, payload }) => {
+                if (!active || !payload?.length) return null;
+                const d = payload[0].payload;
+
+                return (
+                  <div className="bg-content1 border border-default-200 rounded-lg p-3 shadow-lg">
+                    <p className="text-sm text-default-500">
+                      {pnlFormatter.format(d.binStart)} to{" "}
+                      {pnlFormatter.format(d.binEnd)}
+                    </p>
+                    <p className="text-sm">
+                      {d.percentage.toFixed(2)}% of paths
+                    </p>
+                  </div>
+                );
+              }}
+            />
+            <ReferenceLine
+              label={{
+                value: "VaR 95%",
+                position: "top",
+                fill: "#ef4444",
+                fontSize: 11,
+              }}
+              stroke="#ef4444"
+              strokeDasharray="5 5"
+              x={var95Usd}
+            />
+            <ReferenceLine
+              label={{
+                value: "VaR 99%",
+                position: "top",
+                fill: "#dc2626",
+                fontSize: 11,
+              }}
+              stroke="#dc2626"
+              strokeDasharray="5 5"
+              x={var99Usd}
+            />
+            <Bar dataKey="percentage" isAnimationActive={false}>
+              {selected.histogram.map((bin) => (
+                <Cell
+                  key={bin.binStart}
+                  fill={bin.binCenter < var95Usd ? "#ef4444" : "#3b82f6"}
+                  fillOpacity={0.7}
+                />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,184 @@
+"use client";
+
+import type { PortfolioPerformanceRatios } from "@/types/user";
+
+import { useEffect, useState } from "react";
+import { Card, CardBody } from "@heroui/card";
+import { Tabs, Tab } from "@heroui/tabs";
+import { Scale } from "lucide-react";
+import clsx from "clsx";
+
+import { API_BASE_URL } from "@/config/constants";
+import { MetricHelp } from "@/components/dashboard/metric-help";
+
+// Annual minimum acceptable returns offered for Sortino / Omega, in %
+const MAR_OPTIONS = ["0", "5", "10", "20"];
+
+const RATIOS: {
+  key: keyof Omit<PortfolioPerformanceRatios, "minimumAcceptableReturn">;
+  label: string;
+  description: string;
+  formula: string;
+  unit?: string;
+  // Value above which the ratio reads as favourable
+  threshold?: number;
+}[] = [
+  {
+    key: "sortino",
+    label: "Sortino Ratio",
+    description:
+      "Like Sharpe, but only returns below the minimum acceptable return count as risk — upside volatility is not penalized.",
+    formula:
+      "\\mathrm{Sortino} = \\frac{\\mu - \\mathrm{MAR}}{\\sqrt{\\overline{\\min(r - \\mathrm{MAR}, 0)^2}}} \\sqrt{365}",
+  },
+  {
+    key: "calmar",
+    label: "Calmar Ratio",
+    description:
+      "Annualized return divided by the max drawdown over the same window: how much return each point of peak-to-trough loss bought.",
+    formula: "\\mathrm{Calmar} = \\frac{365\\,\\mu}{\\mathrm{MDD}}",
+  },
+  {
+    key: "omega",
+    label: "Omega Ratio",
+    threshold: 1,
+    description:
+      "Sum of the daily gains above the minimum acceptable return divided by the sum of the shortfalls below it. > 1 = gains outweigh losses.",
+    formula:
+      "\\Omega = \\frac{\\sum \\max(r - \\mathrm{MAR}, 0)}{\\sum \\max(\\mathrm{MAR} - r, 0)}",
+  },
+  {
+    key: "treynor",
+    label: "Treynor Ratio",
+    description:
+      "Annualized return per unit of market risk (regression beta vs the CoinRisqLab 80) rather than per unit of total volatility.",
+    formula: "\\mathrm{Treynor} = \\frac{365\\,\\mu - r_f}{\\beta}",
+  },
+  {
+    key: "informationRatio",
+    label: "Information Ratio",
+    description:
+      "Annualized return above the CoinRisqLab 80 divided by the tracking error: how consistently the portfolio beats the index.",
+    formula:
+      "\\mathrm{IR} = \\frac{365\\,\\overline{(r_p - r_m)}}{\\mathrm{TE}}",
+  },
+  {
+    key: "trackingError",
+    label: "Tracking Error",
+    description:
+      "Annualized standard deviation of the daily return difference between the portfolio and the CoinRisqLab 80.",
+    formula: "\\mathrm{TE} = \\sigma(r_p - r_m) \\sqrt{365}",
+    unit: "%",
+  },
+];
+
+interface PerformanceRatiosCardProps {
+  portfolioId: number;
+  ratios: PortfolioPerformanceRatios;
+}
+
+export function PerformanceRatiosCard({
+  portfolioId,
+  ratios: initialRatios,
+}: PerformanceRatiosCardProps) {
+  const [ratios, setRatios] = useState(initialRatios);
+  const [mar, setMar] = useState(String(initialRatios.minimumAcceptableReturn));
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    // The analytics bundle already carries the ratios at the default MAR
+    if (Number(mar) === initialRatios.minimumAcceptableReturn) {
+      setRatios(initialRatios);
+
+      return;
+    }
+
+    async function fetchRatios() {
+      setLoading(true);
+      try {
+        const res = await fetch(
+          `${API_BASE_URL}/user/portfolios/${portfolioId}/risk-metrics?mar=${mar}`,
+          { credentials: "include" },
+        );
+        const json = await res.json();
+
+        if (json.data?.ratios) setRatios(json.data.ratios);
+      } catch {
+        // ignore
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchRatios();
+  }, [portfolioId, mar, initialRatios]);
+
+  return (
+    <Card>
+      <CardBody className="p-6">
+        <div className="flex flex-wrap items-center gap-2 mb-5">
+          <Scale className="text-primary" size={20} />
+          <h3 className="font-semibold">Performance Ratios</h3>
+          <span className="text-xs text-default-400">
+            365 days · vs CoinRisqLab 80
+          </span>
+          <div className="flex items-center gap-2 ml-auto">
+            <span className="text-xs text-default-500">
+              Min. acceptable return
+            </span>
+            <Tabs
+              aria-label="Minimum acceptable return"
+              selectedKey={mar}
+              size="sm"
+              onSelectionChange={(k) => setMar(String(k))}
+            >
+              {MAR_OPTIONS.map((m) => (
+                <Tab key={m} title={`${m}%`} />
+              ))}
+            </Tabs>
+          </div>
+        </div>
+
+        <div
+          className="grid grid-cols-2 md:grid-cols-3 gap-4 transition-opacity"
+          style={{ opacity: loading ? 0.5 : 1 }}
+        >
+          {RATIOS.map((item) => {
+            const value = ratios[item.key];
+
+            return (
+              <div
+                key={item.key}
+                className="text-center p-4 rounded-xl border border-default-200"
+              >
+                <p className="text-xs text-default-500 mb-1">
+                  {item.label}
+                  <MetricHelp
+                    description={item.description}
+                    formula={item.formula}
+                    title={item.label}
+                    window="365 days"
+                  />
+                </p>
+                <p
+                  className={clsx(
+                    "text-2xl font-bold",
+                    value != null &&
+                      !item.unit &&
+                      (value >= (item.threshold ?? 0)
+                        ? "text-success"
+                        : "text-danger"),
+                  )}
+                >
+                  {value != null
+                    ? `${value.toFixed(2)}${item.unit ?? ""}`
+                    : "—"}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,119 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import NextLink from "next/link";
+import { Button } from "@heroui/button";
+import { AlertTriangle, X } from "lucide-react";
+
+import { API_BASE_URL } from "@/config/constants";
+import { useUserAuth } from "@/lib/user-auth-context";
+import { sStorage } from "@/lib/sessionStorage";
+
+const formatDate = (date: string) =>
+  new Date(date).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+/**
+ * Dashboard-wide banner shown while a subscription payment is failing
+ * (past_due / grace) or after the account was downgraded for non-payment.
+ */
+export function BillingBanner() {
+  const { user } = useUserAuth();
+  const [portalLoading, setPortalLoading] = useState(false);
+  const [dismissed, setDismissed] = useState(true);
+
+  useEffect(() => {
+    setDismissed(sStorage.get("BILLING_BANNER_DISMISSED") === "1");
+  }, []);
+
+  if (!user || user.billingStatus === "active") return null;
+  if (user.billingStatus === "downgraded" && dismissed) return null;
+
+  const handleUpdatePayment = async () => {
+    setPortalLoading(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/stripe/create-portal-session`,
+        { method: "POST", credentials: "include" },
+      );
+      const data = await res.json();
+
+      if (data.data?.url) {
+        window.location.href = data.data.url;
+      }
+    } catch {
+      // ignore
+    } finally {
+      setPortalLoading(false);
+    }
+  };
+
+  const handleDismiss = () => {
+    sStorage.set("BILLING_BANNER_DISMISSED", "1");
+    setDismissed(true);
+  };
+
+  const isDowngraded = user.billingStatus === "downgraded";
+
+  let message: string;
+
+  if (user.billingStatus === "past_due") {
+    message =
+      "Your last payment failed. We will retry automatically — update your payment method to keep Pro.";
+  } else if (user.billingStatus === "grace") {
+    message = user.graceEndsAt
+      ? `We could not collect your payment. Pro features remain available until ${formatDate(user.graceEndsAt)}.`
+      : "We could not collect your payment. Pro features will be disabled soon.";
+  } else {
+    message =
+      "Your Pro subscription ended after failed payments. Your account is now on the Free plan.";
+  }
+
+  return (
+    <div
+      className={`flex flex-wrap items-center gap-3 px-4 md:px-6 py-2 text-sm border-b shrink-0 ${
+        isDowngraded
+          ? "bg-default-100 border-default-200 text-default-700"
+          : "bg-warning-50 border-warning-200 text-warning-700"
+      }`}
+      role="alert"
+    >
+      <AlertTriangle className="shrink-0" size={16} />
+      <span className="flex-1 min-w-0">{message}</span>
+      {isDowngraded ? (
+        <>
+          <Button
+            as={NextLink}
+            color="warning"
+            href="/dashboard/pricing"
+            size="sm"
+            variant="flat"
+          >
+            Upgrade again
+          </Button>
+          <button
+            aria-label="Dismiss"
+            className="text-default-400 hover:text-foreground"
+            type="button"
+            onClick={handleDismiss}
+          >
+            <X size={16} />
+          </button>
+        </>
+      ) : (
+        <Button
+          color="warning"
+          isLoading={portalLoading}
+          size="sm"
+          variant="flat"
+          onPress={handleUpdatePayment}
+        >
+          Update payment method
+        </Button>
+      )}
+    </div>
+  );
+}
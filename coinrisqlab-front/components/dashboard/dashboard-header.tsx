@@ -9,9 +9,10 @@ import { LogOut, ExternalLink } from "lucide-react";
 
 import { useUserAuth } from "@/lib/user-auth-context";
 import { ThemeSwitch } from "@/components/theme-switch";
+import { NotificationBell } from "@/components/dashboard/notification-bell";
 
 export function DashboardHeader() {
-  const { user, logout } = useUserAuth();
+  const { user, entitlements, logout } = useUserAuth();
   const router = useRouter();
 
   const handleLogout = async () => {
@@ -37,16 +38,21 @@ export function DashboardHeader() {
         <ThemeSwitch />
         {user && (
           <>
+            <NotificationBell />
             <span className="text-sm text-default-600 hidden sm:inline">
               {user.displayName || user.email}
             </span>
-            <Chip
-              color={user.plan === "pro" ? "warning" : "default"}
-              size="sm"
-              variant="flat"
-            >
-              {user.plan === "pro" ? "Pro" : "Free"}
-            </Chip>
+            {entitlements && (
+              <Chip
+                color={
+                  entitlements.effectivePlan === "pro" ? "warning" : "default"
+                }
+                size="sm"
+                variant="flat"
+              >
+                {entitlements.label}
+              </Chip>
+            )}
           </>
         )}
         <Button
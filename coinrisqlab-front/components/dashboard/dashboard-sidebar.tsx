@@ -1,5 +1,7 @@
 "use client";
 
+import type { PlanFeature } from "@/types/user";
+
 import { useEffect, useState } from "react";
 import { usePathname, useRouter } from "next/navigation";
 import NextLink from "next/link";
@@ -40,7 +42,7 @@ const staticNavItems = [
 export function DashboardSidebar({ mobile = false }: { mobile?: boolean }) {
   const pathname = usePathname();
   const router = useRouter();
-  const { user } = useUserAuth();
+  const { entitlements } = useUserAuth();
   const [portfolios, setPortfolios] = useState<SidebarPortfolio[]>([]);
 
   useEffect(() => {
@@ -88,7 +90,7 @@ export function DashboardSidebar({ mobile = false }: { mobile?: boolean }) {
       label: "Analytics",
       href: analyticsHref,
       icon: BarChart3,
-      pro: true,
+      feature: "advancedAnalytics" as PlanFeature,
       activeMatch: "/analytics",
     },
     staticNavItems[2], // Alerts
@@ -96,7 +98,7 @@ export function DashboardSidebar({ mobile = false }: { mobile?: boolean }) {
       label: "Reports",
       href: "/dashboard/reports",
       icon: FileText,
-      pro: true,
+      feature: "exports" as PlanFeature,
       activeMatch: "/reports",
     },
     staticNavItems[3], // Pricing
@@ -130,8 +132,8 @@ export function DashboardSidebar({ mobile = false }: { mobile?: boolean }) {
       <nav className="flex items-center justify-around border-t border-default-200 bg-background py-2 px-1">
         {mobileItems.map((item) => {
           const Icon = item.icon;
-          const isPro = "pro" in item && item.pro;
-          const isLocked = isPro && user?.plan !== "pro";
+          const feature = "feature" in item ? item.feature : null;
+          const isLocked = !!feature && !entitlements?.features[feature];
           const isActive = isActiveItem(item);
           const isAnalytics = item.label === "Analytics";
           const showDropdown =
@@ -193,8 +195,8 @@ export function DashboardSidebar({ mobile = false }: { mobile?: boolean }) {
       <nav className="flex-1 p-3 space-y-1">
         {navItems.map((item) => {
           const Icon = item.icon;
-          const isPro = "pro" in item && item.pro;
-          const isLocked = isPro && user?.plan !== "pro";
+          const feature = "feature" in item ? item.feature : null;
+          const isLocked = !!feature && !entitlements?.features[feature];
           const isActive = isActiveItem(item);
           const isAnalytics = item.label === "Analytics";
           const showDropdown =
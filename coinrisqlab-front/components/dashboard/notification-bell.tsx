@@ -0,0 +1,114 @@
+"use client";
+
+import type { UserNotification } from "@/types/user";
+
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "@heroui/button";
+import { Popover, PopoverContent, PopoverTrigger } from "@heroui/popover";
+import { Bell } from "lucide-react";
+
+import { API_BASE_URL } from "@/config/constants";
+
+const POLL_INTERVAL_MS = 60_000;
+
+export function NotificationBell() {
+  const [notifications, setNotifications] = useState<UserNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE_URL}/user/notifications`, {
+        credentials: "include",
+      });
+
+      if (res.ok) {
+        const data = await res.json();
+
+        setNotifications(data.data || []);
+        setUnreadCount(data.unreadCount || 0);
+      }
+    } catch {
+      // ignore
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [fetchNotifications]);
+
+  const handleMarkRead = async (id: number) => {
+    await fetch(`${API_BASE_URL}/user/notifications/${id}/read`, {
+      method: "PUT",
+      credentials: "include",
+    });
+    fetchNotifications();
+  };
+
+  const handleMarkAllRead = async () => {
+    await fetch(`${API_BASE_URL}/user/notifications/read-all`, {
+      method: "PUT",
+      credentials: "include",
+    });
+    fetchNotifications();
+  };
+
+  return (
+    <Popover placement="bottom-end">
+      <PopoverTrigger>
+        <Button
+          isIconOnly
+          aria-label="Notifications"
+          className="relative"
+          size="sm"
+          variant="light"
+        >
+          <Bell size={18} />
+          {unreadCount > 0 && (
+            <span className="absolute top-0.5 right-0.5 min-w-4 h-4 px-1 rounded-full bg-danger text-[10px] leading-4 text-white">
+              {unreadCount > 9 ? "9+" : unreadCount}
+            </span>
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="p-0 w-80">
+        <div className="w-full">
+          <div className="flex items-center justify-between px-3 py-2 border-b border-default-200">
+            <span className="text-sm font-semibold">Notifications</span>
+            {unreadCount > 0 && (
+              <Button size="sm" variant="light" onPress={handleMarkAllRead}>
+                Mark all read
+              </Button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="text-sm text-default-400 text-center py-6">
+              No notifications yet
+            </p>
+          ) : (
+            <div className="max-h-96 overflow-y-auto">
+              {notifications.map((n) => (
+                <button
+                  key={n.id}
+                  className={`w-full text-left px-3 py-2 border-b border-default-100 hover:bg-default-100 ${
+                    n.read_at ? "opacity-60" : ""
+                  }`}
+                  type="button"
+                  onClick={() => !n.read_at && handleMarkRead(n.id)}
+                >
+                  <p className="text-sm font-medium">{n.title}</p>
+                  <p className="text-xs text-default-500">{n.body}</p>
+                  <p className="text-[10px] text-default-400 mt-1">
+                    {new Date(n.created_at).toLocaleString()}
+                  </p>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
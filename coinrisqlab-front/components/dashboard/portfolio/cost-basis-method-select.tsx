@@ -0,0 +1,99 @@
+"use client";
+
+import type { CostBasisMethod, Portfolio } from "@/types/user";
+
+import { useEffect, useState } from "react";
+import { Select, SelectItem } from "@heroui/select";
+
+import { API_BASE_URL } from "@/config/constants";
+
+const METHODS: { key: CostBasisMethod; label: string; description: string }[] =
+  [
+    {
+      key: "AVG",
+      label: "Average cost",
+      description: "Running average, reset after a full sell",
+    },
+    { key: "FIFO", label: "FIFO", description: "Oldest lots are sold first" },
+    { key: "LIFO", label: "LIFO", description: "Newest lots are sold first" },
+    {
+      key: "HIFO",
+      label: "HIFO",
+      description: "Highest-cost lots are sold first",
+    },
+  ];
+
+/**
+ * Cost-basis method of a portfolio. Changing it recomputes realized P&L and
+ * avg buy prices server-side, then calls onChanged.
+ */
+export function CostBasisMethodSelect({
+  portfolioId,
+  onChanged,
+}: {
+  portfolioId: number;
+  onChanged: () => void;
+}) {
+  const [method, setMethod] = useState<CostBasisMethod | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/user/portfolios`, { credentials: "include" })
+      .then((res) => res.json())
+      .then((data) => {
+        const portfolio = (data.data as Portfolio[] | undefined)?.find(
+          (p) => p.id === portfolioId,
+        );
+
+        if (portfolio) setMethod(portfolio.cost_basis_method);
+      })
+      .catch(() => {});
+  }, [portfolioId]);
+
+  const handleChange = async (next: CostBasisMethod) => {
+    if (!next || next === method) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/portfolios/${portfolioId}`,
+        {
+          method: "PUT",
+          credentials: "include",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ cost_basis_method: next }),
+        },
+      );
+
+      if (res.ok) {
+        setMethod(next);
+        onChanged();
+      }
+    } catch {
+      // ignore
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!method) return null;
+
+  return (
+    <Select
+      aria-label="Cost basis method"
+      className="w-44"
+      isDisabled={saving}
+      selectedKeys={[method]}
+      size="sm"
+      onSelectionChange={(keys) =>
+        handleChange(Array.from(keys)[0] as CostBasisMethod)
+      }
+    >
+      {METHODS.map((m) => (
+        <SelectItem key={m.key} description={m.description}>
+          {m.label}
+        </SelectItem>
+      ))}
+    </Select>
+  );
+}
@@ -0,0 +1,388 @@
+"use client";
+
+import type { ImportBatch, ImportPreview, ImportSource } from "@/types/user";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Button } from "@heroui/button";
+import { Chip } from "@heroui/chip";
+import { Select, SelectItem } from "@heroui/select";
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+} from "@heroui/modal";
+import {
+  Table,
+  TableHeader,
+  TableColumn,
+  TableBody,
+  TableRow,
+  TableCell,
+} from "@heroui/table";
+import { Undo2, Upload } from "lucide-react";
+
+import { API_BASE_URL } from "@/config/constants";
+
+const AUTO_DETECT = "auto";
+
+const GENERIC_TEMPLATE =
+  "date,symbol,type,quantity,price_usd,fee_usd,notes\n" +
+  "2024-01-15 10:30:00,BTC,buy,0.1,42000,5,\n" +
+  "2024-02-01,ETH,reward,0.01,2300,0,Staking\n";
+
+const STATUS_COLORS = {
+  ok: "success",
+  duplicate: "warning",
+  error: "danger",
+} as const;
+
+interface ImportTransactionsModalProps {
+  portfolioId: number;
+  isOpen: boolean;
+  onClose: () => void;
+  onImported: () => void;
+}
+
+export function ImportTransactionsModal({
+  portfolioId,
+  isOpen,
+  onClose,
+  onImported,
+}: ImportTransactionsModalProps) {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [fileName, setFileName] = useState("");
+  const [csv, setCsv] = useState("");
+  const [source, setSource] = useState<string>(AUTO_DETECT);
+  const [preview, setPreview] = useState<ImportPreview | null>(null);
+  const [batches, setBatches] = useState<ImportBatch[]>([]);
+  const [undoingId, setUndoingId] = useState<number | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/portfolios/${portfolioId}/imports`,
+        { credentials: "include" },
+      );
+      const data = await res.json();
+
+      setBatches(data.data || []);
+    } catch {
+      // ignore
+    }
+  }, [portfolioId]);
+
+  useEffect(() => {
+    if (isOpen) fetchBatches();
+  }, [isOpen, fetchBatches]);
+
+  const reset = () => {
+    setFileName("");
+    setCsv("");
+    setPreview(null);
+    setError("");
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+
+    if (!file) return;
+    setFileName(file.name);
+    setCsv(await file.text());
+    setPreview(null);
+    setError("");
+  };
+
+  const handleDownloadTemplate = () => {
+    const url = URL.createObjectURL(
+      new Blob([GENERIC_TEMPLATE], { type: "text/csv" }),
+    );
+    const a = document.createElement("a");
+
+    a.href = url;
+    a.download = "coinrisqlab_import_template.csv";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // dryRun: preview only; otherwise commit the valid rows
+  const submit = async (dryRun: boolean) => {
+    setError("");
+    setLoading(true);
+
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/portfolios/${portfolioId}/transactions/import`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({
+            csv,
+            source:
+              source === AUTO_DETECT ? undefined : (source as ImportSource),
+            file_name: fileName || undefined,
+            dry_run: dryRun,
+          }),
+        },
+      );
+      const data = await res.json();
+
+      if (!res.ok) {
+        setError(data.msg || "Import failed");
+
+        return;
+      }
+
+      if (dryRun) {
+        setPreview(data.data);
+
+        return;
+      }
+
+      handleClose();
+      onImported();
+    } catch {
+      setError("Connection error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUndo = async (batch: ImportBatch) => {
+    if (
+      !confirm(
+        `Remove the ${batch.transaction_count} transactions of this import?`,
+      )
+    )
+      return;
+
+    setError("");
+    setUndoingId(batch.id);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/user/portfolios/${portfolioId}/imports/${batch.id}`,
+        { method: "DELETE", credentials: "include" },
+      );
+
+      if (!res.ok) {
+        const data = await res.json();
+
+        setError(data.msg || "Failed to undo import");
+
+        return;
+      }
+
+      fetchBatches();
+      onImported();
+    } catch {
+      setError("Connection error");
+    } finally {
+      setUndoingId(null);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} size="4xl" onClose={handleClose}>
+      <ModalContent>
+        <ModalHeader>Import Transactions</ModalHeader>
+        <ModalBody className="gap-4">
+          {error && (
+            <div className="rounded-lg bg-danger-50 p-3 text-sm text-danger">
+              {error}
+            </div>
+          )}
+          <p className="text-sm text-default-500">
+            Upload a trade history export from Binance, Coinbase or Kraken, or a
+            CSV following the generic template. Prices must be in USD or a USD
+            stablecoin.
+          </p>
+          <div className="flex flex-wrap gap-3 items-center">
+            <input
+              ref={fileInputRef}
+              accept=".csv,text/csv"
+              className="hidden"
+              type="file"
+              onChange={handleFile}
+            />
+            <Button
+              size="sm"
+              startContent={<Upload size={16} />}
+              variant="flat"
+              onPress={() => fileInputRef.current?.click()}
+            >
+              {fileName || "Choose CSV file"}
+            </Button>
+            <Select
+              aria-label="Source"
+              className="max-w-48"
+              selectedKeys={[source]}
+              size="sm"
+              onSelectionChange={(keys) => {
+                const selected = Array.from(keys)[0];
+
+                if (selected) {
+                  setSource(String(selected));
+                  setPreview(null);
+                }
+              }}
+            >
+              <SelectItem key={AUTO_DETECT}>Auto-detect</SelectItem>
+              <SelectItem key="binance">Binance</SelectItem>
+              <SelectItem key="coinbase">Coinbase</SelectItem>
+              <SelectItem key="kraken">Kraken</SelectItem>
+              <SelectItem key="generic">Generic template</SelectItem>
+            </Select>
+            <Button size="sm" variant="light" onPress={handleDownloadTemplate}>
+              Download template
+            </Button>
+          </div>
+
+          {preview && (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {preview.source && (
+                  <Chip size="sm" variant="flat">
+                    {preview.source}
+                  </Chip>
+                )}
+                <Chip color="success" size="sm" variant="flat">
+                  {preview.summary.valid} to import
+                </Chip>
+                <Chip color="warning" size="sm" variant="flat">
+                  {preview.summary.duplicates} duplicates
+                </Chip>
+                <Chip color="danger" size="sm" variant="flat">
+                  {preview.summary.errors} errors
+                </Chip>
+              </div>
+              <Table
+                isHeaderSticky
+                removeWrapper
+                aria-label="Import preview"
+                classNames={{ base: "max-h-96 overflow-auto" }}
+              >
+                <TableHeader>
+                  <TableColumn>Row</TableColumn>
+                  <TableColumn>Date</TableColumn>
+                  <TableColumn>Asset</TableColumn>
+                  <TableColumn>Type</TableColumn>
+                  <TableColumn>Quantity</TableColumn>
+                  <TableColumn>Price</TableColumn>
+                  <TableColumn>Status</TableColumn>
+                </TableHeader>
+                <TableBody emptyContent="No rows found.">
+                  {preview.rows.map((r) => (
+                    <TableRow key={r.row}>
+                      <TableCell>{r.row}</TableCell>
+                      <TableCell className="text-sm">
+                        {r.timestamp?.slice(0, 10) ?? "—"}
+                      </TableCell>
+                      <TableCell>{r.symbol ?? "—"}</TableCell>
+                      <TableCell>{r.type?.replace("_", " ") ?? "—"}</TableCell>
+                      <TableCell>
+                        {r.quantity !== undefined
+                          ? Number(r.quantity).toFixed(4)
+                          : "—"}
+                      </TableCell>
+                      <TableCell>
+                        {r.price_usd !== undefined
+                          ? `$${Number(r.price_usd).toFixed(2)}`
+                          : "—"}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          color={STATUS_COLORS[r.status]}
+                          size="sm"
+                          variant="flat"
+                        >
+                          {r.status}
+                        </Chip>
+                        {r.msg && (
+                          <p className="text-xs text-default-400 mt-1">
+                            {r.msg}
+                          </p>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+
+          {!preview && batches.length > 0 && (
+            <div className="space-y-2">
+              <h3 className="text-sm font-medium text-default-500">
+                Past imports
+              </h3>
+              {batches.map((b) => (
+                <div
+                  key={b.id}
+                  className="flex items-center justify-between gap-3 rounded-lg border border-divider px-3 py-2 text-sm"
+                >
+                  <div>
+                    <p className="font-medium">
+                      {b.file_name || b.source || "Bulk import"}
+                    </p>
+                    <p className="text-xs text-default-400">
+                      {new Date(b.created_at).toLocaleString()} ·{" "}
+                      {b.transaction_count} transactions
+                      {b.duplicate_count > 0 &&
+                        ` · ${b.duplicate_count} duplicates skipped`}
+                      {b.error_count > 0 &&
+                        ` · ${b.error_count} errors skipped`}
+                    </p>
+                  </div>
+                  <Button
+                    color="danger"
+                    isLoading={undoingId === b.id}
+                    size="sm"
+                    startContent={<Undo2 size={14} />}
+                    variant="light"
+                    onPress={() => handleUndo(b)}
+                  >
+                    Undo
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="flat" onPress={handleClose}>
+            Cancel
+          </Button>
+          {preview ? (
+            <Button
+              color="primary"
+              isDisabled={preview.summary.valid === 0}
+              isLoading={loading}
+              onPress={() => submit(false)}
+            >
+              Import {preview.summary.valid} transactions
+            </Button>
+          ) : (
+            <Button
+              color="primary"
+              isDisabled={!csv}
+              isLoading={loading}
+              onPress={() => submit(true)}
+            >
+              Preview
+            </Button>
+          )}
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+}
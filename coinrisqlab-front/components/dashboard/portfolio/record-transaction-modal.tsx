@@ -1,5 +1,7 @@
 "use client";
 
+import type { Portfolio } from "@/types/user";
+
 import { useState, useEffect, Key } from "react";
 import { Input } from "@heroui/input";
 import { Button } from "@heroui/button";
@@ -22,6 +24,21 @@ interface CryptoOption {
   image_url: string | null;
 }
 
+// Pseudo-type: a linked transfer_out / transfer_in pair between two portfolios
+const PORTFOLIO_TRANSFER = "portfolio_transfer";
+
+const PRICE_LABELS: Record<string, string> = {
+  reward: "Fair value (USD)",
+  airdrop: "Fair value (USD)",
+  income: "Fair value (USD)",
+  transfer_in: "Cost basis (USD)",
+};
+
+// Buys and sells need a price; transfers out carry their lots' cost basis
+const requiresPrice = (type: string) => type === "buy" || type === "sell";
+const hasPrice = (type: string) =>
+  type !== "transfer_out" && type !== PORTFOLIO_TRANSFER;
+
 interface RecordTransactionModalProps {
   portfolioId: number;
   isOpen: boolean;
@@ -42,6 +59,8 @@ export function RecordTransactionModal({
   const [priceUsd, setPriceUsd] = useState("");
   const [feeUsd, setFeeUsd] = useState("");
   const [notes, setNotes] = useState("");
+  const [portfolios, setPortfolios] = useState<Portfolio[]>([]);
+  const [toPortfolioId, setToPortfolioId] = useState<string>("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
@@ -70,9 +89,35 @@ export function RecordTransactionModal({
     fetchAll();
   }, [isOpen, allCryptos.length]);
 
+  useEffect(() => {
+    if (type !== PORTFOLIO_TRANSFER || portfolios.length > 0) return;
+
+    fetch(`${API_BASE_URL}/user/portfolios`, { credentials: "include" })
+      .then((res) => res.json())
+      .then((data) =>
+        setPortfolios(
+          ((data.data as Portfolio[] | undefined) || []).filter(
+            (p) => p.id !== portfolioId,
+          ),
+        ),
+      )
+      .catch(() => {});
+  }, [type, portfolios.length, portfolioId]);
+
+  const isPortfolioTransfer = type === PORTFOLIO_TRANSFER;
+  const isIncomplete =
+    !selectedKey ||
+    !quantity ||
+    (requiresPrice(type) && !priceUsd) ||
+    (isPortfolioTransfer && !toPortfolioId);
+
   const handleSubmit = async () => {
-    if (!selectedKey || !quantity || !priceUsd) {
-      setError("Crypto, quantity, and price are required");
+    if (isIncomplete) {
+      setError(
+        isPortfolioTransfer
+          ? "Crypto, quantity, and destination portfolio are required"
+          : "Crypto, quantity, and price are required",
+      );
 
       return;
     }
@@ -80,22 +125,30 @@ export function RecordTransactionModal({
     setError("");
     setLoading(true);
 
+    const common = {
+      crypto_id: Number(selectedKey),
+      quantity: parseFloat(quantity),
+      fee_usd: feeUsd ? parseFloat(feeUsd) : 0,
+      timestamp: new Date().toISOString().slice(0, 19).replace("T", " "),
+      notes: notes || null,
+    };
+
     try {
       const res = await fetch(
-        `${API_BASE_URL}/user/portfolios/${portfolioId}/transactions`,
+        `${API_BASE_URL}/user/portfolios/${portfolioId}/${isPortfolioTransfer ? "transfers" : "transactions"}`,
         {
           method: "POST",
           headers: { "Content-Type": "application/json" },
           credentials: "include",
-          body: JSON.stringify({
-            crypto_id: Number(selectedKey),
-            type,
-            quantity: parseFloat(quantity),
-            price_usd: parseFloat(priceUsd),
-            fee_usd: feeUsd ? parseFloat(feeUsd) : 0,
-            timestamp: new Date().toISOString().slice(0, 19).replace("T", " "),
-            notes: notes || null,
-          }),
+          body: JSON.stringify(
+            isPortfolioTransfer
+              ? { ...common, to_portfolio_id: Number(toPortfolioId) }
+              : {
+                  ...common,
+                  type,
+                  price_usd: hasPrice(type) ? parseFloat(priceUsd) || 0 : 0,
+                },
+          ),
         },
       );
 
@@ -112,6 +165,7 @@ export function RecordTransactionModal({
       setPriceUsd("");
       setFeeUsd("");
       setNotes("");
+      setToPortfolioId("");
       setError("");
       onClose();
       onRecorded();
@@ -171,8 +225,32 @@ export function RecordTransactionModal({
           >
             <SelectItem key="buy">Buy</SelectItem>
             <SelectItem key="sell">Sell</SelectItem>
-            <SelectItem key="transfer">Transfer</SelectItem>
+            <SelectItem key="reward">Staking reward</SelectItem>
+            <SelectItem key="airdrop">Airdrop</SelectItem>
+            <SelectItem key="income">Income</SelectItem>
+            <SelectItem key="transfer_in">Transfer in</SelectItem>
+            <SelectItem key="transfer_out">Transfer out</SelectItem>
+            <SelectItem key={PORTFOLIO_TRANSFER}>
+              Transfer to another portfolio
+            </SelectItem>
           </Select>
+          {isPortfolioTransfer && (
+            <Select
+              isRequired
+              description="Cost basis and holding periods move with the coins"
+              label="Destination portfolio"
+              selectedKeys={toPortfolioId ? [toPortfolioId] : []}
+              onSelectionChange={(keys) => {
+                const selected = Array.from(keys)[0];
+
+                setToPortfolioId(selected ? String(selected) : "");
+              }}
+            >
+              {portfolios.map((p) => (
+                <SelectItem key={String(p.id)}>{p.name}</SelectItem>
+              ))}
+            </Select>
+          )}
           <div className="grid grid-cols-2 gap-4">
             <Input
               isRequired
@@ -182,14 +260,16 @@ export function RecordTransactionModal({
               value={quantity}
               onValueChange={setQuantity}
             />
-            <Input
-              isRequired
-              label="Price (USD)"
-              placeholder="0.00"
-              type="number"
-              value={priceUsd}
-              onValueChange={setPriceUsd}
-            />
+            {hasPrice(type) && (
+              <Input
+                isRequired={requiresPrice(type)}
+                label={PRICE_LABELS[type] || "Price (USD)"}
+                placeholder="0.00"
+                type="number"
+                value={priceUsd}
+                onValueChange={setPriceUsd}
+              />
+            )}
           </div>
           <Input
             label="Fee (USD)"
@@ -211,7 +291,7 @@ export function RecordTransactionModal({
           </Button>
           <Button
             color="primary"
-            isDisabled={!selectedKey || !quantity || !priceUsd}
+            isDisabled={isIncomplete}
             isLoading={loading}
             onPress={handleSubmit}
           >
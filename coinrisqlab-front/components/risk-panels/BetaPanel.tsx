@@ -18,14 +18,50 @@ import { AlertTriangle } from "lucide-react";
 import { MethodologyLink } from "./MethodologyLink";
 
 import { useBeta } from "@/hooks/useRiskMetrics";
-import { getBetaInterpretation } from "@/types/risk-metrics";
+import { getBetaInterpretation, PerformanceRatios } from "@/types/risk-metrics";
+
+const RATIO_TILES: {
+  key: keyof Omit<PerformanceRatios, "minimumAcceptableReturn">;
+  label: string;
+  hint: string;
+  unit?: string;
+  // Value above which the ratio reads as favourable
+  threshold?: number;
+}[] = [
+  {
+    key: "sortino",
+    label: "Sortino",
+    hint: "Return per unit of downside risk",
+  },
+  { key: "calmar", label: "Calmar", hint: "Annual return / max drawdown" },
+  {
+    key: "omega",
+    label: "Omega",
+    hint: "Gains / losses around MAR",
+    threshold: 1,
+  },
+  { key: "treynor", label: "Treynor", hint: "Annual return / beta" },
+  {
+    key: "informationRatio",
+    label: "Information Ratio",
+    hint: "Active return / tracking error",
+  },
+  {
+    key: "trackingError",
+    label: "Tracking Error",
+    hint: "Annualized, vs CoinRisqLab 80",
+    unit: "%",
+  },
+];
 
 export function BetaPanel({
   cryptoId,
   symbol,
+  ratios,
 }: {
   cryptoId: string;
   symbol: string;
+  ratios?: PerformanceRatios | null;
 }) {
   const { data, isLoading, error } = useBeta(cryptoId, "365d");
 
@@ -154,6 +190,48 @@ export function BetaPanel({
         </CardBody>
       </Card>
 
+      {/* Performance Ratios Card */}
+      {ratios && (
+        <Card>
+          <CardHeader className="flex flex-col items-start pb-0">
+            <h3 className="text-lg font-semibold">Performance Ratios</h3>
+            <p className="text-sm text-default-500">
+              365-day window · minimum acceptable return{" "}
+              {ratios.minimumAcceptableReturn.toFixed(1)}% per year
+            </p>
+          </CardHeader>
+          <CardBody className="p-6">
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+              {RATIO_TILES.map((tile) => {
+                const value = ratios[tile.key];
+
+                return (
+                  <div key={tile.key}>
+                    <p className="text-sm text-default-500 mb-1">
+                      {tile.label}
+                    </p>
+                    <p
+                      className={`text-2xl font-bold ${
+                        value != null && !tile.unit
+                          ? value >= (tile.threshold ?? 0)
+                            ? "text-success"
+                            : "text-danger"
+                          : ""
+                      }`}
+                    >
+                      {value != null
+                        ? `${value.toFixed(2)}${tile.unit ?? ""}`
+                        : "N/A"}
+                    </p>
+                    <p className="text-xs text-default-400">{tile.hint}</p>
+                  </div>
+                );
+              })}
+            </div>
+          </CardBody>
+        </Card>
+      )}
+
       {/* Scatter Plot Card */}
       <Card>
         <CardHeader className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2 pb-0">
@@ -341,11 +419,7 @@ export function BetaPanel({
           </CardHeader>
           <CardBody className="p-4">
             <div className="flex items-start gap-4">
-              <Chip
-                color={betaInterpretation.color}
-                size="lg"
-                variant="flat"
-              >
+              <Chip color={betaInterpretation.color} size="lg" variant="flat">
                 {betaInterpretation.label}
               </Chip>
               <div>
@@ -353,7 +427,8 @@ export function BetaPanel({
                   {betaInterpretation.description}
                 </p>
                 <p className="text-sm text-default-500 mt-2">
-                  {data?.beta != null && betaInterpretation?.category === "market"
+                  {data?.beta != null &&
+                  betaInterpretation?.category === "market"
                     ? `When the market moves 1%, ${symbol.toUpperCase()} moves roughly ${data.beta.toFixed(4)}% — essentially in line with the market.`
                     : data?.beta != null && data.beta > 1.05
                       ? `When the market moves 1%, ${symbol.toUpperCase()} is expected to move ${data.beta.toFixed(4)}%.`
@@ -534,6 +609,15 @@ export function BetaPanel({
                 risk. It answers the question: How much additional return does
                 an investor obtain for each unit of volatility taken?
               </p>
+              <p>
+                <strong>Sortino</strong> only penalizes returns below the
+                minimum acceptable return, <strong>Calmar</strong> compares the
+                return with the max drawdown and <strong>Omega</strong> weighs
+                all gains against all losses. <strong>Treynor</strong> and the{" "}
+                <strong>Information Ratio</strong> measure the return per unit
+                of market risk and per unit of deviation from the CoinRisqLab
+                80.
+              </p>
             </div>
             <MethodologyLink section="beta" variant="full" />
           </div>
@@ -0,0 +1,312 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { Button } from "@heroui/button";
+import { Card, CardBody, CardHeader } from "@heroui/card";
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip as RechartsTooltip,
+  ResponsiveContainer,
+  CartesianGrid,
+  ReferenceLine,
+} from "recharts";
+
+import { MethodologyLink } from "./MethodologyLink";
+
+import { useDrawdown } from "@/hooks/useRiskMetrics";
+import { RiskPeriod } from "@/types/risk-metrics";
+
+interface DrawdownPanelProps {
+  cryptoId: string;
+  symbol: string;
+}
+
+const PERIODS: RiskPeriod[] = ["90d", "365d", "all"];
+
+const formatDate = (date: string | null) =>
+  date
+    ? new Date(date).toLocaleDateString("fr-FR", {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+      })
+    : "—";
+
+export function DrawdownPanel({ cryptoId, symbol }: DrawdownPanelProps) {
+  const [period, setPeriod] = useState<RiskPeriod>("365d");
+  const { data, isLoading, error } = useDrawdown(cryptoId, period);
+
+  // Underwater curves merged by day; drawdowns plotted below zero
+  const chartData = useMemo(() => {
+    if (!data?.underwater) return [];
+
+    const indexByDate = new Map(
+      (data.index?.underwater ?? []).map((u) => [
+        u.date.slice(0, 10),
+        -u.drawdown,
+      ]),
+    );
+
+    return data.underwater.map((u) => ({
+      date: new Date(u.date).toLocaleDateString("fr-FR", {
+        month: "short",
+        day: "numeric",
+      }),
+      fullDate: u.date,
+      drawdown: -u.drawdown,
+      index: indexByDate.get(u.date.slice(0, 10)) ?? null,
+    }));
+  }, [data?.underwater, data?.index]);
+
+  const hasData = data?.maxDrawdown != null;
+
+  return (
+    <div className="flex flex-col gap-4">
+      {/* Drawdown Summary Card */}
+      <Card>
+        <CardBody className="p-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <p className="text-sm text-default-500 mb-1">Max Drawdown</p>
+              <p className="text-3xl font-bold text-danger">
+                {hasData ? `-${data!.maxDrawdown!.toFixed(2)}%` : "N/A"}
+              </p>
+              <p className="text-xs text-default-400">
+                {hasData
+                  ? `${formatDate(data!.peakDate)} → ${formatDate(data!.troughDate)}`
+                  : "Deepest peak-to-trough decline"}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-default-500 mb-1">Current Drawdown</p>
+              <p className="text-3xl font-bold text-warning">
+                {hasData ? `-${data!.currentDrawdown!.toFixed(2)}%` : "N/A"}
+              </p>
+              <p className="text-xs text-default-400">
+                {hasData && data!.currentDurationDays > 0
+                  ? `${data!.currentDurationDays} days below the peak`
+                  : "At its peak"}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-default-500 mb-1">Time to Recovery</p>
+              <p className="text-2xl font-bold">
+                {!hasData
+                  ? "N/A"
+                  : data!.recoveryDays != null
+                    ? `${data!.recoveryDays} days`
+                    : "Not recovered"}
+              </p>
+              <p className="text-xs text-default-400">
+                From the max drawdown trough back to its peak
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-default-500 mb-1">Longest Drawdown</p>
+              <p className="text-2xl font-bold">
+                {hasData ? `${data!.longestDurationDays} days` : "N/A"}
+              </p>
+              <p className="text-xs text-default-400">
+                Longest peak-to-recovery episode
+              </p>
+            </div>
+          </div>
+          {data?.index && (
+            <p className="text-xs text-default-500 mt-4">
+              CoinRisqLab 80 over the same window: max drawdown{" "}
+              <span className="text-danger font-semibold">
+                -{data.index.maxDrawdown.toFixed(2)}%
+              </span>
+              , current{" "}
+              <span className="text-warning font-semibold">
+                -{data.index.currentDrawdown.toFixed(2)}%
+              </span>
+            </p>
+          )}
+        </CardBody>
+      </Card>
+
+      {/* Underwater Chart Card */}
+      <Card>
+        <CardHeader className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2 pb-0">
+          <div>
+            <h3 className="text-lg font-semibold">Underwater Curve</h3>
+            <p className="text-sm text-default-500">
+              Decline from the 365-day running peak
+            </p>
+          </div>
+          <div className="flex gap-1">
+            {PERIODS.map((p) => (
+              <Button
+                key={p}
+                isDisabled={isLoading}
+                size="sm"
+                variant={period === p ? "solid" : "bordered"}
+                onPress={() => setPeriod(p)}
+              >
+                {p === "all" ? "All" : p}
+              </Button>
+            ))}
+          </div>
+        </CardHeader>
+        <CardBody className="p-4">
+          {error ? (
+            <div className="h-[300px] flex items-center justify-center">
+              <p className="text-danger">Error loading data</p>
+            </div>
+          ) : !data ? (
+            <div className="h-[300px] flex items-center justify-center">
+              <p className="text-default-500">Loading...</p>
+            </div>
+          ) : chartData.length === 0 ? (
+            <div className="h-[300px] flex items-center justify-center">
+              <p className="text-default-500">No data available</p>
+            </div>
+          ) : (
+            <div
+              className="transition-opacity"
+              style={{ opacity: isLoading ? 0.5 : 1 }}
+            >
+              <ResponsiveContainer height={300} width="100%">
+                <ComposedChart data={chartData}>
+                  <defs>
+                    <linearGradient
+                      id="drawdownGradient"
+                      x1="0"
+                      x2="0"
+                      y1="0"
+                      y2="1"
+                    >
+                      <stop offset="0%" stopColor="#ef4444" stopOpacity={0.1} />
+                      <stop
+                        offset="100%"
+                        stopColor="#ef4444"
+                        stopOpacity={0.5}
+                      />
+                    </linearGradient>
+                  </defs>
+                  <CartesianGrid opacity={0.1} strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="date"
+                    fontSize={12}
+                    stroke="#888"
+                    tickLine={false}
+                  />
+                  <YAxis
+                    domain={["dataMin", 0]}
+                    fontSize={12}
+                    stroke="#888"
+                    tickFormatter={(value) => `${value.toFixed(0)}%`}
+                    tickLine={false}
+                    width={50}
+                  />
+                  <RechartsTooltip
+                    content={({ active, payload }) => {
+                      if (active && payload && payload.length > 0) {
+                        const d = payload[0].payload;
+
+                        return (
+                          <div className="bg-content1 border border-default-200 rounded-lg p-3 shadow-lg">
+                            <p className="text-sm text-default-500">
+                              {formatDate(d.fullDate)}
+                            </p>
+                            <p className="text-sm">
+                              <span className="text-danger">
+                                {symbol.toUpperCase()}:
+                              </span>{" "}
+                              {d.drawdown.toFixed(2)}%
+                            </p>
+                            {d.index !== null && (
+                              <p className="text-sm">
+                                <span className="text-warning">
+                                  CoinRisqLab 80:
+                                </span>{" "}
+                                {d.index.toFixed(2)}%
+                              </p>
+                            )}
+                          </div>
+                        );
+                      }
+
+                      return null;
+                    }}
+                  />
+                  {hasData && (
+                    <ReferenceLine
+                      label={{
+                        value: "Max DD",
+                        position: "insideBottomLeft",
+                        fill: "#ef4444",
+                        fontSize: 12,
+                      }}
+                      stroke="#ef4444"
+                      strokeDasharray="5 5"
+                      y={-data.maxDrawdown!}
+                    />
+                  )}
+                  <Area
+                    dataKey="drawdown"
+                    fill="url(#drawdownGradient)"
+                    isAnimationActive={true}
+                    stroke="#ef4444"
+                    strokeWidth={2}
+                    type="linear"
+                  />
+                  <Line
+                    activeDot={false}
+                    connectNulls={true}
+                    dataKey="index"
+                    dot={false}
+                    stroke="#f97316"
+                    strokeWidth={1.5}
+                    type="linear"
+                  />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+          {data && (
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-2">
+              <div className="flex flex-wrap gap-3 text-xs">
+                <span className="flex items-center gap-1">
+                  <span className="w-3 h-0.5 bg-[#ef4444]" />
+                  {symbol.toUpperCase()}
+                </span>
+                <span className="flex items-center gap-1">
+                  <span className="w-3 h-0.5 bg-[#f97316]" />
+                  CoinRisqLab 80
+                </span>
+              </div>
+              <p className="text-xs text-default-400">
+                {data.dataPoints} observations
+              </p>
+            </div>
+          )}
+        </CardBody>
+      </Card>
+
+      {/* Explanation */}
+      <Card>
+        <CardBody className="p-4">
+          <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+            <p className="text-sm text-default-500 flex-1">
+              <strong>Drawdown</strong> is the decline from the highest price
+              reached over the trailing 365 days. The{" "}
+              <strong>max drawdown</strong> is the worst loss an investor buying
+              at the top would have suffered, and the{" "}
+              <strong>time to recovery</strong> how long it took to get back to
+              that top. Unlike volatility, drawdown depends on the order of
+              returns: a long series of small losses shows up here even when
+              daily moves look calm.
+            </p>
+            <MethodologyLink section="drawdown" variant="full" />
+          </div>
+        </CardBody>
+      </Card>
+    </div>
+  );
+}
@@ -12,6 +12,7 @@ import {
   TrendingUp,
   BarChart2,
   GitBranch,
+  TrendingDown,
 } from "lucide-react";
 
 import {
@@ -35,12 +36,14 @@ interface PanelSidebarProps {
   kurtosisOverride?: number | null;
   smlAlphaOverride?: number | null;
   stressImpactOverride?: number | null;
+  maxDrawdownOverride?: number | null;
 }
 
 const PANEL_ICONS: Record<RiskPanel, React.ReactNode> = {
   price: <DollarSign size={18} />,
   volatility: <Activity size={18} />,
   "stress-test": <AlertTriangle size={18} />,
+  drawdown: <TrendingDown size={18} />,
   var: <Shield size={18} />,
   beta: <TrendingUp size={18} />,
   skew: <BarChart2 size={18} />,
@@ -108,6 +111,7 @@ function formatMetricValue(
   kurtosisOverride?: number | null,
   smlAlphaOverride?: number | null,
   stressImpactOverride?: number | null,
+  maxDrawdownOverride?: number | null,
 ): string | null {
   if (!riskSummary) return null;
 
@@ -121,6 +125,10 @@ function formatMetricValue(
         stressImpactOverride ?? riskSummary?.stressTest?.impactPercentage;
 
       return impact != null ? `${impact.toFixed(2)}%` : null;
+    case "drawdown":
+      return maxDrawdownOverride != null
+        ? `-${maxDrawdownOverride.toFixed(2)}%`
+        : null;
     case "var":
       // Use override (365d) if provided, otherwise summary value
       const varValue = var99Override ?? riskSummary?.var99;
@@ -162,6 +170,7 @@ export function PanelSidebar({
   kurtosisOverride,
   smlAlphaOverride,
   stressImpactOverride,
+  maxDrawdownOverride,
 }: PanelSidebarProps) {
   const handleSelectionChange = (keys: "all" | Set<React.Key>) => {
     if (keys !== "all" && keys.size > 0) {
@@ -203,6 +212,7 @@ export function PanelSidebar({
       kurtosisOverride,
       smlAlphaOverride,
       stressImpactOverride,
+      maxDrawdownOverride,
     );
 
     if (!metricValue || isLoading) return null;
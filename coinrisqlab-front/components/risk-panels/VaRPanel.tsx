@@ -2,6 +2,7 @@
 
 import { Card, CardBody, CardHeader } from "@heroui/card";
 import { Chip } from "@heroui/chip";
+import { Tabs, Tab } from "@heroui/tabs";
 import { Tooltip } from "@heroui/tooltip";
 import { AlertTriangle } from "lucide-react";
 import {
@@ -21,6 +22,7 @@ import { MethodologyLink } from "./MethodologyLink";
 
 import { useVaR } from "@/hooks/useRiskMetrics";
 import { useCryptoVolatility } from "@/hooks/useCryptoVolatility";
+import { VAR_METHOD_LABELS, VaRMethod } from "@/types/risk-metrics";
 
 interface VaRPanelProps {
   cryptoId: string;
@@ -35,7 +37,8 @@ function gaussianPDF(x: number, mean: number, stdDev: number): number {
 }
 
 export function VaRPanel({ cryptoId }: VaRPanelProps) {
-  const { data, isLoading, error } = useVaR(cryptoId, "365d");
+  const [method, setMethod] = useState<VaRMethod>("historical");
+  const { data, isLoading, error } = useVaR(cryptoId, "365d", method);
   const { data: volatilityData } = useCryptoVolatility([cryptoId], "all");
   const [isTooltipOpen, setIsTooltipOpen] = useState(false);
 
@@ -78,7 +81,17 @@ export function VaRPanel({ cryptoId }: VaRPanelProps) {
     <div className="flex flex-col gap-4">
       {/* VaR Summary Card */}
       <Card>
-        <CardBody className="p-6">
+        <CardBody className="p-6 gap-4">
+          <Tabs
+            aria-label="VaR method"
+            selectedKey={method}
+            size="sm"
+            onSelectionChange={(k) => setMethod(k as VaRMethod)}
+          >
+            {(Object.keys(VAR_METHOD_LABELS) as VaRMethod[]).map((m) => (
+              <Tab key={m} title={VAR_METHOD_LABELS[m]} />
+            ))}
+          </Tabs>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <div>
               <p className="text-sm text-default-500 mb-1">VaR 95%</p>
@@ -328,7 +341,11 @@ export function VaRPanel({ cryptoId }: VaRPanelProps) {
               A VaR 95% of {data?.var95?.toFixed(2)}% means there&apos;s only a
               5% chance of losing more than this amount in a single day.{" "}
               <strong>CVaR (Expected Shortfall)</strong> measures the average
-              loss when the VaR threshold is exceeded.
+              loss when the VaR threshold is exceeded.{" "}
+              <strong>Historical</strong> reads the loss off past returns,{" "}
+              <strong>Parametric</strong> assumes normally distributed returns,
+              and <strong>Cornish-Fisher</strong> corrects the normal quantile
+              for the skewness and fat tails of crypto returns.
             </p>
             <MethodologyLink section="var" variant="full" />
           </div>
@@ -20,7 +20,11 @@ import { MethodologyLink } from "./MethodologyLink";
 
 import { RiskPeriod } from "@/types/risk-metrics";
 import { useCryptoVolatility } from "@/hooks/useCryptoVolatility";
-import { CryptoVolatility, VolatilityPeriod } from "@/types/volatility";
+import {
+  CryptoVolatility,
+  VolatilityModelName,
+  VolatilityPeriod,
+} from "@/types/volatility";
 
 interface VolatilityPanelProps {
   cryptoId: string;
@@ -38,6 +42,17 @@ const PERIOD_MAP: Record<RiskPeriod, VolatilityPeriod> = {
   all: "all",
 };
 
+const MODEL_LINES: {
+  key: VolatilityModelName;
+  label: string;
+  color: string;
+}[] = [
+  { key: "ewma", label: "EWMA (λ=0.94)", color: "#f97316" },
+  { key: "garch", label: "GARCH(1,1)", color: "#14b8a6" },
+];
+
+const FORECAST_HORIZONS = ["1d", "10d", "30d"] as const;
+
 // Risk zones (annualized) — boundaries match the Volatility methodology
 // classification table: Low < 25%, Medium 25-60%, High 60-90%, Extreme ≥ 90%
 const RISK_ZONES_ANNUAL = [
@@ -99,18 +114,47 @@ export function VolatilityPanel({
   const chartVolatilityData = data[0]?.data;
   const chartHistory = chartVolatilityData?.history || [];
 
+  const toPct = (
+    h: Pick<CryptoVolatility, "daily_volatility" | "annualized_volatility">,
+  ) =>
+    mode === "annualized"
+      ? Number(h.annualized_volatility) * 100
+      : Number(h.daily_volatility) * 100;
+
+  // EWMA / GARCH series keyed by date, overlaid on the rolling window
+  const chartModels = chartVolatilityData?.models;
+  const modelByDate = (key: VolatilityModelName) =>
+    new Map(
+      (chartModels?.[key]?.history ?? []).map((h) => [
+        String(h.date),
+        toPct(h),
+      ]),
+    );
+  const ewmaByDate = modelByDate("ewma");
+  const garchByDate = modelByDate("garch");
+
   const chartData = chartHistory.map((h) => ({
     date: new Date(h.date).toLocaleDateString("fr-FR", {
       month: "short",
       day: "numeric",
     }),
-    volatility:
-      mode === "annualized"
-        ? Number(h.annualized_volatility) * 100
-        : Number(h.daily_volatility) * 100,
+    volatility: toPct(h),
+    ewma: ewmaByDate.get(String(h.date)) ?? null,
+    garch: garchByDate.get(String(h.date)) ?? null,
     fullDate: h.date,
   }));
 
+  // Forecast table: horizon volatility (daily mode) or its annualized
+  // equivalent, σ_h · √(365 / h) (annualized mode)
+  const infoModels = infoVolatilityData?.models;
+  const forecastPct = (value: number, horizon: string) => {
+    const days = parseInt(horizon);
+
+    return mode === "annualized"
+      ? Number(value) * Math.sqrt(365 / days) * 100
+      : Number(value) * 100;
+  };
+
   const currentVolValue =
     mode === "annualized"
       ? currentVol
@@ -299,6 +343,18 @@ export function VolatilityPanel({
                             <p className="text-lg font-semibold">
                               {data.volatility.toFixed(2)}%
                             </p>
+                            {MODEL_LINES.map(
+                              (m) =>
+                                data[m.key] !== null && (
+                                  <p
+                                    key={m.key}
+                                    className="text-sm"
+                                    style={{ color: m.color }}
+                                  >
+                                    {m.label}: {data[m.key].toFixed(2)}%
+                                  </p>
+                                ),
+                            )}
                           </div>
                         );
                       }
@@ -325,18 +381,106 @@ export function VolatilityPanel({
                     strokeWidth={2}
                     type="linear"
                   />
+                  {MODEL_LINES.map((m) => (
+                    <Line
+                      key={m.key}
+                      activeDot={false}
+                      connectNulls={true}
+                      dataKey={m.key}
+                      dot={false}
+                      isAnimationActive={true}
+                      stroke={m.color}
+                      strokeWidth={1.5}
+                      type="linear"
+                    />
+                  ))}
                 </LineChart>
               </ResponsiveContainer>
             </div>
           )}
           {chartVolatilityData && (
-            <p className="text-xs text-default-400 mt-2 text-right">
-              {chartHistory.length} data points
-            </p>
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-2">
+              <div className="flex flex-wrap gap-3 text-xs">
+                <span className="flex items-center gap-1">
+                  <span className="w-3 h-0.5 bg-[#8b5cf6]" />
+                  90d rolling
+                </span>
+                {MODEL_LINES.map((m) => (
+                  <span key={m.key} className="flex items-center gap-1">
+                    <span
+                      className="w-3 h-0.5"
+                      style={{ backgroundColor: m.color }}
+                    />
+                    {m.label}
+                  </span>
+                ))}
+              </div>
+              <p className="text-xs text-default-400">
+                {chartHistory.length} data points
+              </p>
+            </div>
           )}
         </CardBody>
       </Card>
 
+      {/* Volatility Forecasts — EWMA / GARCH(1,1) */}
+      {infoModels && (infoModels.ewma || infoModels.garch) && (
+        <Card>
+          <CardHeader className="pb-0">
+            <div>
+              <h3 className="text-lg font-semibold">Volatility Forecast</h3>
+              <p className="text-sm text-default-500">
+                {mode === "annualized"
+                  ? "Annualized equivalent of the expected volatility over each horizon"
+                  : "Expected volatility of the cumulative return over each horizon"}
+              </p>
+            </div>
+          </CardHeader>
+          <CardBody className="p-4">
+            <div className="grid grid-cols-4 gap-2 text-sm">
+              <span className="text-default-500">Model</span>
+              {FORECAST_HORIZONS.map((h) => (
+                <span key={h} className="text-default-500 text-right">
+                  {h}
+                </span>
+              ))}
+              {MODEL_LINES.map((m) => {
+                const model = infoModels[m.key];
+
+                if (!model) return null;
+
+                return [
+                  <span key={m.key} style={{ color: m.color }}>
+                    {m.label}
+                  </span>,
+                  ...FORECAST_HORIZONS.map((h) => (
+                    <span
+                      key={`${m.key}-${h}`}
+                      className="text-right font-semibold"
+                    >
+                      {forecastPct(model.forecasts[h], h).toFixed(2)}%
+                    </span>
+                  )),
+                ];
+              })}
+            </div>
+            {infoModels.garch && (
+              <p className="text-xs text-default-400 mt-3">
+                GARCH(1,1): α ={" "}
+                {Number(infoModels.garch.params.alpha).toFixed(3)}, β ={" "}
+                {Number(infoModels.garch.params.beta).toFixed(3)} — shocks decay
+                with persistence α + β ={" "}
+                {(
+                  Number(infoModels.garch.params.alpha) +
+                  Number(infoModels.garch.params.beta)
+                ).toFixed(3)}
+                , forecasts revert to the long-run level.
+              </p>
+            )}
+          </CardBody>
+        </Card>
+      )}
+
       {/* Risk Levels Legend — boundaries match the methodology table */}
       <Card>
         <CardBody className="p-4">
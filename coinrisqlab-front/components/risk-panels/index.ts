@@ -2,6 +2,7 @@ export { PanelSidebar } from "./PanelSidebar";
 export { PricePanel } from "./PricePanel";
 export { VolatilityPanel } from "./VolatilityPanel";
 export { StressTestPanel } from "./StressTestPanel";
+export { DrawdownPanel } from "./DrawdownPanel";
 export { VaRPanel } from "./VaRPanel";
 export { BetaPanel } from "./BetaPanel";
 export { SkewPanel } from "./SkewPanel";
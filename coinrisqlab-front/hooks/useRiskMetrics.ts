@@ -6,6 +6,8 @@ import {
   BetaResponse,
   DistributionData,
   DistributionResponse,
+  DrawdownData,
+  DrawdownResponse,
   PriceHistoryData,
   PriceHistoryResponse,
   RiskPeriod,
@@ -16,6 +18,7 @@ import {
   StressTestData,
   StressTestResponse,
   VaRData,
+  VaRMethod,
   VaRResponse,
 } from "@/types/risk-metrics";
 
@@ -117,7 +120,11 @@ export function useBeta(coingeckoId: string, period: RiskPeriod = "365d") {
 /**
  * Hook to fetch VaR data
  */
-export function useVaR(coingeckoId: string, period: RiskPeriod = "365d") {
+export function useVaR(
+  coingeckoId: string,
+  period: RiskPeriod = "365d",
+  method: VaRMethod = "historical",
+) {
   const [data, setData] = useState<VaRData | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<Error | null>(null);
@@ -135,7 +142,7 @@ export function useVaR(coingeckoId: string, period: RiskPeriod = "365d") {
 
       try {
         const response = await fetch(
-          `${API_BASE_URL}/risk/crypto/${coingeckoId}/var?period=${period}`,
+          `${API_BASE_URL}/risk/crypto/${coingeckoId}/var?period=${period}&method=${method}`,
         );
 
         if (!response.ok) {
@@ -155,7 +162,7 @@ export function useVaR(coingeckoId: string, period: RiskPeriod = "365d") {
     };
 
     fetchData();
-  }, [coingeckoId, period]);
+  }, [coingeckoId, period, method]);
 
   return { data, isLoading, error };
 }
@@ -206,6 +213,52 @@ export function useStressTest(coingeckoId: string) {
   return { data, isLoading, error, refetch };
 }
 
+/**
+ * Hook to fetch drawdown data
+ */
+export function useDrawdown(coingeckoId: string, period: RiskPeriod = "365d") {
+  const [data, setData] = useState<DrawdownData | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+
+  useEffect(() => {
+    if (!coingeckoId) {
+      setData(null);
+
+      return;
+    }
+
+    const fetchData = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/risk/crypto/${coingeckoId}/drawdown?period=${period}`,
+        );
+
+        if (!response.ok) {
+          throw new Error(`Failed to fetch drawdown for ${coingeckoId}`);
+        }
+
+        const result: DrawdownResponse = await response.json();
+
+        setData(result.data);
+      } catch (err) {
+        setError(
+          err instanceof Error ? err : new Error("Unknown error occurred"),
+        );
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [coingeckoId, period]);
+
+  return { data, isLoading, error };
+}
+
 /**
  * Hook to fetch distribution (skewness/kurtosis) data
  */
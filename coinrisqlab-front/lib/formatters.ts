@@ -151,3 +151,13 @@ export function formatCompactUSD(value: number | string): string {
 
   return formatUSD(num);
 }
+
+/**
+ * Format a Stripe amount (minor units, e.g. cents) in its currency
+ */
+export function formatStripeAmount(amount: number, currency: string): string {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: currency.toUpperCase(),
+  }).format(amount / 100);
+}
@@ -103,7 +103,7 @@ export async function getPortfolioMetrics() {
        COUNT(*) AS total_transactions,
        SUM(CASE WHEN type = 'buy'  THEN 1 ELSE 0 END) AS buys,
        SUM(CASE WHEN type = 'sell' THEN 1 ELSE 0 END) AS sells,
-       SUM(CASE WHEN type = 'transfer' THEN 1 ELSE 0 END) AS transfers
+       SUM(CASE WHEN type IN ('transfer', 'transfer_in', 'transfer_out') THEN 1 ELSE 0 END) AS transfers
      FROM user_transactions`,
   );
 
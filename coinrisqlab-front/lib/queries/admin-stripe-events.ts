@@ -0,0 +1,102 @@
+import { RowDataPacket } from "mysql2";
+
+import { db } from "@/lib/db";
+
+export type StripeEventStatus =
+  | "processing"
+  | "processed"
+  | "skipped"
+  | "failed";
+
+export interface StripeEventFilters {
+  status?: StripeEventStatus | "";
+  type?: string;
+  search?: string; // matches event id, customer id or user email
+}
+
+function buildWhere(f: StripeEventFilters): {
+  sql: string;
+  params: (string | number)[];
+} {
+  const clauses: string[] = [];
+  const params: (string | number)[] = [];
+
+  if (f.status) {
+    clauses.push("e.status = ?");
+    params.push(f.status);
+  }
+  if (f.type) {
+    clauses.push("e.type = ?");
+    params.push(f.type);
+  }
+  if (f.search && f.search.trim()) {
+    clauses.push(
+      "(e.id = ? OR e.customer_id = ? OR u.email LIKE CONCAT('%', ?, '%'))",
+    );
+    params.push(f.search.trim(), f.search.trim(), f.search.trim());
+  }
+
+  return {
+    sql: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "",
+    params,
+  };
+}
+
+export async function searchStripeEvents(
+  filters: StripeEventFilters,
+  limit: number,
+  offset: number,
+) {
+  const { sql, params } = buildWhere(filters);
+  const [rows] = await db.execute<RowDataPacket[]>(
+    `SELECT e.id, e.type, e.stripe_created_at, e.customer_id, e.user_id,
+            u.email AS user_email, e.status, e.skip_reason, e.error,
+            e.attempts, e.received_at, e.last_attempt_at, e.processed_at
+     FROM stripe_events e
+     LEFT JOIN users u ON u.id = e.user_id
+     ${sql}
+     ORDER BY e.received_at DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    params,
+  );
+
+  return rows;
+}
+
+export async function countStripeEvents(filters: StripeEventFilters) {
+  const { sql, params } = buildWhere(filters);
+  const [rows] = await db.execute<RowDataPacket[]>(
+    `SELECT COUNT(*) AS total
+     FROM stripe_events e
+     LEFT JOIN users u ON u.id = e.user_id
+     ${sql}`,
+    params,
+  );
+
+  return Number(rows[0].total);
+}
+
+export async function countStripeEventsByStatus() {
+  const [rows] = await db.execute<RowDataPacket[]>(
+    "SELECT status, COUNT(*) AS total FROM stripe_events GROUP BY status",
+  );
+
+  return Object.fromEntries(rows.map((r) => [r.status, Number(r.total)]));
+}
+
+export async function getStripeEventTypes() {
+  const [rows] = await db.execute<RowDataPacket[]>(
+    "SELECT DISTINCT type FROM stripe_events ORDER BY type",
+  );
+
+  return rows.map((r) => String(r.type));
+}
+
+export async function getStripeEventPayload(id: string) {
+  const [rows] = await db.execute<RowDataPacket[]>(
+    "SELECT payload FROM stripe_events WHERE id = ?",
+    [id],
+  );
+
+  return rows.length > 0 ? rows[0].payload : null;
+}
@@ -327,7 +327,7 @@ export async function getVarCvar(
     `SELECT c.symbol, c.name, cv.date, cv.window_days, cv.var_95, cv.var_99, cv.cvar_95, cv.cvar_99, cv.mean_return, cv.std_dev, cv.min_return, cv.max_return, cv.num_observations
      FROM crypto_var cv
      INNER JOIN cryptocurrencies c ON cv.crypto_id = c.id
-     WHERE cv.date >= ? AND cv.date <= ? AND cv.window_days = ? ${clause}
+     WHERE cv.date >= ? AND cv.date <= ? AND cv.window_days = ? AND cv.method = 'historical' ${clause}
      ORDER BY c.symbol ASC, cv.date DESC
      ${limit > 0 ? `LIMIT ${limit} OFFSET ${offset}` : ""}`,
     [...dateParams, windowDays, ...params],
@@ -348,7 +348,7 @@ export async function getVarCvarCount(
   const [rows] = await db.execute<RowDataPacket[]>(
     `SELECT COUNT(*) as total FROM crypto_var cv
      INNER JOIN cryptocurrencies c ON cv.crypto_id = c.id
-     WHERE cv.date >= ? AND cv.date <= ? AND cv.window_days = ? ${clause}`,
+     WHERE cv.date >= ? AND cv.date <= ? AND cv.window_days = ? AND cv.method = 'historical' ${clause}`,
     [...dateParams, windowDays, ...params],
   );
 
@@ -7,6 +7,10 @@ export const SESSION_STORAGE_KEYS = {
    * Stores the return path when navigating from crypto table to crypto detail page
    */
   CRYPTO_RETURN_PATH: "cryptoReturnPath",
+  /**
+   * Set when the user dismisses the "downgraded to Free" billing banner
+   */
+  BILLING_BANNER_DISMISSED: "billingBannerDismissed",
 } as const;
 
 /**
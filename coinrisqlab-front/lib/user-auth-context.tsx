@@ -1,6 +1,6 @@
 "use client";
 
-import type { User } from "@/types/user";
+import type { Entitlements, User } from "@/types/user";
 
 import {
   createContext,
@@ -16,6 +16,7 @@ import { API_BASE_URL } from "@/config/constants";
 
 interface UserAuthContextType {
   user: User | null;
+  entitlements: Entitlements | null;
   loading: boolean;
   refresh: () => Promise<void>;
   logout: () => Promise<void>;
@@ -23,6 +24,7 @@ interface UserAuthContextType {
 
 const UserAuthContext = createContext<UserAuthContextType>({
   user: null,
+  entitlements: null,
   loading: true,
   refresh: async () => {},
   logout: async () => {},
@@ -32,8 +34,35 @@ export const useUserAuth = () => useContext(UserAuthContext);
 
 export function UserAuthProvider({ children }: { children: React.ReactNode }) {
   const [user, setUser] = useState<User | null>(null);
+  const [entitlements, setEntitlements] = useState<Entitlements | null>(null);
   const [loading, setLoading] = useState(true);
   const lastUserJsonRef = useRef<string>("");
+  const lastEntitlementsJsonRef = useRef<string>("");
+
+  // Limits and features of the current plan, refreshed with the user
+  const refreshEntitlements = useCallback(async (loggedIn: boolean) => {
+    let next: Entitlements | null = null;
+
+    if (loggedIn) {
+      try {
+        const res = await fetch(`${API_BASE_URL}/user/entitlements`, {
+          credentials: "include",
+        });
+        const json = await res.json();
+
+        next = json.data || null;
+      } catch {
+        next = null;
+      }
+    }
+
+    const nextJson = JSON.stringify(next);
+
+    if (nextJson !== lastEntitlementsJsonRef.current) {
+      lastEntitlementsJsonRef.current = nextJson;
+      setEntitlements(next);
+    }
+  }, []);
 
   const refresh = useCallback(async () => {
     try {
@@ -49,15 +78,18 @@ export function UserAuthProvider({ children }: { children: React.ReactNode }) {
         lastUserJsonRef.current = newUserJson;
         setUser(newUser);
       }
+
+      await refreshEntitlements(newUser !== null);
     } catch {
       if (lastUserJsonRef.current !== "null") {
         lastUserJsonRef.current = "null";
         setUser(null);
       }
+      await refreshEntitlements(false);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [refreshEntitlements]);
 
   const logout = useCallback(async () => {
     try {
@@ -70,6 +102,8 @@ export function UserAuthProvider({ children }: { children: React.ReactNode }) {
     }
     lastUserJsonRef.current = "null";
     setUser(null);
+    lastEntitlementsJsonRef.current = "null";
+    setEntitlements(null);
   }, []);
 
   useEffect(() => {
@@ -84,8 +118,8 @@ export function UserAuthProvider({ children }: { children: React.ReactNode }) {
   }, [refresh]);
 
   const value = useMemo(
-    () => ({ user, loading, refresh, logout }),
-    [user, loading, refresh, logout],
+    () => ({ user, entitlements, loading, refresh, logout }),
+    [user, entitlements, loading, refresh, logout],
   );
 
   return (
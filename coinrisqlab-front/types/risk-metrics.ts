@@ -10,6 +10,7 @@ export type RiskPanel =
   | "price"
   | "volatility"
   | "stress-test"
+  | "drawdown"
   | "var"
   | "var"
   | "beta"
@@ -22,6 +23,18 @@ export type RiskPanel =
  */
 export type RiskPeriod = "24h" | "7d" | "30d" | "90d" | "365d" | "all";
 
+/**
+ * VaR estimation method: empirical percentile, Gaussian, or Gaussian
+ * adjusted for skewness and kurtosis (Cornish-Fisher)
+ */
+export type VaRMethod = "historical" | "parametric" | "cornish_fisher";
+
+export const VAR_METHOD_LABELS: Record<VaRMethod, string> = {
+  historical: "Historical",
+  parametric: "Parametric",
+  cornish_fisher: "Cornish-Fisher",
+};
+
 /**
  * Basic crypto info returned with each endpoint
  */
@@ -128,6 +141,7 @@ export interface VaRData {
   histogram: HistogramBin[] | null;
   statistics?: VaRStatistics;
   period: string;
+  method: VaRMethod;
   dataPoints: number;
   fromHistorized?: boolean;
   msg?: string;
@@ -198,6 +212,48 @@ export const STRESS_SCENARIO_COLORS: Record<StressScenarioId, string> = {
   "ftx-crash": "#8b5cf6",
 };
 
+// ============================================================================
+// DRAWDOWN
+// ============================================================================
+
+/**
+ * Drawdowns are positive percentages below the running peak
+ */
+export interface DrawdownPoint {
+  date: string;
+  drawdown: number;
+}
+
+export interface DrawdownStats {
+  maxDrawdown: number;
+  currentDrawdown: number;
+  peakDate: string | null;
+  troughDate: string | null;
+  recoveryDate: string | null;
+  recoveryDays: number | null;
+  currentDurationDays: number;
+  longestDurationDays: number;
+  underwater: DrawdownPoint[];
+}
+
+export interface DrawdownData
+  extends Omit<DrawdownStats, "maxDrawdown" | "currentDrawdown"> {
+  crypto: CryptoInfo;
+  maxDrawdown: number | null;
+  currentDrawdown: number | null;
+  underwater: (DrawdownPoint & { maxDrawdown: number })[];
+  index: DrawdownStats | null;
+  windowDays?: number;
+  period: string;
+  dataPoints: number;
+  fromHistorized?: boolean;
+  msg?: string;
+}
+
+export interface DrawdownResponse {
+  data: DrawdownData;
+}
+
 // ============================================================================
 // DISTRIBUTION (SKEWNESS / KURTOSIS)
 // ============================================================================
@@ -272,6 +328,20 @@ export interface SMLResponse {
 // RISK SUMMARY (Combined metrics)
 // ============================================================================
 
+// Sortino / Omega use the minimum acceptable return (annual %); tracking
+// error and downside deviation are in %, the ratios are unitless
+export interface PerformanceRatios {
+  sharpe: number | null;
+  sortino: number | null;
+  calmar: number | null;
+  omega: number | null;
+  treynor: number | null;
+  informationRatio: number | null;
+  trackingError: number | null;
+  downsideDeviation: number | null;
+  minimumAcceptableReturn: number;
+}
+
 export interface RiskSummaryData {
   crypto: CryptoInfo;
   hasData: boolean;
@@ -305,6 +375,7 @@ export interface RiskSummaryData {
   } | null;
   skewness: number | null;
   kurtosis: number | null;
+  ratios: PerformanceRatios;
   period: string;
   dataPoints: number;
   msg?: string;
@@ -348,6 +419,13 @@ export const PANEL_CONFIGS: PanelConfig[] = [
     description: "Historical crisis scenarios (Covid-19, FTX, etc.)",
     icon: "alert-triangle",
   },
+  {
+    id: "drawdown",
+    label: "Drawdown",
+    shortLabel: "DD",
+    description: "Decline from peak, duration and recovery",
+    icon: "trending-down",
+  },
   {
     id: "var",
     label: "Value at Risk",
@@ -359,7 +437,7 @@ export const PANEL_CONFIGS: PanelConfig[] = [
     id: "beta",
     label: "Beta",
     shortLabel: "Beta",
-    description: "Market sensitivity (Beta, Alpha, R²)",
+    description: "Market sensitivity (Beta, Alpha, R²) and performance ratios",
     icon: "trending-up",
   },
   {
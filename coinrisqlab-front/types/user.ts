@@ -4,12 +4,79 @@ export interface User {
   displayName: string;
   plan: "free" | "pro";
   planExpiresAt: string | null;
+  emailVerified: boolean;
+  twoFactorEnabled: boolean;
+  deletionScheduledAt: string | null;
+  billingStatus: BillingStatus;
+  graceEndsAt: string | null;
+  trialEndsAt: string | null;
 }
 
+/**
+ * Dunning state: past_due while Stripe retries a failed payment, grace once
+ * retries are exhausted (Pro kept until graceEndsAt), then downgraded.
+ */
+export type BillingStatus = "active" | "past_due" | "grace" | "downgraded";
+
+export type BillingInterval = "month" | "year";
+
+/** Pro prices (minor units) and the trial offered to the user (0 = none). */
+export interface StripePlans {
+  prices: { interval: BillingInterval; amount: number; currency: string }[];
+  trialDays: number;
+}
+
+/** Stripe invoice (GET /user/stripe/invoices); amounts are in minor units. */
+export interface Invoice {
+  id: string;
+  number: string | null;
+  status: string;
+  total: number;
+  amountPaid: number;
+  amountDue: number;
+  currency: string;
+  created: string;
+  periodStart: string | null;
+  periodEnd: string | null;
+  hostedInvoiceUrl: string | null;
+  invoicePdf: string | null;
+}
+
+export type PlanFeature = "advancedAnalytics" | "exports" | "import";
+
+/**
+ * What the current plan allows (GET /user/entitlements). Limits are null when
+ * unlimited; effectivePlan falls back to "free" when the paid plan lapsed.
+ */
+export interface Entitlements {
+  plan: string;
+  effectivePlan: string;
+  label: string;
+  reason: string | null;
+  limits: {
+    portfolios: number | null;
+    holdingsPerPortfolio: number | null;
+    alerts: number | null;
+    transactionHistory: number | null;
+    historyDays: number | null;
+  };
+  alertTypes: string[];
+  features: Record<PlanFeature, boolean>;
+  usage: {
+    portfolios: number;
+    alerts: number;
+  };
+  featureLabels: Record<PlanFeature, string>;
+}
+
+/** Lot method used for realized P&L and avg buy price. */
+export type CostBasisMethod = "AVG" | "FIFO" | "LIFO" | "HIFO";
+
 export interface Portfolio {
   id: number;
   name: string;
   description: string | null;
+  cost_basis_method: CostBasisMethod;
   holding_count: number;
   latest_value: number | null;
   latest_pnl: number | null;
@@ -36,6 +103,8 @@ export interface Holding {
   /** Number of real Buy/Sell transactions (excludes the synthetic
    *  "Initial position" tx). When > 0, Edit Holding is forbidden. */
   real_tx_count: number;
+  /** Fees paid on all transactions of this line (USD). */
+  total_fees_usd: number;
 }
 
 export interface HoldingWithPortfolio extends Holding {
@@ -43,27 +112,82 @@ export interface HoldingWithPortfolio extends Holding {
   portfolio_name: string;
 }
 
+/** "transfer" only exists on legacy rows (direction unknown). */
+export type TransactionType =
+  | "buy"
+  | "sell"
+  | "reward"
+  | "airdrop"
+  | "income"
+  | "transfer_in"
+  | "transfer_out"
+  | "transfer";
+
 export interface Transaction {
   id: number;
   crypto_id: number;
   symbol: string;
   crypto_name: string;
   image_url: string | null;
-  type: "buy" | "sell" | "transfer";
+  type: TransactionType;
   quantity: number;
+  /** Fair value on receipt for rewards, airdrops and income; cost basis for transfers. */
   price_usd: number;
   fee_usd: number;
   timestamp: string;
   notes: string | null;
   created_at: string;
+  /** Other leg of a transfer between portfolios (null for external transfers). */
+  linked_transaction_id: number | null;
+  linked_portfolio_id: number | null;
+  linked_portfolio_name: string | null;
+  import_batch_id: number | null;
+}
+
+export type ImportSource = "binance" | "coinbase" | "kraken" | "generic";
+
+export interface ImportPreviewRow {
+  /** 1-based data row of the file (header excluded). */
+  row: number;
+  status: "ok" | "duplicate" | "error";
+  msg: string | null;
+  symbol: string | null;
+  crypto_id?: number;
+  type?: TransactionType;
+  quantity?: number;
+  price_usd?: number;
+  fee_usd?: number;
+  timestamp?: string;
+  notes?: string | null;
+}
+
+export interface ImportBatch {
+  id: number;
+  source: ImportSource | null;
+  file_name: string | null;
+  imported_count: number;
+  duplicate_count: number;
+  error_count: number;
+  created_at: string;
+  /** Transactions of the batch still in the portfolio. */
+  transaction_count: number;
+}
+
+export interface ImportPreview {
+  source: ImportSource | null;
+  rows: ImportPreviewRow[];
+  summary: { total: number; valid: number; duplicates: number; errors: number };
 }
 
 export interface Alert {
   id: number;
-  crypto_id: number;
-  symbol: string;
-  crypto_name: string;
+  /** Exactly one of crypto_id / portfolio_id is set. */
+  crypto_id: number | null;
+  symbol: string | null;
+  crypto_name: string | null;
   image_url: string | null;
+  portfolio_id: number | null;
+  portfolio_name: string | null;
   alert_type:
     | "price"
     | "volatility"
@@ -73,11 +197,33 @@ export interface Alert {
   threshold_value: number;
   direction: "above" | "below";
   is_active: boolean;
-  current_price: number;
+  current_price: number | null;
   last_triggered_at: string | null;
   created_at: string;
 }
 
+export type AlertDeliveryStatus = "sent" | "pending" | "failed" | "not_sent";
+
+export interface AlertEvent {
+  id: number;
+  alert_id: number;
+  crypto_id: number | null;
+  symbol: string | null;
+  crypto_name: string | null;
+  image_url: string | null;
+  portfolio_id: number | null;
+  portfolio_name: string | null;
+  alert_type: Alert["alert_type"];
+  observed_value: number;
+  threshold_value: number;
+  direction: "above" | "below";
+  triggered_at: string;
+  delivery_status: AlertDeliveryStatus;
+  delivery_channels: Partial<
+    Record<"email" | "webhook", "sent" | "pending" | "failed">
+  >;
+}
+
 export interface PortfolioOverview {
   totalValue: number;
   totalCost: number;
@@ -103,12 +249,26 @@ export interface PortfolioVolatility {
   dataPoints: number;
 }
 
+// Ratios are unitless; tracking error, downside deviation and the minimum
+// acceptable return (annual) are in %
+export interface PortfolioPerformanceRatios {
+  sortino: number | null;
+  calmar: number | null;
+  omega: number | null;
+  treynor: number | null;
+  informationRatio: number | null;
+  trackingError: number | null;
+  downsideDeviation: number;
+  minimumAcceptableReturn: number;
+}
+
 export interface PortfolioRiskMetrics {
   var95: number;
   var99: number;
   cvar95: number;
   cvar99: number;
   sharpe: number;
+  ratios: PortfolioPerformanceRatios;
   diversificationBenefit: number;
   dailyVolatility: number;
   annualizedVolatility: number;
@@ -120,3 +280,89 @@ export interface CorrelationMatrix {
   matrix: number[][];
   dataPoints: number;
 }
+
+export interface MonteCarloHorizon {
+  days: number;
+  expectedReturn: number;
+  var95: number;
+  var99: number;
+  cvar95: number;
+  cvar99: number;
+  histogram: {
+    binStart: number;
+    binEnd: number;
+    binCenter: number;
+    count: number;
+    percentage: number;
+  }[];
+}
+
+export interface MonteCarloResult {
+  simulations: number;
+  seed: number;
+  degreesOfFreedom: number;
+  horizons: MonteCarloHorizon[];
+  totalValue: number;
+  dataPoints: number;
+}
+
+/**
+ * Drawdowns are positive percentages below the running peak
+ */
+export interface DrawdownSummary {
+  maxDrawdown: number;
+  currentDrawdown: number;
+  peakDate: string | null;
+  troughDate: string | null;
+  recoveryDate: string | null;
+  recoveryDays: number | null;
+  currentDurationDays: number;
+  longestDurationDays: number;
+  underwater: { date: string; drawdown: number }[];
+}
+
+export interface PortfolioDrawdown extends DrawdownSummary {
+  index: DrawdownSummary;
+  period: string;
+  dataPoints: number;
+}
+
+export interface UserNotification {
+  id: number;
+  type: string;
+  title: string;
+  body: string;
+  data: Record<string, unknown> | null;
+  read_at: string | null;
+  created_at: string;
+}
+
+export interface UserSession {
+  id: number;
+  user_agent: string | null;
+  ip_address: string | null;
+  created_at: string;
+  last_seen_at: string | null;
+  expires_at: string;
+  current: boolean;
+}
+
+export interface UserApiKey {
+  id: number;
+  name: string;
+  key_prefix: string;
+  scopes: string[];
+  last_used_at: string | null;
+  expires_at: string | null;
+  created_at: string;
+  /** Full key, only present in the create response */
+  key?: string;
+}
+
+export interface NotificationPreferences {
+  email_enabled: number;
+  in_app_enabled: number;
+  webhook_enabled: number;
+  webhook_url: string | null;
+  webhook_secret: string | null;
+}
@@ -80,6 +80,34 @@ export interface CryptoVolatility {
   created_at?: string;
 }
 
+/**
+ * Conditional volatility model (EWMA λ=0.94 or GARCH(1,1)).
+ * Forecasts are the volatility of the cumulative log return over the
+ * horizon (not annualized); 1d equals dailyVolatility.
+ */
+export type VolatilityModelName = "ewma" | "garch";
+
+export interface VolatilityModel {
+  date: string;
+  dailyVolatility: number;
+  annualizedVolatility: number;
+  forecasts: {
+    "1d": number;
+    "10d": number;
+    "30d": number;
+  };
+  params: {
+    lambda?: number;
+    omega?: number;
+    alpha?: number;
+    beta?: number;
+  };
+  history: Pick<
+    CryptoVolatility,
+    "date" | "daily_volatility" | "annualized_volatility"
+  >[];
+}
+
 /**
  * API Response for Individual Crypto Volatility
  */
@@ -103,6 +131,7 @@ export interface CryptoVolatilityResponse {
       "30d": VolatilityChangeBucket;
       "90d": VolatilityChangeBucket;
     };
+    models?: Record<VolatilityModelName, VolatilityModel | null>;
   };
 }
 